@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+'use strict';
+
+// Carga de variables de entorno antes de cualquier importación
+require('dotenv').config();
+
+// Los logs van a stderr para no mezclarse con la salida de los comandos (p. ej. --json)
+process.env.LOG_STDERR = process.env.LOG_STDERR || 'true';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { db } = require('../src/services/database.service');
+const cli = require('../src/cli');
+
+cli.run(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,95 @@
+'use strict';
+
+/* eslint-disable no-console */
+
+// Carga de variables de entorno antes de cualquier importación
+require('dotenv').config();
+
+const { db } = require('../src/services/database.service');
+const migrationsService = require('../src/services/migrations.service');
+
+const USAGE = `Uso: migrate <comando> [opciones]
+
+Comandos:
+  status              Muestra las migraciones aplicadas y pendientes
+  up [--to VERSION]   Aplica las migraciones pendientes (hasta VERSION si se indica)
+  down [--steps N]    Revierte las últimas N migraciones aplicadas (1 por defecto)`;
+
+/**
+ * Lee el valor de una opción --nombre valor
+ * @param {string[]} args - Argumentos de la línea de comandos
+ * @param {string} name - Nombre de la opción sin guiones
+ * @returns {string|undefined}
+ */
+function option(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+/**
+ * Muestra el estado de las migraciones en formato tabla
+ */
+async function printStatus() {
+  const status = await migrationsService.status();
+  const { langfuse } = status;
+
+  console.log(`Esquema de Langfuse: ${langfuse.currentMigration || 'sin migraciones'} ` +
+    `(${langfuse.compatible ? 'compatible' : `faltan ${langfuse.missingColumns.join(', ')}`})`);
+  console.log(`Tabla de control: ${status.tableName}\n`);
+
+  for (const migration of status.migrations) {
+    const state = migration.applied
+      ? `aplicada ${new Date(migration.appliedAt).toISOString()}`
+      : 'pendiente';
+    const flags = [
+      migration.modified && 'modificada',
+      migration.missing && 'fichero no encontrado',
+      !migration.reversible && 'sin down'
+    ].filter(Boolean);
+
+    console.log(`  ${migration.version}_${migration.name}  ${state}${flags.length ? ` (${flags.join(', ')})` : ''}`);
+  }
+
+  console.log(`\n${status.pending} pendientes`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'status':
+      await printStatus();
+      break;
+
+    case 'up': {
+      const applied = await migrationsService.up({ to: option(args, 'to') });
+      applied.forEach(migration => console.log(`Aplicada: ${migration.version}_${migration.name}`));
+      console.log(applied.length ? `${applied.length} migraciones aplicadas` : 'No hay migraciones pendientes');
+      break;
+    }
+
+    case 'down': {
+      const steps = Number(option(args, 'steps') || 1);
+
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps debe ser un entero positivo');
+      }
+
+      const reverted = await migrationsService.down({ steps });
+      reverted.forEach(migration => console.log(`Revertida: ${migration.version}_${migration.name}`));
+      console.log(`${reverted.length} migraciones revertidas`);
+      break;
+    }
+
+    default:
+      console.log(USAGE);
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(`Error: ${error.cause ? error.cause.message : error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -9,6 +9,11 @@ const app = require('./src/app');
 const config = require('./src/config');
 const { logger } = require('./src/utils/logger');
 const { db } = require('./src/services/database.service');
+const webhookDeliveriesService = require('./src/services/webhook-deliveries.service');
+const projectsService = require('./src/services/projects.service');
+const idempotencyService = require('./src/services/idempotency.service');
+const migrationsService = require('./src/services/migrations.service');
+const tracing = require('./src/utils/tracing');
 
 // Logging de variables de entorno (excluyendo datos sensibles)
 logger.info('Starting application with configuration', {
@@ -24,6 +29,16 @@ logger.info('Starting application with configuration', {
   ENABLE_DOCS: process.env.ENABLE_DOCS || true,
 });
 
+// Sin SALT las API keys se crean sin fast_hashed_secret_key y Langfuse tendrá que verificarlas con bcrypt
+if (!config.apiKeys.salt) {
+  logger.warn('SALT no definida: las API keys se crearán sin fast_hashed_secret_key');
+}
+
+// Sin METRICS_TOKEN el endpoint de métricas no se publica: quedaría abierto sin autenticación
+if (config.metrics.enabled && !config.metrics.token) {
+  logger.warn('METRICS_ENABLED activo sin METRICS_TOKEN: GET /api/metrics no se publica');
+}
+
 // Gestión de errores no capturados
 process.on('uncaughtException', (error) => {
   logger.error('Error no capturado:', error);
@@ -39,6 +54,19 @@ process.on('unhandledRejection', (reason, promise) => {
 // Función para iniciar el servidor
 async function startServer() {
   try {
+    // Comprobar el esquema de Langfuse y las migraciones propias antes de aceptar solicitudes
+    // Si la base de datos no está disponible se arranca igualmente (ver /api/health/db)
+    let schemaCompatible = true;
+    try {
+      schemaCompatible = await migrationsService.checkOnStartup();
+    } catch (error) {
+      logger.warn('No se pudo comprobar el estado de las migraciones:', error);
+    }
+
+    if (!schemaCompatible) {
+      throw new Error('El esquema de Langfuse no es compatible con esta versión de la API');
+    }
+
     // Iniciar el servidor
     const server = app.listen(config.port, () => {
       logger.info(`
@@ -52,10 +80,28 @@ Esta API está diseñada para uso administrativo y ofrece autenticación mediant
       `);
     });
 
+    // Iniciar el envío de webhooks en segundo plano
+    if (config.webhooks.enabled) {
+      webhookDeliveriesService.start();
+    }
+
+    // Purgar periódicamente los proyectos eliminados tras el periodo de retención
+    if (config.projects.retentionDays > 0) {
+      projectsService.startRetentionPurge();
+    }
+
+    // Eliminar periódicamente las claves de idempotencia vencidas
+    idempotencyService.startPurge();
+
     // Gestión de señales del sistema operativo
     const shutdown = async (signal) => {
       logger.info(`${signal} recibido. Cerrando servidor HTTP y conexiones a base de datos...`);
       
+      // Detener las tareas en segundo plano antes de cerrar la base de datos
+      webhookDeliveriesService.stop();
+      projectsService.stopRetentionPurge();
+      idempotencyService.stopPurge();
+      
       // Intentar cerrar la conexión de BD primero
       try {
         await db.close();
@@ -64,6 +110,13 @@ Esta API está diseñada para uso administrativo y ofrece autenticación mediant
         logger.warn('Error al cerrar conexiones de base de datos:', err);
       }
       
+      // Enviar las trazas pendientes
+      try {
+        await tracing.shutdown();
+      } catch (err) {
+        logger.warn('Error al enviar las trazas pendientes:', err);
+      }
+      
       // Luego cerrar el servidor HTTP
       server.close(() => {
         logger.info('Servidor HTTP cerrado.');
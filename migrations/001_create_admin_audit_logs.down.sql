@@ -0,0 +1,3 @@
+-- Elimina el registro de auditoría propio de esta API
+
+DROP TABLE IF EXISTS admin_audit_logs;
@@ -0,0 +1,25 @@
+-- Registro de auditoría de las operaciones administrativas
+-- Tabla propia de esta API (Langfuse ya tiene su propia tabla audit_logs)
+
+CREATE TABLE IF NOT EXISTS admin_audit_logs (
+  id TEXT PRIMARY KEY,
+  action TEXT NOT NULL,
+  resource_type TEXT NOT NULL,
+  resource_id TEXT,
+  actor_id TEXT,
+  actor_type TEXT,
+  before JSONB,
+  after JSONB,
+  request_id TEXT,
+  ip TEXT,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS admin_audit_logs_resource_idx
+  ON admin_audit_logs (resource_type, resource_id);
+
+CREATE INDEX IF NOT EXISTS admin_audit_logs_actor_idx
+  ON admin_audit_logs (actor_id);
+
+CREATE INDEX IF NOT EXISTS admin_audit_logs_created_at_idx
+  ON admin_audit_logs (created_at);
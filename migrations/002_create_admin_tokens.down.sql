@@ -0,0 +1,3 @@
+-- Elimina los tokens administrativos
+
+DROP TABLE IF EXISTS admin_tokens;
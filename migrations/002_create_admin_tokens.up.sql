@@ -0,0 +1,15 @@
+-- Credenciales administrativas por usuario
+-- Cada token se asocia a un usuario de Langfuse y se almacena hasheado
+
+CREATE TABLE IF NOT EXISTS admin_tokens (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  hashed_token TEXT NOT NULL UNIQUE,
+  display_token TEXT NOT NULL,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP(3)
+);
+
+CREATE INDEX IF NOT EXISTS admin_tokens_user_id_idx
+  ON admin_tokens (user_id);
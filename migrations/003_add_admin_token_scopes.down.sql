@@ -0,0 +1,12 @@
+-- Vuelve a tokens administrativos sin scopes, organización ni expiración
+-- Los tokens de servicio (sin usuario) no caben en el esquema anterior y se eliminan
+
+DROP INDEX IF EXISTS admin_tokens_org_id_idx;
+
+ALTER TABLE admin_tokens DROP COLUMN IF EXISTS last_used_at;
+ALTER TABLE admin_tokens DROP COLUMN IF EXISTS expires_at;
+ALTER TABLE admin_tokens DROP COLUMN IF EXISTS org_id;
+ALTER TABLE admin_tokens DROP COLUMN IF EXISTS scopes;
+
+DELETE FROM admin_tokens WHERE user_id IS NULL;
+ALTER TABLE admin_tokens ALTER COLUMN user_id SET NOT NULL;
@@ -0,0 +1,12 @@
+-- Tokens administrativos con nombre, scopes, restricción por organización y expiración
+-- Los tokens sin usuario son credenciales de servicio (p. ej. el token inicial creado desde API_KEY)
+
+ALTER TABLE admin_tokens ALTER COLUMN user_id DROP NOT NULL;
+
+ALTER TABLE admin_tokens ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL DEFAULT '{*}';
+ALTER TABLE admin_tokens ADD COLUMN IF NOT EXISTS org_id TEXT REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE admin_tokens ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP(3);
+ALTER TABLE admin_tokens ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP(3);
+
+CREATE INDEX IF NOT EXISTS admin_tokens_org_id_idx
+  ON admin_tokens (org_id);
@@ -0,0 +1,4 @@
+-- Elimina los webhooks salientes y su registro de entregas
+
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhooks;
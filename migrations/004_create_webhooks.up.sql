@@ -0,0 +1,42 @@
+-- Webhooks salientes y registro de entregas
+-- Los webhooks sin organización reciben los eventos de todas las organizaciones
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  id TEXT PRIMARY KEY,
+  org_id TEXT REFERENCES organizations(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  description TEXT,
+  events TEXT[] NOT NULL,
+  secret TEXT NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS webhooks_org_id_idx
+  ON webhooks (org_id);
+
+-- Una fila por evento y webhook; se inserta en la misma transacción que el cambio
+-- y el despachador solo ve las confirmadas
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  webhook_id TEXT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_attempt_at TIMESTAMP(3),
+  response_status INTEGER,
+  error TEXT,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TIMESTAMP(3)
+);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_id_idx
+  ON webhook_deliveries (webhook_id, created_at);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_pending_idx
+  ON webhook_deliveries (next_attempt_at)
+  WHERE status = 'pending';
@@ -0,0 +1,3 @@
+-- Elimina las marcas de borrado lógico: las organizaciones marcadas vuelven a aparecer en la API
+
+DROP TABLE IF EXISTS deleted_organizations;
@@ -0,0 +1,9 @@
+-- Marcas de borrado lógico de organizaciones
+-- Langfuse no tiene columna deleted_at en organizations: una organización con fila
+-- en esta tabla se considera eliminada y deja de aparecer en la API
+
+CREATE TABLE IF NOT EXISTS deleted_organizations (
+  org_id TEXT PRIMARY KEY REFERENCES organizations(id) ON DELETE CASCADE,
+  deleted_by TEXT,
+  deleted_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,3 @@
+-- Elimina las claves secretas anteriores: las rotaciones en curso dejan de aceptar la clave anterior
+
+DROP TABLE IF EXISTS api_key_previous_secrets;
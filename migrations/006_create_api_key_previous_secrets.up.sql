@@ -0,0 +1,18 @@
+-- Claves secretas anteriores de API keys rotadas
+-- Tras una rotación, la clave secreta anterior sigue siendo válida hasta expires_at
+-- (periodo de gracia) para que los clientes puedan actualizarse sin cortes
+
+CREATE TABLE IF NOT EXISTS api_key_previous_secrets (
+  id TEXT PRIMARY KEY,
+  api_key_id TEXT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  hashed_secret_key TEXT NOT NULL,
+  display_secret_key TEXT NOT NULL,
+  expires_at TIMESTAMP(3) NOT NULL,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS api_key_previous_secrets_api_key_id_idx
+  ON api_key_previous_secrets (api_key_id);
+
+CREATE INDEX IF NOT EXISTS api_key_previous_secrets_expires_at_idx
+  ON api_key_previous_secrets (expires_at);
@@ -0,0 +1,3 @@
+-- Elimina las claves de idempotencia: los reintentos posteriores se procesan como solicitudes nuevas
+
+DROP TABLE IF EXISTS admin_idempotency_keys;
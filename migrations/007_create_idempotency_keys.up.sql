@@ -0,0 +1,19 @@
+-- Claves de idempotencia de las solicitudes POST (cabecera Idempotency-Key)
+-- Guardan la huella de la solicitud y la respuesta para repetirla en los reintentos
+-- hasta expires_at. status_code es NULL mientras la solicitud original está en curso
+
+CREATE TABLE IF NOT EXISTS admin_idempotency_keys (
+  scope TEXT NOT NULL,
+  key TEXT NOT NULL,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  fingerprint TEXT NOT NULL,
+  status_code INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP(3) NOT NULL,
+  PRIMARY KEY (scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS admin_idempotency_keys_expires_at_idx
+  ON admin_idempotency_keys (expires_at);
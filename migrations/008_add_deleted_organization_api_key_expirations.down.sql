@@ -0,0 +1,3 @@
+-- Elimina la expiración anterior de las API keys de las organizaciones eliminadas
+
+ALTER TABLE deleted_organizations DROP COLUMN IF EXISTS api_key_expirations;
@@ -0,0 +1,6 @@
+-- Expiración que tenían las API keys de una organización antes de eliminarla en modo soft
+-- Al eliminarla, sus API keys se revocan expirándolas; aquí se guarda la expiración
+-- anterior de cada una (por ID, null si no expiraba) para poder restaurarlas
+
+ALTER TABLE deleted_organizations
+  ADD COLUMN IF NOT EXISTS api_key_expirations JSONB NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,6 @@
+-- Elimina el identificador de las reservas de las claves de idempotencia
+-- Las respuestas cifradas no se pueden repetir con la versión anterior: se eliminan
+
+DELETE FROM admin_idempotency_keys;
+
+ALTER TABLE admin_idempotency_keys DROP COLUMN IF EXISTS reservation;
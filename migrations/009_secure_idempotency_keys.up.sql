@@ -0,0 +1,9 @@
+-- Las respuestas de las claves de idempotencia pasan a guardarse cifradas con una clave
+-- derivada de la credencial del cliente, e incluyen las claves secretas recién creadas:
+-- se eliminan las respuestas guardadas en claro hasta ahora.
+-- reservation identifica cada reserva en curso, para que una solicitud cuya reserva
+-- venció y tomó otra no pueda guardar su respuesta ni liberarla
+
+DELETE FROM admin_idempotency_keys;
+
+ALTER TABLE admin_idempotency_keys ADD COLUMN IF NOT EXISTS reservation TEXT;
@@ -0,0 +1,3 @@
+-- Elimina el vencimiento de las reservas de las claves de idempotencia
+
+ALTER TABLE admin_idempotency_keys DROP COLUMN IF EXISTS locked_until;
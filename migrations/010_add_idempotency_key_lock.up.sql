@@ -0,0 +1,9 @@
+-- Vencimiento de la reserva de cada clave de idempotencia en curso
+-- La solicitud que la reservó lo renueva mientras sigue en curso: la reserva solo vence
+-- si el proceso deja de renovarla (por ejemplo, porque se detuvo)
+
+ALTER TABLE admin_idempotency_keys ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP(3);
+
+UPDATE admin_idempotency_keys
+SET locked_until = created_at + INTERVAL '10 minutes'
+WHERE status_code IS NULL AND locked_until IS NULL;
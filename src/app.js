@@ -8,13 +8,20 @@ const rateLimit = require('express-rate-limit');
 const swaggerUi = require('swagger-ui-express');
 const YAML = require('yamljs');
 const path = require('path');
-const { errorHandler } = require('./middleware/error.middleware');
-const { requestLogger } = require('./middleware/request.middleware');
+const { errorHandler, notFoundHandler } = require('./middleware/error.middleware');
+const { requestLogger, requestContext } = require('./middleware/request.middleware');
 const routes = require('./routes');
 const config = require('./config');
 const { logger } = require('./utils/logger');
+const { AppError } = require('./utils/errors');
+const { t } = require('./utils/i18n');
 const ConfigChecker = require('./utils/config-checker');
 const { db } = require('./services/database.service');
+const adminTokensService = require('./services/admin-tokens.service');
+const tracing = require('./utils/tracing');
+
+// Trazas OpenTelemetry (solo si TRACING_ENABLED está activo)
+tracing.start();
 
 // Crear instancia de Express
 const app = express();
@@ -27,8 +34,9 @@ app.use(helmet()); // Seguridad mediante cabeceras HTTP
 app.use(compression()); // Compresión gzip
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-ID', 'Idempotency-Key', 'If-Match', 'If-None-Match'],
+  exposedHeaders: ['X-Request-ID', 'Idempotent-Replayed', 'ETag'],
 }));
 
 // Rate limiting para prevenir abusos
@@ -38,12 +46,18 @@ if (process.env.NODE_ENV === 'production') {
     max: 100, // Límite de 100 solicitudes
     standardHeaders: true,
     legacyHeaders: false,
-    message: { error: 'Demasiadas solicitudes, por favor intente más tarde' }
+    handler: (req, res, next) => {
+      next(new AppError(t('errors.rateLimited'), { status: 429, code: 'RATE_LIMITED' }));
+    }
   }));
 }
 
+// Contexto de la solicitud (ID de solicitud, actor, IP, ruta) para auditoría y logs.
+// Va antes del parsing y del logging para que los errores y todas las líneas de log lleven el ID de solicitud
+app.use(requestContext);
+
 // Middlewares para parsing
-app.use(express.json({ limit: '1mb' }));
+app.use(express.json({ limit: '1mb', type: ['application/json', 'application/merge-patch+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // Logging de solicitudes
@@ -73,9 +87,7 @@ app.get('/', (req, res) => {
 });
 
 // Error 404 para rutas no definidas
-app.use((req, res) => {
-  res.status(404).json({ error: 'Ruta no encontrada' });
-});
+app.use(notFoundHandler);
 
 // Manejador de errores global
 app.use(errorHandler);
@@ -87,6 +99,15 @@ const initApp = async () => {
     const dbStatus = await db.checkConnection();
     if (dbStatus.status === 'connected') {
       logger.info('Database connection successful on startup');
+      
+      // Registrar API_KEY como token administrativo inicial para que una instalación nueva pueda crear el resto
+      if (config.adminTokens.bootstrapFromEnv) {
+        try {
+          await adminTokensService.bootstrap(config.apiKey);
+        } catch (error) {
+          logger.warn('No se pudo registrar API_KEY como token administrativo inicial', { error: error.message });
+        }
+      }
     } else {
       logger.warn('Database connection check failed on startup', {
         error: dbStatus.error,
@@ -0,0 +1,82 @@
+'use strict';
+
+/**
+ * Error de uso de la CLI (comando desconocido, opción requerida ausente, valor inválido)
+ */
+class UsageError extends Error {}
+
+/**
+ * Separa los argumentos en posicionales y opciones
+ * Admite --opcion valor, --opcion=valor y opciones booleanas sin valor
+ * @param {string[]} argv - Argumentos de la línea de comandos
+ * @param {string[]} booleanOptions - Opciones que no llevan valor
+ * @returns {Object} { positionals, options }
+ */
+function parseArgs(argv, booleanOptions = []) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+
+    if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (booleanOptions.includes(name)) {
+      options[name] = true;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i];
+    } else {
+      throw new UsageError(`La opción --${name} requiere un valor`);
+    }
+  }
+
+  return { positionals, options };
+}
+
+/**
+ * Obtiene una opción obligatoria
+ * @param {Object} options - Opciones analizadas
+ * @param {string} name - Nombre de la opción
+ * @returns {string}
+ */
+function requireOption(options, name) {
+  if (options[name] === undefined || options[name] === '') {
+    throw new UsageError(`Falta la opción --${name}`);
+  }
+
+  return options[name];
+}
+
+/**
+ * Convierte una opción a entero positivo
+ * @param {Object} options - Opciones analizadas
+ * @param {string} name - Nombre de la opción
+ * @returns {number|undefined}
+ */
+function intOption(options, name) {
+  if (options[name] === undefined) {
+    return undefined;
+  }
+
+  const value = Number(options[name]);
+
+  if (!Number.isInteger(value) || value < 0) {
+    throw new UsageError(`--${name} debe ser un entero no negativo`);
+  }
+
+  return value;
+}
+
+module.exports = {
+  UsageError,
+  parseArgs,
+  requireOption,
+  intOption
+};
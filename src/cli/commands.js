@@ -0,0 +1,314 @@
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const organizationsService = require('../services/organizations.service');
+const projectsService = require('../services/projects.service');
+const usersService = require('../services/users.service');
+const apiKeysService = require('../services/api-keys.service');
+const projectMembershipsService = require('../services/project-memberships.service');
+const applyService = require('../services/apply.service');
+const { documentSchema, parseDocument } = require('../utils/apply-document');
+const { formatJoiErrors } = require('../middleware/validation.middleware');
+const { ValidationError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
+const { UsageError, requireOption, intOption } = require('./args');
+
+/**
+ * Opciones de paginación comunes a los listados
+ * @param {Object} options - Opciones analizadas
+ * @returns {Object} { sort, cursor, limit }
+ */
+function pageOptions(options) {
+  return {
+    sort: options.sort,
+    cursor: options.cursor,
+    limit: intOption(options, 'limit')
+  };
+}
+
+/**
+ * Obtiene el ID posicional de un comando
+ * @param {string[]} positionals - Argumentos posicionales tras el comando
+ * @param {string} label - Nombre del recurso para el mensaje de error
+ * @returns {string}
+ */
+function requireId(positionals, label) {
+  if (!positionals[0]) {
+    throw new UsageError(`Falta el ID de ${label}`);
+  }
+
+  return positionals[0];
+}
+
+/**
+ * Lee y valida un documento de apply (JSON si la extensión es .json, YAML en otro caso)
+ * @param {Object} options - Opciones analizadas (--file)
+ * @returns {Promise<Object>} Documento validado
+ */
+async function readApplyDocument(options) {
+  const file = requireOption(options, 'file');
+  let text;
+
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw new UsageError(`No se puede leer el fichero ${file}: ${error.message}`);
+  }
+
+  const document = parseDocument(text, path.extname(file).toLowerCase() === '.json' ? 'json' : 'yaml');
+  const { error } = documentSchema.validate(document, { abortEarly: false });
+
+  if (error) {
+    throw new ValidationError(t('errors.validation'), {
+      document: formatJoiErrors(error)
+    });
+  }
+
+  return document;
+}
+
+/**
+ * Filas de tabla de un resultado de apply: un cambio por fila y, al aplicar,
+ * las claves de las API keys creadas (solo se muestran esta vez)
+ * @param {Object} result - Resultado de ApplyService.plan o ApplyService.apply
+ * @returns {Object[]}
+ */
+function applyRows(result) {
+  const keys = new Map((result.apiKeys || []).map(apiKey => [apiKey.id, apiKey]));
+
+  const rows = result.changes.map(change => {
+    const apiKey = change.resource === 'api_key' && change.action === 'create' ? keys.get(change.id) : null;
+    keys.delete(change.id);
+
+    return {
+      action: change.action,
+      resource: change.resource,
+      organization: change.organization,
+      project: change.project,
+      user: change.user,
+      role: change.role || (change.changes && change.changes.role ? `${change.changes.role.from} -> ${change.changes.role.to}` : undefined),
+      name: change.changes && change.changes.name ? `${change.changes.name.from} -> ${change.changes.name.to}` : undefined,
+      note: change.note,
+      publicKey: apiKey ? apiKey.publicKey : undefined,
+      secretKey: apiKey ? apiKey.secretKey : undefined
+    };
+  });
+
+  // API keys iniciales de proyectos nuevos sin lista de API keys
+  for (const apiKey of keys.values()) {
+    rows.push({
+      action: 'create',
+      resource: 'api_key',
+      organization: apiKey.organization,
+      project: apiKey.project,
+      publicKey: apiKey.publicKey,
+      secretKey: apiKey.secretKey
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Catálogo de comandos de la CLI
+ * Cada comando llama directamente a los servicios, sin pasar por la API HTTP
+ */
+const commands = {
+  'org list': {
+    usage: '[--name TEXTO] [--sort CAMPO] [--limit N] [--cursor C]',
+    description: 'Listar organizaciones',
+    run: ({ options }) => organizationsService.getAll({ name: options.name, ...pageOptions(options) })
+  },
+
+  'org get': {
+    usage: '<orgId>',
+    description: 'Obtener una organización',
+    run: ({ positionals }) => organizationsService.getById(requireId(positionals, 'organización'))
+  },
+
+  'org create': {
+    usage: '--name NOMBRE --owner USER_ID',
+    description: 'Crear una organización con su propietario',
+    run: ({ options }) => organizationsService.create({
+      name: requireOption(options, 'name'),
+      userId: requireOption(options, 'owner')
+    })
+  },
+
+  'org delete': {
+    usage: '<orgId> [--mode soft|hard] [--dry-run]',
+    description: 'Eliminar una organización (--dry-run muestra lo que se eliminaría)',
+    run: ({ positionals, options }) => organizationsService.delete(requireId(positionals, 'organización'), {
+      mode: options.mode,
+      dryRun: !!options['dry-run']
+    })
+  },
+
+  'org restore': {
+    usage: '<orgId>',
+    description: 'Restaurar una organización eliminada en modo soft',
+    run: ({ positionals }) => organizationsService.restore(requireId(positionals, 'organización'))
+  },
+
+  'project list': {
+    usage: '--org ORG_ID [--name TEXTO] [--deleted] [--sort CAMPO] [--limit N] [--cursor C]',
+    description: 'Listar los proyectos de una organización',
+    run: ({ options }) => projectsService.getAll({
+      orgId: requireOption(options, 'org'),
+      name: options.name,
+      deleted: !!options.deleted,
+      ...pageOptions(options)
+    })
+  },
+
+  'project create': {
+    usage: '--org ORG_ID --name NOMBRE',
+    description: 'Crear un proyecto (devuelve su primera API key)',
+    run: ({ options }) => projectsService.create({
+      orgId: requireOption(options, 'org'),
+      name: requireOption(options, 'name')
+    })
+  },
+
+  'project delete': {
+    usage: '<projectId>',
+    description: 'Eliminar (borrado lógico) un proyecto',
+    run: async ({ positionals }) => {
+      await projectsService.delete(requireId(positionals, 'proyecto'));
+      return { message: t('messages.projects.deleted') };
+    }
+  },
+
+  'project restore': {
+    usage: '<projectId>',
+    description: 'Restaurar un proyecto eliminado',
+    run: ({ positionals }) => projectsService.restore(requireId(positionals, 'proyecto'))
+  },
+
+  'user list': {
+    usage: '[--search TEXTO] [--sort CAMPO] [--limit N] [--cursor C]',
+    description: 'Listar usuarios',
+    run: ({ options }) => usersService.getAll({ search: options.search, ...pageOptions(options) })
+  },
+
+  'user create': {
+    usage: '--name NOMBRE --email EMAIL',
+    description: 'Crear un usuario',
+    run: ({ options }) => usersService.create({
+      name: requireOption(options, 'name'),
+      email: requireOption(options, 'email')
+    })
+  },
+
+  'member list': {
+    usage: '--org ORG_ID | --project PROJECT_ID [--role ROL] [--limit N] [--cursor C]',
+    description: 'Listar los miembros de una organización o de un proyecto',
+    run: ({ options }) => {
+      const query = { role: options.role, ...pageOptions(options) };
+
+      return options.project
+        ? projectMembershipsService.getByProject(options.project, query)
+        : organizationsService.getMembers(requireOption(options, 'org'), query);
+    }
+  },
+
+  'member add': {
+    usage: '--org ORG_ID | --project PROJECT_ID --user USER_ID [--role ROL]',
+    description: 'Añadir un usuario a una organización o a un proyecto (rol VIEWER por defecto)',
+    run: ({ options }) => {
+      const userId = requireOption(options, 'user');
+      const role = options.role || 'VIEWER';
+
+      return options.project
+        ? projectMembershipsService.addMember(options.project, userId, role)
+        : organizationsService.addMember(requireOption(options, 'org'), userId, role);
+    }
+  },
+
+  'member remove': {
+    usage: '--org ORG_ID | --project PROJECT_ID --user USER_ID',
+    description: 'Quitar un usuario de una organización o de un proyecto',
+    run: async ({ options }) => {
+      const userId = requireOption(options, 'user');
+
+      if (options.project) {
+        await projectMembershipsService.removeMember(options.project, userId);
+        return { message: t('messages.projectMemberships.removed') };
+      }
+
+      await organizationsService.removeMember(requireOption(options, 'org'), userId);
+      return { message: t('messages.organizations.memberRemoved') };
+    }
+  },
+
+  'key list': {
+    usage: '--project PROJECT_ID [--sort CAMPO] [--limit N] [--cursor C]',
+    description: 'Listar las API keys de un proyecto',
+    run: ({ options }) => apiKeysService.getByProject(requireOption(options, 'project'), pageOptions(options))
+  },
+
+  'key create': {
+    usage: '--project PROJECT_ID [--note TEXTO] [--expires FECHA_ISO]',
+    description: 'Crear una API key (la clave secreta solo se muestra una vez)',
+    run: ({ options }) => apiKeysService.create(requireOption(options, 'project'), {
+      note: options.note,
+      expiresAt: options.expires
+    })
+  },
+
+  'key rotate': {
+    usage: '<apiKeyId> [--grace HORAS]',
+    description: 'Rotar la clave secreta manteniendo la anterior durante el periodo de gracia',
+    run: ({ positionals, options }) => {
+      const gracePeriodHours = options.grace === undefined ? undefined : Number(options.grace);
+
+      if (gracePeriodHours !== undefined && !(gracePeriodHours >= 0 && gracePeriodHours <= 720)) {
+        throw new UsageError('--grace debe ser un número de horas entre 0 y 720');
+      }
+
+      return apiKeysService.rotate(requireId(positionals, 'API key'), { gracePeriodHours });
+    }
+  },
+
+  'key delete': {
+    usage: '<apiKeyId>',
+    description: 'Eliminar una API key',
+    run: async ({ positionals }) => {
+      await apiKeysService.delete(requireId(positionals, 'API key'));
+      return { message: t('messages.apiKeys.deleted') };
+    }
+  },
+
+  'keys list-expired': {
+    usage: '[--limit N] [--cursor C]',
+    description: 'Listar las API keys expiradas',
+    run: ({ options }) => apiKeysService.getExpired(pageOptions(options))
+  },
+
+  'keys cleanup-expired': {
+    usage: '',
+    description: 'Eliminar todas las API keys expiradas',
+    run: async () => ({ deleted: await apiKeysService.cleanupExpired() })
+  },
+
+  'apply plan': {
+    usage: '--file FICHERO',
+    description: 'Mostrar los cambios que aplicaría un documento YAML o JSON',
+    run: async ({ options }) => {
+      const result = await applyService.plan(await readApplyDocument(options));
+      return options.json ? result : applyRows(result);
+    }
+  },
+
+  'apply run': {
+    usage: '--file FICHERO',
+    description: 'Aplicar un documento YAML o JSON en una sola transacción',
+    run: async ({ options }) => {
+      const result = await applyService.apply(await readApplyDocument(options));
+      return options.json ? result : applyRows(result);
+    }
+  }
+};
+
+module.exports = commands;
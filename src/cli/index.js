@@ -0,0 +1,84 @@
+'use strict';
+
+/* eslint-disable no-console */
+
+const os = require('os');
+const commands = require('./commands');
+const { UsageError, parseArgs } = require('./args');
+const { formatResult } = require('./output');
+const { AppError } = require('../utils/errors');
+const { runWithContext } = require('../utils/request-context');
+
+// Opciones sin valor reconocidas por cualquier comando
+const BOOLEAN_OPTIONS = ['json', 'help', 'dry-run', 'deleted'];
+
+/**
+ * Texto de ayuda con todos los comandos
+ * @returns {string}
+ */
+function usage() {
+  const lines = Object.entries(commands).map(([name, command]) =>
+    `  ${`${name} ${command.usage}`.trimEnd()}\n      ${command.description}`
+  );
+
+  return [
+    'Uso: langfuse-admin <recurso> <acción> [opciones] [--json]',
+    '',
+    'Comandos:',
+    ...lines,
+    '',
+    'Opciones globales:',
+    '  --json    Salida en JSON en lugar de tabla',
+    '  --help    Muestra esta ayuda'
+  ].join('\n');
+}
+
+/**
+ * Ejecuta la CLI
+ * Las operaciones quedan en el registro de auditoría con el actor cli:<usuario del sistema>
+ * @param {string[]} argv - Argumentos sin el ejecutable ni el script
+ * @returns {Promise<number>} Código de salida (0 correcto, 1 error, 2 uso incorrecto)
+ */
+async function run(argv) {
+  try {
+    const { positionals, options } = parseArgs(argv, BOOLEAN_OPTIONS);
+    const [resource, action, ...rest] = positionals;
+
+    if (!resource || options.help) {
+      console.log(usage());
+      return resource || options.help ? 0 : 2;
+    }
+
+    const command = commands[`${resource} ${action}`];
+
+    if (!command) {
+      throw new UsageError(`Comando desconocido: ${positionals.slice(0, 2).join(' ')}`);
+    }
+
+    const actor = { id: `cli:${os.userInfo().username}`, type: 'cli' };
+    const result = await runWithContext({ actor, requestId: null, ip: null }, () =>
+      command.run({ positionals: rest, options })
+    );
+
+    console.log(formatResult(result, { json: !!options.json }));
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\nEjecute langfuse-admin --help para ver los comandos disponibles`);
+      return 2;
+    }
+
+    if (error instanceof AppError) {
+      const details = Object.keys(error.details).length > 0 ? ` ${JSON.stringify(error.details)}` : '';
+      console.error(`Error (${error.code}): ${error.message}${details}`);
+      return 1;
+    }
+
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
+}
+
+module.exports = {
+  run
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Convierte un valor en texto para una celda de tabla
+ * @param {any} value - Valor
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+}
+
+/**
+ * Dibuja una lista de objetos como tabla de texto
+ * @param {Object[]} rows - Filas
+ * @returns {string}
+ */
+function formatTable(rows) {
+  if (rows.length === 0) {
+    return '(sin resultados)';
+  }
+
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const cells = rows.map(row => columns.map(column => formatValue(row[column])));
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(line => line[i].length)));
+  const formatLine = line => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    formatLine(columns),
+    formatLine(widths.map(width => '-'.repeat(width))),
+    ...cells.map(formatLine)
+  ].join('\n');
+}
+
+/**
+ * Dibuja un objeto como pares clave: valor
+ * @param {Object} object - Objeto
+ * @returns {string}
+ */
+function formatObject(object) {
+  const width = Math.max(...Object.keys(object).map(key => key.length));
+
+  return Object.entries(object)
+    .map(([key, value]) => `${key.padEnd(width)}  ${formatValue(value)}`)
+    .join('\n');
+}
+
+/**
+ * Da formato al resultado de un comando
+ * Los listados paginados ({ data, nextCursor }) se muestran como tabla con el cursor al final
+ * @param {any} result - Resultado del comando
+ * @param {Object} options - Opciones de salida
+ * @param {boolean} options.json - Salida JSON en lugar de tabla
+ * @returns {string}
+ */
+function formatResult(result, { json = false } = {}) {
+  if (json) {
+    return JSON.stringify(result, null, 2);
+  }
+
+  if (result === null || result === undefined) {
+    return '';
+  }
+
+  if (Array.isArray(result)) {
+    return formatTable(result);
+  }
+
+  if (typeof result === 'object' && Array.isArray(result.data)) {
+    const table = formatTable(result.data);
+    return result.nextCursor ? `${table}\n\nSiguiente página: --cursor ${result.nextCursor}` : table;
+  }
+
+  if (typeof result === 'object') {
+    return formatObject(result);
+  }
+
+  return String(result);
+}
+
+module.exports = {
+  formatResult
+};
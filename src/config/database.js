@@ -1,5 +1,7 @@
 'use strict';
 
+const path = require('path');
+
 /**
  * Configuración de la base de datos
  * Separa los parámetros para evitar duplicación y facilitar cambios
@@ -21,9 +23,10 @@ module.exports = {
     acquireTimeoutMillis: parseInt(process.env.DB_ACQUIRE_TIMEOUT || '30000'),
   },
   
-  // Opciones para migraciones
+  // Opciones para migraciones de las tablas propias de esta API (ver migrations.service)
   migrations: {
-    directory: './migrations',
-    tableName: 'knex_migrations',
+    directory: path.resolve(__dirname, '../../migrations'),
+    tableName: process.env.DB_MIGRATIONS_TABLE || 'admin_migrations',
+    runOnStartup: process.env.DB_MIGRATIONS_RUN_ON_STARTUP === 'true',
   },
 };
\ No newline at end of file
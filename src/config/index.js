@@ -22,7 +22,7 @@ const env = (key, defaultValue = undefined) => {
 
 // Normalización de variables booleanas
 const boolEnv = (key, defaultValue = undefined) => {
-  const value = env(key, defaultValue);
+  const value = String(env(key, defaultValue));
   return value === 'true' || value === '1' || value === 'yes';
 };
 
@@ -32,6 +32,14 @@ const numEnv = (key, defaultValue = undefined) => {
   return Number(value);
 };
 
+// Normalización de listas (separadas por comas u otro separador)
+const listEnv = (key, defaultValue = undefined, separator = ',') => {
+  return String(env(key, defaultValue))
+    .split(separator)
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
 // Configuración general de la aplicación
 const config = {
   // Entorno
@@ -48,9 +56,83 @@ const config = {
   apiKey: env('API_KEY', 'admin-secret-key'),
   enableApiKeyAuth: boolEnv('ENABLE_API_KEY_AUTH', true),
   
+  // Tokens administrativos
+  adminTokens: {
+    // Registrar API_KEY como token inicial con todos los scopes si aún no existe
+    bootstrapFromEnv: boolEnv('ADMIN_TOKEN_BOOTSTRAP', true),
+  },
+  
+  // Webhooks salientes
+  webhooks: {
+    enabled: boolEnv('WEBHOOKS_ENABLED', true), // Envío periódico de entregas pendientes
+    pollIntervalMs: numEnv('WEBHOOKS_POLL_INTERVAL_MS', 5000),
+    batchSize: numEnv('WEBHOOKS_BATCH_SIZE', 20),
+    timeoutMs: numEnv('WEBHOOKS_TIMEOUT_MS', 10000),
+    maxAttempts: numEnv('WEBHOOKS_MAX_ATTEMPTS', 8),
+    backoffBaseMs: numEnv('WEBHOOKS_BACKOFF_BASE_MS', 30000), // 30s, 1m, 2m, 4m...
+    allowedHosts: listEnv('WEBHOOKS_ALLOWED_HOSTS', '').map(host => host.toLowerCase()), // Hosts internos permitidos
+  },
+  
+  // API keys de proyectos
+  apiKeys: {
+    salt: env('SALT', ''), // Mismo valor que la variable SALT del servidor de Langfuse (fast_hashed_secret_key)
+    rotationGraceHours: numEnv('API_KEY_ROTATION_GRACE_HOURS', 24), // Validez de la clave anterior tras rotar
+  },
+  
+  // Claves de idempotencia de las solicitudes POST (cabecera Idempotency-Key)
+  idempotency: {
+    ttlHours: numEnv('IDEMPOTENCY_TTL_HOURS', 24), // Tiempo durante el que se repite la respuesta guardada
+    lockTimeoutSeconds: numEnv('IDEMPOTENCY_LOCK_TIMEOUT_SECONDS', 60), // Vencimiento de una reserva que nadie renueva
+    purgeIntervalMs: numEnv('IDEMPOTENCY_PURGE_INTERVAL_MS', 60 * 60 * 1000), // 1 hora
+  },
+  
+  // Idioma de los mensajes de error y validación (el cliente lo elige con Accept-Language)
+  i18n: {
+    defaultLocale: env('DEFAULT_LOCALE', 'es'), // es o en
+  },
+  
+  // Respuestas de error
+  errors: {
+    format: env('ERROR_FORMAT', 'legacy'), // legacy ({ error, message, details }) o problem (application/problem+json)
+    typeBaseUrl: env('ERROR_TYPE_BASE_URL', '/api/errors'), // Prefijo del campo `type` de problem+json
+  },
+  
+  // Retención de proyectos eliminados
+  projects: {
+    retentionDays: numEnv('PROJECT_RETENTION_DAYS', 0), // Días hasta la purga automática (0: desactivada)
+    purgeIntervalMs: numEnv('PROJECT_PURGE_INTERVAL_MS', 60 * 60 * 1000), // 1 hora
+    purgeBatchSize: numEnv('PROJECT_PURGE_BATCH_SIZE', 50),
+  },
+  
+  // Métricas Prometheus (GET /api/metrics)
+  metrics: {
+    enabled: boolEnv('METRICS_ENABLED', false),
+    token: env('METRICS_TOKEN', ''), // Obligatorio: el endpoint exige Authorization: Bearer <token> y sin él no se publica
+    businessCacheSeconds: numEnv('METRICS_BUSINESS_CACHE_SECONDS', 60), // Vigencia de los contadores de negocio
+  },
+  
+  // Trazas OpenTelemetry
+  tracing: {
+    enabled: boolEnv('TRACING_ENABLED', false),
+    exporter: env('TRACING_EXPORTER', env('NODE_ENV', 'development') === 'test' ? 'console' : 'otlp'), // otlp o console (stdout)
+    otlpEndpoint: env('OTEL_EXPORTER_OTLP_TRACES_ENDPOINT', 'http://localhost:4318/v1/traces'),
+    serviceName: env('OTEL_SERVICE_NAME', 'langfuse-admin-api'),
+  },
+  
   // Logging
   logLevel: env('LOG_LEVEL', 'info'),
+  logToStderr: boolEnv('LOG_STDERR', false), // Enviar los logs de consola a stderr (p. ej. en la CLI)
   enableRequestLogging: boolEnv('ENABLE_REQUEST_LOGGING', true),
+  
+  // Redacción de datos sensibles en los logs
+  logRedaction: {
+    enabled: boolEnv('LOG_REDACT', true),
+    // Claves cuyo valor se oculta (coincidencia parcial, sin distinguir mayúsculas)
+    keys: listEnv('LOG_REDACT_KEYS', 'password,secret,authorization,x-api-key,cookie,hashed'),
+    // Expresiones regulares aplicadas a los textos (separadas por espacios): claves sk_, tokens lfa_ y hashes
+    patterns: listEnv('LOG_REDACT_PATTERNS', '\\b(?:sk|lfa)_[0-9a-f]{8,}\\b \\$2[aby]\\$\\d{2}\\$[./A-Za-z0-9]{53} \\b[0-9a-f]{64}\\b', /\s+/),
+    emails: boolEnv('LOG_REDACT_EMAILS', true), // Enmascarar direcciones de email (a***@dominio)
+  },
 
   // CORS
   corsOrigin: env('CORS_ORIGIN', '*'),
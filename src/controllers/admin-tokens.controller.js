@@ -0,0 +1,71 @@
+'use strict';
+
+const { asyncHandler } = require('../middleware/error.middleware');
+const { isGlobalAdmin } = require('../middleware/auth.middleware');
+const adminTokensService = require('../services/admin-tokens.service');
+const { t } = require('../utils/i18n');
+const { createContextLogger } = require('../utils/logger');
+
+// Logger contextual para este controlador
+const logger = createContextLogger('admin-tokens-controller');
+
+/**
+ * @route GET /api/admin-tokens
+ * @description Listar tokens administrativos (los administradores globales pueden filtrar por usuario)
+ */
+const getAdminTokens = asyncHandler(async (req, res) => {
+  // Los usuarios que no son administradores globales solo ven sus propios tokens
+  const userId = isGlobalAdmin(req.user) ? req.query.userId : req.user.id;
+  const { sort, cursor, limit } = req.query;
+  logger.info(`Obteniendo tokens administrativos${userId ? ` del usuario: ${userId}` : ''}`);
+
+  const tokens = await adminTokensService.getAll({ userId, sort, cursor, limit });
+
+  res.json(tokens);
+});
+
+/**
+ * @route GET /api/admin-tokens/:id
+ * @description Obtener un token administrativo por ID
+ */
+const getAdminTokenById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  logger.info(`Obteniendo token administrativo: ${id}`);
+
+  const token = await adminTokensService.getById(id);
+
+  res.json(token);
+});
+
+/**
+ * @route POST /api/admin-tokens
+ * @description Crear un token administrativo con nombre, scopes y organización opcional
+ */
+const createAdminToken = asyncHandler(async (req, res) => {
+  const { name, scopes, userId, orgId, expiresAt } = req.body;
+  logger.info(`Creando token administrativo: ${name}`);
+
+  const token = await adminTokensService.create({ name, scopes, userId, orgId, expiresAt });
+
+  res.status(201).json(token);
+});
+
+/**
+ * @route DELETE /api/admin-tokens/:id
+ * @description Revocar un token administrativo
+ */
+const revokeAdminToken = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  logger.info(`Revocando token administrativo: ${id}`);
+
+  await adminTokensService.revoke(id);
+
+  res.json({ message: t('messages.adminTokens.revoked') });
+});
+
+module.exports = {
+  getAdminTokens,
+  getAdminTokenById,
+  createAdminToken,
+  revokeAdminToken
+};
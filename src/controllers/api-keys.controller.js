@@ -1,8 +1,9 @@
 'use strict';
 
 const { asyncHandler } = require('../middleware/error.middleware');
-const { NotFoundError } = require('../utils/errors');
+const { NotFoundError, ApiKeyVerificationError } = require('../utils/errors');
 const apiKeysService = require('../services/api-keys.service');
+const { t } = require('../utils/i18n');
 const { createContextLogger } = require('../utils/logger');
 
 // Logger contextual para este controlador
@@ -10,13 +11,22 @@ const logger = createContextLogger('api-keys-controller');
 
 /**
  * @route GET /api/projects/:id/api-keys
- * @description Listar todas las API keys de un proyecto
+ * @description Listar las API keys de un proyecto (paginado por cursor, filtrable por expiración y último uso)
  */
 const getProjectApiKeys = asyncHandler(async (req, res) => {
   const { id: projectId } = req.params;
+  const { expiresFrom, expiresTo, lastUsedFrom, lastUsedTo, sort, cursor, limit } = req.query;
   logger.info(`Obteniendo API keys para proyecto: ${projectId}`);
   
-  const apiKeys = await apiKeysService.getByProject(projectId);
+  const apiKeys = await apiKeysService.getByProject(projectId, {
+    expiresFrom,
+    expiresTo,
+    lastUsedFrom,
+    lastUsedTo,
+    sort,
+    cursor,
+    limit
+  });
   
   res.json(apiKeys);
 });
@@ -62,6 +72,20 @@ const regenerateApiKey = asyncHandler(async (req, res) => {
   res.json(regeneratedApiKey);
 });
 
+/**
+ * @route POST /api/api-keys/:id/rotate
+ * @description Rotar la clave secreta de una API key (la anterior sigue siendo válida durante el periodo de gracia)
+ */
+const rotateApiKey = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { gracePeriodHours } = req.body;
+  logger.info(`Rotando clave secreta de API key: ${id}`);
+  
+  const rotatedApiKey = await apiKeysService.rotate(id, { gracePeriodHours });
+  
+  res.json(rotatedApiKey);
+});
+
 /**
  * @route PUT /api/api-keys/:id/expiration
  * @description Actualizar la fecha de expiración de una API key
@@ -90,6 +114,20 @@ const updateApiKeyNote = asyncHandler(async (req, res) => {
   res.json(apiKey);
 });
 
+/**
+ * @route PATCH /api/api-keys/:id
+ * @description Actualizar parcialmente una API key (JSON Merge Patch: note y expiresAt)
+ */
+const patchApiKey = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { note, expiresAt } = req.body;
+  logger.info(`Actualizando API key: ${id}`);
+  
+  const apiKey = await apiKeysService.update(id, { note, expiresAt });
+  
+  res.json(apiKey);
+});
+
 /**
  * @route DELETE /api/api-keys/:id
  * @description Eliminar una API key
@@ -100,17 +138,18 @@ const deleteApiKey = asyncHandler(async (req, res) => {
   
   await apiKeysService.delete(id);
   
-  res.json({ message: 'API key eliminada correctamente' });
+  res.json({ message: t('messages.apiKeys.deleted') });
 });
 
 /**
  * @route GET /api/api-keys/expired
- * @description Listar todas las API keys expiradas
+ * @description Listar las API keys expiradas (paginado por cursor)
  */
 const getExpiredApiKeys = asyncHandler(async (req, res) => {
+  const { sort, cursor, limit } = req.query;
   logger.info('Obteniendo API keys expiradas');
   
-  const expiredKeys = await apiKeysService.getExpired();
+  const expiredKeys = await apiKeysService.getExpired({ sort, cursor, limit });
   
   res.json(expiredKeys);
 });
@@ -125,19 +164,68 @@ const cleanupExpiredApiKeys = asyncHandler(async (req, res) => {
   const count = await apiKeysService.cleanupExpired();
   
   res.json({ 
-    message: `${count} API keys expiradas eliminadas correctamente`,
+    message: t('messages.apiKeys.expiredDeleted', { count }),
     count
   });
 });
 
+/**
+ * @route GET /api/api-keys/legacy
+ * @description Listar las API keys almacenadas en un formato no compatible con Langfuse (paginado por cursor)
+ */
+const getLegacyApiKeys = asyncHandler(async (req, res) => {
+  const { sort, cursor, limit } = req.query;
+  logger.info('Obteniendo API keys con hash heredado');
+  
+  const legacyKeys = await apiKeysService.getLegacy({ sort, cursor, limit });
+  
+  res.json(legacyKeys);
+});
+
+/**
+ * @route POST /api/api-keys/verify
+ * @description Verificar credenciales de proyecto (clave pública y secreta)
+ * Unas credenciales inválidas son un resultado de la verificación, no un fallo de autenticación
+ * del llamante: se responde 200 con { valid: false, code } y el 401 queda para su propio token
+ */
+const verifyApiKey = asyncHandler(async (req, res) => {
+  const { publicKey, secretKey } = req.body;
+  logger.info(`Verificando credenciales de proyecto: ${publicKey}`);
+  
+  try {
+    const { apiKeyId, usedSecret, ...project } = await apiKeysService.verify(publicKey, secretKey);
+    
+    res.json({
+      valid: true,
+      apiKeyId,
+      usedSecret,
+      project
+    });
+  } catch (error) {
+    if (!(error instanceof ApiKeyVerificationError)) {
+      throw error;
+    }
+    
+    res.json({
+      valid: false,
+      code: error.code,
+      message: error.message
+    });
+  }
+});
+
 module.exports = {
   getProjectApiKeys,
   getApiKeyById,
   createApiKey,
   deleteApiKey,
   regenerateApiKey,
+  rotateApiKey,
   updateApiKeyExpiration,
   updateApiKeyNote,
+  patchApiKey,
   getExpiredApiKeys,
-  cleanupExpiredApiKeys
+  cleanupExpiredApiKeys,
+  getLegacyApiKeys,
+  verifyApiKey
 };
\ No newline at end of file
@@ -0,0 +1,28 @@
+'use strict';
+
+const { asyncHandler } = require('../middleware/error.middleware');
+const applyService = require('../services/apply.service');
+const { createContextLogger } = require('../utils/logger');
+
+// Logger contextual para este controlador
+const logger = createContextLogger('apply-controller');
+
+/**
+ * @route POST /api/apply
+ * @description Aplicar un documento declarativo (YAML o JSON) en una sola transacción
+ * Con ?plan=true solo devuelve los cambios que se aplicarían
+ */
+const applyDocument = asyncHandler(async (req, res) => {
+  const plan = req.query.plan === 'true';
+  logger.info(`${plan ? 'Planificando' : 'Aplicando'} documento con ${req.body.organizations.length} organizaciones`);
+
+  const result = plan
+    ? await applyService.plan(req.body)
+    : await applyService.apply(req.body);
+
+  res.json(result);
+});
+
+module.exports = {
+  applyDocument
+};
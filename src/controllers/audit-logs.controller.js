@@ -0,0 +1,35 @@
+'use strict';
+
+const { asyncHandler } = require('../middleware/error.middleware');
+const auditLogsService = require('../services/audit-logs.service');
+const { createContextLogger } = require('../utils/logger');
+
+// Logger contextual para este controlador
+const logger = createContextLogger('audit-logs-controller');
+
+/**
+ * @route GET /api/audit-logs
+ * @description Listar registros de auditoría (paginado por cursor, filtrable por recurso, actor y rango de fechas)
+ */
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { resourceType, resourceId, actorId, action, from, to, sort, cursor, limit } = req.query;
+  logger.info('Obteniendo registros de auditoría');
+  
+  const auditLogs = await auditLogsService.getAll({
+    resourceType,
+    resourceId,
+    actorId,
+    action,
+    from,
+    to,
+    sort,
+    cursor,
+    limit
+  });
+  
+  res.json(auditLogs);
+});
+
+module.exports = {
+  getAuditLogs
+};
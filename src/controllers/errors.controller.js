@@ -0,0 +1,42 @@
+'use strict';
+
+const { NotFoundError } = require('../utils/errors');
+const { ERROR_CATALOG, describeError } = require('../utils/error-catalog');
+const config = require('../config');
+
+/**
+ * Entrada del catálogo con su URI de tipo (campo `type` de problem+json)
+ * @param {string} code - Código de error
+ * @returns {Object} { type, code, status, title }
+ */
+const catalogEntry = (code) => ({
+  type: `${config.errors.typeBaseUrl}/${code}`,
+  ...describeError(code)
+});
+
+/**
+ * @route GET /api/errors
+ * @description Catálogo de códigos de error estables
+ */
+const getErrorCatalog = (req, res) => {
+  res.json(Object.keys(ERROR_CATALOG).map(catalogEntry));
+};
+
+/**
+ * @route GET /api/errors/:code
+ * @description Describir un código de error (destino del campo `type` de problem+json)
+ */
+const getErrorCode = (req, res) => {
+  const code = req.params.code.toUpperCase();
+
+  if (!Object.prototype.hasOwnProperty.call(ERROR_CATALOG, code)) {
+    throw new NotFoundError('errorCode');
+  }
+
+  res.json(catalogEntry(code));
+};
+
+module.exports = {
+  getErrorCatalog,
+  getErrorCode
+};
@@ -3,6 +3,7 @@
 const { asyncHandler } = require('../middleware/error.middleware');
 const { db } = require('../services/database.service');
 const { createContextLogger } = require('../utils/logger');
+const { t } = require('../utils/i18n');
 const packageInfo = require('../../package.json');
 
 // Logger contextual para este controlador
@@ -40,7 +41,7 @@ const checkHealth = asyncHandler(async (req, res) => {
       healthCheck.db = {
         status: 'error',
         error: process.env.NODE_ENV === 'production' 
-          ? 'Error de conexión' 
+          ? t('errors.health.connection')
           : dbStatus.error,
         code: dbStatus.code
       };
@@ -54,7 +55,7 @@ const checkHealth = asyncHandler(async (req, res) => {
     healthCheck.db = {
       status: 'error',
       error: process.env.NODE_ENV === 'production' 
-        ? 'Error de conexión' 
+        ? t('errors.health.connection')
         : error.message,
       code: error.code
     };
@@ -99,7 +100,7 @@ const checkDatabaseHealth = asyncHandler(async (req, res) => {
       
       res.status(503).json({
         status: 'error',
-        message: 'Error de conexión a la base de datos',
+        message: t('errors.health.database'),
         error: process.env.NODE_ENV === 'production' ? undefined : dbStatus.error,
         code: dbStatus.code
       });
@@ -109,7 +110,7 @@ const checkDatabaseHealth = asyncHandler(async (req, res) => {
     
     res.status(503).json({
       status: 'error',
-      message: 'Error de conexión a la base de datos',
+      message: t('errors.health.database'),
       error: process.env.NODE_ENV === 'production' ? undefined : error.message,
       code: error.code
     });
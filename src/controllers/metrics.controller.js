@@ -0,0 +1,25 @@
+'use strict';
+
+const { asyncHandler } = require('../middleware/error.middleware');
+const metricsService = require('../services/metrics.service');
+const { createContextLogger } = require('../utils/logger');
+
+// Logger contextual para este controlador
+const logger = createContextLogger('metrics-controller');
+
+/**
+ * @route GET /api/metrics
+ * @description Métricas en formato de texto de Prometheus
+ */
+const getMetrics = asyncHandler(async (req, res) => {
+  logger.debug('Obteniendo métricas');
+
+  const { contentType, body } = await metricsService.getMetrics();
+
+  res.set('Content-Type', contentType);
+  res.send(body);
+});
+
+module.exports = {
+  getMetrics
+};
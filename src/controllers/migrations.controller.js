@@ -0,0 +1,24 @@
+'use strict';
+
+const { asyncHandler } = require('../middleware/error.middleware');
+const migrationsService = require('../services/migrations.service');
+const { createContextLogger } = require('../utils/logger');
+
+// Logger contextual para este controlador
+const logger = createContextLogger('migrations-controller');
+
+/**
+ * @route GET /api/migrations
+ * @description Estado de las migraciones propias y compatibilidad con el esquema de Langfuse
+ */
+const getMigrationsStatus = asyncHandler(async (req, res) => {
+  logger.info('Obteniendo estado de las migraciones');
+
+  const status = await migrationsService.status();
+
+  res.json(status);
+});
+
+module.exports = {
+  getMigrationsStatus
+};
@@ -3,6 +3,9 @@
 const { asyncHandler } = require('../middleware/error.middleware');
 const { NotFoundError } = require('../utils/errors');
 const organizationsService = require('../services/organizations.service');
+const { setETag } = require('../utils/etag');
+const { getAccessScope } = require('../middleware/auth.middleware');
+const { t } = require('../utils/i18n');
 const { createContextLogger } = require('../utils/logger');
 
 // Logger contextual para este controlador
@@ -10,12 +13,16 @@ const logger = createContextLogger('organizations-controller');
 
 /**
  * @route GET /api/organizations
- * @description Listar todas las organizaciones
+ * @description Listar organizaciones (paginado por cursor, filtrable por nombre y fecha de creación)
  */
 const getAllOrganizations = asyncHandler(async (req, res) => {
+  const { name, createdFrom, createdTo, sort, cursor, limit } = req.query;
   logger.info('Obteniendo lista de organizaciones');
   
-  const organizations = await organizationsService.getAll();
+  const organizations = await organizationsService.getAll(
+    { name, createdFrom, createdTo, sort, cursor, limit },
+    getAccessScope(req)
+  );
   
   res.json(organizations);
 });
@@ -31,9 +38,10 @@ const getOrganizationById = asyncHandler(async (req, res) => {
   const organization = await organizationsService.getById(id);
   
   if (!organization) {
-    throw new NotFoundError('Organización');
+    throw new NotFoundError('organization');
   }
   
+  setETag(res, organization);
   res.json(organization);
 });
 
@@ -52,6 +60,7 @@ const createOrganization = asyncHandler(async (req, res) => {
 
 /**
  * @route PUT /api/organizations/:id
+ * @route PATCH /api/organizations/:id (JSON Merge Patch)
  * @description Actualizar una organización existente
  */
 const updateOrganization = asyncHandler(async (req, res) => {
@@ -59,28 +68,104 @@ const updateOrganization = asyncHandler(async (req, res) => {
   const { name } = req.body;
   logger.info(`Actualizando organización con ID: ${id}`);
   
-  const updatedOrganization = await organizationsService.update(id, { name });
+  const updatedOrganization = await organizationsService.update(id, { name }, { ifMatch: req.get('If-Match') });
   
   if (!updatedOrganization) {
-    throw new NotFoundError('Organización');
+    throw new NotFoundError('organization');
   }
   
+  setETag(res, updatedOrganization);
   res.json(updatedOrganization);
 });
 
+/**
+ * @route DELETE /api/organizations/:id
+ * @description Eliminar una organización con sus proyectos, API keys y membresías
+ * (con dryRun=true solo devuelve lo que se eliminaría)
+ */
+const deleteOrganization = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { mode = 'soft' } = req.query;
+  const dryRun = req.query.dryRun === 'true';
+  logger.info(`${dryRun ? 'Previsualizando eliminación' : 'Eliminando'} de organización con ID: ${id} (${mode})`);
+  
+  const summary = await organizationsService.delete(id, { mode, dryRun, ifMatch: req.get('If-Match') });
+  
+  res.json(summary);
+});
+
+/**
+ * @route POST /api/organizations/:id/restore
+ * @description Restaurar una organización eliminada en modo soft
+ */
+const restoreOrganization = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  logger.info(`Restaurando organización con ID: ${id}`);
+  
+  const organization = await organizationsService.restore(id);
+  
+  res.json(organization);
+});
+
+/**
+ * @route GET /api/organizations/:id/export
+ * @description Exportar una organización con sus proyectos, miembros y metadatos de API keys
+ */
+const exportOrganization = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  logger.info(`Exportando organización con ID: ${id}`);
+  
+  const bundle = await organizationsService.exportBundle(id);
+  
+  res.json(bundle);
+});
+
+/**
+ * @route POST /api/organizations/import
+ * @description Importar una organización exportada (IDs nuevos, usuarios por email)
+ */
+const importOrganization = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+  const createUsers = req.query.createUsers === 'true';
+  logger.info(`${dryRun ? 'Previsualizando importación' : 'Importando'} de organización: ${req.body.organization.name}`);
+  
+  const summary = await organizationsService.importBundle(req.body, { dryRun, createUsers });
+  
+  res.status(dryRun ? 200 : 201).json(summary);
+});
+
 /**
  * @route GET /api/organizations/:id/members
  * @description Obtener miembros de una organización
  */
 const getOrganizationMembers = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const { role, sort, cursor, limit } = req.query;
   logger.info(`Obteniendo miembros de organización con ID: ${id}`);
   
-  const members = await organizationsService.getMembers(id);
+  const members = await organizationsService.getMembers(id, { role, sort, cursor, limit });
   
   res.json(members);
 });
 
+/**
+ * @route GET /api/organizations/:orgId/members/:userId
+ * @description Obtener la membresía de un usuario en la organización
+ */
+const getOrganizationMember = asyncHandler(async (req, res) => {
+  const { orgId, userId } = req.params;
+  logger.info(`Obteniendo membresía de usuario ${userId} en organización ${orgId}`);
+  
+  const member = await organizationsService.getMember(orgId, userId);
+  
+  if (!member) {
+    throw new NotFoundError('membership');
+  }
+  
+  setETag(res, member);
+  res.json(member);
+});
+
 /**
  * @route POST /api/organizations/:id/members
  * @description Añadir un usuario a una organización
@@ -97,6 +182,7 @@ const addOrganizationMember = asyncHandler(async (req, res) => {
 
 /**
  * @route PUT /api/organizations/:orgId/members/:userId
+ * @route PATCH /api/organizations/:orgId/members/:userId (JSON Merge Patch)
  * @description Actualizar rol de un miembro en la organización
  */
 const updateOrganizationMember = asyncHandler(async (req, res) => {
@@ -104,8 +190,9 @@ const updateOrganizationMember = asyncHandler(async (req, res) => {
   const { role } = req.body;
   logger.info(`Actualizando rol de usuario ${userId} en organización ${orgId} a ${role}`);
   
-  const member = await organizationsService.updateMember(orgId, userId, role);
+  const member = await organizationsService.updateMember(orgId, userId, role, { ifMatch: req.get('If-Match') });
   
+  setETag(res, member);
   res.json(member);
 });
 
@@ -117,9 +204,9 @@ const removeOrganizationMember = asyncHandler(async (req, res) => {
   const { orgId, userId } = req.params;
   logger.info(`Eliminando usuario ${userId} de organización ${orgId}`);
   
-  await organizationsService.removeMember(orgId, userId);
+  await organizationsService.removeMember(orgId, userId, { ifMatch: req.get('If-Match') });
   
-  res.json({ message: 'Miembro eliminado correctamente' });
+  res.json({ message: t('messages.organizations.memberRemoved') });
 });
 
 module.exports = {
@@ -127,7 +214,12 @@ module.exports = {
   getOrganizationById,
   createOrganization,
   updateOrganization,
+  deleteOrganization,
+  restoreOrganization,
+  exportOrganization,
+  importOrganization,
   getOrganizationMembers,
+  getOrganizationMember,
   addOrganizationMember,
   updateOrganizationMember,
   removeOrganizationMember
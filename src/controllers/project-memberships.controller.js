@@ -3,6 +3,8 @@
 const { asyncHandler } = require('../middleware/error.middleware');
 const { NotFoundError } = require('../utils/errors');
 const projectMembershipsService = require('../services/project-memberships.service');
+const { setETag } = require('../utils/etag');
+const { t } = require('../utils/i18n');
 const { createContextLogger } = require('../utils/logger');
 
 // Logger contextual para este controlador
@@ -10,13 +12,14 @@ const logger = createContextLogger('project-memberships-controller');
 
 /**
  * @route GET /api/projects/:projectId/members
- * @description Listar todos los miembros de un proyecto
+ * @description Listar los miembros de un proyecto (paginado por cursor, filtrable por rol)
  */
 const getProjectMembers = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
+  const { role, sort, cursor, limit } = req.query;
   logger.info(`Obteniendo miembros del proyecto: ${projectId}`);
   
-  const members = await projectMembershipsService.getByProject(projectId);
+  const members = await projectMembershipsService.getByProject(projectId, { role, sort, cursor, limit });
   
   res.json(members);
 });
@@ -46,14 +49,16 @@ const getProjectMember = asyncHandler(async (req, res) => {
   const membership = await projectMembershipsService.getMember(projectId, userId);
   
   if (!membership) {
-    throw new NotFoundError('Membresía de proyecto');
+    throw new NotFoundError('projectMembership');
   }
   
+  setETag(res, membership);
   res.json(membership);
 });
 
 /**
  * @route PUT /api/projects/:projectId/members/:userId
+ * @route PATCH /api/projects/:projectId/members/:userId (JSON Merge Patch)
  * @description Actualizar rol de un miembro en el proyecto
  */
 const updateProjectMember = asyncHandler(async (req, res) => {
@@ -61,8 +66,11 @@ const updateProjectMember = asyncHandler(async (req, res) => {
   const { role } = req.body;
   logger.info(`Actualizando rol de usuario ${userId} en proyecto ${projectId} a ${role}`);
   
-  const membership = await projectMembershipsService.updateMember(projectId, userId, role);
+  const membership = await projectMembershipsService.updateMember(projectId, userId, role, {
+    ifMatch: req.get('If-Match')
+  });
   
+  setETag(res, membership);
   res.json(membership);
 });
 
@@ -74,21 +82,23 @@ const removeProjectMember = asyncHandler(async (req, res) => {
   const { projectId, userId } = req.params;
   logger.info(`Eliminando usuario ${userId} del proyecto ${projectId}`);
   
-  await projectMembershipsService.removeMember(projectId, userId);
+  await projectMembershipsService.removeMember(projectId, userId, { ifMatch: req.get('If-Match') });
   
-  res.json({ message: 'Miembro eliminado correctamente del proyecto' });
+  res.json({ message: t('messages.projectMemberships.removed') });
 });
 
 /**
  * @route POST /api/projects/:projectId/members/batch
  * @description Añadir múltiples miembros a un proyecto
+ * (con atomic=true se añaden todos o ninguno)
  */
 const addBatchProjectMembers = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
   const { members } = req.body;
-  logger.info(`Añadiendo ${members.length} miembros al proyecto ${projectId}`);
+  const atomic = req.query.atomic === 'true';
+  logger.info(`Añadiendo ${members.length} miembros al proyecto ${projectId}${atomic ? ' (atómico)' : ''}`);
   
-  const result = await projectMembershipsService.addBatchMembers(projectId, members);
+  const result = await projectMembershipsService.addBatchMembers(projectId, members, { atomic });
   
   res.status(201).json(result);
 });
@@ -3,6 +3,9 @@
 const { asyncHandler } = require('../middleware/error.middleware');
 const { NotFoundError } = require('../utils/errors');
 const projectsService = require('../services/projects.service');
+const { setETag } = require('../utils/etag');
+const { getAccessScope } = require('../middleware/auth.middleware');
+const { t } = require('../utils/i18n');
 const { createContextLogger } = require('../utils/logger');
 
 // Logger contextual para este controlador
@@ -10,13 +13,18 @@ const logger = createContextLogger('projects-controller');
 
 /**
  * @route GET /api/projects
- * @description Listar todos los proyectos (filtrable por organización)
+ * @description Listar proyectos (paginado por cursor, filtrable por organización, nombre y fecha de creación;
+ * con deleted=true lista los proyectos eliminados)
  */
 const getAllProjects = asyncHandler(async (req, res) => {
-  const { orgId } = req.query;
-  logger.info(`Obteniendo lista de proyectos${orgId ? ` para organización ${orgId}` : ''}`);
+  const { orgId, name, createdFrom, createdTo, sort, cursor, limit } = req.query;
+  const deleted = req.query.deleted === 'true';
+  logger.info(`Obteniendo lista de proyectos${deleted ? ' eliminados' : ''}${orgId ? ` para organización ${orgId}` : ''}`);
   
-  const projects = await projectsService.getAll(orgId);
+  const projects = await projectsService.getAll(
+    { orgId, deleted, name, createdFrom, createdTo, sort, cursor, limit },
+    getAccessScope(req)
+  );
   
   res.json(projects);
 });
@@ -32,9 +40,10 @@ const getProjectById = asyncHandler(async (req, res) => {
   const project = await projectsService.getById(id);
   
   if (!project) {
-    throw new NotFoundError('Proyecto');
+    throw new NotFoundError('project');
   }
   
+  setETag(res, project);
   res.json(project);
 });
 
@@ -53,6 +62,7 @@ const createProject = asyncHandler(async (req, res) => {
 
 /**
  * @route PUT /api/projects/:id
+ * @route PATCH /api/projects/:id (JSON Merge Patch)
  * @description Actualizar un proyecto existente
  */
 const updateProject = asyncHandler(async (req, res) => {
@@ -60,12 +70,13 @@ const updateProject = asyncHandler(async (req, res) => {
   const { name } = req.body;
   logger.info(`Actualizando proyecto con ID: ${id}`);
   
-  const updatedProject = await projectsService.update(id, { name });
+  const updatedProject = await projectsService.update(id, { name }, { ifMatch: req.get('If-Match') });
   
   if (!updatedProject) {
-    throw new NotFoundError('Proyecto');
+    throw new NotFoundError('project');
   }
   
+  setETag(res, updatedProject);
   res.json(updatedProject);
 });
 
@@ -77,9 +88,52 @@ const deleteProject = asyncHandler(async (req, res) => {
   const { id } = req.params;
   logger.info(`Eliminando proyecto con ID: ${id}`);
   
-  await projectsService.delete(id);
+  await projectsService.delete(id, { ifMatch: req.get('If-Match') });
   
-  res.json({ message: 'Proyecto eliminado correctamente' });
+  res.json({ message: t('messages.projects.deleted') });
+});
+
+/**
+ * @route POST /api/projects/:id/transfer
+ * @description Transferir un proyecto a otra organización (con dryRun solo devuelve el resultado previsto)
+ */
+const transferProject = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { orgId, createMemberships, dryRun } = req.body;
+  logger.info(`${dryRun ? 'Previsualizando transferencia' : 'Transfiriendo'} de proyecto ${id} a organización ${orgId}`);
+  
+  const summary = await projectsService.transfer(id, { orgId, createMemberships, dryRun });
+  
+  res.json(summary);
+});
+
+/**
+ * @route POST /api/projects/:id/restore
+ * @description Restaurar un proyecto eliminado
+ */
+const restoreProject = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  logger.info(`Restaurando proyecto con ID: ${id}`);
+  
+  const project = await projectsService.restore(id);
+  
+  res.json(project);
+});
+
+/**
+ * @route DELETE /api/projects/:id/purge
+ * @description Eliminar definitivamente un proyecto eliminado con sus API keys y membresías
+ */
+const purgeProject = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  logger.info(`Eliminando definitivamente proyecto con ID: ${id}`);
+  
+  const result = await projectsService.purge(id);
+  
+  res.json({
+    message: t('messages.projects.purged'),
+    ...result
+  });
 });
 
 module.exports = {
@@ -87,5 +141,8 @@ module.exports = {
   getProjectById,
   createProject,
   updateProject,
-  deleteProject
+  deleteProject,
+  transferProject,
+  restoreProject,
+  purgeProject
 };
\ No newline at end of file
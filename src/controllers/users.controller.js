@@ -3,8 +3,10 @@
 const { asyncHandler } = require('../middleware/error.middleware');
 const { NotFoundError } = require('../utils/errors');
 const { db } = require('../services/database.service');
+const { t } = require('../utils/i18n');
 const { createContextLogger } = require('../utils/logger');
 const usersService = require('../services/users.service');
+const { setETag } = require('../utils/etag');
 
 // Logger contextual para este controlador
 const logger = createContextLogger('users-controller');
@@ -14,10 +16,10 @@ const logger = createContextLogger('users-controller');
  * @description Listar usuarios disponibles (para asignar a organizaciones)
  */
 const getUsers = asyncHandler(async (req, res) => {
-  const { search, limit = 10, page = 1 } = req.query;
+  const { search, sort, cursor, limit } = req.query;
   logger.info('Obteniendo lista de usuarios');
   
-  const users = await usersService.getAll({ search, limit, page });
+  const users = await usersService.getAll({ search, sort, cursor, limit });
   
   res.json(users);
 });
@@ -33,9 +35,10 @@ const getUserById = asyncHandler(async (req, res) => {
   const user = await usersService.getById(id);
   
   if (!user) {
-    throw new NotFoundError('Usuario');
+    throw new NotFoundError('user');
   }
   
+  setETag(res, user);
   res.json(user);
 });
 
@@ -58,6 +61,7 @@ const createUser = asyncHandler(async (req, res) => {
 
 /**
  * @route PUT /api/users/:id
+ * @route PATCH /api/users/:id (JSON Merge Patch)
  * @description Actualizar un usuario existente
  */
 const updateUser = asyncHandler(async (req, res) => {
@@ -71,12 +75,13 @@ const updateUser = asyncHandler(async (req, res) => {
     image, 
     feature_flags, 
     admin 
-  });
+  }, { ifMatch: req.get('If-Match') });
   
   if (!updatedUser) {
-    throw new NotFoundError('Usuario');
+    throw new NotFoundError('user');
   }
   
+  setETag(res, updatedUser);
   res.json(updatedUser);
 });
 
@@ -88,9 +93,9 @@ const deleteUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
   logger.info(`Eliminando usuario con ID: ${id}`);
   
-  await usersService.delete(id);
+  await usersService.delete(id, { ifMatch: req.get('If-Match') });
   
-  res.json({ message: 'Usuario eliminado correctamente' });
+  res.json({ message: t('messages.users.deleted') });
 });
 
 module.exports = {
@@ -0,0 +1,113 @@
+'use strict';
+
+const { asyncHandler } = require('../middleware/error.middleware');
+const webhooksService = require('../services/webhooks.service');
+const webhookDeliveriesService = require('../services/webhook-deliveries.service');
+const { t } = require('../utils/i18n');
+const { createContextLogger } = require('../utils/logger');
+
+// Logger contextual para este controlador
+const logger = createContextLogger('webhooks-controller');
+
+/**
+ * @route GET /api/webhooks
+ * @description Listar webhooks (paginado por cursor, filtrable por organización y estado)
+ */
+const getWebhooks = asyncHandler(async (req, res) => {
+  const { orgId, active, sort, cursor, limit } = req.query;
+  logger.info(`Obteniendo webhooks${orgId ? ` de la organización: ${orgId}` : ''}`);
+
+  const webhooks = await webhooksService.getAll({ orgId, active, sort, cursor, limit });
+
+  res.json(webhooks);
+});
+
+/**
+ * @route GET /api/webhooks/:id
+ * @description Obtener un webhook por ID
+ */
+const getWebhookById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  logger.info(`Obteniendo webhook: ${id}`);
+
+  const webhook = await webhooksService.getById(id);
+
+  res.json(webhook);
+});
+
+/**
+ * @route POST /api/webhooks
+ * @description Registrar un webhook para una organización o para todas
+ */
+const createWebhook = asyncHandler(async (req, res) => {
+  const { url, events, orgId, description } = req.body;
+  logger.info(`Registrando webhook: ${url}`);
+
+  const webhook = await webhooksService.create({ url, events, orgId, description });
+
+  res.status(201).json(webhook);
+});
+
+/**
+ * @route PUT /api/webhooks/:id
+ * @description Actualizar un webhook
+ */
+const updateWebhook = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { url, events, description, active } = req.body;
+  logger.info(`Actualizando webhook: ${id}`);
+
+  const webhook = await webhooksService.update(id, { url, events, description, active });
+
+  res.json(webhook);
+});
+
+/**
+ * @route DELETE /api/webhooks/:id
+ * @description Eliminar un webhook
+ */
+const deleteWebhook = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  logger.info(`Eliminando webhook: ${id}`);
+
+  await webhooksService.delete(id);
+
+  res.json({ message: t('messages.webhooks.deleted') });
+});
+
+/**
+ * @route GET /api/webhooks/:id/deliveries
+ * @description Listar el registro de entregas de un webhook
+ */
+const getWebhookDeliveries = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status, eventType, sort, cursor, limit } = req.query;
+  logger.info(`Obteniendo entregas del webhook: ${id}`);
+
+  const deliveries = await webhookDeliveriesService.getByWebhook(id, { status, eventType, sort, cursor, limit });
+
+  res.json(deliveries);
+});
+
+/**
+ * @route POST /api/webhooks/:id/deliveries/:deliveryId/retry
+ * @description Reprogramar una entrega pendiente o fallida para enviarla de inmediato
+ */
+const retryWebhookDelivery = asyncHandler(async (req, res) => {
+  const { id, deliveryId } = req.params;
+  logger.info(`Reprogramando entrega ${deliveryId} del webhook ${id}`);
+
+  const delivery = await webhookDeliveriesService.retry(id, deliveryId);
+
+  res.json(delivery);
+});
+
+module.exports = {
+  getWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  retryWebhookDelivery
+};
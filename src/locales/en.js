@@ -0,0 +1,270 @@
+'use strict';
+
+/**
+ * Mensajes en inglés
+ * Mismas claves que es.js; las que falten se muestran en el idioma por defecto
+ */
+module.exports = {
+  // Errores genéricos
+  'errors.validation': 'Validation error',
+  'errors.authentication': 'Invalid credentials',
+  'errors.authorization': 'You do not have permission to perform this action',
+  'errors.preconditionFailed': 'The resource has been modified by another request',
+  'errors.database': 'Database error',
+  'errors.database.query': 'Error running query',
+  'errors.database.transaction': 'Error running transaction',
+  'errors.routeNotFound': 'Route not found',
+  'errors.rateLimited': 'Too many requests, please try again later',
+  'errors.invalidJson': 'Invalid JSON format',
+  'errors.serviceUnavailable': 'Service temporarily unavailable',
+  'errors.internal': 'Internal server error',
+  'errors.health.connection': 'Connection error',
+  'errors.health.database': 'Database connection error',
+
+  // Recursos no encontrados (NotFoundError)
+  'errors.notFound.resource': 'Resource not found',
+  'errors.notFound.organization': 'Organization not found',
+  'errors.notFound.project': 'Project not found',
+  'errors.notFound.deletedOrganization': 'Deleted organization not found',
+  'errors.notFound.deletedProject': 'Deleted project not found',
+  'errors.notFound.user': 'User not found',
+  'errors.notFound.membership': 'Membership not found',
+  'errors.notFound.projectMembership': 'Project membership not found',
+  'errors.notFound.apiKey': 'API key not found',
+  'errors.notFound.adminToken': 'Admin token not found',
+  'errors.notFound.webhook': 'Webhook not found',
+  'errors.notFound.webhookDelivery': 'Webhook delivery not found',
+  'errors.notFound.errorCode': 'Error code not found',
+  'resources.resource': 'Resource',
+  'resources.organization': 'Organization',
+  'resources.project': 'Project',
+  'resources.deletedOrganization': 'Deleted organization',
+  'resources.deletedProject': 'Deleted project',
+  'resources.user': 'User',
+  'resources.membership': 'Membership',
+  'resources.projectMembership': 'Project membership',
+  'resources.apiKey': 'API key',
+  'resources.adminToken': 'Admin token',
+  'resources.webhook': 'Webhook',
+  'resources.webhookDelivery': 'Webhook delivery',
+  'resources.errorCode': 'Error code',
+
+  // Autenticación y permisos
+  'errors.auth.invalidApiKey': 'Invalid API key',
+  'errors.auth.credentialsCheckFailed': 'Error validating credentials',
+  'errors.auth.apiKeysRequired': 'API keys are required',
+  'errors.auth.missingScope': 'The token does not have the required scope: {scope}',
+  'errors.auth.invalidMetricsToken': 'Invalid metrics token',
+  'errors.adminTokens.scopesNotHeld': 'Cannot grant scopes the current token does not have',
+  'errors.adminTokens.otherOrganization': 'Cannot create a token for another organization',
+  'errors.adminTokens.otherUser': 'Tokens can only be created for your own user',
+  'errors.adminTokens.serviceTokenAdminOnly': 'Only global administrators can create service tokens',
+
+  // Verificación de API keys de proyecto
+  'errors.apiKeys.keyNotFound': 'API key not found',
+  'errors.apiKeys.secretMismatch': 'Invalid secret key',
+  'errors.apiKeys.keyExpired': 'API key expired',
+  'errors.apiKeys.projectDeleted': 'Project inactive or deleted',
+
+  // Reglas de negocio de los servicios
+  'errors.required.name': 'Name is required',
+  'errors.required.email': 'Email is required',
+  'errors.required.orgId': 'Organization ID is required',
+  'errors.required.targetOrgId': 'Target organization ID is required',
+  'errors.required.userId': 'User ID is required',
+  'errors.required.creatorUserId': 'A user ID is required to create an organization',
+  'errors.required.role': 'Role is required',
+  'errors.required.url': 'URL is required',
+  'errors.required.scopes': 'At least one scope is required',
+  'errors.required.events': 'At least one event is required',
+  'errors.noFieldsToUpdate': 'No fields to update',
+  'errors.invalidOrgRole': 'Invalid role. Must be OWNER, ADMIN, VIEWER or NONE',
+  'errors.invalidProjectRole': 'Invalid role. Must be OWNER, ADMIN, MEMBER or VIEWER',
+  'errors.invalidExpiration': 'Invalid expiration date format',
+  'errors.expirationNotFuture': 'The expiration date must be in the future',
+  'errors.invalidGracePeriod': 'The grace period must be a non-negative number of hours',
+  'errors.invalidScopes': 'Invalid scopes: {scopes}',
+  'errors.invalidEvents': 'Invalid events: {events}',
+  'errors.invalidMembers': 'A valid array of members is required',
+  'errors.lastOwner.roleChange': 'Cannot change the role of the last owner',
+  'errors.lastOwner.remove': 'Cannot remove the last owner',
+  'errors.membershipExists.organization': 'The user is already a member of this organization',
+  'errors.membershipExists.project': 'The user is already a member of this project',
+  'errors.membershipExists.batch': 'The user appears more than once in the batch',
+  'errors.batchRejected': 'No member was added: {count} of them cannot be added',
+  'errors.users.emailInUse': 'The email is already in use',
+  'errors.users.hasMemberships':
+    'Cannot delete the user because they belong to {count} organization(s). ' +
+    'Remove the user\'s memberships first.',
+  'errors.organizations.invalidDeletionMode': 'Invalid deletion mode. Must be soft or hard',
+  'errors.organizations.noOwnerAvailable': 'None of the organization owners exist in this instance',
+  'errors.organizations.duplicateProjectMember': 'A bundle project lists the same member email more than once',
+  'errors.projects.alreadyInOrganization': 'The project already belongs to this organization',
+  'errors.projects.organizationDeleted': 'Cannot restore a project of a deleted organization',
+  'errors.webhooks.deliveryAlreadySucceeded': 'The delivery already succeeded',
+  'errors.webhooks.forbiddenTarget': 'The webhook URL points to a forbidden internal address ({host})',
+  'errors.webhooks.inactive': 'Webhook disabled',
+  'errors.webhooks.timeout': 'Request timed out',
+  'errors.idempotency.invalidKey': 'Must be 1 to 255 visible ASCII characters',
+  'errors.idempotency.keyMismatch': 'The idempotency key was already used with a different request',
+  'errors.idempotency.keyInUse': 'A request with the same idempotency key is in progress',
+  'errors.migrations.notFound': 'Migration {version} does not exist',
+  'errors.migrations.notReversible': 'Migration {migration} has no down script',
+  'errors.pagination.invalidCursor': 'Invalid cursor',
+  'errors.pagination.cursorMismatch': 'The cursor is not valid for this listing',
+  'errors.pagination.invalidSort': 'Invalid sort',
+  'errors.pagination.sortNotAllowed': 'Cannot sort by {field}',
+
+  // Apply declarativo
+  'errors.apply.invalidDocument': 'Invalid {format} document',
+  'errors.apply.usersNotFound': 'Users not found',
+  'errors.apply.organizationNotFound': 'Organization not found',
+  'errors.apply.ambiguousOrganization': 'Several organizations have the same name: specify its id',
+  'errors.apply.ownerRequired': 'Each organization needs at least one OWNER member',
+  'errors.apply.membersRequired': 'New organizations must declare their members (at least one OWNER)',
+  'errors.apply.projectNotFound': 'Project not found in the organization',
+  'errors.apply.ambiguousProject': 'Several projects have the same name: specify its id',
+  'errors.apply.projectMemberOutsideOrg': 'Project members must be members of their organization',
+  'errors.apply.duplicateMember': 'Duplicate member',
+
+  // Validación de solicitudes
+  'validation.required': 'This field is required',
+  'validation.invalidFormat': 'Invalid format',
+  'validation.name.empty': 'Name cannot be empty',
+  'validation.name.min': 'Name must be at least {limit} characters long',
+  'validation.name.max': 'Name cannot exceed {limit} characters',
+  'validation.name.required': 'Name is required',
+  'validation.orgName.empty': 'Organization name cannot be empty',
+  'validation.orgName.min': 'Organization name must be at least {limit} characters long',
+  'validation.orgName.required': 'Organization name is required',
+  'validation.projectName.empty': 'Project name cannot be empty',
+  'validation.projectName.required': 'Project name is required',
+  'validation.tokenName.empty': 'Token name cannot be empty',
+  'validation.email.invalid': 'Email must have a valid format',
+  'validation.email.required': 'Email is required',
+  'validation.password.min': 'Password must be at least {limit} characters long',
+  'validation.password.max': 'Password cannot exceed {limit} characters',
+  'validation.image.invalid': 'Image URL must be valid',
+  'validation.userId.string': 'User ID must be a string',
+  'validation.userId.required': 'User ID is required',
+  'validation.userId.requiredForEachMember': 'User ID is required for each member',
+  'validation.orgId.string': 'Organization ID must be a string',
+  'validation.orgId.required': 'Organization ID is required',
+  'validation.targetOrgId.required': 'Target organization ID is required',
+  'validation.projectId.required': 'Project ID is required',
+  'validation.apiKeyId.required': 'API key ID is required',
+  'validation.tokenId.required': 'Token ID is required',
+  'validation.webhookId.required': 'Webhook ID is required',
+  'validation.deliveryId.required': 'Delivery ID is required',
+  'validation.role.invalid': 'Invalid role',
+  'validation.role.required': 'Role is required',
+  'validation.orgRole.invalid': 'Invalid role. Must be OWNER, ADMIN, VIEWER or NONE',
+  'validation.projectRole.invalid': 'Invalid role. Must be OWNER, ADMIN, MEMBER or VIEWER',
+  'validation.members.min': 'At least one member is required',
+  'validation.members.max': 'No more than {limit} members can be added at once',
+  'validation.members.required': 'The members array is required',
+  'validation.deletionMode.invalid': 'Invalid deletion mode. Must be soft or hard',
+  'validation.note.max': 'Note cannot exceed {limit} characters',
+  'validation.note.required': 'Note is required',
+  'validation.expiresAt.invalid': 'Invalid expiration date',
+  'validation.expiresAt.future': 'The expiration date must be in the future',
+  'validation.expiresAt.required': 'Expiration date is required',
+  'validation.gracePeriod.number': 'The grace period must be a number of hours',
+  'validation.gracePeriod.min': 'The grace period cannot be negative',
+  'validation.gracePeriod.max': 'The grace period cannot exceed {limit} hours',
+  'validation.publicKey.empty': 'Public key cannot be empty',
+  'validation.publicKey.required': 'Public key is required',
+  'validation.secretKey.empty': 'Secret key cannot be empty',
+  'validation.secretKey.required': 'Secret key is required',
+  'validation.scope.invalid': 'Invalid scope',
+  'validation.scopes.min': 'At least one scope is required',
+  'validation.scopes.unique': 'Scopes cannot be repeated',
+  'validation.scopes.required': 'Scopes are required',
+  'validation.resourceType.invalid': 'Invalid resource type',
+  'validation.dateFrom.invalid': 'Invalid start date',
+  'validation.dateTo.invalid': 'Invalid end date',
+  'validation.dateTo.min': 'The end date must be after the start date',
+  'validation.eventType.invalid': 'Invalid event type',
+  'validation.events.min': 'At least one event is required',
+  'validation.events.unique': 'Events cannot be repeated',
+  'validation.events.required': 'Events are required',
+  'validation.url.invalid': 'URL must be a valid http or https URL',
+  'validation.url.max': 'URL cannot exceed {limit} characters',
+  'validation.url.required': 'URL is required',
+  'validation.deliveryStatus.invalid': 'Invalid status. Must be pending, succeeded or failed',
+  'validation.update.min': 'At least one field to update must be provided',
+  'validation.limit.max': 'The limit cannot be greater than {limit}',
+  'validation.sort.invalid': 'Invalid sort. Available values: {valids}',
+  'validation.mergePatch.object': 'The patch document must be a JSON object',
+  'validation.mergePatch.min': 'The patch document must include at least one field',
+  'validation.apply.memberIdentity': 'Each member needs an email or a userId',
+  'validation.apply.memberIdentityXor': 'Each member needs an email or a userId, not both',
+  'validation.apply.apiKeyNote.empty': 'The API key note cannot be empty',
+  'validation.apply.apiKeyNote.required': 'The API key note is required',
+  'validation.apply.projectMember.unique': 'Duplicate project member',
+  'validation.apply.apiKeyNote.unique': 'Duplicate API key note in the project',
+  'validation.apply.orgMember.unique': 'Duplicate organization member',
+  'validation.apply.projectName.unique': 'Duplicate project name in the organization',
+  'validation.apply.organizations.min': 'The document must include at least one organization',
+  'validation.apply.organizations.unique': 'Duplicate organization name',
+  'validation.apply.organizations.required': 'The organizations list is required',
+  'validation.bundle.format.invalid': 'Unsupported bundle format',
+  'validation.bundle.format.required': 'The bundle format is required',
+  'validation.bundle.version.invalid': 'Unsupported bundle version',
+  'validation.bundle.version.required': 'The bundle version is required',
+
+  // Mensajes de las respuestas correctas
+  'messages.users.deleted': 'User deleted successfully',
+  'messages.organizations.memberRemoved': 'Member removed successfully',
+  'messages.projects.deleted': 'Project deleted successfully',
+  'messages.projects.purged': 'Project permanently deleted',
+  'messages.projectMemberships.removed': 'Member removed from the project successfully',
+  'messages.apiKeys.deleted': 'API key deleted successfully',
+  'messages.apiKeys.expiredDeleted': '{count} expired API keys deleted successfully',
+  'messages.adminTokens.revoked': 'Admin token revoked successfully',
+  'messages.webhooks.deleted': 'Webhook deleted successfully',
+
+  // Títulos del catálogo de códigos de error
+  'titles.VALIDATION_ERROR': 'Invalid input',
+  'titles.INVALID_JSON': 'The request body is not valid JSON',
+  'titles.BUSINESS_LOGIC_ERROR': 'Operation not allowed',
+  'titles.AUTHENTICATION_ERROR': 'Invalid credentials',
+  'titles.AUTHORIZATION_ERROR': 'Insufficient permissions',
+  'titles.NOT_FOUND': 'Resource not found',
+  'titles.ROUTE_NOT_FOUND': 'Route not found',
+  'titles.CONFLICT': 'Conflict with the current state of the resource',
+  'titles.PRECONDITION_FAILED': 'The resource has changed since the given ETag',
+  'titles.RATE_LIMITED': 'Too many requests',
+  'titles.INTERNAL_ERROR': 'Internal error',
+  'titles.INTERNAL_SERVER_ERROR': 'Internal server error',
+  'titles.DATABASE_ERROR': 'Database error',
+  'titles.SERVICE_UNAVAILABLE': 'Service temporarily unavailable',
+  'titles.REQUIRED_FIELD': 'A required field is missing',
+  'titles.NO_FIELDS_TO_UPDATE': 'No fields to update',
+  'titles.INVALID_ROLE': 'Invalid role',
+  'titles.INVALID_EXPIRATION': 'Invalid expiration date',
+  'titles.EXPIRATION_NOT_FUTURE': 'The expiration date must be in the future',
+  'titles.INVALID_GRACE_PERIOD': 'Invalid grace period',
+  'titles.INVALID_SCOPES': 'Invalid scopes',
+  'titles.INVALID_EVENTS': 'Invalid webhook events',
+  'titles.INVALID_MEMBERS': 'Invalid members list',
+  'titles.INVALID_DELETION_MODE': 'Invalid deletion mode',
+  'titles.LAST_OWNER': 'The resource cannot be left without owners',
+  'titles.MEMBERSHIP_EXISTS': 'The user is already a member',
+  'titles.BATCH_REJECTED': 'The batch cannot be applied',
+  'titles.EMAIL_IN_USE': 'The email is already in use',
+  'titles.USER_HAS_MEMBERSHIPS': 'The user still belongs to organizations',
+  'titles.NO_OWNER_AVAILABLE': 'No owner exists in this instance',
+  'titles.PROJECT_ALREADY_IN_ORGANIZATION': 'The project already belongs to the organization',
+  'titles.ORGANIZATION_DELETED': 'The organization is deleted',
+  'titles.KEY_NOT_FOUND': 'API key not found',
+  'titles.SECRET_MISMATCH': 'Invalid secret key',
+  'titles.KEY_EXPIRED': 'API key expired',
+  'titles.PROJECT_DELETED': 'Project inactive or deleted',
+  'titles.DELIVERY_ALREADY_SUCCEEDED': 'The delivery already succeeded',
+  'titles.WEBHOOK_TARGET_FORBIDDEN': 'Forbidden webhook target',
+  'titles.IDEMPOTENCY_KEY_MISMATCH': 'Idempotency key used with a different request',
+  'titles.IDEMPOTENCY_KEY_IN_USE': 'Idempotency key in use',
+  'titles.MIGRATION_NOT_FOUND': 'The migration does not exist',
+  'titles.MIGRATION_NOT_REVERSIBLE': 'The migration has no down script'
+};
@@ -0,0 +1,270 @@
+'use strict';
+
+/**
+ * Mensajes en español (idioma por defecto)
+ * Las claves son comunes a todos los idiomas; los valores admiten parámetros {nombre}
+ */
+module.exports = {
+  // Errores genéricos
+  'errors.validation': 'Error de validación',
+  'errors.authentication': 'Credenciales inválidas',
+  'errors.authorization': 'No tiene permisos para esta acción',
+  'errors.preconditionFailed': 'El recurso ha sido modificado por otra solicitud',
+  'errors.database': 'Error de base de datos',
+  'errors.database.query': 'Error al ejecutar consulta',
+  'errors.database.transaction': 'Error al ejecutar transacción',
+  'errors.routeNotFound': 'Ruta no encontrada',
+  'errors.rateLimited': 'Demasiadas solicitudes, por favor intente más tarde',
+  'errors.invalidJson': 'Formato JSON inválido',
+  'errors.serviceUnavailable': 'Servicio no disponible temporalmente',
+  'errors.internal': 'Error interno del servidor',
+  'errors.health.connection': 'Error de conexión',
+  'errors.health.database': 'Error de conexión a la base de datos',
+
+  // Recursos no encontrados (NotFoundError)
+  'errors.notFound.resource': 'Recurso no encontrado',
+  'errors.notFound.organization': 'Organización no encontrada',
+  'errors.notFound.project': 'Proyecto no encontrado',
+  'errors.notFound.deletedOrganization': 'Organización eliminada no encontrada',
+  'errors.notFound.deletedProject': 'Proyecto eliminado no encontrado',
+  'errors.notFound.user': 'Usuario no encontrado',
+  'errors.notFound.membership': 'Membresía no encontrada',
+  'errors.notFound.projectMembership': 'Membresía de proyecto no encontrada',
+  'errors.notFound.apiKey': 'API key no encontrada',
+  'errors.notFound.adminToken': 'Token administrativo no encontrado',
+  'errors.notFound.webhook': 'Webhook no encontrado',
+  'errors.notFound.webhookDelivery': 'Entrega de webhook no encontrada',
+  'errors.notFound.errorCode': 'Código de error no encontrado',
+  'resources.resource': 'Recurso',
+  'resources.organization': 'Organización',
+  'resources.project': 'Proyecto',
+  'resources.deletedOrganization': 'Organización eliminada',
+  'resources.deletedProject': 'Proyecto eliminado',
+  'resources.user': 'Usuario',
+  'resources.membership': 'Membresía',
+  'resources.projectMembership': 'Membresía de proyecto',
+  'resources.apiKey': 'API key',
+  'resources.adminToken': 'Token administrativo',
+  'resources.webhook': 'Webhook',
+  'resources.webhookDelivery': 'Entrega de webhook',
+  'resources.errorCode': 'Código de error',
+
+  // Autenticación y permisos
+  'errors.auth.invalidApiKey': 'API Key inválida',
+  'errors.auth.credentialsCheckFailed': 'Error al validar credenciales',
+  'errors.auth.apiKeysRequired': 'Se requieren API keys',
+  'errors.auth.missingScope': 'El token no tiene el scope requerido: {scope}',
+  'errors.auth.invalidMetricsToken': 'Token de métricas inválido',
+  'errors.adminTokens.scopesNotHeld': 'No se pueden conceder scopes que el token actual no tiene',
+  'errors.adminTokens.otherOrganization': 'No se puede crear un token para otra organización',
+  'errors.adminTokens.otherUser': 'Solo se pueden crear tokens para el propio usuario',
+  'errors.adminTokens.serviceTokenAdminOnly': 'Solo los administradores globales pueden crear tokens de servicio',
+
+  // Verificación de API keys de proyecto
+  'errors.apiKeys.keyNotFound': 'API key no encontrada',
+  'errors.apiKeys.secretMismatch': 'Clave secreta inválida',
+  'errors.apiKeys.keyExpired': 'API key expirada',
+  'errors.apiKeys.projectDeleted': 'Proyecto inactivo o eliminado',
+
+  // Reglas de negocio de los servicios
+  'errors.required.name': 'El nombre es requerido',
+  'errors.required.email': 'El email es requerido',
+  'errors.required.orgId': 'El ID de organización es requerido',
+  'errors.required.targetOrgId': 'El ID de la organización destino es requerido',
+  'errors.required.userId': 'El ID de usuario es requerido',
+  'errors.required.creatorUserId': 'El ID de usuario es obligatorio para crear una organización',
+  'errors.required.role': 'El rol es requerido',
+  'errors.required.url': 'La URL es requerida',
+  'errors.required.scopes': 'Se requiere al menos un scope',
+  'errors.required.events': 'Se requiere al menos un evento',
+  'errors.noFieldsToUpdate': 'No hay campos para actualizar',
+  'errors.invalidOrgRole': 'Rol inválido. Debe ser OWNER, ADMIN, VIEWER o NONE',
+  'errors.invalidProjectRole': 'Rol inválido. Debe ser OWNER, ADMIN, MEMBER o VIEWER',
+  'errors.invalidExpiration': 'Formato de fecha de expiración inválido',
+  'errors.expirationNotFuture': 'La fecha de expiración debe ser futura',
+  'errors.invalidGracePeriod': 'El periodo de gracia debe ser un número de horas no negativo',
+  'errors.invalidScopes': 'Scopes inválidos: {scopes}',
+  'errors.invalidEvents': 'Eventos inválidos: {events}',
+  'errors.invalidMembers': 'Se requiere un array de miembros válido',
+  'errors.lastOwner.roleChange': 'No se puede cambiar el rol del último propietario',
+  'errors.lastOwner.remove': 'No se puede eliminar al último propietario',
+  'errors.membershipExists.organization': 'El usuario ya es miembro de esta organización',
+  'errors.membershipExists.project': 'El usuario ya es miembro de este proyecto',
+  'errors.membershipExists.batch': 'El usuario aparece más de una vez en el lote',
+  'errors.batchRejected': 'No se ha añadido ningún miembro: {count} de ellos no se pueden añadir',
+  'errors.users.emailInUse': 'El email ya está en uso',
+  'errors.users.hasMemberships':
+    'No se puede eliminar el usuario porque pertenece a {count} organización(es). ' +
+    'Elimine primero las membresías del usuario.',
+  'errors.organizations.invalidDeletionMode': 'Modo de eliminación inválido. Debe ser soft o hard',
+  'errors.organizations.noOwnerAvailable': 'Ninguno de los propietarios de la organización existe en esta instancia',
+  'errors.organizations.duplicateProjectMember': 'Un proyecto del paquete repite el email de un miembro',
+  'errors.projects.alreadyInOrganization': 'El proyecto ya pertenece a esta organización',
+  'errors.projects.organizationDeleted': 'No se puede restaurar un proyecto de una organización eliminada',
+  'errors.webhooks.deliveryAlreadySucceeded': 'La entrega ya se realizó correctamente',
+  'errors.webhooks.forbiddenTarget': 'La URL del webhook apunta a una dirección interna no permitida ({host})',
+  'errors.webhooks.inactive': 'Webhook desactivado',
+  'errors.webhooks.timeout': 'Tiempo de espera agotado',
+  'errors.idempotency.invalidKey': 'Debe tener entre 1 y 255 caracteres ASCII visibles',
+  'errors.idempotency.keyMismatch': 'La clave de idempotencia ya se usó con otra solicitud',
+  'errors.idempotency.keyInUse': 'Hay una solicitud en curso con la misma clave de idempotencia',
+  'errors.migrations.notFound': 'La migración {version} no existe',
+  'errors.migrations.notReversible': 'La migración {migration} no tiene script down',
+  'errors.pagination.invalidCursor': 'Cursor inválido',
+  'errors.pagination.cursorMismatch': 'El cursor no es válido para este listado',
+  'errors.pagination.invalidSort': 'Ordenación inválida',
+  'errors.pagination.sortNotAllowed': 'No se puede ordenar por {field}',
+
+  // Apply declarativo
+  'errors.apply.invalidDocument': 'Documento {format} inválido',
+  'errors.apply.usersNotFound': 'Usuarios no encontrados',
+  'errors.apply.organizationNotFound': 'Organización no encontrada',
+  'errors.apply.ambiguousOrganization': 'Hay varias organizaciones con el mismo nombre: indique su id',
+  'errors.apply.ownerRequired': 'Cada organización necesita al menos un miembro OWNER',
+  'errors.apply.membersRequired': 'Las organizaciones nuevas deben declarar sus miembros (al menos un OWNER)',
+  'errors.apply.projectNotFound': 'Proyecto no encontrado en la organización',
+  'errors.apply.ambiguousProject': 'Hay varios proyectos con el mismo nombre: indique su id',
+  'errors.apply.projectMemberOutsideOrg': 'Los miembros de un proyecto deben estar entre los miembros de su organización',
+  'errors.apply.duplicateMember': 'Miembro repetido',
+
+  // Validación de solicitudes (mensajes de los esquemas Joi; {limit}, {valids}... vienen del contexto de Joi)
+  'validation.required': 'Este campo es requerido',
+  'validation.invalidFormat': 'Formato inválido',
+  'validation.name.empty': 'El nombre no puede estar vacío',
+  'validation.name.min': 'El nombre debe tener al menos {limit} caracteres',
+  'validation.name.max': 'El nombre no puede exceder {limit} caracteres',
+  'validation.name.required': 'El nombre es requerido',
+  'validation.orgName.empty': 'El nombre de la organización no puede estar vacío',
+  'validation.orgName.min': 'El nombre de la organización debe tener al menos {limit} caracteres',
+  'validation.orgName.required': 'El nombre de la organización es requerido',
+  'validation.projectName.empty': 'El nombre del proyecto no puede estar vacío',
+  'validation.projectName.required': 'El nombre del proyecto es requerido',
+  'validation.tokenName.empty': 'El nombre del token no puede estar vacío',
+  'validation.email.invalid': 'El email debe tener un formato válido',
+  'validation.email.required': 'El email es requerido',
+  'validation.password.min': 'La contraseña debe tener al menos {limit} caracteres',
+  'validation.password.max': 'La contraseña no puede exceder {limit} caracteres',
+  'validation.image.invalid': 'La URL de la imagen debe ser válida',
+  'validation.userId.string': 'El ID de usuario debe ser una cadena de texto',
+  'validation.userId.required': 'El ID de usuario es requerido',
+  'validation.userId.requiredForEachMember': 'El ID de usuario es requerido para cada miembro',
+  'validation.orgId.string': 'El ID de organización debe ser una cadena de texto',
+  'validation.orgId.required': 'El ID de organización es requerido',
+  'validation.targetOrgId.required': 'El ID de la organización destino es requerido',
+  'validation.projectId.required': 'El ID de proyecto es requerido',
+  'validation.apiKeyId.required': 'El ID de API key es requerido',
+  'validation.tokenId.required': 'El ID del token es requerido',
+  'validation.webhookId.required': 'El ID del webhook es requerido',
+  'validation.deliveryId.required': 'El ID de la entrega es requerido',
+  'validation.role.invalid': 'Rol inválido',
+  'validation.role.required': 'El rol es requerido',
+  'validation.orgRole.invalid': 'Rol inválido. Debe ser OWNER, ADMIN, VIEWER o NONE',
+  'validation.projectRole.invalid': 'Rol inválido. Debe ser OWNER, ADMIN, MEMBER o VIEWER',
+  'validation.members.min': 'Se requiere al menos un miembro',
+  'validation.members.max': 'No se pueden añadir más de {limit} miembros a la vez',
+  'validation.members.required': 'El array de miembros es requerido',
+  'validation.deletionMode.invalid': 'Modo de eliminación inválido. Debe ser soft o hard',
+  'validation.note.max': 'La nota no puede exceder {limit} caracteres',
+  'validation.note.required': 'La nota es requerida',
+  'validation.expiresAt.invalid': 'Fecha de expiración inválida',
+  'validation.expiresAt.future': 'La fecha de expiración debe ser futura',
+  'validation.expiresAt.required': 'La fecha de expiración es requerida',
+  'validation.gracePeriod.number': 'El periodo de gracia debe ser un número de horas',
+  'validation.gracePeriod.min': 'El periodo de gracia no puede ser negativo',
+  'validation.gracePeriod.max': 'El periodo de gracia no puede exceder {limit} horas',
+  'validation.publicKey.empty': 'La clave pública no puede estar vacía',
+  'validation.publicKey.required': 'La clave pública es requerida',
+  'validation.secretKey.empty': 'La clave secreta no puede estar vacía',
+  'validation.secretKey.required': 'La clave secreta es requerida',
+  'validation.scope.invalid': 'Scope inválido',
+  'validation.scopes.min': 'Se requiere al menos un scope',
+  'validation.scopes.unique': 'Los scopes no pueden repetirse',
+  'validation.scopes.required': 'Los scopes son requeridos',
+  'validation.resourceType.invalid': 'Tipo de recurso inválido',
+  'validation.dateFrom.invalid': 'Fecha inicial inválida',
+  'validation.dateTo.invalid': 'Fecha final inválida',
+  'validation.dateTo.min': 'La fecha final debe ser posterior a la inicial',
+  'validation.eventType.invalid': 'Tipo de evento inválido',
+  'validation.events.min': 'Se requiere al menos un evento',
+  'validation.events.unique': 'Los eventos no pueden repetirse',
+  'validation.events.required': 'Los eventos son requeridos',
+  'validation.url.invalid': 'La URL debe ser http o https válida',
+  'validation.url.max': 'La URL no puede exceder {limit} caracteres',
+  'validation.url.required': 'La URL es requerida',
+  'validation.deliveryStatus.invalid': 'Estado inválido. Debe ser pending, succeeded o failed',
+  'validation.update.min': 'Debe indicar al menos un campo a actualizar',
+  'validation.limit.max': 'El límite no puede ser mayor que {limit}',
+  'validation.sort.invalid': 'Ordenación inválida. Valores disponibles: {valids}',
+  'validation.mergePatch.object': 'El documento de cambios debe ser un objeto JSON',
+  'validation.mergePatch.min': 'El documento de cambios debe incluir al menos un campo',
+  'validation.apply.memberIdentity': 'Cada miembro necesita email o userId',
+  'validation.apply.memberIdentityXor': 'Cada miembro necesita email o userId, no ambos',
+  'validation.apply.apiKeyNote.empty': 'La nota de la API key no puede estar vacía',
+  'validation.apply.apiKeyNote.required': 'La nota de la API key es requerida',
+  'validation.apply.projectMember.unique': 'Miembro de proyecto repetido',
+  'validation.apply.apiKeyNote.unique': 'Nota de API key repetida en el proyecto',
+  'validation.apply.orgMember.unique': 'Miembro de organización repetido',
+  'validation.apply.projectName.unique': 'Nombre de proyecto repetido en la organización',
+  'validation.apply.organizations.min': 'El documento debe incluir al menos una organización',
+  'validation.apply.organizations.unique': 'Nombre de organización repetido',
+  'validation.apply.organizations.required': 'La lista de organizaciones es requerida',
+  'validation.bundle.format.invalid': 'Formato de paquete no soportado',
+  'validation.bundle.format.required': 'El formato del paquete es requerido',
+  'validation.bundle.version.invalid': 'Versión de paquete no soportada',
+  'validation.bundle.version.required': 'La versión del paquete es requerida',
+
+  // Mensajes de las respuestas correctas
+  'messages.users.deleted': 'Usuario eliminado correctamente',
+  'messages.organizations.memberRemoved': 'Miembro eliminado correctamente',
+  'messages.projects.deleted': 'Proyecto eliminado correctamente',
+  'messages.projects.purged': 'Proyecto eliminado definitivamente',
+  'messages.projectMemberships.removed': 'Miembro eliminado correctamente del proyecto',
+  'messages.apiKeys.deleted': 'API key eliminada correctamente',
+  'messages.apiKeys.expiredDeleted': '{count} API keys expiradas eliminadas correctamente',
+  'messages.adminTokens.revoked': 'Token administrativo revocado correctamente',
+  'messages.webhooks.deleted': 'Webhook eliminado correctamente',
+
+  // Títulos del catálogo de códigos de error (utils/error-catalog.js)
+  'titles.VALIDATION_ERROR': 'Datos de entrada inválidos',
+  'titles.INVALID_JSON': 'El cuerpo de la solicitud no es JSON válido',
+  'titles.BUSINESS_LOGIC_ERROR': 'Operación no permitida',
+  'titles.AUTHENTICATION_ERROR': 'Credenciales inválidas',
+  'titles.AUTHORIZATION_ERROR': 'Permisos insuficientes',
+  'titles.NOT_FOUND': 'Recurso no encontrado',
+  'titles.ROUTE_NOT_FOUND': 'Ruta no encontrada',
+  'titles.CONFLICT': 'Conflicto con el estado actual del recurso',
+  'titles.PRECONDITION_FAILED': 'El recurso ha cambiado desde el ETag indicado',
+  'titles.RATE_LIMITED': 'Demasiadas solicitudes',
+  'titles.INTERNAL_ERROR': 'Error interno',
+  'titles.INTERNAL_SERVER_ERROR': 'Error interno del servidor',
+  'titles.DATABASE_ERROR': 'Error de base de datos',
+  'titles.SERVICE_UNAVAILABLE': 'Servicio no disponible temporalmente',
+  'titles.REQUIRED_FIELD': 'Falta un campo obligatorio',
+  'titles.NO_FIELDS_TO_UPDATE': 'No hay campos para actualizar',
+  'titles.INVALID_ROLE': 'Rol inválido',
+  'titles.INVALID_EXPIRATION': 'Fecha de expiración inválida',
+  'titles.EXPIRATION_NOT_FUTURE': 'La fecha de expiración debe ser futura',
+  'titles.INVALID_GRACE_PERIOD': 'Periodo de gracia inválido',
+  'titles.INVALID_SCOPES': 'Scopes inválidos',
+  'titles.INVALID_EVENTS': 'Eventos de webhook inválidos',
+  'titles.INVALID_MEMBERS': 'Lista de miembros inválida',
+  'titles.INVALID_DELETION_MODE': 'Modo de eliminación inválido',
+  'titles.LAST_OWNER': 'No se puede dejar el recurso sin propietarios',
+  'titles.MEMBERSHIP_EXISTS': 'El usuario ya es miembro',
+  'titles.BATCH_REJECTED': 'El lote no se puede aplicar',
+  'titles.EMAIL_IN_USE': 'El email ya está en uso',
+  'titles.USER_HAS_MEMBERSHIPS': 'El usuario todavía pertenece a organizaciones',
+  'titles.NO_OWNER_AVAILABLE': 'Ningún propietario existe en esta instancia',
+  'titles.PROJECT_ALREADY_IN_ORGANIZATION': 'El proyecto ya pertenece a la organización',
+  'titles.ORGANIZATION_DELETED': 'La organización está eliminada',
+  'titles.KEY_NOT_FOUND': 'API key no encontrada',
+  'titles.SECRET_MISMATCH': 'Clave secreta inválida',
+  'titles.KEY_EXPIRED': 'API key expirada',
+  'titles.PROJECT_DELETED': 'Proyecto inactivo o eliminado',
+  'titles.DELIVERY_ALREADY_SUCCEEDED': 'La entrega ya se realizó correctamente',
+  'titles.WEBHOOK_TARGET_FORBIDDEN': 'Destino de webhook no permitido',
+  'titles.IDEMPOTENCY_KEY_MISMATCH': 'Clave de idempotencia usada con otra solicitud',
+  'titles.IDEMPOTENCY_KEY_IN_USE': 'Clave de idempotencia en uso',
+  'titles.MIGRATION_NOT_FOUND': 'La migración no existe',
+  'titles.MIGRATION_NOT_REVERSIBLE': 'La migración no tiene script down'
+};
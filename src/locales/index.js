@@ -0,0 +1,10 @@
+'use strict';
+
+/**
+ * Catálogos de mensajes por idioma
+ * Para añadir un idioma basta con crear su fichero y registrarlo aquí
+ */
+module.exports = {
+  es: require('./es'),
+  en: require('./en')
+};
@@ -1,107 +1,273 @@
 'use strict';
 
-const crypto = require('crypto');
 const config = require('../config');
 const { AuthenticationError, AuthorizationError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
 const { db } = require('../services/database.service'); // Fix: Import db directly
 const { logger } = require('../utils/logger');
+const { setContextValue } = require('../utils/request-context');
+const adminTokensService = require('../services/admin-tokens.service');
+const apiKeysService = require('../services/api-keys.service');
+const { hasScope } = require('../utils/scopes');
+
+/**
+ * Roles de organización con acceso de lectura
+ */
+const READ_ROLES = ['OWNER', 'ADMIN', 'MEMBER', 'VIEWER'];
 
 /**
  * Middleware para validar la API key administrativa
+ * La cabecera X-API-Key debe contener un token administrativo activo (ver admin-tokens.service)
  */
-const validateAdminApiKey = (req, res, next) => {
+const validateAdminApiKey = async (req, res, next) => {
   if (!config.enableApiKeyAuth) {
     return next();
   }
   
   const apiKey = req.headers['x-api-key'];
   
-  if (!apiKey || apiKey !== config.apiKey) {
-    return next(new AuthenticationError('API Key inválida'));
+  if (!apiKey) {
+    return next(new AuthenticationError(t('errors.auth.invalidApiKey')));
   }
   
-  // Para simplificar el acceso administrativo, asumimos un usuario administrador
-  req.user = {
-    id: 'admin',
-    role: 'ADMIN'
+  try {
+    const credential = await adminTokensService.authenticate(apiKey);
+    
+    if (!credential) {
+      return next(new AuthenticationError(t('errors.auth.invalidApiKey')));
+    }
+    
+    // Los tokens sin usuario (credenciales de servicio) y los de usuarios con el flag
+    // admin de Langfuse son administradores; el resto depende de sus membresías
+    req.user = {
+      id: credential.user_id || credential.id,
+      email: credential.email || null,
+      role: !credential.user_id || credential.admin ? 'ADMIN' : 'USER',
+      type: 'admin_token',
+      tokenId: credential.id,
+      scopes: credential.scopes,
+      orgId: credential.org_id
+    };
+    
+    // Registrar el actor para la auditoría
+    setContextValue('actor', req.user);
+    
+    next();
+  } catch (error) {
+    logger.error('Error al validar API key administrativa:', error);
+    return next(new AuthenticationError(t('errors.auth.credentialsCheckFailed')));
+  }
+};
+
+/**
+ * Middleware que exige un scope al token administrativo
+ * @param {string} scope - Scope requerido (p. ej. 'projects:write')
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.user && !hasScope(req.user.scopes, scope)) {
+      return next(new AuthorizationError(t('errors.auth.missingScope', { scope })));
+    }
+    
+    next();
   };
-  
-  next();
 };
 
 /**
  * Middleware para validar API keys de proyectos
- * Verifica la autenticación para APIs de integración
+ * Verifica la autenticación para APIs de integración (ver ApiKeysService.verify)
  */
 const validateProjectApiKey = async (req, res, next) => {
   const publicKey = req.headers['x-api-key'];
   const secretKey = req.headers['x-api-secret'];
   
   if (!publicKey || !secretKey) {
-    return next(new AuthenticationError('Se requieren API keys'));
+    return next(new AuthenticationError(t('errors.auth.apiKeysRequired')));
   }
   
   try {
-    // Buscar la API key por su clave pública
-    // Fix: Use db.queryOne instead of dbService.queryOne
-    const apiKey = await db.queryOne(
-      'SELECT project_id, hashed_secret_key FROM api_keys WHERE public_key = $1',
-      [publicKey]
-    );
+    const { apiKeyId, usedSecret, ...project } = await apiKeysService.verify(publicKey, secretKey);
     
-    if (!apiKey) {
-      return next(new AuthenticationError('API key no encontrada'));
-    }
-    
-    // Verificar la clave secreta hasheada
-    const hashedSecret = crypto.createHash('sha256').update("salt" + secretKey).digest('hex');
+    // Adjuntar información del proyecto y de la clave usada a la solicitud
+    req.project = project;
+    req.apiKey = { id: apiKeyId, usedSecret };
     
-    if (hashedSecret !== apiKey.hashed_secret_key) {
-      return next(new AuthenticationError('Clave secreta inválida'));
+    next();
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      return next(error);
     }
     
-    // Buscar el proyecto
-    // Fix: Use db.queryOne instead of dbService.queryOne
+    logger.error('Error al validar API key de proyecto:', error);
+    return next(new AuthenticationError(t('errors.auth.credentialsCheckFailed')));
+  }
+};
+
+/**
+ * Indica si el usuario autenticado es administrador global
+ * Sin autenticación activa no hay restricciones por organización
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @returns {boolean}
+ */
+const isGlobalAdmin = (user) => !user || (user.role === 'ADMIN' && !user.orgId);
+
+/**
+ * Devuelve las restricciones con las que deben filtrarse los listados
+ * @param {Object} req - Solicitud
+ * @returns {Object|null} { userId, orgId }, o null si puede ver todas las organizaciones
+ */
+const getAccessScope = (req) => {
+  if (isGlobalAdmin(req.user)) {
+    return null;
+  }
+  
+  return {
+    userId: req.user.role === 'ADMIN' ? null : req.user.id,
+    orgId: req.user.orgId || null
+  };
+};
+
+/**
+ * Resolutores del ámbito (organización y, opcionalmente, proyecto) de una solicitud
+ * Cada uno devuelve { orgId, projectId } o null si el recurso no existe;
+ * un orgId vacío indica un recurso global (p. ej. un webhook sin organización)
+ */
+const scopeFrom = {
+  orgParam: (name = 'id') => async (req) => ({ orgId: req.params[name] }),
+  
+  orgBody: (name = 'orgId') => async (req) => ({ orgId: req.body[name] }),
+  
+  orgQuery: (name = 'orgId') => async (req) => ({ orgId: req.query[name] }),
+  
+  projectParam: (name = 'id') => async (req) => {
     const project = await db.queryOne(
-      'SELECT id, org_id, deleted_at FROM projects WHERE id = $1',
-      [apiKey.project_id]
+      'SELECT id, org_id FROM projects WHERE id = $1',
+      [req.params[name]]
     );
     
-    if (!project || project.deleted_at) {
-      return next(new AuthenticationError('Proyecto inactivo o eliminado'));
-    }
+    return project ? { orgId: project.org_id, projectId: project.id } : null;
+  },
+  
+  // Organización del proyecto, sin tener en cuenta los roles en el propio proyecto
+  projectOrgParam: (name = 'id') => async (req) => {
+    const project = await db.queryOne(
+      'SELECT org_id FROM projects WHERE id = $1',
+      [req.params[name]]
+    );
     
-    // Actualizar último uso de la API key
-    // Fix: Use db.query instead of dbService.query
-    await db.query(
-      'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE public_key = $1',
-      [publicKey]
+    return project ? { orgId: project.org_id } : null;
+  },
+  
+  apiKeyParam: (name = 'id') => async (req) => {
+    const apiKey = await db.queryOne(
+      `SELECT p.id, p.org_id
+       FROM api_keys ak
+       JOIN projects p ON ak.project_id = p.id
+       WHERE ak.id = $1`,
+      [req.params[name]]
     );
     
-    // Adjuntar información del proyecto a la solicitud
-    req.project = project;
+    return apiKey ? { orgId: apiKey.org_id, projectId: apiKey.id } : null;
+  },
+  
+  webhookParam: (name = 'id') => async (req) => {
+    const webhook = await db.queryOne(
+      'SELECT org_id FROM webhooks WHERE id = $1',
+      [req.params[name]]
+    );
     
-    next();
-  } catch (error) {
-    logger.error('Error al validar API key de proyecto:', error);
-    return next(new AuthenticationError('Error al validar credenciales'));
+    return webhook ? { orgId: webhook.org_id } : null;
   }
 };
 
+/**
+ * Middleware que restringe una ruta a administradores globales
+ */
+const requireAdmin = (req, res, next) => {
+  if (!isGlobalAdmin(req.user)) {
+    return next(new AuthorizationError());
+  }
+  
+  next();
+};
+
 /**
  * Middleware para verificar roles en la organización
+ * Los administradores globales tienen acceso completo; el resto de usuarios necesitan
+ * uno de los roles permitidos en la organización o en el proyecto afectado
  * @param {string[]} allowedRoles - Roles permitidos
+ * @param {Function} resolveScope - Resolutor del ámbito de la solicitud (ver scopeFrom)
  */
-const requireOrgRole = (allowedRoles = ['OWNER', 'ADMIN']) => {
+const requireOrgRole = (allowedRoles = ['OWNER', 'ADMIN'], resolveScope = scopeFrom.orgParam('id')) => {
   return async (req, res, next) => {
-    // En una API administrativa simplificada, asumimos que el usuario tiene permisos
-    // Ya que se ha autenticado con la API key administrativa
-    next();
+    if (isGlobalAdmin(req.user)) {
+      return next();
+    }
+    
+    try {
+      const scope = await resolveScope(req);
+      
+      // Si el recurso no existe, el controlador responderá con 404
+      if (!scope) {
+        return next();
+      }
+      
+      // Los recursos globales quedan reservados a administradores globales
+      if (!scope.orgId) {
+        return next(new AuthorizationError());
+      }
+      
+      // Los tokens restringidos a una organización no pueden salir de ella
+      if (req.user.orgId && req.user.orgId !== scope.orgId) {
+        return next(new AuthorizationError());
+      }
+      
+      if (req.user.role === 'ADMIN') {
+        return next();
+      }
+      
+      // Las membresías de una organización eliminada en modo soft se conservan pero no dan acceso
+      const orgMembership = await db.queryOne(
+        `SELECT role FROM organization_memberships
+         WHERE org_id = $1 AND user_id = $2
+           AND NOT EXISTS (SELECT 1 FROM deleted_organizations WHERE org_id = $1)`,
+        [scope.orgId, req.user.id]
+      );
+      
+      if (orgMembership && allowedRoles.includes(orgMembership.role)) {
+        return next();
+      }
+      
+      // Un rol suficiente en el proyecto también da acceso a sus recursos
+      if (scope.projectId) {
+        const projectMembership = await db.queryOne(
+          `SELECT role FROM project_memberships
+           WHERE project_id = $1 AND user_id = $2
+             AND NOT EXISTS (SELECT 1 FROM deleted_organizations WHERE org_id = $3)`,
+          [scope.projectId, req.user.id, scope.orgId]
+        );
+        
+        if (projectMembership && allowedRoles.includes(projectMembership.role)) {
+          return next();
+        }
+      }
+      
+      logger.warn(`Acceso denegado a usuario ${req.user.id} en organización ${scope.orgId}`);
+      return next(new AuthorizationError());
+    } catch (error) {
+      next(error);
+    }
   };
 };
 
 module.exports = {
+  READ_ROLES,
   validateAdminApiKey,
   validateProjectApiKey,
-  requireOrgRole
+  requireScope,
+  requireOrgRole,
+  requireAdmin,
+  isGlobalAdmin,
+  getAccessScope,
+  scopeFrom
 };
\ No newline at end of file
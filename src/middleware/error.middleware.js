@@ -1,8 +1,13 @@
 'use strict';
 
+const config = require('../config');
 const { AppError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
+const { describeError } = require('../utils/error-catalog');
 const { logger } = require('../utils/logger');
 
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
 /**
  * Middleware for capturing errors in async/await controllers
  * Wraps controllers with a try/catch and passes the error to the next middleware
@@ -11,6 +16,63 @@ const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+/**
+ * Whether the client gets an RFC 7807 problem document instead of the legacy shape
+ * The Accept header decides; without a preference, ERROR_FORMAT applies
+ */
+const wantsProblem = (req) => {
+  const offered = config.errors.format === 'problem'
+    ? [PROBLEM_CONTENT_TYPE, 'application/json']
+    : ['application/json', PROBLEM_CONTENT_TYPE];
+  
+  return req.accepts(offered) === PROBLEM_CONTENT_TYPE;
+};
+
+/**
+ * Build an application/problem+json document (RFC 7807)
+ * `title` comes from the error catalog and never changes for a code; `detail` may
+ */
+const toProblem = (req, { status, code, message, details }) => {
+  const problem = {
+    type: `${config.errors.typeBaseUrl}/${code}`,
+    title: describeError(code, status).title,
+    status,
+    detail: message,
+    instance: req.originalUrl,
+    code,
+    requestId: req.id
+  };
+  
+  if (details && Object.keys(details).length > 0) {
+    problem.details = details;
+  }
+  
+  return problem;
+};
+
+/**
+ * Send an error in the format negotiated with the client
+ * @param {Object} legacyBody - Body of the legacy format ({ error, message, details })
+ */
+const sendError = (req, res, status, legacyBody) => {
+  if (!wantsProblem(req)) {
+    return res.status(status).json(legacyBody);
+  }
+  
+  const { error: code, message, details } = legacyBody;
+  
+  return res.status(status)
+    .type(PROBLEM_CONTENT_TYPE)
+    .json(toProblem(req, { status, code, message, details }));
+};
+
+/**
+ * Handler for routes that do not exist
+ */
+const notFoundHandler = (req, res, next) => {
+  next(new AppError(t('errors.routeNotFound'), { status: 404, code: 'ROUTE_NOT_FOUND' }));
+};
+
 /**
  * Central middleware to handle all application errors
  */
@@ -35,22 +97,22 @@ const errorHandler = (err, req, res, next) => {
       });
     }
     
-    return res.status(statusCode).json(err.toJSON());
+    return sendError(req, res, statusCode, err.toJSON());
   }
   
   // Express and other library errors
   let statusCode = 500;
-  let errorMessage = 'Internal server error';
+  let errorMessage = t('errors.internal');
   let errorCode = 'INTERNAL_SERVER_ERROR';
   
   // Known specific errors
   if (err.name === 'SyntaxError' && err.status === 400) {
     statusCode = 400;
-    errorMessage = 'Invalid JSON format';
+    errorMessage = t('errors.invalidJson');
     errorCode = 'INVALID_JSON';
   } else if (err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND') {
     statusCode = 503;
-    errorMessage = 'Service temporarily unavailable';
+    errorMessage = t('errors.serviceUnavailable');
     errorCode = 'SERVICE_UNAVAILABLE';
   }
   
@@ -76,10 +138,11 @@ const errorHandler = (err, req, res, next) => {
     };
   }
   
-  return res.status(statusCode).json(response);
+  return sendError(req, res, statusCode, response);
 };
 
 module.exports = {
   asyncHandler,
-  errorHandler
+  errorHandler,
+  notFoundHandler
 };
\ No newline at end of file
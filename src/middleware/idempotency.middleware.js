@@ -0,0 +1,124 @@
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../config');
+const { ValidationError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
+const { logger } = require('../utils/logger');
+const idempotencyService = require('../services/idempotency.service');
+
+// Valores aceptados en la cabecera Idempotency-Key (ASCII visible)
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Serializa un valor en JSON con las claves ordenadas, para que el orden
+ * de los campos del cuerpo no cambie la huella de la solicitud
+ * @param {any} value - Valor a serializar
+ * @returns {string}
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Middleware de idempotencia para las rutas POST que crean o modifican recursos
+ * Con la cabecera Idempotency-Key, la primera solicitud guarda su respuesta y los reintentos
+ * con la misma clave (del mismo token) la reciben de nuevo con Idempotent-Replayed: true.
+ * Debe ir después de la validación, justo antes del controlador: el cuerpo ya está analizado
+ * y las solicitudes rechazadas por permisos no reservan la clave
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  
+  if (key === undefined) {
+    return next();
+  }
+  
+  if (!KEY_PATTERN.test(key)) {
+    return next(new ValidationError(t('errors.validation'), {
+      headers: { 'idempotency-key': t('errors.idempotency.invalidKey') }
+    }));
+  }
+  
+  // Las claves son propias de cada token: dos clientes pueden usar el mismo valor
+  const scope = req.user ? req.user.tokenId || req.user.id : 'anonymous';
+  const fingerprint = crypto.createHash('sha256').update(canonicalJson(req.body)).digest('hex');
+  // La respuesta se guarda cifrada con la credencial de la solicitud (API_KEY si la autenticación está desactivada)
+  const secret = req.get('X-API-Key') || config.apiKey;
+  let reserved;
+  
+  try {
+    const result = await idempotencyService.begin({
+      scope,
+      key,
+      method: req.method,
+      path: req.originalUrl,
+      fingerprint,
+      secret
+    });
+    
+    if (!result.reservation) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(result.statusCode).json(result.body);
+    }
+    
+    reserved = { scope, key, reservation: result.reservation, secret };
+  } catch (error) {
+    return next(error);
+  }
+  
+  // Capturar la respuesta JSON (también la de errores) para guardarla al terminar
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+  
+  // Renovar la reserva mientras la solicitud sigue en curso: así un reintento no la repite
+  // aunque tarde más que IDEMPOTENCY_LOCK_TIMEOUT_SECONDS, y solo vence si el proceso se detiene
+  const heartbeat = setInterval(() => {
+    idempotencyService.refresh(reserved).catch(error => {
+      logger.error('Error al renovar la clave de idempotencia:', { key, error: error.message });
+    });
+  }, config.idempotency.lockTimeoutSeconds * 1000 / 3);
+  heartbeat.unref();
+  
+  const settle = (finished) => {
+    clearInterval(heartbeat);
+    
+    // Los errores del servidor y las respuestas interrumpidas liberan la clave para poder reintentar
+    const operation = finished && responseBody !== undefined && res.statusCode < 500
+      ? idempotencyService.complete(reserved, res.statusCode, responseBody)
+      : idempotencyService.release(reserved);
+    
+    operation.catch(error => {
+      logger.error('Error al guardar la clave de idempotencia:', { key, error: error.message });
+    });
+  };
+  
+  res.on('finish', () => settle(true));
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      settle(false);
+    }
+  });
+  
+  next();
+};
+
+module.exports = {
+  idempotency
+};
@@ -3,27 +3,46 @@
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
 const config = require('../config');
+const { runWithContext } = require('../utils/request-context');
+const { resolveLocale } = require('../utils/i18n');
+const { observeHttpRequest, routeLabel } = require('../utils/metrics');
+const { traceRequest } = require('../utils/tracing');
+
+// IDs de solicitud aceptados desde la cabecera X-Request-ID
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
 
 /**
  * Middleware para logging estructurado de solicitudes HTTP
- * Asigna un ID único a cada solicitud para seguimiento
+ * Registra las métricas HTTP y abre el span de la solicitud (si las trazas están activas)
  */
 const requestLogger = (req, res, next) => {
+  // Las métricas se registran aunque el logging esté desactivado
+  if (config.metrics.enabled) {
+    const metricsStart = Date.now();
+    res.on('finish', () => observeHttpRequest(req, res, Date.now() - metricsStart));
+  }
+  
+  // El resto de la cadena se ejecuta dentro del span para que los de servicios y consultas cuelguen de él
+  traceRequest(req, res, () => logRequest(req, res, next));
+};
+
+/**
+ * Log de entrada y salida de una solicitud
+ * @param {Object} req - Solicitud de Express
+ * @param {Object} res - Respuesta de Express
+ * @param {Function} next - Siguiente middleware
+ */
+const logRequest = (req, res, next) => {
   // Omitir logging en test o si está desactivado
   if (config.isTest || !config.enableRequestLogging) {
     return next();
   }
   
-  // Generar un ID único para la solicitud
-  req.id = uuidv4();
-  res.setHeader('X-Request-ID', req.id);
-  
   // Capturar tiempo de inicio
   const start = Date.now();
   
   // Registrar datos de la solicitud
   const logData = {
-    id: req.id,
     method: req.method,
     url: req.originalUrl || req.url,
     ip: req.ip || req.connection.remoteAddress,
@@ -57,6 +76,40 @@ const requestLogger = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware que asigna el ID de la solicitud y abre su contexto
+ * Respeta el X-Request-ID entrante si es válido; si no, genera uno nuevo.
+ * Los servicios y el logger usan el contexto para conocer el actor, el ID de solicitud,
+ * la IP y la ruta (p. ej. en auditoría o en cada línea de log); los mensajes de error,
+ * el idioma elegido con Accept-Language
+ */
+const requestContext = (req, res, next) => {
+  const incomingId = req.get('X-Request-ID');
+  
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : uuidv4();
+  res.setHeader('X-Request-ID', req.id);
+  
+  // Idioma de los mensajes de error y validación
+  req.locale = resolveLocale(req);
+  res.setHeader('Content-Language', req.locale);
+  res.vary('Accept-Language');
+  
+  const context = {
+    requestId: req.id,
+    locale: req.locale,
+    ip: req.ip || req.connection.remoteAddress,
+    actor: null,
+    method: req.method,
+    // La ruta solo se conoce cuando Express ha resuelto el router
+    get route() {
+      return req.route ? routeLabel(req) : null;
+    }
+  };
+  
+  runWithContext(context, () => next());
+};
+
 module.exports = {
-  requestLogger
+  requestLogger,
+  requestContext
 };
\ No newline at end of file
@@ -2,6 +2,7 @@
 
 const Joi = require('joi');
 const { ValidationError } = require('../utils/errors');
+const { t, hasMessage } = require('../utils/i18n');
 
 /**
  * Middleware para validar solicitudes
@@ -39,7 +40,7 @@ const validate = (schema) => {
     
     // Si hay errores, lanzar error de validación
     if (Object.keys(validationErrors).length > 0) {
-      return next(new ValidationError('Error de validación', validationErrors));
+      return next(new ValidationError(t('errors.validation'), validationErrors));
     }
     
     next();
@@ -47,23 +48,28 @@ const validate = (schema) => {
 };
 
 /**
- * Formatea los errores de Joi en un formato más amigable
+ * Formatea los errores de Joi en un formato más amigable, en el idioma de la solicitud
+ * Los mensajes de los esquemas son claves del catálogo (utils/i18n) y reciben el contexto
+ * de Joi como parámetros ({limit}, {valids}...); los mensajes propios de Joi se traducen
+ * en los casos comunes y se dejan tal cual en el resto
  * @param {Object} error - Error de validación de Joi
  * @returns {Object} - Errores formateados
  */
 function formatJoiErrors(error) {
   return error.details.reduce((acc, detail) => {
-    // Extraer el nombre del campo y quitar corchetes
-    const key = detail.path.join('.');
+    // Extraer el nombre del campo y quitar corchetes (los errores del documento completo van en 'value')
+    const key = detail.path.length > 0 ? detail.path.join('.') : 'value';
     
-    // Formatear mensajes para ser más legibles
-    let message = detail.message.replace(/['"]/g, '');
+    let message;
     
-    // Mensajes más amigables para casos comunes
-    if (message.includes('is required')) {
-      message = 'Este campo es requerido';
-    } else if (message.includes('must be a valid')) {
-      message = 'Formato inválido';
+    if (hasMessage(detail.message)) {
+      message = t(detail.message, detail.context);
+    } else if (detail.type === 'any.required') {
+      message = t('validation.required');
+    } else if (detail.message.includes('must be a valid')) {
+      message = t('validation.invalidFormat');
+    } else {
+      message = detail.message.replace(/['"]/g, '');
     }
     
     acc[key] = message;
@@ -73,9 +79,10 @@ function formatJoiErrors(error) {
 
 /**
  * Esquema genérico para validar ID
- * Ahora soporta tanto IDs en formato prefijo_base (como 'org_12345') como cuid (como 'cm84umiqf001bpp07fzmk5q26')
+ * Ahora soporta tanto IDs en formato prefijo_base (como 'key_mvfk12AbC') como cuid (como 'cm84umiqf001bpp07fzmk5q26')
+ * La parte aleatoria de los IDs con prefijo usa mayúsculas y minúsculas (ver generateId)
  */
-const idSchema = Joi.string().pattern(/(^[a-z]+_[a-z0-9]+$)|(^c[a-z0-9]+$)/);
+const idSchema = Joi.string().pattern(/(^[a-z]+_[a-zA-Z0-9]+$)|(^c[a-z0-9]+$)/);
 
 /**
  * Esquemas comunes reutilizables
@@ -85,15 +92,45 @@ const commonSchemas = {
   uuid: Joi.string().uuid(),
   email: Joi.string().email(),
   name: Joi.string().min(2).max(100),
+  // Paginación por cursor de los listados (ver utils/pagination); extender con .keys() para filtros
   pagination: Joi.object({
-    page: Joi.number().integer().min(1).default(1),
-    limit: Joi.number().integer().min(1).max(100).default(20),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+      .messages({
+        'number.max': 'validation.limit.max'
+      }),
+    cursor: Joi.string().max(500),
   }),
+  // Ordenación por uno de los campos indicados (-campo para orden descendente)
+  sort: (fields) => Joi.string().valid(...fields, ...fields.map((field) => `-${field}`))
+    .messages({
+      'any.only': 'validation.sort.invalid'
+    }),
   orgRole: Joi.string().valid('OWNER', 'ADMIN', 'VIEWER', 'NONE'),
 };
 
+/**
+ * Convierte el esquema de un recurso en el de un documento JSON Merge Patch (RFC 7396)
+ * Todos los campos pasan a ser opcionales (los omitidos no se modifican) y se exige al menos uno.
+ * Los campos que se pueden borrar con null deben permitirlo en el esquema original
+ * @param {Object} schema - Esquema Joi de objeto con los campos modificables
+ * @returns {Object} - Esquema del documento de cambios
+ */
+const mergePatch = (schema) => {
+  const keys = Object.keys(schema.describe().keys || {});
+  
+  return schema
+    .fork(keys, (field) => field.optional())
+    .min(1)
+    .messages({
+      'object.base': 'validation.mergePatch.object',
+      'object.min': 'validation.mergePatch.min'
+    });
+};
+
 module.exports = {
   validate,
+  formatJoiErrors,
+  mergePatch,
   commonSchemas,
   Joi, // Exportar Joi para definir esquemas en los controladores
 };
\ No newline at end of file
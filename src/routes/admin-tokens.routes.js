@@ -0,0 +1,148 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { validate, Joi, commonSchemas } = require('../middleware/validation.middleware');
+const { requireScope, isGlobalAdmin } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
+const adminTokensController = require('../controllers/admin-tokens.controller');
+const { AuthorizationError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
+const { SCOPES, ALL_SCOPES, coversScopes } = require('../utils/scopes');
+const { db } = require('../services/database.service');
+
+// Esquemas de validación
+const schemas = {
+  idParam: Joi.object({
+    id: commonSchemas.id.required()
+      .messages({
+        'any.required': 'validation.tokenId.required'
+      }),
+  }),
+
+  listTokens: commonSchemas.pagination.keys({
+    userId: commonSchemas.id.optional(),
+    sort: commonSchemas.sort(['created_at', 'name']).optional()
+  }),
+
+  createToken: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required()
+      .messages({
+        'string.empty': 'validation.tokenName.empty',
+        'string.max': 'validation.name.max',
+        'any.required': 'validation.name.required'
+      }),
+    scopes: Joi.array().items(Joi.string().valid(ALL_SCOPES, ...SCOPES)).min(1).unique().required()
+      .messages({
+        'any.only': 'validation.scope.invalid',
+        'array.min': 'validation.scopes.min',
+        'array.unique': 'validation.scopes.unique',
+        'any.required': 'validation.scopes.required'
+      }),
+    userId: commonSchemas.id.allow(null).optional(),
+    orgId: commonSchemas.id.allow(null).optional(),
+    expiresAt: Joi.date().iso().greater('now').allow(null).optional()
+      .messages({
+        'date.base': 'validation.expiresAt.invalid',
+        'date.greater': 'validation.expiresAt.future'
+      })
+  })
+};
+
+/**
+ * Middleware que limita lo que un token puede conceder al crear otro:
+ * nunca más scopes que los propios, ni otra organización si está restringido,
+ * y solo tokens propios si no es administrador global
+ */
+const checkTokenGrant = (req, res, next) => {
+  const { user } = req;
+
+  if (!user) {
+    return next();
+  }
+
+  if (!coversScopes(user.scopes, req.body.scopes)) {
+    return next(new AuthorizationError(t('errors.adminTokens.scopesNotHeld')));
+  }
+
+  if (user.orgId) {
+    if (req.body.orgId && req.body.orgId !== user.orgId) {
+      return next(new AuthorizationError(t('errors.adminTokens.otherOrganization')));
+    }
+
+    // Los tokens creados desde un token restringido heredan su organización
+    req.body.orgId = user.orgId;
+  }
+
+  if (!isGlobalAdmin(user)) {
+    if (req.body.userId && req.body.userId !== user.id) {
+      return next(new AuthorizationError(t('errors.adminTokens.otherUser')));
+    }
+
+    // Los tokens sin usuario son credenciales de servicio: solo para administradores globales
+    if (user.type === 'admin_token' && user.id === user.tokenId) {
+      return next(new AuthorizationError(t('errors.adminTokens.serviceTokenAdminOnly')));
+    }
+
+    req.body.userId = user.id;
+  }
+
+  next();
+};
+
+/**
+ * Middleware que impide acceder a tokens de otros usuarios
+ * salvo a los administradores globales
+ */
+const checkTokenOwnership = async (req, res, next) => {
+  if (isGlobalAdmin(req.user)) {
+    return next();
+  }
+
+  try {
+    const token = await db.queryOne(
+      'SELECT user_id FROM admin_tokens WHERE id = $1',
+      [req.params.id]
+    );
+
+    // Si el token no existe, el controlador responderá con 404
+    if (token && token.user_id !== req.user.id) {
+      return next(new AuthorizationError());
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Endpoints para tokens administrativos
+router.get('/',
+  requireScope('admin-tokens:read'),
+  validate({ query: schemas.listTokens }),
+  adminTokensController.getAdminTokens
+);
+
+router.get('/:id',
+  requireScope('admin-tokens:read'),
+  validate({ params: schemas.idParam }),
+  checkTokenOwnership,
+  adminTokensController.getAdminTokenById
+);
+
+router.post('/',
+  requireScope('admin-tokens:write'),
+  validate({ body: schemas.createToken }),
+  checkTokenGrant,
+  idempotency,
+  adminTokensController.createAdminToken
+);
+
+router.delete('/:id',
+  requireScope('admin-tokens:write'),
+  validate({ params: schemas.idParam }),
+  checkTokenOwnership,
+  adminTokensController.revokeAdminToken
+);
+
+module.exports = router;
@@ -2,7 +2,9 @@
 
 const express = require('express');
 const router = express.Router();
-const { validate, Joi, commonSchemas } = require('../middleware/validation.middleware');
+const { validate, mergePatch, Joi, commonSchemas } = require('../middleware/validation.middleware');
+const { requireOrgRole, requireAdmin, scopeFrom, requireScope } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
 const apiKeysController = require('../controllers/api-keys.controller');
 const { NotFoundError } = require('../utils/errors');
 const { db } = require('../services/database.service');
@@ -12,46 +14,89 @@ const schemas = {
   idParam: Joi.object({
     id: commonSchemas.id.required()
       .messages({
-        'any.required': 'El ID de API key es requerido'
+        'any.required': 'validation.apiKeyId.required'
       }),
   }),
   
+  listExpired: commonSchemas.pagination.keys({
+    sort: commonSchemas.sort(['expires_at', 'created_at']).optional()
+  }),
+  
+  listLegacy: commonSchemas.pagination.keys({
+    sort: commonSchemas.sort(['created_at']).optional()
+  }),
+  
   createApiKey: Joi.object({
     note: Joi.string().trim().allow('').max(255).optional()
       .messages({
-        'string.max': 'La nota no puede exceder {#limit} caracteres'
+        'string.max': 'validation.note.max'
       }),
     expiresAt: Joi.date().iso().min('now').optional()
       .messages({
-        'date.base': 'Fecha de expiración inválida',
-        'date.min': 'La fecha de expiración debe ser futura'
+        'date.base': 'validation.expiresAt.invalid',
+        'date.min': 'validation.expiresAt.future'
       })
   }),
   
   regenerateApiKey: Joi.object({
     expiresAt: Joi.date().iso().min('now').allow(null).optional()
       .messages({
-        'date.base': 'Fecha de expiración inválida',
-        'date.min': 'La fecha de expiración debe ser futura'
+        'date.base': 'validation.expiresAt.invalid',
+        'date.min': 'validation.expiresAt.future'
+      })
+  }),
+  
+  rotateApiKey: Joi.object({
+    gracePeriodHours: Joi.number().min(0).max(720).optional()
+      .messages({
+        'number.base': 'validation.gracePeriod.number',
+        'number.min': 'validation.gracePeriod.min',
+        'number.max': 'validation.gracePeriod.max'
+      })
+  }),
+  
+  verifyApiKey: Joi.object({
+    publicKey: Joi.string().max(255).required()
+      .messages({
+        'string.empty': 'validation.publicKey.empty',
+        'any.required': 'validation.publicKey.required'
+      }),
+    secretKey: Joi.string().max(255).required()
+      .messages({
+        'string.empty': 'validation.secretKey.empty',
+        'any.required': 'validation.secretKey.required'
       })
   }),
   
   updateExpiration: Joi.object({
     expiresAt: Joi.date().iso().min('now').allow(null).required()
       .messages({
-        'date.base': 'Fecha de expiración inválida',
-        'date.min': 'La fecha de expiración debe ser futura',
-        'any.required': 'La fecha de expiración es requerida'
+        'date.base': 'validation.expiresAt.invalid',
+        'date.min': 'validation.expiresAt.future',
+        'any.required': 'validation.expiresAt.required'
       })
   }),
   
   updateNote: Joi.object({
     note: Joi.string().trim().allow('').max(255).required()
       .messages({
-        'string.max': 'La nota no puede exceder {#limit} caracteres',
-        'any.required': 'La nota es requerida'
+        'string.max': 'validation.note.max',
+        'any.required': 'validation.note.required'
       })
-  })
+  }),
+  
+  // Campos modificables con PATCH; null elimina la nota o la expiración
+  patchApiKey: mergePatch(Joi.object({
+    note: Joi.string().trim().allow('', null).max(255)
+      .messages({
+        'string.max': 'validation.note.max'
+      }),
+    expiresAt: Joi.date().iso().min('now').allow(null)
+      .messages({
+        'date.base': 'validation.expiresAt.invalid',
+        'date.min': 'validation.expiresAt.future'
+      })
+  }))
 };
 
 // Middleware para verificar que una API key existe
@@ -67,7 +112,7 @@ const checkApiKeyExists = async (req, res, next) => {
     );
     
     if (!apiKeyInfo) {
-      throw new NotFoundError('API key');
+      throw new NotFoundError('apiKey');
     }
     
     next();
@@ -76,37 +121,86 @@ const checkApiKeyExists = async (req, res, next) => {
   }
 };
 
-// Rutas específicas para API keys
-router.get('/expired', apiKeysController.getExpiredApiKeys);
-router.delete('/expired', apiKeysController.cleanupExpiredApiKeys);
+// Rutas específicas para API keys (afectan a todas las organizaciones)
+router.get('/expired', 
+  requireScope('api-keys:read'),
+  requireAdmin,
+  validate({ query: schemas.listExpired }),
+  apiKeysController.getExpiredApiKeys
+);
+router.delete('/expired', requireScope('api-keys:write'), requireAdmin, apiKeysController.cleanupExpiredApiKeys);
+
+// Informe de API keys pendientes de migrar al formato de hash de Langfuse
+router.get('/legacy', 
+  requireScope('api-keys:read'),
+  requireAdmin,
+  validate({ query: schemas.listLegacy }),
+  apiKeysController.getLegacyApiKeys
+);
+
+// Verificación de credenciales de proyecto (p. ej. desde un gateway)
+router.post('/verify', 
+  requireScope('api-keys:read'),
+  requireAdmin,
+  validate({ body: schemas.verifyApiKey }),
+  apiKeysController.verifyApiKey
+);
 
 // Rutas para obtener/eliminar/actualizar API keys específicas
 router.get('/:id', 
+  requireScope('api-keys:read'),
   validate({ params: schemas.idParam }),
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.apiKeyParam('id')),
   apiKeysController.getApiKeyById
 );
 
 router.post('/:id/regenerate', 
+  requireScope('api-keys:write'),
   validate({ params: schemas.idParam, body: schemas.regenerateApiKey }),
   checkApiKeyExists,
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.apiKeyParam('id')),
+  idempotency,
   apiKeysController.regenerateApiKey
 );
 
+router.post('/:id/rotate', 
+  requireScope('api-keys:write'),
+  validate({ params: schemas.idParam, body: schemas.rotateApiKey }),
+  checkApiKeyExists,
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.apiKeyParam('id')),
+  idempotency,
+  apiKeysController.rotateApiKey
+);
+
 router.put('/:id/expiration', 
+  requireScope('api-keys:write'),
   validate({ params: schemas.idParam, body: schemas.updateExpiration }),
   checkApiKeyExists,
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.apiKeyParam('id')),
   apiKeysController.updateApiKeyExpiration
 );
 
 router.put('/:id/note', 
+  requireScope('api-keys:write'),
   validate({ params: schemas.idParam, body: schemas.updateNote }),
   checkApiKeyExists,
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.apiKeyParam('id')),
   apiKeysController.updateApiKeyNote
 );
 
+router.patch('/:id', 
+  requireScope('api-keys:write'),
+  validate({ params: schemas.idParam, body: schemas.patchApiKey }),
+  checkApiKeyExists,
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.apiKeyParam('id')),
+  apiKeysController.patchApiKey
+);
+
 router.delete('/:id', 
+  requireScope('api-keys:write'),
   validate({ params: schemas.idParam }),
   checkApiKeyExists,
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.apiKeyParam('id')),
   apiKeysController.deleteApiKey
 );
 
@@ -0,0 +1,52 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { validate, Joi } = require('../middleware/validation.middleware');
+const { requireAdmin, requireScope } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
+const applyController = require('../controllers/apply.controller');
+const { documentSchema, parseDocument } = require('../utils/apply-document');
+
+// Tipos de contenido aceptados para documentos YAML
+const YAML_TYPES = ['application/yaml', 'application/x-yaml', 'text/yaml'];
+
+// Esquemas de validación
+const schemas = {
+  applyQuery: Joi.object({
+    plan: Joi.boolean().sensitive().optional()
+  })
+};
+
+/**
+ * Middleware que convierte un cuerpo YAML en objeto antes de validarlo
+ * Los cuerpos JSON ya llegan analizados por express.json
+ */
+const parseYamlBody = (req, res, next) => {
+  if (typeof req.body !== 'string') {
+    return next();
+  }
+
+  try {
+    req.body = parseDocument(req.body, 'yaml');
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Aplicar un documento de estado deseado (?plan=true solo calcula los cambios)
+// Afecta a organizaciones, proyectos y API keys: solo administradores globales
+router.post('/',
+  requireScope('orgs:write'),
+  requireScope('projects:write'),
+  requireScope('api-keys:write'),
+  requireAdmin,
+  express.text({ type: YAML_TYPES, limit: '1mb' }),
+  parseYamlBody,
+  validate({ query: schemas.applyQuery, body: documentSchema }),
+  idempotency,
+  applyController.applyDocument
+);
+
+module.exports = router;
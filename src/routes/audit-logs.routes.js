@@ -0,0 +1,44 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { validate, Joi, commonSchemas } = require('../middleware/validation.middleware');
+const { requireAdmin, requireScope } = require('../middleware/auth.middleware');
+const auditLogsController = require('../controllers/audit-logs.controller');
+
+// Esquemas de validación
+const schemas = {
+  listAuditLogs: commonSchemas.pagination.keys({
+    resourceType: Joi.string()
+      .valid('organization', 'org_membership', 'project', 'project_membership', 'api_key', 'user', 'admin_token', 'webhook')
+      .optional()
+      .messages({
+        'any.only': 'validation.resourceType.invalid'
+      }),
+    resourceId: Joi.string().trim().max(100).optional(),
+    actorId: Joi.string().trim().max(100).optional(),
+    action: Joi.string().trim().max(100).optional(),
+    from: Joi.date().iso().optional()
+      .messages({
+        'date.base': 'validation.dateFrom.invalid'
+      }),
+    to: Joi.date().iso().optional()
+      .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+      .messages({
+        'date.base': 'validation.dateTo.invalid',
+        'date.min': 'validation.dateTo.min'
+      }),
+    sort: commonSchemas.sort(['created_at']).optional()
+  })
+};
+
+// Endpoint para listar registros de auditoría con filtros y paginación
+// Solo administradores globales: el registro abarca todas las organizaciones
+router.get('/', 
+  requireScope('audit-logs:read'),
+  requireAdmin,
+  validate({ query: schemas.listAuditLogs }),
+  auditLogsController.getAuditLogs
+);
+
+module.exports = router;
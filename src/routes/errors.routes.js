@@ -0,0 +1,18 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const errorsController = require('../controllers/errors.controller');
+
+/**
+ * Catálogo de códigos de error
+ * No requiere autenticación: el campo `type` de las respuestas problem+json apunta aquí
+ */
+
+// Todos los códigos
+router.get('/', errorsController.getErrorCatalog);
+
+// Un código concreto
+router.get('/:code', errorsController.getErrorCode);
+
+module.exports = router;
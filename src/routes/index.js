@@ -2,6 +2,7 @@
 
 const express = require('express');
 const router = express.Router();
+const config = require('../config');
 const { validateAdminApiKey } = require('../middleware/auth.middleware');
 
 // Importar rutas específicas
@@ -10,10 +11,25 @@ const projectsRoutes = require('./projects.routes');
 const usersRoutes = require('./users.routes');
 const apiKeysRoutes = require('./api-keys.routes');
 const healthRoutes = require('./health.routes');
+const errorsRoutes = require('./errors.routes');
+const metricsRoutes = require('./metrics.routes');
+const auditLogsRoutes = require('./audit-logs.routes');
+const adminTokensRoutes = require('./admin-tokens.routes');
+const webhooksRoutes = require('./webhooks.routes');
+const migrationsRoutes = require('./migrations.routes');
+const applyRoutes = require('./apply.routes');
 
 // Endpoint de estado (no requiere autenticación)
 router.use('/health', healthRoutes);
 
+// Catálogo de códigos de error (no requiere autenticación)
+router.use('/errors', errorsRoutes);
+
+// Métricas Prometheus (token propio obligatorio, ver metrics.routes)
+if (config.metrics.enabled && config.metrics.token) {
+  router.use('/metrics', metricsRoutes);
+}
+
 // Rutas protegidas por API key administrativa
 // Este es el único punto de autenticación necesario
 router.use(validateAdminApiKey);
@@ -23,5 +39,10 @@ router.use('/organizations', organizationsRoutes);
 router.use('/projects', projectsRoutes);
 router.use('/users', usersRoutes);
 router.use('/api-keys', apiKeysRoutes);
+router.use('/audit-logs', auditLogsRoutes);
+router.use('/admin-tokens', adminTokensRoutes);
+router.use('/webhooks', webhooksRoutes);
+router.use('/migrations', migrationsRoutes);
+router.use('/apply', applyRoutes);
 
 module.exports = router;
\ No newline at end of file
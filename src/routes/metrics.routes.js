@@ -0,0 +1,35 @@
+'use strict';
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const { AuthenticationError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
+const metricsController = require('../controllers/metrics.controller');
+
+/**
+ * Middleware que exige METRICS_TOKEN como token Bearer
+ * Los scrapers de Prometheus no usan la API key administrativa; sin token configurado se rechaza todo
+ */
+const requireMetricsToken = (req, res, next) => {
+  const { token } = config.metrics;
+
+  if (!token) {
+    return next(new AuthenticationError(t('errors.auth.invalidMetricsToken')));
+  }
+
+  const provided = Buffer.from((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return next(new AuthenticationError(t('errors.auth.invalidMetricsToken')));
+  }
+
+  next();
+};
+
+// Métricas Prometheus (fuera de la autenticación por API key, como /health)
+router.get('/', requireMetricsToken, metricsController.getMetrics);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { requireAdmin, requireScope } = require('../middleware/auth.middleware');
+const migrationsController = require('../controllers/migrations.controller');
+
+// Estado de las migraciones (solo administradores globales)
+// Las migraciones se aplican con la CLI (npm run migrate), no desde la API
+router.get('/', requireScope('migrations:read'), requireAdmin, migrationsController.getMigrationsStatus);
+
+module.exports = router;
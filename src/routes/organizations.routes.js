@@ -2,9 +2,11 @@
 
 const express = require('express');
 const router = express.Router();
-const { validate, Joi, commonSchemas } = require('../middleware/validation.middleware');
-const { requireOrgRole } = require('../middleware/auth.middleware');
+const { validate, mergePatch, Joi, commonSchemas } = require('../middleware/validation.middleware');
+const { requireOrgRole, requireAdmin, scopeFrom, READ_ROLES, requireScope } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
 const organizationsController = require('../controllers/organizations.controller');
+const { bundleSchema } = require('../utils/organization-bundle');
 
 // Esquemas de validación
 const schemas = {
@@ -12,6 +14,21 @@ const schemas = {
     id: commonSchemas.id.required(),
   }),
   
+  listOrgs: commonSchemas.pagination.keys({
+    name: Joi.string().trim().max(100).optional(),
+    createdFrom: Joi.date().iso().optional(),
+    createdTo: Joi.date().iso().optional(),
+    sort: commonSchemas.sort(['name', 'created_at', 'updated_at']).optional()
+  }),
+  
+  listMembers: commonSchemas.pagination.keys({
+    role: commonSchemas.orgRole.optional()
+      .messages({
+        'any.only': 'validation.orgRole.invalid'
+      }),
+    sort: commonSchemas.sort(['created_at', 'updated_at']).optional()
+  }),
+  
   orgIdUserIdParams: Joi.object({
     orgId: commonSchemas.id.required(),
     userId: commonSchemas.id.required(),
@@ -20,77 +37,170 @@ const schemas = {
   createOrg: Joi.object({
     name: Joi.string().trim().min(1).max(100).required()
       .messages({
-        'string.empty': 'El nombre de la organización no puede estar vacío',
-        'string.min': 'El nombre debe tener al menos {#limit} caracteres',
-        'string.max': 'El nombre no puede exceder {#limit} caracteres',
-        'any.required': 'El nombre es requerido'
+        'string.empty': 'validation.orgName.empty',
+        'string.min': 'validation.name.min',
+        'string.max': 'validation.name.max',
+        'any.required': 'validation.name.required'
       }),
     userId: Joi.string().required()
       .messages({
-        'string.base': 'El ID de usuario debe ser una cadena de texto',
-        'any.required': 'El ID de usuario es obligatorio'
+        'string.base': 'validation.userId.string',
+        'any.required': 'validation.userId.required'
       }),
   }),
   
   updateOrg: Joi.object({
     name: Joi.string().trim().min(1).max(100).required()
       .messages({
-        'string.empty': 'El nombre de la organización no puede estar vacío',
-        'string.min': 'El nombre debe tener al menos {#limit} caracteres',
-        'string.max': 'El nombre no puede exceder {#limit} caracteres',
-        'any.required': 'El nombre es requerido'
+        'string.empty': 'validation.orgName.empty',
+        'string.min': 'validation.name.min',
+        'string.max': 'validation.name.max',
+        'any.required': 'validation.name.required'
       }),
   }),
   
+  deleteOrg: Joi.object({
+    mode: Joi.string().valid('soft', 'hard').optional()
+      .messages({
+        'any.only': 'validation.deletionMode.invalid'
+      }),
+    dryRun: Joi.boolean().sensitive().optional()
+  }),
+  
+  importOrg: Joi.object({
+    dryRun: Joi.boolean().sensitive().optional(),
+    createUsers: Joi.boolean().sensitive().optional()
+  }),
+  
   addMember: Joi.object({
     userId: commonSchemas.id.required()
       .messages({
-        'any.required': 'El ID de usuario es requerido'
+        'any.required': 'validation.userId.required'
       }),
     role: commonSchemas.orgRole.default('VIEWER')
       .messages({
-        'any.only': 'Rol inválido. Debe ser OWNER, ADMIN, VIEWER o NONE'
+        'any.only': 'validation.orgRole.invalid'
       }),
   }),
   
   updateMember: Joi.object({
     role: commonSchemas.orgRole.required()
       .messages({
-        'any.required': 'El rol es requerido',
-        'any.only': 'Rol inválido. Debe ser OWNER, ADMIN, VIEWER o NONE'
+        'any.required': 'validation.role.required',
+        'any.only': 'validation.orgRole.invalid'
       }),
   })
 };
 
 // Endpoints (ya protegidos por la API key administrativa en routes/index.js)
-router.get('/', organizationsController.getAllOrganizations);
-router.get('/:id', validate({ params: schemas.idParam }), organizationsController.getOrganizationById);
-router.post('/', validate({ body: schemas.createOrg }), organizationsController.createOrganization);
+// El listado se filtra por las organizaciones del usuario autenticado
+router.get('/', 
+  requireScope('orgs:read'),
+  validate({ query: schemas.listOrgs }),
+  organizationsController.getAllOrganizations
+);
+router.get('/:id', 
+  requireScope('orgs:read'),
+  validate({ params: schemas.idParam }), 
+  requireOrgRole(READ_ROLES, scopeFrom.orgParam('id')),
+  organizationsController.getOrganizationById
+);
+router.post('/', requireScope('orgs:write'), validate({ body: schemas.createOrg }), requireAdmin, idempotency, organizationsController.createOrganization);
+
+// Exportación e importación entre instancias
+// La importación crea una organización nueva con proyectos y API keys: solo administradores globales
+router.post('/import',
+  requireScope('orgs:write'),
+  requireScope('projects:write'),
+  requireScope('api-keys:write'),
+  validate({ query: schemas.importOrg, body: bundleSchema }),
+  requireAdmin,
+  idempotency,
+  organizationsController.importOrganization
+);
+
+router.get('/:id/export',
+  requireScope('orgs:read'),
+  requireScope('projects:read'),
+  requireScope('api-keys:read'),
+  validate({ params: schemas.idParam }),
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.orgParam('id')),
+  organizationsController.exportOrganization
+);
 
 // Endpoints que requieren permisos específicos
 router.put('/:id', 
+  requireScope('orgs:write'),
   validate({ params: schemas.idParam, body: schemas.updateOrg }), 
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.orgParam('id')),
+  organizationsController.updateOrganization
+);
+
+router.patch('/:id', 
+  requireScope('orgs:write'),
+  validate({ params: schemas.idParam, body: mergePatch(schemas.updateOrg) }), 
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.orgParam('id')),
   organizationsController.updateOrganization
 );
 
+// Solo los propietarios pueden eliminar la organización
+router.delete('/:id', 
+  requireScope('orgs:write'),
+  validate({ params: schemas.idParam, query: schemas.deleteOrg }), 
+  requireOrgRole(['OWNER'], scopeFrom.orgParam('id')),
+  organizationsController.deleteOrganization
+);
+
+// Una organización eliminada ya no da acceso a sus miembros: solo la restauran los administradores globales
+router.post('/:id/restore', 
+  requireScope('orgs:write'),
+  validate({ params: schemas.idParam }), 
+  requireAdmin,
+  idempotency,
+  organizationsController.restoreOrganization
+);
+
 // Endpoints para gestión de miembros
 router.get('/:id/members', 
-  validate({ params: schemas.idParam }), 
+  requireScope('orgs:read'),
+  validate({ params: schemas.idParam, query: schemas.listMembers }), 
+  requireOrgRole(READ_ROLES, scopeFrom.orgParam('id')),
   organizationsController.getOrganizationMembers
 );
 
 router.post('/:id/members', 
+  requireScope('orgs:write'),
   validate({ params: schemas.idParam, body: schemas.addMember }), 
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.orgParam('id')),
+  idempotency,
   organizationsController.addOrganizationMember
 );
 
+router.get('/:orgId/members/:userId', 
+  requireScope('orgs:read'),
+  validate({ params: schemas.orgIdUserIdParams }), 
+  requireOrgRole(READ_ROLES, scopeFrom.orgParam('orgId')),
+  organizationsController.getOrganizationMember
+);
+
 router.put('/:orgId/members/:userId', 
+  requireScope('orgs:write'),
   validate({ params: schemas.orgIdUserIdParams, body: schemas.updateMember }), 
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.orgParam('orgId')),
+  organizationsController.updateOrganizationMember
+);
+
+router.patch('/:orgId/members/:userId', 
+  requireScope('orgs:write'),
+  validate({ params: schemas.orgIdUserIdParams, body: mergePatch(schemas.updateMember) }), 
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.orgParam('orgId')),
   organizationsController.updateOrganizationMember
 );
 
 router.delete('/:orgId/members/:userId', 
+  requireScope('orgs:write'),
   validate({ params: schemas.orgIdUserIdParams }), 
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.orgParam('orgId')),
   organizationsController.removeOrganizationMember
 );
 
@@ -2,7 +2,9 @@
 
 const express = require('express');
 const router = express.Router({ mergeParams: true }); // Para acceder a projectId de la ruta padre
-const { validate, Joi, commonSchemas } = require('../middleware/validation.middleware');
+const { validate, mergePatch, Joi, commonSchemas } = require('../middleware/validation.middleware');
+const { requireOrgRole, scopeFrom, READ_ROLES, requireScope } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
 const projectMembershipsController = require('../controllers/project-memberships.controller');
 
 // Esquemas de validación
@@ -10,33 +12,41 @@ const schemas = {
   projectIdParam: Joi.object({
     projectId: commonSchemas.id.required()
       .messages({
-        'any.required': 'El ID de proyecto es requerido'
+        'any.required': 'validation.projectId.required'
       }),
   }),
   
+  listMembers: commonSchemas.pagination.keys({
+    role: Joi.string().valid('OWNER', 'ADMIN', 'MEMBER', 'VIEWER').optional()
+      .messages({
+        'any.only': 'validation.projectRole.invalid'
+      }),
+    sort: commonSchemas.sort(['created_at', 'updated_at']).optional()
+  }),
+  
   userIdParam: Joi.object({
     userId: commonSchemas.id.required()
       .messages({
-        'any.required': 'El ID de usuario es requerido'
+        'any.required': 'validation.userId.required'
       }),
   }),
   
   addMember: Joi.object({
     userId: commonSchemas.id.required()
       .messages({
-        'any.required': 'El ID de usuario es requerido'
+        'any.required': 'validation.userId.required'
       }),
     role: Joi.string().valid('OWNER', 'ADMIN', 'MEMBER', 'VIEWER').default('VIEWER')
       .messages({
-        'any.only': 'Rol inválido. Debe ser OWNER, ADMIN, MEMBER o VIEWER'
+        'any.only': 'validation.projectRole.invalid'
       }),
   }),
   
   updateMember: Joi.object({
     role: Joi.string().valid('OWNER', 'ADMIN', 'MEMBER', 'VIEWER').required()
       .messages({
-        'any.required': 'El rol es requerido',
-        'any.only': 'Rol inválido. Debe ser OWNER, ADMIN, MEMBER o VIEWER'
+        'any.required': 'validation.role.required',
+        'any.only': 'validation.projectRole.invalid'
       }),
   }),
   
@@ -45,66 +55,91 @@ const schemas = {
       Joi.object({
         userId: commonSchemas.id.required()
           .messages({
-            'any.required': 'El ID de usuario es requerido para cada miembro'
+            'any.required': 'validation.userId.requiredForEachMember'
           }),
         role: Joi.string().valid('OWNER', 'ADMIN', 'MEMBER', 'VIEWER').default('VIEWER')
           .messages({
-            'any.only': 'Rol inválido. Debe ser OWNER, ADMIN, MEMBER o VIEWER'
+            'any.only': 'validation.projectRole.invalid'
           }),
       })
-    ).min(1).required()
+    ).min(1).max(1000).required()
       .messages({
-        'array.min': 'Se requiere al menos un miembro',
-        'any.required': 'El array de miembros es requerido'
+        'array.min': 'validation.members.min',
+        'array.max': 'validation.members.max',
+        'any.required': 'validation.members.required'
       }),
   }),
+  
+  batchAddOptions: Joi.object({
+    atomic: Joi.boolean().sensitive().optional()
+  }),
 };
 
 // Obtener todos los miembros de un proyecto
 router.get('/', 
-  validate({ params: schemas.projectIdParam }), 
+  requireScope('projects:read'),
+  validate({ params: schemas.projectIdParam, query: schemas.listMembers }), 
+  requireOrgRole(READ_ROLES, scopeFrom.projectParam('projectId')),
   projectMembershipsController.getProjectMembers
 );
 
 // Añadir un miembro a un proyecto
 router.post('/', 
+  requireScope('projects:write'),
   validate({ params: schemas.projectIdParam, body: schemas.addMember }), 
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.projectParam('projectId')),
+  idempotency,
   projectMembershipsController.addProjectMember
 );
 
 // Añadir múltiples miembros a un proyecto
 router.post('/batch', 
-  validate({ params: schemas.projectIdParam, body: schemas.batchAddMembers }), 
+  requireScope('projects:write'),
+  validate({ 
+    params: schemas.projectIdParam,
+    query: schemas.batchAddOptions,
+    body: schemas.batchAddMembers 
+  }), 
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.projectParam('projectId')),
+  idempotency,
   projectMembershipsController.addBatchProjectMembers
 );
 
 // Obtener un miembro específico
 router.get('/:userId', 
-  validate({ params: Joi.object().keys({
-    ...schemas.projectIdParam.keys,
-    ...schemas.userIdParam.keys
-  })}), 
+  requireScope('projects:read'),
+  validate({ params: schemas.projectIdParam.concat(schemas.userIdParam) }), 
+  requireOrgRole(READ_ROLES, scopeFrom.projectParam('projectId')),
   projectMembershipsController.getProjectMember
 );
 
 // Actualizar rol de un miembro
 router.put('/:userId', 
+  requireScope('projects:write'),
   validate({ 
-    params: Joi.object().keys({
-      ...schemas.projectIdParam.keys,
-      ...schemas.userIdParam.keys
-    }),
+    params: schemas.projectIdParam.concat(schemas.userIdParam),
     body: schemas.updateMember 
   }), 
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.projectParam('projectId')),
+  projectMembershipsController.updateProjectMember
+);
+
+// Actualizar parcialmente un miembro (JSON Merge Patch)
+router.patch('/:userId', 
+  requireScope('projects:write'),
+  validate({ 
+    params: schemas.projectIdParam.concat(schemas.userIdParam),
+    body: mergePatch(schemas.updateMember) 
+  }), 
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.projectParam('projectId')),
   projectMembershipsController.updateProjectMember
 );
 
 // Eliminar un miembro
 router.delete('/:userId', 
-  validate({ params: Joi.object().keys({
-    ...schemas.projectIdParam.keys,
-    ...schemas.userIdParam.keys
-  })}), 
+  requireScope('projects:write'),
+  validate({ params: schemas.projectIdParam.concat(schemas.userIdParam) }), 
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.projectParam('projectId')),
   projectMembershipsController.removeProjectMember
 );
 
@@ -2,7 +2,9 @@
 
 const express = require('express');
 const router = express.Router();
-const { validate, Joi, commonSchemas } = require('../middleware/validation.middleware');
+const { validate, mergePatch, Joi, commonSchemas } = require('../middleware/validation.middleware');
+const { requireOrgRole, scopeFrom, READ_ROLES, requireScope } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
 const projectsController = require('../controllers/projects.controller');
 const apiKeysController = require('../controllers/api-keys.controller');
 const projectMembershipsRoutes = require('./project-memberships.routes');
@@ -15,46 +17,68 @@ const schemas = {
     id: commonSchemas.id.required(),
   }),
   
-  queryOrgId: Joi.object({
+  listProjects: commonSchemas.pagination.keys({
     orgId: Joi.string().optional()
       .messages({
-        'string.base': 'El ID de organización debe ser una cadena de texto'
+        'string.base': 'validation.orgId.string'
       }),
+    deleted: Joi.boolean().sensitive().optional(),
+    name: Joi.string().trim().max(100).optional(),
+    createdFrom: Joi.date().iso().optional(),
+    createdTo: Joi.date().iso().optional(),
+    sort: commonSchemas.sort(['name', 'created_at', 'updated_at']).optional()
+  }),
+  
+  listApiKeys: commonSchemas.pagination.keys({
+    expiresFrom: Joi.date().iso().optional(),
+    expiresTo: Joi.date().iso().optional(),
+    lastUsedFrom: Joi.date().iso().optional(),
+    lastUsedTo: Joi.date().iso().optional(),
+    sort: commonSchemas.sort(['created_at', 'expires_at', 'last_used_at']).optional()
   }),
   
   createProject: Joi.object({
     name: Joi.string().trim().min(1).max(100).required()
       .messages({
-        'string.empty': 'El nombre del proyecto no puede estar vacío',
-        'string.min': 'El nombre debe tener al menos {#limit} caracteres',
-        'string.max': 'El nombre no puede exceder {#limit} caracteres',
-        'any.required': 'El nombre es requerido'
+        'string.empty': 'validation.projectName.empty',
+        'string.min': 'validation.name.min',
+        'string.max': 'validation.name.max',
+        'any.required': 'validation.name.required'
       }),
     orgId: commonSchemas.id.required()
       .messages({
-        'any.required': 'El ID de organización es requerido'
+        'any.required': 'validation.orgId.required'
       }),
   }),
   
   updateProject: Joi.object({
     name: Joi.string().trim().min(1).max(100).required()
       .messages({
-        'string.empty': 'El nombre del proyecto no puede estar vacío',
-        'string.min': 'El nombre debe tener al menos {#limit} caracteres',
-        'string.max': 'El nombre no puede exceder {#limit} caracteres',
-        'any.required': 'El nombre es requerido'
+        'string.empty': 'validation.projectName.empty',
+        'string.min': 'validation.name.min',
+        'string.max': 'validation.name.max',
+        'any.required': 'validation.name.required'
       }),
   }),
   
+  transferProject: Joi.object({
+    orgId: commonSchemas.id.required()
+      .messages({
+        'any.required': 'validation.targetOrgId.required'
+      }),
+    createMemberships: Joi.boolean().optional(),
+    dryRun: Joi.boolean().optional()
+  }),
+  
   createApiKey: Joi.object({
     note: Joi.string().trim().allow('').max(255).optional()
       .messages({
-        'string.max': 'La nota no puede exceder {#limit} caracteres'
+        'string.max': 'validation.note.max'
       }),
     expiresAt: Joi.date().iso().min('now').optional()
       .messages({
-        'date.base': 'Fecha de expiración inválida',
-        'date.min': 'La fecha de expiración debe ser futura'
+        'date.base': 'validation.expiresAt.invalid',
+        'date.min': 'validation.expiresAt.future'
       })
   }),
 };
@@ -69,7 +93,26 @@ const checkProjectExists = async (req, res, next) => {
     );
     
     if (!project) {
-      throw new NotFoundError('Proyecto');
+      throw new NotFoundError('project');
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Middleware para verificar que un proyecto eliminado existe
+const checkDeletedProjectExists = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const project = await db.queryOne(
+      'SELECT org_id FROM projects WHERE id = $1 AND deleted_at IS NOT NULL',
+      [id]
+    );
+    
+    if (!project) {
+      throw new NotFoundError('deletedProject');
     }
     
     next();
@@ -79,43 +122,95 @@ const checkProjectExists = async (req, res, next) => {
 };
 
 // Endpoints para proyectos
+// El listado se filtra por los proyectos visibles para el usuario autenticado
 router.get('/', 
-  validate({ query: schemas.queryOrgId }), 
+  requireScope('projects:read'),
+  validate({ query: schemas.listProjects }), 
   projectsController.getAllProjects
 );
 
 router.get('/:id', 
+  requireScope('projects:read'),
   validate({ params: schemas.idParam }), 
+  requireOrgRole(READ_ROLES, scopeFrom.projectParam('id')),
   projectsController.getProjectById
 );
 
 router.post('/', 
+  requireScope('projects:write'),
   validate({ body: schemas.createProject }), 
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.orgBody('orgId')),
+  idempotency,
   projectsController.createProject
 );
 
 router.put('/:id', 
+  requireScope('projects:write'),
   validate({ params: schemas.idParam, body: schemas.updateProject }), 
   checkProjectExists,
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.projectParam('id')),
+  projectsController.updateProject
+);
+
+router.patch('/:id', 
+  requireScope('projects:write'),
+  validate({ params: schemas.idParam, body: mergePatch(schemas.updateProject) }), 
+  checkProjectExists,
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.projectParam('id')),
   projectsController.updateProject
 );
 
 router.delete('/:id', 
+  requireScope('projects:write'),
   validate({ params: schemas.idParam }), 
   checkProjectExists,
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.projectParam('id')),
   projectsController.deleteProject
 );
 
+// Requiere permisos tanto en la organización de origen como en la de destino
+router.post('/:id/transfer', 
+  requireScope('projects:write'),
+  validate({ params: schemas.idParam, body: schemas.transferProject }), 
+  checkProjectExists,
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.projectOrgParam('id')),
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.orgBody('orgId')),
+  idempotency,
+  projectsController.transferProject
+);
+
+router.post('/:id/restore', 
+  requireScope('projects:write'),
+  validate({ params: schemas.idParam }), 
+  checkDeletedProjectExists,
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.projectParam('id')),
+  idempotency,
+  projectsController.restoreProject
+);
+
+router.delete('/:id/purge', 
+  requireScope('projects:write'),
+  validate({ params: schemas.idParam }), 
+  checkDeletedProjectExists,
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.projectParam('id')),
+  projectsController.purgeProject
+);
+
 // Rutas para API keys de proyectos
 router.get('/:id/api-keys',
-  validate({ params: schemas.idParam }),
+  requireScope('api-keys:read'),
+  validate({ params: schemas.idParam, query: schemas.listApiKeys }),
   checkProjectExists,
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.projectParam('id')),
   apiKeysController.getProjectApiKeys
 );
 
 router.post('/:id/api-keys',
+  requireScope('api-keys:write'),
   validate({ params: schemas.idParam, body: schemas.createApiKey }),
   checkProjectExists,
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.projectParam('id')),
+  idempotency,
   apiKeysController.createApiKey
 );
 
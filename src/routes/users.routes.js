@@ -2,41 +2,43 @@
 
 const express = require('express');
 const router = express.Router();
-const { validate, Joi, commonSchemas } = require('../middleware/validation.middleware');
+const { validate, mergePatch, Joi, commonSchemas } = require('../middleware/validation.middleware');
+const { requireAdmin, requireScope } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
 const usersController = require('../controllers/users.controller');
 
 // Esquemas de validación
 const schemas = {
-  listUsers: Joi.object({
+  listUsers: commonSchemas.pagination.keys({
     search: Joi.string().trim().max(50).optional(),
     limit: Joi.number().integer().min(1).max(100).default(10).optional(),
-    page: Joi.number().integer().min(1).default(1).optional()
+    sort: commonSchemas.sort(['name', 'email', 'created_at']).optional()
   }),
   
   idParam: Joi.object({
     id: commonSchemas.id.required()
       .messages({
-        'any.required': 'El ID de usuario es requerido'
+        'any.required': 'validation.userId.required'
       }),
   }),
   
   createUser: Joi.object({
     name: Joi.string().trim().min(2).max(100).required()
       .messages({
-        'string.empty': 'El nombre no puede estar vacío',
-        'string.min': 'El nombre debe tener al menos {#limit} caracteres',
-        'string.max': 'El nombre no puede exceder {#limit} caracteres',
-        'any.required': 'El nombre es requerido'
+        'string.empty': 'validation.name.empty',
+        'string.min': 'validation.name.min',
+        'string.max': 'validation.name.max',
+        'any.required': 'validation.name.required'
       }),
     email: commonSchemas.email.required()
       .messages({
-        'string.email': 'El email debe tener un formato válido',
-        'any.required': 'El email es requerido'
+        'string.email': 'validation.email.invalid',
+        'any.required': 'validation.email.required'
       }),
     password: Joi.string().min(8).max(100).optional()
       .messages({
-        'string.min': 'La contraseña debe tener al menos {#limit} caracteres',
-        'string.max': 'La contraseña no puede exceder {#limit} caracteres'
+        'string.min': 'validation.password.min',
+        'string.max': 'validation.password.max'
       }),
     admin: Joi.boolean().optional()
   }),
@@ -44,39 +46,50 @@ const schemas = {
   updateUser: Joi.object({
     name: Joi.string().trim().min(2).max(100).optional()
       .messages({
-        'string.empty': 'El nombre no puede estar vacío',
-        'string.min': 'El nombre debe tener al menos {#limit} caracteres',
-        'string.max': 'El nombre no puede exceder {#limit} caracteres'
+        'string.empty': 'validation.name.empty',
+        'string.min': 'validation.name.min',
+        'string.max': 'validation.name.max'
       }),
     email: commonSchemas.email.optional()
       .messages({
-        'string.email': 'El email debe tener un formato válido'
+        'string.email': 'validation.email.invalid'
       }),
-    image: Joi.string().uri().optional()
+    image: Joi.string().uri().allow(null).optional()
       .messages({
-        'string.uri': 'La URL de la imagen debe ser válida'
+        'string.uri': 'validation.image.invalid'
       }),
-    feature_flags: Joi.array().items(Joi.string()).optional(),
+    feature_flags: Joi.array().items(Joi.string()).allow(null).optional(),
     admin: Joi.boolean().optional()
   })
 };
 
+// La gestión de usuarios abarca todas las organizaciones: solo administradores globales
 // Endpoint para listar usuarios con paginación y búsqueda
-router.get('/', validate({ query: schemas.listUsers }), usersController.getUsers);
+router.get('/', requireScope('users:read'), requireAdmin, validate({ query: schemas.listUsers }), usersController.getUsers);
 
 // Endpoint para obtener un usuario específico
-router.get('/:id', validate({ params: schemas.idParam }), usersController.getUserById);
+router.get('/:id', requireScope('users:read'), requireAdmin, validate({ params: schemas.idParam }), usersController.getUserById);
 
 // Endpoint para crear un nuevo usuario
-router.post('/', validate({ body: schemas.createUser }), usersController.createUser);
+router.post('/', requireScope('users:write'), requireAdmin, validate({ body: schemas.createUser }), idempotency, usersController.createUser);
 
 // Endpoint para actualizar un usuario
 router.put('/:id', 
+  requireScope('users:write'),
+  requireAdmin,
   validate({ params: schemas.idParam, body: schemas.updateUser }), 
   usersController.updateUser
 );
 
+// Endpoint para actualizar parcialmente un usuario (JSON Merge Patch)
+router.patch('/:id', 
+  requireScope('users:write'),
+  requireAdmin,
+  validate({ params: schemas.idParam, body: mergePatch(schemas.updateUser) }), 
+  usersController.updateUser
+);
+
 // Endpoint para eliminar un usuario
-router.delete('/:id', validate({ params: schemas.idParam }), usersController.deleteUser);
+router.delete('/:id', requireScope('users:write'), requireAdmin, validate({ params: schemas.idParam }), usersController.deleteUser);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,138 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { validate, Joi, commonSchemas } = require('../middleware/validation.middleware');
+const { requireOrgRole, requireScope, scopeFrom } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
+const webhooksController = require('../controllers/webhooks.controller');
+const { WEBHOOK_EVENTS, ALL_EVENTS } = require('../utils/webhook-events');
+
+// Esquemas de validación
+const events = Joi.array().items(Joi.string().valid(ALL_EVENTS, ...WEBHOOK_EVENTS)).min(1).unique()
+  .messages({
+    'any.only': 'validation.eventType.invalid',
+    'array.min': 'validation.events.min',
+    'array.unique': 'validation.events.unique'
+  });
+
+const url = Joi.string().uri({ scheme: ['http', 'https'] }).max(2048)
+  .messages({
+    'string.uri': 'validation.url.invalid',
+    'string.uriCustomScheme': 'validation.url.invalid',
+    'string.max': 'validation.url.max'
+  });
+
+const schemas = {
+  idParam: Joi.object({
+    id: commonSchemas.id.required()
+      .messages({
+        'any.required': 'validation.webhookId.required'
+      }),
+  }),
+
+  deliveryParams: Joi.object({
+    id: commonSchemas.id.required(),
+    deliveryId: commonSchemas.id.required()
+      .messages({
+        'any.required': 'validation.deliveryId.required'
+      }),
+  }),
+
+  listWebhooks: commonSchemas.pagination.keys({
+    orgId: commonSchemas.id.optional(),
+    active: Joi.boolean().optional(),
+    sort: commonSchemas.sort(['created_at', 'updated_at']).optional()
+  }),
+
+  listDeliveries: commonSchemas.pagination.keys({
+    status: Joi.string().valid('pending', 'succeeded', 'failed').optional()
+      .messages({
+        'any.only': 'validation.deliveryStatus.invalid'
+      }),
+    eventType: Joi.string().valid(...WEBHOOK_EVENTS).optional()
+      .messages({
+        'any.only': 'validation.eventType.invalid'
+      }),
+    sort: commonSchemas.sort(['created_at']).optional()
+  }),
+
+  createWebhook: Joi.object({
+    url: url.required()
+      .messages({
+        'any.required': 'validation.url.required'
+      }),
+    events: events.required()
+      .messages({
+        'any.required': 'validation.events.required'
+      }),
+    orgId: commonSchemas.id.allow(null).optional(),
+    description: Joi.string().trim().max(500).allow('', null).optional()
+  }),
+
+  updateWebhook: Joi.object({
+    url: url.optional(),
+    events: events.optional(),
+    description: Joi.string().trim().max(500).allow('', null).optional(),
+    active: Joi.boolean().optional()
+  }).min(1)
+    .messages({
+      'object.min': 'validation.update.min'
+    })
+};
+
+// Endpoints para webhooks
+// Los webhooks sin organización reciben eventos de todas y solo los gestionan administradores globales
+router.get('/',
+  requireScope('webhooks:read'),
+  validate({ query: schemas.listWebhooks }),
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.orgQuery('orgId')),
+  webhooksController.getWebhooks
+);
+
+router.get('/:id',
+  requireScope('webhooks:read'),
+  validate({ params: schemas.idParam }),
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.webhookParam('id')),
+  webhooksController.getWebhookById
+);
+
+router.post('/',
+  requireScope('webhooks:write'),
+  validate({ body: schemas.createWebhook }),
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.orgBody('orgId')),
+  idempotency,
+  webhooksController.createWebhook
+);
+
+router.put('/:id',
+  requireScope('webhooks:write'),
+  validate({ params: schemas.idParam, body: schemas.updateWebhook }),
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.webhookParam('id')),
+  webhooksController.updateWebhook
+);
+
+router.delete('/:id',
+  requireScope('webhooks:write'),
+  validate({ params: schemas.idParam }),
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.webhookParam('id')),
+  webhooksController.deleteWebhook
+);
+
+// Registro de entregas
+router.get('/:id/deliveries',
+  requireScope('webhooks:read'),
+  validate({ params: schemas.idParam, query: schemas.listDeliveries }),
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.webhookParam('id')),
+  webhooksController.getWebhookDeliveries
+);
+
+router.post('/:id/deliveries/:deliveryId/retry',
+  requireScope('webhooks:write'),
+  validate({ params: schemas.deliveryParams }),
+  requireOrgRole(['OWNER', 'ADMIN'], scopeFrom.webhookParam('id')),
+  idempotency,
+  webhooksController.retryWebhookDelivery
+);
+
+module.exports = router;
@@ -0,0 +1,338 @@
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../config');
+const { db, transaction } = require('./database.service');
+const { generateId, generateApiKey, hashAdminToken } = require('../utils/id-generator');
+const { NotFoundError, BusinessLogicError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
+const { createContextLogger } = require('../utils/logger');
+const { instrumentService } = require('../utils/tracing');
+const { SCOPES, ALL_SCOPES } = require('../utils/scopes');
+const { cursorPage, whereClause } = require('../utils/pagination');
+const auditLogsService = require('./audit-logs.service');
+
+// Logger contextual para este servicio
+const logger = createContextLogger('admin-tokens-service');
+
+// Código de error de PostgreSQL para una tabla inexistente
+const UNDEFINED_TABLE = '42P01';
+
+// Columnas públicas de un token (nunca se devuelve el hash)
+const TOKEN_COLUMNS = `id, user_id, name, display_token, scopes, org_id,
+  expires_at, last_used_at, created_at, revoked_at`;
+
+/**
+ * Servicio para manejar los tokens administrativos
+ */
+class AdminTokensService {
+  /**
+   * Obtiene los tokens administrativos paginados por cursor
+   * @param {Object} options - Opciones de filtrado y paginación
+   * @param {string} options.userId - Limitar a los tokens de este usuario (opcional)
+   * @param {string} options.sort - Ordenación (created_at, name; prefijo - para descendente)
+   * @param {string} options.cursor - Cursor de la página anterior
+   * @param {number} options.limit - Tamaño de página
+   * @returns {Promise<Object>} { data, nextCursor } (sin el valor secreto)
+   */
+  async getAll({ userId, sort, cursor, limit = 20 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (userId) {
+      params.push(userId);
+      conditions.push(`user_id = $${params.length}`);
+    }
+
+    const page = cursorPage({
+      sortable: {
+        created_at: { column: 'created_at', date: true },
+        name: { column: 'name' }
+      },
+      sort,
+      defaultSort: '-created_at',
+      cursor,
+      limit
+    }, params);
+
+    const tokens = await db.query(
+      `SELECT ${TOKEN_COLUMNS} FROM admin_tokens${whereClause([...conditions, page.condition])}
+       ORDER BY ${page.orderBy}
+       LIMIT ${page.limit}`,
+      params
+    );
+
+    return page.toResult(tokens);
+  }
+
+  /**
+   * Obtiene un token administrativo por su ID
+   * @param {string} id - ID del token
+   * @returns {Promise<Object>} Token (sin el valor secreto)
+   */
+  async getById(id) {
+    const token = await db.queryOne(
+      `SELECT ${TOKEN_COLUMNS} FROM admin_tokens WHERE id = $1`,
+      [id]
+    );
+
+    if (!token) {
+      throw new NotFoundError('adminToken');
+    }
+
+    return token;
+  }
+
+  /**
+   * Crea un nuevo token administrativo
+   * @param {Object} data - Datos del token
+   * @param {string} data.name - Nombre descriptivo del token
+   * @param {string[]} data.scopes - Scopes concedidos
+   * @param {string} data.userId - Usuario al que se asocia el token (opcional)
+   * @param {string} data.orgId - Organización a la que se restringe el token (opcional)
+   * @param {Date|string|null} data.expiresAt - Fecha de expiración (opcional)
+   * @returns {Promise<Object>} Token creado (el valor en claro solo se muestra una vez)
+   */
+  async create({ name, scopes = [], userId = null, orgId = null, expiresAt = null }) {
+    if (!name || !name.trim()) {
+      throw new BusinessLogicError(t('errors.required.name'), {
+        code: 'REQUIRED_FIELD',
+        details: { field: 'name' }
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new BusinessLogicError(t('errors.required.scopes'), {
+        code: 'REQUIRED_FIELD',
+        details: { field: 'scopes' }
+      });
+    }
+
+    const invalidScopes = scopes.filter((scope) => scope !== ALL_SCOPES && !SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      throw new BusinessLogicError(t('errors.invalidScopes', { scopes: invalidScopes }), {
+        code: 'INVALID_SCOPES',
+        details: { scopes: invalidScopes }
+      });
+    }
+
+    // Validar fecha de expiración si se proporciona
+    let parsedExpiresAt = null;
+    if (expiresAt) {
+      parsedExpiresAt = new Date(expiresAt);
+
+      if (isNaN(parsedExpiresAt.getTime())) {
+        throw new BusinessLogicError(t('errors.invalidExpiration'), {
+          code: 'INVALID_EXPIRATION'
+        });
+      }
+
+      if (parsedExpiresAt <= new Date()) {
+        throw new BusinessLogicError(t('errors.expirationNotFuture'), {
+          code: 'EXPIRATION_NOT_FUTURE'
+        });
+      }
+    }
+
+    return transaction(async (client) => {
+      // Verificar si el usuario existe
+      if (userId) {
+        const userCheck = await client.query(
+          'SELECT id FROM users WHERE id = $1',
+          [userId]
+        );
+
+        if (userCheck.rows.length === 0) {
+          throw new NotFoundError('user');
+        }
+      }
+
+      // Verificar si la organización existe
+      if (orgId) {
+        const orgCheck = await client.query(
+          `SELECT id FROM organizations
+           WHERE id = $1
+             AND NOT EXISTS (SELECT 1 FROM deleted_organizations WHERE org_id = $1)`,
+          [orgId]
+        );
+
+        if (orgCheck.rows.length === 0) {
+          throw new NotFoundError('organization');
+        }
+      }
+
+      // Generar token
+      const token = generateApiKey('lfa');
+      const id = generateId('atk');
+
+      const result = await client.query(
+        `INSERT INTO admin_tokens (
+          id, user_id, name, hashed_token, display_token, scopes, org_id, expires_at, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
+        RETURNING ${TOKEN_COLUMNS}`,
+        [
+          id,
+          userId,
+          name.trim(),
+          hashAdminToken(token),
+          token.substring(0, 8) + '...',
+          [...new Set(scopes)],
+          orgId,
+          parsedExpiresAt
+        ]
+      );
+
+      await auditLogsService.record(client, {
+        action: 'admin_token.created',
+        resourceType: 'admin_token',
+        resourceId: id,
+        after: result.rows[0]
+      });
+
+      logger.info(`Token administrativo creado con ID: ${id}${userId ? ` para usuario ${userId}` : ''}`);
+
+      // Devolver con el token completo (solo se muestra una vez)
+      return {
+        ...result.rows[0],
+        token
+      };
+    });
+  }
+
+  /**
+   * Revoca un token administrativo
+   * @param {string} id - ID del token
+   * @returns {Promise<boolean>} true si se revocó correctamente
+   */
+  async revoke(id) {
+    return transaction(async (client) => {
+      const current = await client.query(
+        `SELECT ${TOKEN_COLUMNS} FROM admin_tokens
+         WHERE id = $1 AND revoked_at IS NULL
+         FOR UPDATE`,
+        [id]
+      );
+
+      if (current.rows.length === 0) {
+        throw new NotFoundError('adminToken');
+      }
+
+      const result = await client.query(
+        `UPDATE admin_tokens SET revoked_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${TOKEN_COLUMNS}`,
+        [id]
+      );
+
+      await auditLogsService.record(client, {
+        action: 'admin_token.revoked',
+        resourceType: 'admin_token',
+        resourceId: id,
+        before: current.rows[0],
+        after: result.rows[0]
+      });
+
+      logger.info(`Token administrativo revocado: ${id}`);
+      return true;
+    });
+  }
+
+  /**
+   * Resuelve un token administrativo activo (no revocado ni expirado)
+   * y registra su último uso
+   * @param {string} token - Token en claro recibido en la solicitud
+   * @returns {Promise<Object|null>} Token y usuario asociado, o null si no es válido
+   */
+  async authenticate(token) {
+    if (!token) {
+      return null;
+    }
+
+    let credential;
+
+    try {
+      credential = await db.queryOne(
+        `SELECT t.id, t.user_id, t.scopes, t.org_id, u.email, u.admin
+         FROM admin_tokens t
+         LEFT JOIN users u ON t.user_id = u.id
+         WHERE t.hashed_token = $1
+           AND t.revoked_at IS NULL
+           AND (t.expires_at IS NULL OR t.expires_at > CURRENT_TIMESTAMP)`,
+        [hashAdminToken(token)]
+      );
+    } catch (error) {
+      if (error.cause && error.cause.code === UNDEFINED_TABLE) {
+        return this._authenticateWithoutTable(token);
+      }
+
+      throw error;
+    }
+
+    if (!credential) {
+      return null;
+    }
+
+    await db.query(
+      'UPDATE admin_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [credential.id]
+    );
+
+    return credential;
+  }
+
+  /**
+   * Autenticación mientras no existe la tabla admin_tokens (versión desplegada antes de
+   * aplicar las migraciones): solo se acepta API_KEY, con todos los scopes, como antes de
+   * existir los tokens administrativos
+   * @param {string} token - Token en claro recibido en la solicitud
+   * @returns {Object|null} Credencial equivalente al token inicial, o null si no coincide
+   * @private
+   */
+  _authenticateWithoutTable(token) {
+    logger.error('La tabla admin_tokens no existe: solo se acepta API_KEY hasta ejecutar npm run migrate');
+
+    if (!config.apiKey) {
+      return null;
+    }
+
+    const expected = Buffer.from(hashAdminToken(config.apiKey));
+    const received = Buffer.from(hashAdminToken(token));
+
+    if (!crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    return { id: 'api_key', user_id: null, scopes: [ALL_SCOPES], org_id: null, email: null, admin: null };
+  }
+
+  /**
+   * Registra la API key de la variable de entorno como token inicial con todos los scopes
+   * No hace nada si ese token ya existe (aunque esté revocado), de forma que revocarlo es definitivo
+   * @param {string} token - Valor de API_KEY
+   * @returns {Promise<boolean>} true si se creó el token inicial
+   */
+  async bootstrap(token) {
+    if (!token) {
+      return false;
+    }
+
+    const hashedToken = hashAdminToken(token);
+
+    const result = await db.query(
+      `INSERT INTO admin_tokens (id, user_id, name, hashed_token, display_token, scopes, created_at)
+       VALUES ($1, NULL, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+       ON CONFLICT (hashed_token) DO NOTHING
+       RETURNING id`,
+      [generateId('atk'), 'bootstrap (API_KEY)', hashedToken, token.substring(0, 4) + '...', [ALL_SCOPES]]
+    );
+
+    if (result.length > 0) {
+      logger.info(`Token administrativo inicial creado desde API_KEY: ${result[0].id}`);
+      return true;
+    }
+
+    return false;
+  }
+}
+
+module.exports = instrumentService(new AdminTokensService(), 'admin-tokens');
@@ -1,30 +1,109 @@
 'use strict';
 
+const crypto = require('crypto');
+const config = require('../config');
 const { db, transaction } = require('./database.service');
-const { generateId, generateApiKey, hashSecretKey } = require('../utils/id-generator');
-const { NotFoundError, BusinessLogicError } = require('../utils/errors');
+const {
+  generateId,
+  generateApiKey,
+  hashSecretKey,
+  hashApiKeySecret,
+  compareSecretKey,
+  fastHashSecretKey,
+  legacyHashSecretKey,
+  isLegacySecretHash
+} = require('../utils/id-generator');
+const { NotFoundError, BusinessLogicError, ApiKeyVerificationError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
 const { createContextLogger } = require('../utils/logger');
+const { instrumentService } = require('../utils/tracing');
+const { cursorPage, whereClause, dateRange } = require('../utils/pagination');
+const auditLogsService = require('./audit-logs.service');
 
 // Logger contextual para este servicio
 const logger = createContextLogger('api-keys-service');
 
+// Campos por los que se pueden ordenar las API keys de un proyecto
+// Las claves sin expiración se ordenan como las que más tarde expiran, y las nunca usadas como las de uso más antiguo
+const PROJECT_SORTABLE_FIELDS = {
+  created_at: { column: 'created_at', date: true },
+  expires_at: { column: 'expires_at', date: true, fallback: '9999-12-31T00:00:00.000Z' },
+  last_used_at: { column: 'last_used_at', date: true, fallback: '1970-01-01T00:00:00.000Z' }
+};
+
+// Prefijo de los hashes bcrypt (formato de hashed_secret_key en Langfuse)
+const BCRYPT_HASH_PATTERN = '^\\$2[aby]\\$';
+
+/**
+ * Compara dos hashes hexadecimales en tiempo constante
+ * @param {string} a - Hash calculado
+ * @param {string} b - Hash almacenado
+ * @returns {boolean}
+ */
+function hashesMatch(a, b) {
+  const bufferA = Buffer.from(a || '', 'hex');
+  const bufferB = Buffer.from(b || '', 'hex');
+  
+  return bufferA.length > 0 && bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Comprueba una clave secreta contra un hashed_secret_key en formato Langfuse (bcrypt)
+ * o en el formato heredado de esta API
+ * @param {string} secretKey - Clave secreta recibida
+ * @param {string} hashedSecretKey - Hash almacenado
+ * @returns {Promise<boolean>}
+ */
+async function secretMatchesHash(secretKey, hashedSecretKey) {
+  if (isLegacySecretHash(hashedSecretKey)) {
+    return hashesMatch(legacyHashSecretKey(secretKey), hashedSecretKey);
+  }
+  
+  return compareSecretKey(secretKey, hashedSecretKey);
+}
+
 /**
  * Servicio para manejar operaciones relacionadas con API keys
  */
 class ApiKeysService {
   /**
-   * Obtiene todas las API keys de un proyecto
+   * Obtiene las API keys de un proyecto paginadas por cursor
    * @param {string} projectId - ID del proyecto
-   * @returns {Promise<Array>} Lista de API keys
+   * @param {Object} options - Opciones de filtrado y paginación
+   * @param {Date|string} options.expiresFrom - Fecha de expiración inicial (inclusive)
+   * @param {Date|string} options.expiresTo - Fecha de expiración final (inclusive)
+   * @param {Date|string} options.lastUsedFrom - Fecha de último uso inicial (inclusive)
+   * @param {Date|string} options.lastUsedTo - Fecha de último uso final (inclusive)
+   * @param {string} options.sort - Ordenación (created_at, expires_at, last_used_at; prefijo - para descendente)
+   * @param {string} options.cursor - Cursor de la página anterior
+   * @param {number} options.limit - Tamaño de página
+   * @returns {Promise<Object>} { data, nextCursor }
    */
-  async getByProject(projectId) {
-    return db.query(
+  async getByProject(projectId, { expiresFrom, expiresTo, lastUsedFrom, lastUsedTo, sort, cursor, limit = 20 } = {}) {
+    const params = [projectId];
+    const conditions = [
+      'project_id = $1',
+      ...dateRange('expires_at', expiresFrom, expiresTo, params),
+      ...dateRange('last_used_at', lastUsedFrom, lastUsedTo, params)
+    ];
+    
+    const page = cursorPage({
+      sortable: PROJECT_SORTABLE_FIELDS,
+      sort,
+      defaultSort: '-created_at',
+      cursor,
+      limit
+    }, params);
+    
+    const apiKeys = await db.query(
       `SELECT id, created_at, public_key, display_secret_key, last_used_at, note, expires_at
-       FROM api_keys
-       WHERE project_id = $1
-       ORDER BY created_at DESC`,
-      [projectId]
+       FROM api_keys${whereClause([...conditions, page.condition])}
+       ORDER BY ${page.orderBy}
+       LIMIT ${page.limit}`,
+      params
     );
+    
+    return page.toResult(apiKeys);
   }
 
   /**
@@ -43,9 +122,18 @@ class ApiKeysService {
     );
     
     if (!apiKey) {
-      throw new NotFoundError('API key');
+      throw new NotFoundError('apiKey');
     }
     
+    // Claves secretas anteriores todavía válidas tras una rotación
+    apiKey.previous_secrets = await db.query(
+      `SELECT display_secret_key, expires_at, created_at
+       FROM api_key_previous_secrets
+       WHERE api_key_id = $1 AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY created_at`,
+      [id]
+    );
+    
     return apiKey;
   }
 
@@ -64,12 +152,16 @@ class ApiKeysService {
       parsedExpiresAt = new Date(expiresAt);
       
       if (isNaN(parsedExpiresAt.getTime())) {
-        throw new BusinessLogicError('Formato de fecha de expiración inválido');
+        throw new BusinessLogicError(t('errors.invalidExpiration'), {
+          code: 'INVALID_EXPIRATION'
+        });
       }
       
       // Verificar que la fecha sea futura
       if (parsedExpiresAt <= new Date()) {
-        throw new BusinessLogicError('La fecha de expiración debe ser futura');
+        throw new BusinessLogicError(t('errors.expirationNotFuture'), {
+          code: 'EXPIRATION_NOT_FUTURE'
+        });
       }
     }
     
@@ -81,13 +173,13 @@ class ApiKeysService {
       );
       
       if (projectCheck.rows.length === 0) {
-        throw new NotFoundError('Proyecto');
+        throw new NotFoundError('project');
       }
       
       // Generar API keys
       const publicKey = generateApiKey('pk');
       const secretKey = generateApiKey('sk');
-      const hashedSecretKey = hashSecretKey(secretKey);
+      const { hashedSecretKey, fastHashedSecretKey } = await hashApiKeySecret(secretKey, config.apiKeys.salt);
       
       // Crear API key
       const apiKeyId = generateId('key');
@@ -98,22 +190,31 @@ class ApiKeysService {
           created_at, 
           public_key, 
           hashed_secret_key, 
+          fast_hashed_secret_key, 
           display_secret_key,
           note,
           expires_at
-        ) VALUES ($1, $2, CURRENT_TIMESTAMP, $3, $4, $5, $6, $7)
+        ) VALUES ($1, $2, CURRENT_TIMESTAMP, $3, $4, $5, $6, $7, $8)
         RETURNING id, created_at, public_key, display_secret_key, note, expires_at`,
         [
           apiKeyId, 
           projectId, 
           publicKey, 
           hashedSecretKey, 
+          fastHashedSecretKey, 
           secretKey.substring(0, 8) + '...', 
           note,
           parsedExpiresAt
         ]
       );
       
+      await auditLogsService.record(client, {
+        action: 'api_key.created',
+        resourceType: 'api_key',
+        resourceId: apiKeyId,
+        after: { ...apiKeyResult.rows[0], project_id: projectId }
+      });
+      
       logger.info(`Nueva API key creada con ID: ${apiKeyId} para proyecto ${projectId}${parsedExpiresAt ? ` (expira: ${parsedExpiresAt.toISOString()})` : ''}`);
       
       // Devolver con secretKey completa (solo se muestra una vez)
@@ -138,24 +239,29 @@ class ApiKeysService {
       parsedExpiresAt = new Date(expiresAt);
       
       if (isNaN(parsedExpiresAt.getTime())) {
-        throw new BusinessLogicError('Formato de fecha de expiración inválido');
+        throw new BusinessLogicError(t('errors.invalidExpiration'), {
+          code: 'INVALID_EXPIRATION'
+        });
       }
       
       // Verificar que la fecha sea futura
       if (parsedExpiresAt <= new Date()) {
-        throw new BusinessLogicError('La fecha de expiración debe ser futura');
+        throw new BusinessLogicError(t('errors.expirationNotFuture'), {
+          code: 'EXPIRATION_NOT_FUTURE'
+        });
       }
     }
     
     return transaction(async (client) => {
       // Verificar si la API key existe
       const apiKeyCheck = await client.query(
-        'SELECT id, project_id, note, expires_at FROM api_keys WHERE id = $1',
+        `SELECT id, project_id, created_at, public_key, display_secret_key, note, last_used_at, expires_at
+         FROM api_keys WHERE id = $1 FOR UPDATE`,
         [id]
       );
       
       if (apiKeyCheck.rows.length === 0) {
-        throw new NotFoundError('API key');
+        throw new NotFoundError('apiKey');
       }
       
       const existingKey = apiKeyCheck.rows[0];
@@ -168,27 +274,43 @@ class ApiKeysService {
       // Generar nuevas claves
       const publicKey = generateApiKey('pk');
       const secretKey = generateApiKey('sk');
-      const hashedSecretKey = hashSecretKey(secretKey);
+      const { hashedSecretKey, fastHashedSecretKey } = await hashApiKeySecret(secretKey, config.apiKeys.salt);
+      
+      // Las claves anteriores en periodo de gracia dejan de ser válidas con la nueva clave pública
+      await client.query(
+        'DELETE FROM api_key_previous_secrets WHERE api_key_id = $1',
+        [id]
+      );
       
       // Actualizar la API key existente
       const apiKeyResult = await client.query(
         `UPDATE api_keys
          SET public_key = $1, 
              hashed_secret_key = $2, 
-             display_secret_key = $3,
+             fast_hashed_secret_key = $3, 
+             display_secret_key = $4,
              updated_at = CURRENT_TIMESTAMP,
-             expires_at = $4
-         WHERE id = $5
+             expires_at = $5
+         WHERE id = $6
          RETURNING id, created_at, public_key, display_secret_key, note, last_used_at, expires_at`,
         [
           publicKey,
           hashedSecretKey,
+          fastHashedSecretKey,
           secretKey.substring(0, 8) + '...',
           parsedExpiresAt,
           id
         ]
       );
       
+      await auditLogsService.record(client, {
+        action: 'api_key.regenerated',
+        resourceType: 'api_key',
+        resourceId: id,
+        before: existingKey,
+        after: { ...apiKeyResult.rows[0], project_id: existingKey.project_id }
+      });
+      
       logger.info(`API key regenerada con ID: ${id}${parsedExpiresAt ? ` (expira: ${parsedExpiresAt.toISOString()})` : ''}`);
       
       // Devolver con secretKey completa (solo se muestra una vez)
@@ -199,6 +321,94 @@ class ApiKeysService {
     });
   }
 
+  /**
+   * Rota la clave secreta de una API key manteniendo su clave pública
+   * La clave secreta anterior sigue siendo válida durante el periodo de gracia
+   * @param {string} id - ID de la API key
+   * @param {Object} options - Opciones de rotación
+   * @param {number} options.gracePeriodHours - Horas durante las que la clave anterior sigue siendo válida (0 la revoca al instante)
+   * @returns {Promise<Object>} API key con la nueva clave secreta y el fin del periodo de gracia
+   */
+  async rotate(id, { gracePeriodHours = config.apiKeys.rotationGraceHours } = {}) {
+    if (!Number.isFinite(gracePeriodHours) || gracePeriodHours < 0) {
+      throw new BusinessLogicError(t('errors.invalidGracePeriod'), {
+        code: 'INVALID_GRACE_PERIOD'
+      });
+    }
+    
+    return transaction(async (client) => {
+      const current = await client.query(
+        `SELECT id, project_id, created_at, public_key, hashed_secret_key, display_secret_key,
+                note, last_used_at, expires_at
+         FROM api_keys WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+      
+      if (current.rows.length === 0) {
+        throw new NotFoundError('apiKey');
+      }
+      
+      const { hashed_secret_key: previousHash, ...existingKey } = current.rows[0];
+      
+      // Limpiar las claves anteriores cuyo periodo de gracia ya terminó
+      await client.query(
+        'DELETE FROM api_key_previous_secrets WHERE api_key_id = $1 AND expires_at <= CURRENT_TIMESTAMP',
+        [id]
+      );
+      
+      let previousSecretExpiresAt = null;
+      
+      if (gracePeriodHours > 0) {
+        const previous = await client.query(
+          `INSERT INTO api_key_previous_secrets (id, api_key_id, hashed_secret_key, display_secret_key, expires_at, created_at)
+           VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 * INTERVAL '1 hour'), CURRENT_TIMESTAMP)
+           RETURNING expires_at`,
+          [generateId('aps'), id, previousHash, existingKey.display_secret_key, gracePeriodHours]
+        );
+        
+        previousSecretExpiresAt = previous.rows[0].expires_at;
+      }
+      
+      const secretKey = generateApiKey('sk');
+      const { hashedSecretKey, fastHashedSecretKey } = await hashApiKeySecret(secretKey, config.apiKeys.salt);
+      
+      const apiKeyResult = await client.query(
+        `UPDATE api_keys
+         SET hashed_secret_key = $1,
+             fast_hashed_secret_key = $2,
+             display_secret_key = $3,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4
+         RETURNING id, created_at, public_key, display_secret_key, note, last_used_at, expires_at`,
+        [hashedSecretKey, fastHashedSecretKey, secretKey.substring(0, 8) + '...', id]
+      );
+      
+      await auditLogsService.record(client, {
+        action: 'api_key.rotated',
+        resourceType: 'api_key',
+        resourceId: id,
+        before: existingKey,
+        after: {
+          ...apiKeyResult.rows[0],
+          project_id: existingKey.project_id,
+          previous_secret_expires_at: previousSecretExpiresAt
+        }
+      });
+      
+      logger.info(
+        `Clave secreta de API key ${id} rotada` +
+        (previousSecretExpiresAt ? ` (la anterior es válida hasta ${previousSecretExpiresAt.toISOString()})` : '')
+      );
+      
+      // Devolver con secretKey completa (solo se muestra una vez)
+      return {
+        ...apiKeyResult.rows[0],
+        secretKey,
+        previousSecretExpiresAt
+      };
+    });
+  }
+
   /**
    * Actualiza la fecha de expiración de una API key
    * @param {string} id - ID de la API key
@@ -206,58 +416,114 @@ class ApiKeysService {
    * @returns {Promise<Object>} API key actualizada
    */
   async updateExpiration(id, expiresAt) {
-    // Validar fecha de expiración si no es null
-    let parsedExpiresAt = null;
-    if (expiresAt) {
-      parsedExpiresAt = new Date(expiresAt);
+    const parsedExpiresAt = this._parseExpiresAt(expiresAt);
+    
+    return this._updateWithAudit(id, 'api_key.expiration_updated', async (client) => {
+      const result = await client.query(
+        `UPDATE api_keys
+         SET expires_at = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING id, created_at, public_key, display_secret_key, note, last_used_at, expires_at`,
+        [parsedExpiresAt, id]
+      );
       
-      if (isNaN(parsedExpiresAt.getTime())) {
-        throw new BusinessLogicError('Formato de fecha de expiración inválido');
-      }
+      logger.info(`Expiración de API key ${id} actualizada: ${parsedExpiresAt ? parsedExpiresAt.toISOString() : 'sin expiración'}`);
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Actualiza la nota de una API key
+   * @param {string} id - ID de la API key
+   * @param {string} note - Nueva nota descriptiva
+   * @returns {Promise<Object>} API key actualizada
+   */
+  async updateNote(id, note) {
+    return this._updateWithAudit(id, 'api_key.note_updated', async (client) => {
+      const result = await client.query(
+        `UPDATE api_keys
+         SET note = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING id, created_at, public_key, display_secret_key, note, last_used_at, expires_at`,
+        [note, id]
+      );
       
-      // Verificar que la fecha sea futura
-      if (parsedExpiresAt <= new Date()) {
-        throw new BusinessLogicError('La fecha de expiración debe ser futura');
-      }
+      logger.info(`Nota de API key ${id} actualizada`);
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Actualiza parcialmente una API key (JSON Merge Patch)
+   * Solo se modifican los campos presentes; cada uno se audita con su acción
+   * (api_key.note_updated, api_key.expiration_updated) en la misma transacción
+   * @param {string} id - ID de la API key
+   * @param {Object} changes - Campos a modificar
+   * @param {string|null} changes.note - Nueva nota (null la elimina)
+   * @param {Date|string|null} changes.expiresAt - Nueva fecha de expiración (null para eliminar expiración)
+   * @returns {Promise<Object>} API key actualizada
+   */
+  async update(id, { note, expiresAt }) {
+    const fields = [];
+    const params = [id];
+    const actions = [];
+    
+    if (note !== undefined) {
+      params.push(note);
+      fields.push(`note = $${params.length}`);
+      actions.push('api_key.note_updated');
     }
     
-    const result = await db.query(
-      `UPDATE api_keys
-       SET expires_at = $1, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $2
-       RETURNING id, created_at, public_key, display_secret_key, note, last_used_at, expires_at`,
-      [parsedExpiresAt, id]
-    );
+    if (expiresAt !== undefined) {
+      params.push(this._parseExpiresAt(expiresAt));
+      fields.push(`expires_at = $${params.length}`);
+      actions.push('api_key.expiration_updated');
+    }
     
-    if (result.length === 0) {
-      throw new NotFoundError('API key');
+    if (fields.length === 0) {
+      throw new BusinessLogicError(t('errors.noFieldsToUpdate'), { code: 'NO_FIELDS_TO_UPDATE' });
     }
     
-    logger.info(`Expiración de API key ${id} actualizada: ${parsedExpiresAt ? parsedExpiresAt.toISOString() : 'sin expiración'}`);
-    return result[0];
+    return this._updateWithAudit(id, actions, async (client) => {
+      const result = await client.query(
+        `UPDATE api_keys
+         SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id, created_at, public_key, display_secret_key, note, last_used_at, expires_at`,
+        params
+      );
+      
+      logger.info(`API key ${id} actualizada`);
+      return result.rows[0];
+    });
   }
 
   /**
-   * Actualiza la nota de una API key
-   * @param {string} id - ID de la API key
-   * @param {string} note - Nueva nota descriptiva
-   * @returns {Promise<Object>} API key actualizada
+   * Valida una fecha de expiración
+   * @param {Date|string|null} expiresAt - Fecha de expiración (null o vacía para no expirar)
+   * @returns {Date|null} Fecha analizada
+   * @throws {BusinessLogicError} Si la fecha es inválida o no es futura
+   * @private
    */
-  async updateNote(id, note) {
-    const result = await db.query(
-      `UPDATE api_keys
-       SET note = $1, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $2
-       RETURNING id, created_at, public_key, display_secret_key, note, last_used_at, expires_at`,
-      [note, id]
-    );
+  _parseExpiresAt(expiresAt) {
+    if (!expiresAt) {
+      return null;
+    }
+    
+    const parsedExpiresAt = new Date(expiresAt);
+    
+    if (isNaN(parsedExpiresAt.getTime())) {
+      throw new BusinessLogicError(t('errors.invalidExpiration'), { code: 'INVALID_EXPIRATION' });
+    }
     
-    if (result.length === 0) {
-      throw new NotFoundError('API key');
+    // Verificar que la fecha sea futura
+    if (parsedExpiresAt <= new Date()) {
+      throw new BusinessLogicError(t('errors.expirationNotFuture'), {
+        code: 'EXPIRATION_NOT_FUTURE'
+      });
     }
     
-    logger.info(`Nota de API key ${id} actualizada`);
-    return result[0];
+    return parsedExpiresAt;
   }
 
   /**
@@ -266,30 +532,98 @@ class ApiKeysService {
    * @returns {Promise<boolean>} true si se eliminó correctamente
    */
   async delete(id) {
-    const result = await db.query(
-      'DELETE FROM api_keys WHERE id = $1 RETURNING id',
-      [id]
-    );
+    return transaction(async (client) => {
+      const result = await client.query(
+        `DELETE FROM api_keys WHERE id = $1
+         RETURNING id, project_id, created_at, public_key, display_secret_key, note, last_used_at, expires_at`,
+        [id]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('apiKey');
+      }
+      
+      await auditLogsService.record(client, {
+        action: 'api_key.deleted',
+        resourceType: 'api_key',
+        resourceId: id,
+        before: result.rows[0]
+      });
+      
+      logger.info(`API key eliminada: ${id}`);
+      return true;
+    });
+  }
+
+  /**
+   * Obtiene las API keys expiradas paginadas por cursor
+   * @param {Object} options - Opciones de paginación
+   * @param {string} options.sort - Ordenación (expires_at, created_at; prefijo - para descendente)
+   * @param {string} options.cursor - Cursor de la página anterior
+   * @param {number} options.limit - Tamaño de página
+   * @returns {Promise<Object>} { data, nextCursor }
+   */
+  async getExpired({ sort, cursor, limit = 20 } = {}) {
+    const params = [];
+    const conditions = ['expires_at IS NOT NULL', 'expires_at < CURRENT_TIMESTAMP'];
     
-    if (result.length === 0) {
-      throw new NotFoundError('API key');
-    }
+    const page = cursorPage({
+      sortable: {
+        expires_at: { column: 'expires_at', date: true },
+        created_at: { column: 'created_at', date: true }
+      },
+      sort,
+      defaultSort: 'expires_at',
+      cursor,
+      limit
+    }, params);
     
-    logger.info(`API key eliminada: ${id}`);
-    return true;
+    const apiKeys = await db.query(
+      `SELECT id, created_at, public_key, display_secret_key, last_used_at, note, expires_at, project_id
+       FROM api_keys${whereClause([...conditions, page.condition])}
+       ORDER BY ${page.orderBy}
+       LIMIT ${page.limit}`,
+      params
+    );
+    
+    return page.toResult(apiKeys);
   }
 
   /**
-   * Obtiene todas las API keys expiradas
-   * @returns {Promise<Array>} Lista de API keys expiradas
+   * Obtiene las API keys cuyo almacenamiento no es compatible con Langfuse: hash heredado
+   * (SHA-256 con salt fijo) o sin fast_hashed_secret_key
+   * Se migran solas al verificarse a través de esta API; si no, hay que regenerarlas o rotarlas
+   * @param {Object} options - Opciones de paginación
+   * @param {string} options.sort - Ordenación (created_at; prefijo - para descendente)
+   * @param {string} options.cursor - Cursor de la página anterior
+   * @param {number} options.limit - Tamaño de página
+   * @returns {Promise<Object>} { data, nextCursor } con legacy_hash y missing_fast_hash por clave
    */
-  async getExpired() {
-    return db.query(
-      `SELECT id, created_at, public_key, display_secret_key, last_used_at, note, expires_at, project_id
-       FROM api_keys
-       WHERE expires_at IS NOT NULL AND expires_at < CURRENT_TIMESTAMP
-       ORDER BY expires_at ASC`
+  async getLegacy({ sort, cursor, limit = 20 } = {}) {
+    const params = [BCRYPT_HASH_PATTERN];
+    const conditions = ['(hashed_secret_key !~ $1 OR fast_hashed_secret_key IS NULL)'];
+    
+    const page = cursorPage({
+      sortable: {
+        created_at: { column: 'created_at', date: true }
+      },
+      sort,
+      defaultSort: 'created_at',
+      cursor,
+      limit
+    }, params);
+    
+    const apiKeys = await db.query(
+      `SELECT id, created_at, public_key, display_secret_key, last_used_at, note, expires_at, project_id,
+              hashed_secret_key !~ $1 AS legacy_hash,
+              fast_hashed_secret_key IS NULL AS missing_fast_hash
+       FROM api_keys${whereClause([...conditions, page.condition])}
+       ORDER BY ${page.orderBy}
+       LIMIT ${page.limit}`,
+      params
     );
+    
+    return page.toResult(apiKeys);
   }
 
   /**
@@ -297,76 +631,197 @@ class ApiKeysService {
    * @returns {Promise<number>} Número de API keys eliminadas
    */
   async cleanupExpired() {
-    const result = await db.query(
-      `DELETE FROM api_keys 
-       WHERE expires_at IS NOT NULL AND expires_at < CURRENT_TIMESTAMP
-       RETURNING id`
-    );
-    
-    const count = result.length;
-    if (count > 0) {
-      logger.info(`Eliminadas ${count} API keys expiradas`);
-    }
-    
-    return count;
+    return transaction(async (client) => {
+      const result = await client.query(
+        `DELETE FROM api_keys 
+         WHERE expires_at IS NOT NULL AND expires_at < CURRENT_TIMESTAMP
+         RETURNING id, project_id, created_at, public_key, display_secret_key, note, last_used_at, expires_at`
+      );
+      
+      for (const apiKey of result.rows) {
+        await auditLogsService.record(client, {
+          action: 'api_key.deleted',
+          resourceType: 'api_key',
+          resourceId: apiKey.id,
+          before: apiKey
+        });
+      }
+      
+      // Las claves secretas anteriores con el periodo de gracia vencido ya no se aceptan
+      await client.query(
+        'DELETE FROM api_key_previous_secrets WHERE expires_at <= CURRENT_TIMESTAMP'
+      );
+      
+      const count = result.rows.length;
+      if (count > 0) {
+        logger.info(`Eliminadas ${count} API keys expiradas`);
+      }
+      
+      return count;
+    });
   }
 
   /**
-   * Verifica una API key para autenticación
+   * Ejecuta una actualización de API key registrando el estado previo y posterior en auditoría
+   * @param {string} id - ID de la API key
+   * @param {string|Array<string>} action - Acción de auditoría (una entrada por acción)
+   * @param {Function} update - Función que recibe el cliente y devuelve la API key actualizada
+   * @returns {Promise<Object>} API key actualizada
+   * @private
+   */
+  async _updateWithAudit(id, action, update) {
+    return transaction(async (client) => {
+      const current = await client.query(
+        `SELECT id, project_id, created_at, public_key, display_secret_key, note, last_used_at, expires_at
+         FROM api_keys WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+      
+      if (current.rows.length === 0) {
+        throw new NotFoundError('apiKey');
+      }
+      
+      const updated = await update(client);
+      
+      for (const auditAction of [].concat(action)) {
+        await auditLogsService.record(client, {
+          action: auditAction,
+          resourceType: 'api_key',
+          resourceId: id,
+          before: current.rows[0],
+          after: { ...updated, project_id: current.rows[0].project_id }
+        });
+      }
+      
+      return updated;
+    });
+  }
+
+  /**
+   * Verifica unas credenciales de proyecto (clave pública y secreta)
+   * Es el único punto de verificación: lo usan el middleware de autenticación de proyectos
+   * y el endpoint POST /api/api-keys/verify
    * @param {string} publicKey - Clave pública
    * @param {string} secretKey - Clave secreta
-   * @returns {Promise<Object|null>} Proyecto asociado o null si las credenciales son inválidas
+   * @returns {Promise<Object>} Proyecto asociado con apiKeyId y usedSecret ('current' o 'previous')
+   * @throws {ApiKeyVerificationError} KEY_NOT_FOUND, SECRET_MISMATCH, KEY_EXPIRED o PROJECT_DELETED
    */
   async verify(publicKey, secretKey) {
-    if (!publicKey || !secretKey) {
-      return null;
-    }
-    
-    // Buscar la API key por su clave pública
-    const apiKey = await db.queryOne(
-      `SELECT project_id, hashed_secret_key, expires_at 
+    const apiKey = publicKey && await db.queryOne(
+      `SELECT id, project_id, hashed_secret_key, fast_hashed_secret_key, expires_at 
        FROM api_keys 
        WHERE public_key = $1`,
       [publicKey]
     );
     
     if (!apiKey) {
-      return null;
+      throw new ApiKeyVerificationError('KEY_NOT_FOUND', t('errors.apiKeys.keyNotFound'));
     }
     
-    // Verificar si la clave ha expirado
-    if (apiKey.expires_at && new Date(apiKey.expires_at) < new Date()) {
-      logger.warn(`Intento de uso de API key expirada: ${publicKey}`);
-      return null;
-    }
+    // La clave secreta se comprueba antes que la expiración para no revelar
+    // el estado de la clave a quien solo conoce la clave pública
+    const usedSecret = secretKey ? await this.matchSecret(apiKey, secretKey) : null;
     
-    // Verificar la clave secreta hasheada
-    const hashedSecret = hashSecretKey(secretKey);
+    if (!usedSecret) {
+      throw new ApiKeyVerificationError('SECRET_MISMATCH', t('errors.apiKeys.secretMismatch'));
+    }
     
-    if (hashedSecret !== apiKey.hashed_secret_key) {
-      return null;
+    if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+      logger.warn(`Intento de uso de API key expirada: ${apiKey.id}`);
+      throw new ApiKeyVerificationError('KEY_EXPIRED', t('errors.apiKeys.keyExpired'));
     }
     
-    // Buscar el proyecto
     const project = await db.queryOne(
       'SELECT id, org_id, name, deleted_at FROM projects WHERE id = $1',
       [apiKey.project_id]
     );
     
     if (!project || project.deleted_at) {
-      return null;
+      throw new ApiKeyVerificationError('PROJECT_DELETED', t('errors.apiKeys.projectDeleted'));
     }
     
     // Actualizar último uso de la API key
     await db.query(
-      'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE public_key = $1',
-      [publicKey]
+      'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [apiKey.id]
+    );
+    
+    // Retornar proyecto (sin deleted_at) indicando qué clave secreta se usó
+    return {
+      id: project.id,
+      org_id: project.org_id,
+      name: project.name,
+      apiKeyId: apiKey.id,
+      usedSecret
+    };
+  }
+
+  /**
+   * Comprueba una clave secreta contra la actual de la API key y las anteriores
+   * que siguen en periodo de gracia tras una rotación
+   * Como Langfuse, prueba primero fast_hashed_secret_key y después el hash bcrypt
+   * @param {Object} apiKey - API key ({ id, hashed_secret_key, fast_hashed_secret_key })
+   * @param {string} secretKey - Clave secreta recibida
+   * @returns {Promise<string|null>} 'current', 'previous' o null si no coincide
+   */
+  async matchSecret(apiKey, secretKey) {
+    const { salt } = config.apiKeys;
+    const fastHashedSecret = salt ? fastHashSecretKey(secretKey, salt) : null;
+    
+    if (fastHashedSecret && hashesMatch(fastHashedSecret, apiKey.fast_hashed_secret_key)) {
+      return 'current';
+    }
+    
+    if (await secretMatchesHash(secretKey, apiKey.hashed_secret_key)) {
+      await this.upgradeSecretHash(apiKey, secretKey, fastHashedSecret);
+      return 'current';
+    }
+    
+    const previousSecrets = await db.query(
+      `SELECT hashed_secret_key FROM api_key_previous_secrets
+       WHERE api_key_id = $1 AND expires_at > CURRENT_TIMESTAMP`,
+      [apiKey.id]
     );
     
-    // Retornar proyecto (sin deleted_at)
-    const { deleted_at, ...projectData } = project;
-    return projectData;
+    for (const previous of previousSecrets) {
+      if (await secretMatchesHash(secretKey, previous.hashed_secret_key)) {
+        logger.warn(`API key ${apiKey.id} usada con la clave secreta anterior (periodo de gracia)`);
+        return 'previous';
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Lleva al formato de Langfuse los hashes de una API key verificada: convierte el hash
+   * heredado a bcrypt y completa (o corrige si cambió SALT) fast_hashed_secret_key
+   * @param {Object} apiKey - API key ({ id, hashed_secret_key, fast_hashed_secret_key })
+   * @param {string} secretKey - Clave secreta ya verificada
+   * @param {string|null} fastHashedSecret - Hash rápido de la clave (null sin SALT)
+   */
+  async upgradeSecretHash(apiKey, secretKey, fastHashedSecret) {
+    const legacy = isLegacySecretHash(apiKey.hashed_secret_key);
+    
+    if (!legacy && (!fastHashedSecret || fastHashedSecret === apiKey.fast_hashed_secret_key)) {
+      return;
+    }
+    
+    const hashedSecretKey = legacy ? await hashSecretKey(secretKey) : apiKey.hashed_secret_key;
+    
+    // La condición sobre el hash actual evita pisar una rotación concurrente
+    await db.query(
+      `UPDATE api_keys
+       SET hashed_secret_key = $1,
+           fast_hashed_secret_key = COALESCE($2, fast_hashed_secret_key)
+       WHERE id = $3 AND hashed_secret_key = $4`,
+      [hashedSecretKey, fastHashedSecret, apiKey.id, apiKey.hashed_secret_key]
+    );
+    
+    if (legacy) {
+      logger.info(`API key ${apiKey.id} migrada al formato de hash de Langfuse`);
+    }
   }
 }
 
-module.exports = new ApiKeysService();
\ No newline at end of file
+module.exports = instrumentService(new ApiKeysService(), 'api-keys');
\ No newline at end of file
@@ -0,0 +1,507 @@
+'use strict';
+
+const { db, transaction } = require('./database.service');
+const organizationsService = require('./organizations.service');
+const projectsService = require('./projects.service');
+const projectMembershipsService = require('./project-memberships.service');
+const apiKeysService = require('./api-keys.service');
+const { ValidationError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
+const { createContextLogger } = require('../utils/logger');
+const { instrumentService } = require('../utils/tracing');
+
+// Logger contextual para este servicio
+const logger = createContextLogger('apply-service');
+
+// Condición para excluir organizaciones eliminadas (ver organizations.service)
+const NOT_DELETED_ORG = 'NOT EXISTS (SELECT 1 FROM deleted_organizations d WHERE d.org_id = o.id)';
+
+/**
+ * Etiqueta legible de un miembro del documento
+ * @param {Object} member - Miembro ({ email } o { userId })
+ * @returns {string}
+ */
+function memberLabel(member) {
+  return member.email || member.userId;
+}
+
+/**
+ * Servicio de aplicación declarativa de organizaciones, proyectos, miembros y API keys
+ * (ver utils/apply-document para el formato del documento)
+ *
+ * El plan es una lista ordenada de cambios; cada cambio lleva la operación de servicio que lo
+ * ejecuta. Al aplicar, el plan se recalcula y ejecuta dentro de una única transacción
+ */
+class ApplyService {
+  /**
+   * Calcula los cambios necesarios para llegar al estado del documento sin aplicarlos
+   * @param {Object} document - Documento validado
+   * @returns {Promise<Object>} { plan: true, changes, summary }
+   */
+  async plan(document) {
+    const changes = await this.buildChanges(document);
+
+    return {
+      plan: true,
+      changes: changes.map(change => change.item),
+      summary: this.summarize(changes)
+    };
+  }
+
+  /**
+   * Aplica el documento en una sola transacción
+   * Si algún cambio falla no se aplica ninguno
+   * @param {Object} document - Documento validado
+   * @returns {Promise<Object>} { plan: false, changes, summary, apiKeys } con las claves secretas creadas
+   */
+  async apply(document) {
+    return transaction(async () => {
+      const changes = await this.buildChanges(document);
+      const context = { apiKeys: [] };
+
+      for (const change of changes) {
+        if (change.execute) {
+          await change.execute(context);
+        }
+      }
+
+      const summary = this.summarize(changes);
+      logger.info(`Documento aplicado: ${summary.create} creaciones, ${summary.update} actualizaciones, ${summary.delete} eliminaciones`);
+
+      return {
+        plan: false,
+        changes: changes.map(change => change.item),
+        summary,
+        apiKeys: context.apiKeys
+      };
+    });
+  }
+
+  /**
+   * Cuenta los cambios por acción
+   * @param {Array} changes - Cambios del plan
+   * @returns {Object} { create, update, delete }
+   */
+  summarize(changes) {
+    const summary = { create: 0, update: 0, delete: 0 };
+
+    for (const { item } of changes) {
+      summary[item.action]++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Resuelve los usuarios del documento por email o ID
+   * @param {Object} document - Documento validado
+   * @returns {Promise<Function>} Función que devuelve el usuario ({ id, email }) de un miembro del documento
+   */
+  async resolveUsers(document) {
+    const members = document.organizations.flatMap(org => [
+      ...(org.members || []),
+      ...(org.projects || []).flatMap(project => project.members || [])
+    ]);
+
+    const emails = [...new Set(members.filter(m => m.email).map(m => m.email.toLowerCase()))];
+    const userIds = [...new Set(members.filter(m => m.userId).map(m => m.userId))];
+
+    const users = await db.query(
+      'SELECT id, email FROM users WHERE lower(email) = ANY($1) OR id = ANY($2)',
+      [emails, userIds]
+    );
+
+    const byEmail = new Map(users.filter(u => u.email).map(u => [u.email.toLowerCase(), u]));
+    const byId = new Map(users.map(u => [u.id, u]));
+
+    const unknown = [
+      ...emails.filter(email => !byEmail.has(email)),
+      ...userIds.filter(id => !byId.has(id))
+    ];
+
+    if (unknown.length > 0) {
+      throw new ValidationError(t('errors.apply.usersNotFound'), { users: unknown });
+    }
+
+    return (member) => (member.email ? byEmail.get(member.email.toLowerCase()) : byId.get(member.userId));
+  }
+
+  /**
+   * Carga el estado actual de una organización del documento
+   * @param {Object} orgDoc - Organización del documento
+   * @returns {Promise<Object|null>} { id, name, members, projects, projectMembers, apiKeys } o null si no existe
+   */
+  async loadOrganization(orgDoc) {
+    const matches = orgDoc.id
+      ? await db.query(`SELECT id, name FROM organizations o WHERE id = $1 AND ${NOT_DELETED_ORG}`, [orgDoc.id])
+      : await db.query(`SELECT id, name FROM organizations o WHERE name = $1 AND ${NOT_DELETED_ORG}`, [orgDoc.name.trim()]);
+
+    if (orgDoc.id && matches.length === 0) {
+      throw new ValidationError(t('errors.apply.organizationNotFound'), { organization: orgDoc.id });
+    }
+
+    if (matches.length > 1) {
+      throw new ValidationError(t('errors.apply.ambiguousOrganization'), { organization: orgDoc.name });
+    }
+
+    if (matches.length === 0) {
+      return null;
+    }
+
+    const org = matches[0];
+
+    const [members, projects, projectMembers, apiKeys] = await Promise.all([
+      db.query(
+        `SELECT om.user_id, om.role, u.email
+         FROM organization_memberships om JOIN users u ON u.id = om.user_id
+         WHERE om.org_id = $1`,
+        [org.id]
+      ),
+      db.query(
+        'SELECT id, name FROM projects WHERE org_id = $1 AND deleted_at IS NULL ORDER BY created_at, id',
+        [org.id]
+      ),
+      db.query(
+        `SELECT pm.project_id, pm.user_id, pm.role, u.email
+         FROM project_memberships pm
+         JOIN projects p ON p.id = pm.project_id
+         JOIN users u ON u.id = pm.user_id
+         WHERE p.org_id = $1 AND p.deleted_at IS NULL`,
+        [org.id]
+      ),
+      db.query(
+        `SELECT ak.id, ak.project_id, ak.note
+         FROM api_keys ak JOIN projects p ON p.id = ak.project_id
+         WHERE p.org_id = $1 AND p.deleted_at IS NULL
+         ORDER BY ak.created_at, ak.id`,
+        [org.id]
+      )
+    ]);
+
+    return { ...org, members, projects, projectMembers, apiKeys };
+  }
+
+  /**
+   * Calcula la lista ordenada de cambios: altas y modificaciones primero (organizaciones,
+   * miembros, proyectos, miembros de proyecto, API keys) y después las eliminaciones
+   * @param {Object} document - Documento validado
+   * @returns {Promise<Array>} Cambios ({ item, execute })
+   */
+  async buildChanges(document) {
+    const userOf = await this.resolveUsers(document);
+    const phases = {
+      organizations: [],
+      orgMembers: [],
+      projects: [],
+      projectMembers: [],
+      apiKeys: [],
+      apiKeyDeletes: [],
+      projectMemberDeletes: [],
+      projectDeletes: [],
+      orgMemberDeletes: []
+    };
+
+    for (const orgDoc of document.organizations) {
+      const current = await this.loadOrganization(orgDoc);
+      this.planOrganization(orgDoc, current, userOf, phases);
+    }
+
+    return Object.values(phases).flat();
+  }
+
+  /**
+   * Añade al plan los cambios de una organización y de sus miembros y proyectos
+   * @param {Object} orgDoc - Organización del documento
+   * @param {Object|null} current - Estado actual (null si hay que crearla)
+   * @param {Function} userOf - Resolutor de usuarios
+   * @param {Object} phases - Cambios agrupados por fase
+   */
+  planOrganization(orgDoc, current, userOf, phases) {
+    const name = orgDoc.name.trim();
+    const org = { id: current ? current.id : null, name };
+    const label = { organization: name };
+
+    const members = orgDoc.members && orgDoc.members.map(member => ({ ...member, user: userOf(member) }));
+
+    if (members) {
+      this.checkDuplicateUsers(members, name);
+
+      if (!members.some(member => member.role === 'OWNER')) {
+        throw new ValidationError(t('errors.apply.ownerRequired'), label);
+      }
+    }
+
+    // Organización
+    let owner = null;
+
+    if (!current) {
+      if (!members) {
+        throw new ValidationError(t('errors.apply.membersRequired'), label);
+      }
+
+      owner = members.find(member => member.role === 'OWNER');
+      const item = { action: 'create', resource: 'organization', ...label, owner: memberLabel(owner) };
+
+      phases.organizations.push({
+        item,
+        execute: async () => {
+          const created = await organizationsService.create({ name, userId: owner.user.id });
+          org.id = created.id;
+          item.id = created.id;
+        }
+      });
+    } else if (current.name !== name) {
+      phases.organizations.push({
+        item: { action: 'update', resource: 'organization', id: org.id, ...label, changes: { name: { from: current.name, to: name } } },
+        execute: () => organizationsService.update(org.id, { name })
+      });
+    }
+
+    // Miembros de la organización
+    const currentMembers = new Map((current ? current.members : []).map(m => [m.user_id, m]));
+
+    if (members) {
+      const updates = [];
+
+      for (const member of members) {
+        const existing = currentMembers.get(member.user.id);
+        const target = { ...label, user: memberLabel(member), userId: member.user.id };
+
+        if (member === owner) {
+          // El propietario se añade al crear la organización
+          phases.orgMembers.push({ item: { action: 'create', resource: 'org_member', ...target, role: 'OWNER', implicit: true } });
+        } else if (!existing) {
+          phases.orgMembers.push({
+            item: { action: 'create', resource: 'org_member', ...target, role: member.role },
+            execute: () => organizationsService.addMember(org.id, member.user.id, member.role)
+          });
+        } else if (existing.role !== member.role) {
+          updates.push({
+            item: { action: 'update', resource: 'org_member', ...target, changes: { role: { from: existing.role, to: member.role } } },
+            execute: () => organizationsService.updateMember(org.id, member.user.id, member.role)
+          });
+        }
+      }
+
+      // Los ascensos a OWNER van antes para no dejar la organización sin propietario
+      updates.sort((a, b) => (b.item.changes.role.to === 'OWNER') - (a.item.changes.role.to === 'OWNER'));
+      phases.orgMembers.push(...updates);
+
+      const declared = new Set(members.map(member => member.user.id));
+
+      for (const existing of currentMembers.values()) {
+        if (!declared.has(existing.user_id)) {
+          phases.orgMemberDeletes.push({
+            item: { action: 'delete', resource: 'org_member', ...label, user: existing.email || existing.user_id, userId: existing.user_id, role: existing.role },
+            execute: () => organizationsService.removeMember(org.id, existing.user_id)
+          });
+        }
+      }
+    }
+
+    // Usuarios que serán miembros de la organización al terminar
+    const orgUserIds = new Set(members ? members.map(member => member.user.id) : currentMembers.keys());
+
+    // Proyectos
+    if (orgDoc.projects) {
+      const currentProjects = current ? current.projects : [];
+      const matched = new Set();
+
+      for (const projectDoc of orgDoc.projects) {
+        const projectName = projectDoc.name.trim();
+        let existing;
+
+        if (projectDoc.id) {
+          existing = currentProjects.find(project => project.id === projectDoc.id);
+
+          if (!existing) {
+            throw new ValidationError(t('errors.apply.projectNotFound'), { ...label, project: projectDoc.id });
+          }
+        } else {
+          const byName = currentProjects.filter(project => project.name === projectName);
+
+          if (byName.length > 1) {
+            throw new ValidationError(t('errors.apply.ambiguousProject'), { ...label, project: projectName });
+          }
+
+          existing = byName[0];
+        }
+
+        if (existing) {
+          matched.add(existing.id);
+        }
+
+        this.planProject(projectDoc, existing, { org, current, userOf, orgUserIds, membersDeclared: !!members }, phases);
+      }
+
+      for (const project of currentProjects) {
+        if (!matched.has(project.id)) {
+          phases.projectDeletes.push({
+            item: { action: 'delete', resource: 'project', id: project.id, ...label, project: project.name },
+            execute: () => projectsService.delete(project.id)
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Añade al plan los cambios de un proyecto, sus miembros y sus API keys
+   * @param {Object} projectDoc - Proyecto del documento
+   * @param {Object|undefined} existing - Proyecto actual (undefined si hay que crearlo)
+   * @param {Object} scope - Organización ({ org, current, userOf, orgUserIds, membersDeclared })
+   * @param {Object} phases - Cambios agrupados por fase
+   */
+  planProject(projectDoc, existing, { org, current, userOf, orgUserIds, membersDeclared }, phases) {
+    const name = projectDoc.name.trim();
+    const project = { id: existing ? existing.id : null, name, initialKey: null };
+    const label = { organization: org.name, project: name };
+
+    if (!existing) {
+      const item = { action: 'create', resource: 'project', ...label };
+
+      phases.projects.push({
+        item,
+        execute: async (context) => {
+          const created = await projectsService.create({ name, orgId: org.id });
+          const initialKey = await db.queryOne('SELECT id, note FROM api_keys WHERE public_key = $1', [created.apiKeys.publicKey]);
+
+          project.id = created.id;
+          project.initialKey = { id: initialKey.id, publicKey: created.apiKeys.publicKey, secretKey: created.apiKeys.secretKey };
+          item.id = created.id;
+
+          // Sin lista de API keys, la clave inicial no se gestiona: se devuelve tal cual
+          if (!projectDoc.apiKeys) {
+            context.apiKeys.push({ ...label, note: null, id: initialKey.id, publicKey: created.apiKeys.publicKey, secretKey: created.apiKeys.secretKey });
+          }
+        }
+      });
+    } else if (existing.name !== name) {
+      phases.projects.push({
+        item: { action: 'update', resource: 'project', id: project.id, ...label, changes: { name: { from: existing.name, to: name } } },
+        execute: () => projectsService.update(project.id, { name })
+      });
+    }
+
+    // Miembros del proyecto
+    if (projectDoc.members) {
+      const members = projectDoc.members.map(member => ({ ...member, user: userOf(member) }));
+      this.checkDuplicateUsers(members, `${org.name}/${name}`);
+
+      const currentMembers = new Map(
+        (existing ? current.projectMembers.filter(m => m.project_id === existing.id) : []).map(m => [m.user_id, m])
+      );
+
+      for (const member of members) {
+        const target = { ...label, user: memberLabel(member), userId: member.user.id };
+        const membership = currentMembers.get(member.user.id);
+
+        if (!orgUserIds.has(member.user.id)) {
+          if (membersDeclared) {
+            throw new ValidationError(t('errors.apply.projectMemberOutsideOrg'), target);
+          }
+
+          // El servicio de proyectos añade al usuario a la organización con rol VIEWER
+          phases.projectMembers.push({ item: { action: 'create', resource: 'org_member', organization: org.name, user: target.user, userId: target.userId, role: 'VIEWER', implicit: true } });
+          orgUserIds.add(member.user.id);
+        }
+
+        if (!membership) {
+          phases.projectMembers.push({
+            item: { action: 'create', resource: 'project_member', ...target, role: member.role },
+            execute: () => projectMembershipsService.addMember(project.id, member.user.id, member.role)
+          });
+        } else if (membership.role !== member.role) {
+          phases.projectMembers.push({
+            item: { action: 'update', resource: 'project_member', ...target, changes: { role: { from: membership.role, to: member.role } } },
+            execute: () => projectMembershipsService.updateMember(project.id, member.user.id, member.role)
+          });
+        }
+      }
+
+      const declared = new Set(members.map(member => member.user.id));
+
+      for (const membership of currentMembers.values()) {
+        if (declared.has(membership.user_id)) {
+          continue;
+        }
+
+        const item = { action: 'delete', resource: 'project_member', ...label, user: membership.email || membership.user_id, userId: membership.user_id, role: membership.role };
+
+        // Si el usuario sale de la organización, la membresía se elimina con la de organización
+        phases.projectMemberDeletes.push(orgUserIds.has(membership.user_id)
+          ? { item, execute: () => projectMembershipsService.removeMember(project.id, membership.user_id) }
+          : { item: { ...item, implicit: true } });
+      }
+    }
+
+    // API keys (identificadas por su nota)
+    if (projectDoc.apiKeys) {
+      const notes = projectDoc.apiKeys.map(apiKey => apiKey.note.trim());
+      const currentKeys = existing ? current.apiKeys.filter(apiKey => apiKey.project_id === existing.id) : [];
+      const currentNotes = new Set(currentKeys.map(apiKey => apiKey.note));
+
+      for (const note of notes.filter(item => !currentNotes.has(item))) {
+        const item = { action: 'create', resource: 'api_key', ...label, note };
+
+        phases.apiKeys.push({
+          item,
+          execute: async (context) => {
+            let created;
+
+            // En un proyecto nuevo, la clave creada con el proyecto recibe la primera nota
+            if (project.initialKey) {
+              const { id, publicKey, secretKey } = project.initialKey;
+              project.initialKey = null;
+              await apiKeysService.updateNote(id, note);
+              created = { id, publicKey, secretKey };
+            } else {
+              const apiKey = await apiKeysService.create(project.id, { note });
+              created = { id: apiKey.id, publicKey: apiKey.public_key, secretKey: apiKey.secretKey };
+            }
+
+            item.id = created.id;
+            context.apiKeys.push({ ...label, note, ...created });
+          }
+        });
+      }
+
+      for (const apiKey of currentKeys.filter(key => !notes.includes(key.note))) {
+        phases.apiKeyDeletes.push({
+          item: { action: 'delete', resource: 'api_key', id: apiKey.id, ...label, note: apiKey.note },
+          execute: () => apiKeysService.delete(apiKey.id)
+        });
+      }
+
+      // Proyecto nuevo con lista vacía: sobra la clave creada con el proyecto
+      if (!existing && notes.length === 0) {
+        phases.apiKeyDeletes.push({
+          item: { action: 'delete', resource: 'api_key', ...label, note: null, initialKey: true },
+          execute: async () => {
+            await apiKeysService.delete(project.initialKey.id);
+            project.initialKey = null;
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Comprueba que un mismo usuario no aparece dos veces (por email y por ID)
+   * @param {Array} members - Miembros resueltos
+   * @param {string} scope - Organización o proyecto para el mensaje de error
+   */
+  checkDuplicateUsers(members, scope) {
+    const seen = new Set();
+
+    for (const member of members) {
+      if (seen.has(member.user.id)) {
+        throw new ValidationError(t('errors.apply.duplicateMember'), { scope, user: memberLabel(member) });
+      }
+
+      seen.add(member.user.id);
+    }
+  }
+}
+
+module.exports = instrumentService(new ApplyService(), 'apply');
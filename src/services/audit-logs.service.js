@@ -0,0 +1,144 @@
+'use strict';
+
+const { db } = require('./database.service');
+const { generateId } = require('../utils/id-generator');
+const { getContext } = require('../utils/request-context');
+const { cursorPage, whereClause, dateRange } = require('../utils/pagination');
+const { createContextLogger } = require('../utils/logger');
+const { instrumentService } = require('../utils/tracing');
+const webhookDeliveriesService = require('./webhook-deliveries.service');
+
+// Logger contextual para este servicio
+const logger = createContextLogger('audit-logs-service');
+
+/**
+ * Servicio para el registro de auditoría de operaciones administrativas
+ */
+class AuditLogsService {
+  /**
+   * Registra una operación en el log de auditoría
+   * Debe llamarse con el cliente de la transacción que realiza el cambio,
+   * de forma que el registro se confirme o se descarte junto con él.
+   * Cada operación auditada se encola además como evento para los webhooks suscritos
+   * @param {Object} client - Cliente de la transacción en curso
+   * @param {Object} entry - Datos de la operación
+   * @param {string} entry.action - Acción realizada (p. ej. project.created)
+   * @param {string} entry.resourceType - Tipo de recurso afectado
+   * @param {string} entry.resourceId - ID del recurso afectado
+   * @param {Object|null} entry.before - Estado previo del recurso
+   * @param {Object|null} entry.after - Estado posterior del recurso
+   * @returns {Promise<Object>} Registro de auditoría creado
+   */
+  async record(client, entry) {
+    const [auditLog] = await this.recordMany(client, [entry]);
+    return auditLog;
+  }
+
+  /**
+   * Registra varias operaciones en el log de auditoría con un solo INSERT
+   * y encola sus eventos con otro (ver record). Pensado para las operaciones por lotes
+   * @param {Object} client - Cliente de la transacción en curso
+   * @param {Array<Object>} entries - Operaciones, con los mismos datos que en record
+   * @returns {Promise<Array<Object>>} Registros de auditoría creados
+   */
+  async recordMany(client, entries) {
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const { actor, requestId, ip } = getContext();
+    const column = (pick) => entries.map(pick);
+    const json = (value) => (value ? JSON.stringify(value) : null);
+
+    // Un array por columna (unnest): el número de parámetros no depende del número de registros
+    const result = await client.query(
+      `INSERT INTO admin_audit_logs (
+        id, action, resource_type, resource_id, actor_id, actor_type,
+        before, after, request_id, ip, created_at
+      )
+      SELECT entry.id, entry.action, entry.resource_type, entry.resource_id, $7, $8,
+        entry.before, entry.after, $9, $10, CURRENT_TIMESTAMP
+      FROM unnest($1::text[], $2::text[], $3::text[], $4::text[], $5::jsonb[], $6::jsonb[])
+        AS entry(id, action, resource_type, resource_id, before, after)
+      RETURNING *`,
+      [
+        column(() => generateId('aud')),
+        column(entry => entry.action),
+        column(entry => entry.resourceType),
+        column(entry => entry.resourceId),
+        column(entry => json(entry.before)),
+        column(entry => json(entry.after)),
+        actor ? actor.id : null,
+        actor ? actor.type : null,
+        requestId || null,
+        ip || null
+      ]
+    );
+
+    await webhookDeliveriesService.enqueueMany(client, entries);
+
+    logger.debug(`Auditoría registrada: ${entries.length} operaciones`);
+    return result.rows;
+  }
+
+  /**
+   * Obtiene los registros de auditoría con filtros, paginados por cursor
+   * @param {Object} options - Opciones de filtrado y paginación
+   * @param {string} options.resourceType - Tipo de recurso
+   * @param {string} options.resourceId - ID del recurso
+   * @param {string} options.actorId - ID del actor
+   * @param {string} options.action - Acción realizada
+   * @param {Date|string} options.from - Fecha inicial (inclusive)
+   * @param {Date|string} options.to - Fecha final (inclusive)
+   * @param {string} options.sort - Ordenación (created_at; prefijo - para descendente)
+   * @param {string} options.cursor - Cursor de la página anterior
+   * @param {number} options.limit - Tamaño de página
+   * @returns {Promise<Object>} { data, nextCursor }
+   */
+  async getAll({ resourceType, resourceId, actorId, action, from, to, sort, cursor, limit = 20 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    // Construir filtros dinámicamente según los parámetros proporcionados
+    if (resourceType) {
+      params.push(resourceType);
+      conditions.push(`resource_type = $${params.length}`);
+    }
+
+    if (resourceId) {
+      params.push(resourceId);
+      conditions.push(`resource_id = $${params.length}`);
+    }
+
+    if (actorId) {
+      params.push(actorId);
+      conditions.push(`actor_id = $${params.length}`);
+    }
+
+    if (action) {
+      params.push(action);
+      conditions.push(`action = $${params.length}`);
+    }
+
+    conditions.push(...dateRange('created_at', from, to, params));
+
+    const page = cursorPage({
+      sortable: { created_at: { column: 'created_at', date: true } },
+      sort,
+      defaultSort: '-created_at',
+      cursor,
+      limit
+    }, params);
+
+    const auditLogs = await db.query(
+      `SELECT * FROM admin_audit_logs${whereClause([...conditions, page.condition])}
+       ORDER BY ${page.orderBy}
+       LIMIT ${page.limit}`,
+      params
+    );
+
+    return page.toResult(auditLogs);
+  }
+}
+
+module.exports = instrumentService(new AuditLogsService(), 'audit-logs');
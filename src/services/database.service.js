@@ -1,9 +1,16 @@
 'use strict';
 
+const { AsyncLocalStorage } = require('async_hooks');
 const { Pool } = require('pg');
 const config = require('../config');
-const { DatabaseError } = require('../utils/errors');
+const { AppError, DatabaseError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
 const { logger } = require('../utils/logger');
+const { observeDbQuery, sqlOperation } = require('../utils/metrics');
+const { withSpan, currentTraceId, SpanKind } = require('../utils/tracing');
+
+// Cliente de la transacción en curso: las consultas y transacciones anidadas lo reutilizan
+const transactionStorage = new AsyncLocalStorage();
 
 /**
  * Abstracción de la base de datos para centralizar manejo de conexiones y queries
@@ -65,17 +72,8 @@ class DatabaseService {
    */
   async query(text, params = []) {
     try {
-      const start = Date.now();
-      const result = await this.pool.query(text, params);
-      const duration = Date.now() - start;
-      
-      // Loguear consultas lentas
-      if (duration > 500) {
-        logger.warn(`Consulta lenta (${duration}ms): ${text}`);
-      } else {
-        logger.debug(`Consulta ejecutada (${duration}ms): ${text}`);
-      }
-      
+      // Dentro de una transacción la consulta ve sus cambios aún no confirmados
+      const result = await this._tracedQuery(transactionStorage.getStore() || this.pool, text, params);
       return result.rows;
     } catch (error) {
       logger.error('Error en consulta:', {
@@ -86,10 +84,54 @@ class DatabaseService {
         code: error.code
       });
       
-      throw new DatabaseError('Error al ejecutar consulta', { cause: error });
+      throw new DatabaseError(t('errors.database.query'), { cause: error });
     }
   }
 
+  /**
+   * Ejecuta una consulta en el pool o en un cliente con su span, métricas y log de consultas lentas
+   * Los errores de pg se propagan sin envolver
+   * @param {Object} executor - Pool o cliente de la transacción
+   * @param {string} text - Consulta SQL
+   * @param {Array} params - Parámetros para consulta
+   * @returns {Promise<Object>} - Resultado de pg
+   * @private
+   */
+  async _tracedQuery(executor, text, params = []) {
+    const operation = sqlOperation(text);
+    const attributes = {
+      'db.system': 'postgresql',
+      'db.name': config.db.database,
+      'db.operation': operation,
+      'db.statement': text
+    };
+    
+    return withSpan(`pg.${operation}`, { kind: SpanKind.CLIENT, attributes }, async (span) => {
+      const start = Date.now();
+      let result;
+      
+      try {
+        result = await executor.query(text, params);
+      } catch (error) {
+        observeDbQuery(text, Date.now() - start, true);
+        throw error;
+      }
+      
+      const duration = Date.now() - start;
+      observeDbQuery(text, duration);
+      
+      // Loguear consultas lentas (con la traza para ver en qué solicitud y servicio ocurrieron)
+      if (duration > 500) {
+        span.setAttribute('db.slow_query', true);
+        logger.warn(`Consulta lenta (${duration}ms): ${text}`, { traceId: currentTraceId() });
+      } else {
+        logger.debug(`Consulta ejecutada (${duration}ms): ${text}`);
+      }
+      
+      return result;
+    });
+  }
+
   /**
    * Ejecuta una consulta y devuelve un solo registro
    * @param {string} text - Consulta SQL
@@ -103,28 +145,56 @@ class DatabaseService {
 
   /**
    * Ejecuta una transacción con múltiples consultas
+   * Si ya hay una transacción en curso, el callback se ejecuta dentro de ella: así varias
+   * operaciones de los servicios se pueden agrupar en una sola transacción (ver apply.service)
    * @param {Function} callback - Función que recibe cliente y ejecuta consultas
    * @returns {Promise<any>} - Resultado del callback
    */
   async transaction(callback) {
-    const client = await this.pool.connect();
+    const current = transactionStorage.getStore();
     
-    try {
-      await client.query('BEGIN');
-      const result = await callback(client);
-      await client.query('COMMIT');
-      return result;
-    } catch (error) {
-      await client.query('ROLLBACK');
-      logger.error('Error en transacción:', {
-        error: error.message,
-        stack: error.stack,
-        code: error.code
-      });
-      throw new DatabaseError('Error al ejecutar transacción', { cause: error });
-    } finally {
-      client.release();
+    if (current) {
+      return callback(this._tracedClient(current));
     }
+    
+    return withSpan('pg.transaction', { kind: SpanKind.CLIENT, attributes: { 'db.system': 'postgresql' } }, async () => {
+      const client = await this.pool.connect();
+      
+      try {
+        await client.query('BEGIN');
+        const result = await transactionStorage.run(client, () => callback(this._tracedClient(client)));
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        
+        // Los errores de la aplicación (validación, no encontrado, conflicto...) se propagan tal cual
+        if (error instanceof AppError) {
+          throw error;
+        }
+        
+        logger.error('Error en transacción:', {
+          error: error.message,
+          stack: error.stack,
+          code: error.code
+        });
+        throw new DatabaseError(t('errors.database.transaction'), { cause: error });
+      } finally {
+        client.release();
+      }
+    });
+  }
+
+  /**
+   * Cliente de transacción cuyas consultas generan span y métricas como las de query()
+   * @param {Object} client - Cliente de pg
+   * @returns {Object} - Objeto con query()
+   * @private
+   */
+  _tracedClient(client) {
+    return {
+      query: (text, params) => this._tracedQuery(client, text, params)
+    };
   }
 
   /**
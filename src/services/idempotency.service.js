@@ -0,0 +1,255 @@
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../config');
+const { db } = require('./database.service');
+const { BusinessLogicError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
+const { createContextLogger } = require('../utils/logger');
+const { instrumentService } = require('../utils/tracing');
+
+// Logger contextual para este servicio
+const logger = createContextLogger('idempotency-service');
+
+// Cifrado de las respuestas guardadas
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Servicio de claves de idempotencia (cabecera Idempotency-Key)
+ * La primera solicitud con una clave la reserva; al terminar se guarda su respuesta
+ * y los reintentos con la misma clave la reciben de nuevo en lugar de repetir la operación
+ */
+class IdempotencyService {
+  constructor() {
+    this.purgeTimer = null;
+    this.purging = false;
+  }
+
+  /**
+   * Reserva una clave o devuelve la respuesta guardada si ya se usó
+   * @param {Object} request - Datos de la solicitud
+   * @param {string} request.scope - Ámbito de la clave (el token que hace la solicitud)
+   * @param {string} request.key - Valor de la cabecera Idempotency-Key
+   * @param {string} request.method - Método HTTP
+   * @param {string} request.path - Ruta con la query
+   * @param {string} request.fingerprint - Huella del cuerpo de la solicitud
+   * @param {string} request.secret - Credencial del cliente, de la que se deriva la clave de cifrado de la respuesta
+   * @returns {Promise<Object>} { reservation } si la clave es nueva; si no, { statusCode, body } con la respuesta guardada
+   * @throws {BusinessLogicError} 422 si la clave se usó con otra solicitud, 409 si la original sigue en curso
+   */
+  async begin({ scope, key, method, path, fingerprint, secret }) {
+    // La clave se puede reutilizar si venció o si su reserva dejó de renovarse (por ejemplo,
+    // porque el proceso se detuvo). El resto de la tabla lo limpia purgeExpired
+    await db.query(
+      `DELETE FROM admin_idempotency_keys
+       WHERE scope = $1 AND key = $2
+         AND (expires_at <= CURRENT_TIMESTAMP OR (status_code IS NULL AND locked_until <= CURRENT_TIMESTAMP))`,
+      [scope, key]
+    );
+
+    const reservation = crypto.randomUUID();
+    const inserted = await db.query(
+      `INSERT INTO admin_idempotency_keys (scope, key, method, path, fingerprint, reservation, locked_until, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6,
+               CURRENT_TIMESTAMP + ($7 * INTERVAL '1 second'),
+               CURRENT_TIMESTAMP + ($8 * INTERVAL '1 hour'))
+       ON CONFLICT (scope, key) DO NOTHING
+       RETURNING key`,
+      [scope, key, method, path, fingerprint, reservation, config.idempotency.lockTimeoutSeconds, config.idempotency.ttlHours]
+    );
+
+    if (inserted.length > 0) {
+      return { reservation };
+    }
+
+    const record = await db.queryOne(
+      `SELECT method, path, fingerprint, status_code, response_body
+       FROM admin_idempotency_keys
+       WHERE scope = $1 AND key = $2`,
+      [scope, key]
+    );
+
+    if (record && (record.method !== method || record.path !== path || record.fingerprint !== fingerprint)) {
+      throw new BusinessLogicError(t('errors.idempotency.keyMismatch'), {
+        status: 422,
+        code: 'IDEMPOTENCY_KEY_MISMATCH'
+      });
+    }
+
+    // Sin registro: otra solicitud la liberó entre la inserción y la lectura
+    if (!record || record.status_code === null) {
+      throw new BusinessLogicError(t('errors.idempotency.keyInUse'), {
+        status: 409,
+        code: 'IDEMPOTENCY_KEY_IN_USE'
+      });
+    }
+
+    logger.debug(`Respuesta repetida para la clave de idempotencia: ${key}`);
+    return {
+      statusCode: record.status_code,
+      body: this._open(record.response_body, this._cipherKey(secret, scope, key))
+    };
+  }
+
+  /**
+   * Guarda cifrada la respuesta de la solicitud que reservó la clave
+   * Si la reserva venció y la tomó otra solicitud, la respuesta no se guarda
+   * @param {Object} reserved - Reserva de la clave
+   * @param {string} reserved.scope - Ámbito de la clave
+   * @param {string} reserved.key - Clave de idempotencia
+   * @param {string} reserved.reservation - Identificador devuelto por begin
+   * @param {string} reserved.secret - Credencial del cliente
+   * @param {number} statusCode - Código de estado de la respuesta
+   * @param {any} body - Cuerpo JSON de la respuesta
+   */
+  async complete({ scope, key, reservation, secret }, statusCode, body) {
+    const sealed = this._seal(body === undefined ? null : body, this._cipherKey(secret, scope, key));
+
+    await db.query(
+      `UPDATE admin_idempotency_keys
+       SET status_code = $4, response_body = $5::jsonb
+       WHERE scope = $1 AND key = $2 AND reservation = $3 AND status_code IS NULL`,
+      [scope, key, reservation, statusCode, JSON.stringify(sealed)]
+    );
+  }
+
+  /**
+   * Renueva la reserva de una solicitud que sigue en curso
+   * @param {Object} reserved - Reserva de la clave ({ scope, key, reservation })
+   */
+  async refresh({ scope, key, reservation }) {
+    await db.query(
+      `UPDATE admin_idempotency_keys
+       SET locked_until = CURRENT_TIMESTAMP + ($4 * INTERVAL '1 second')
+       WHERE scope = $1 AND key = $2 AND reservation = $3 AND status_code IS NULL`,
+      [scope, key, reservation, config.idempotency.lockTimeoutSeconds]
+    );
+  }
+
+  /**
+   * Libera una clave reservada cuya solicitud no terminó, para que se pueda reintentar
+   * @param {Object} reserved - Reserva de la clave ({ scope, key, reservation })
+   */
+  async release({ scope, key, reservation }) {
+    await db.query(
+      `DELETE FROM admin_idempotency_keys
+       WHERE scope = $1 AND key = $2 AND reservation = $3 AND status_code IS NULL`,
+      [scope, key, reservation]
+    );
+  }
+
+  /**
+   * Elimina las claves vencidas y las reservas que dejaron de renovarse
+   * @returns {Promise<number>} Número de claves eliminadas
+   */
+  async purgeExpired() {
+    const deleted = await db.query(
+      `DELETE FROM admin_idempotency_keys
+       WHERE expires_at <= CURRENT_TIMESTAMP OR (status_code IS NULL AND locked_until <= CURRENT_TIMESTAMP)
+       RETURNING key`
+    );
+
+    if (deleted.length > 0) {
+      logger.debug(`${deleted.length} claves de idempotencia vencidas eliminadas`);
+    }
+
+    return deleted.length;
+  }
+
+  /**
+   * Inicia la limpieza periódica de las claves vencidas
+   */
+  startPurge() {
+    if (this.purgeTimer) {
+      return;
+    }
+
+    this.purgeTimer = setInterval(async () => {
+      // Evitar solapar ciclos si el anterior sigue en curso
+      if (this.purging) {
+        return;
+      }
+
+      this.purging = true;
+      try {
+        await this.purgeExpired();
+      } catch (error) {
+        logger.error('Error al eliminar las claves de idempotencia vencidas:', error);
+      } finally {
+        this.purging = false;
+      }
+    }, config.idempotency.purgeIntervalMs);
+
+    this.purgeTimer.unref();
+  }
+
+  /**
+   * Detiene la limpieza periódica de las claves vencidas
+   */
+  stopPurge() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+  }
+
+  /**
+   * Deriva la clave de cifrado de una respuesta a partir de la credencial del cliente
+   * La base de datos solo guarda el hash de la credencial, así que sin ella las respuestas
+   * guardadas (que incluyen las claves secretas recién creadas) no se pueden leer
+   * @param {string} secret - Credencial del cliente
+   * @param {string} scope - Ámbito de la clave
+   * @param {string} key - Clave de idempotencia
+   * @returns {Buffer}
+   * @private
+   */
+  _cipherKey(secret, scope, key) {
+    return Buffer.from(crypto.hkdfSync('sha256', secret, `${scope}:${key}`, 'admin-idempotency-response', 32));
+  }
+
+  /**
+   * Cifra el cuerpo de una respuesta
+   * @param {any} body - Cuerpo JSON de la respuesta
+   * @param {Buffer} cipherKey - Clave de cifrado
+   * @returns {Object} { iv, tag, data } en base64
+   * @private
+   */
+  _seal(body, cipherKey) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, cipherKey, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(body), 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * Descifra el cuerpo de una respuesta guardada
+   * @param {Object} sealed - Respuesta cifrada ({ iv, tag, data })
+   * @param {Buffer} cipherKey - Clave de cifrado
+   * @returns {any} Cuerpo JSON de la respuesta
+   * @throws {BusinessLogicError} 422 si no se puede descifrar con la credencial de la solicitud
+   * @private
+   */
+  _open(sealed, cipherKey) {
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, cipherKey, Buffer.from(sealed.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+      const data = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+      return JSON.parse(data.toString('utf8'));
+    } catch (error) {
+      logger.warn('No se pudo descifrar la respuesta guardada de una clave de idempotencia', {
+        error: error.message
+      });
+      throw new BusinessLogicError(t('errors.idempotency.keyMismatch'), {
+        status: 422,
+        code: 'IDEMPOTENCY_KEY_MISMATCH'
+      });
+    }
+  }
+}
+
+module.exports = instrumentService(new IdempotencyService(), 'idempotency');
@@ -0,0 +1,118 @@
+'use strict';
+
+const config = require('../config');
+const { db } = require('./database.service');
+const { client, registry } = require('../utils/metrics');
+const { createContextLogger } = require('../utils/logger');
+
+// Logger contextual para este servicio
+const logger = createContextLogger('metrics-service');
+
+/**
+ * Servicio de métricas Prometheus
+ * Registra las métricas que se calculan al consultar el endpoint: estado del pool de
+ * conexiones y contadores de negocio (organizaciones, proyectos y API keys), que se
+ * guardan durante METRICS_BUSINESS_CACHE_SECONDS para no repetir los COUNT en cada consulta
+ */
+class MetricsService {
+  constructor() {
+    const { pool } = db;
+
+    new client.Gauge({
+      name: 'db_pool_clients',
+      help: 'Clientes del pool de PostgreSQL por estado',
+      labelNames: ['state'],
+      registers: [registry],
+      collect() {
+        this.set({ state: 'total' }, pool.totalCount);
+        this.set({ state: 'idle' }, pool.idleCount);
+        this.set({ state: 'waiting' }, pool.waitingCount);
+      }
+    });
+
+    this.organizations = new client.Gauge({
+      name: 'langfuse_organizations',
+      help: 'Organizaciones no eliminadas',
+      registers: [registry]
+    });
+
+    this.projects = new client.Gauge({
+      name: 'langfuse_projects',
+      help: 'Proyectos no eliminados',
+      registers: [registry]
+    });
+
+    this.apiKeys = new client.Gauge({
+      name: 'langfuse_api_keys',
+      help: 'API keys de proyectos no eliminados por estado',
+      labelNames: ['status'],
+      registers: [registry]
+    });
+
+    // Momento de la última actualización de los contadores y actualización en curso
+    this.businessCollectedAt = 0;
+    this.businessCollecting = null;
+  }
+
+  /**
+   * Actualiza los contadores de negocio con una sola consulta
+   * Si la base de datos no responde se conservan los últimos valores
+   */
+  async collectBusinessMetrics() {
+    try {
+      const counts = await db.queryOne(
+        `SELECT
+           (SELECT COUNT(*) FROM organizations o
+            WHERE NOT EXISTS (SELECT 1 FROM deleted_organizations d WHERE d.org_id = o.id)) AS organizations,
+           (SELECT COUNT(*) FROM projects WHERE deleted_at IS NULL) AS projects,
+           (SELECT COUNT(*) FROM api_keys k JOIN projects p ON k.project_id = p.id
+            WHERE p.deleted_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP)) AS active_api_keys,
+           (SELECT COUNT(*) FROM api_keys k JOIN projects p ON k.project_id = p.id
+            WHERE p.deleted_at IS NULL AND k.expires_at <= CURRENT_TIMESTAMP) AS expired_api_keys`
+      );
+
+      this.organizations.set(Number(counts.organizations));
+      this.projects.set(Number(counts.projects));
+      this.apiKeys.set({ status: 'active' }, Number(counts.active_api_keys));
+      this.apiKeys.set({ status: 'expired' }, Number(counts.expired_api_keys));
+    } catch (error) {
+      logger.warn('No se pudieron actualizar las métricas de negocio', { error: error.message });
+    }
+  }
+
+  /**
+   * Actualiza los contadores de negocio si la caché ha vencido
+   * Las consultas simultáneas esperan a la misma actualización
+   */
+  async refreshBusinessMetrics() {
+    const maxAgeMs = config.metrics.businessCacheSeconds * 1000;
+
+    if (Date.now() - this.businessCollectedAt < maxAgeMs) {
+      return;
+    }
+
+    if (!this.businessCollecting) {
+      this.businessCollecting = this.collectBusinessMetrics().finally(() => {
+        this.businessCollectedAt = Date.now();
+        this.businessCollecting = null;
+      });
+    }
+
+    await this.businessCollecting;
+  }
+
+  /**
+   * Obtiene todas las métricas en formato de texto de Prometheus
+   * @returns {Promise<Object>} { contentType, body }
+   */
+  async getMetrics() {
+    await this.refreshBusinessMetrics();
+
+    return {
+      contentType: registry.contentType,
+      body: await registry.metrics()
+    };
+  }
+}
+
+module.exports = new MetricsService();
@@ -0,0 +1,333 @@
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { db, transaction } = require('./database.service');
+const { BusinessLogicError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
+const { createContextLogger } = require('../utils/logger');
+const { instrumentService } = require('../utils/tracing');
+
+// Logger contextual para este servicio
+const logger = createContextLogger('migrations-service');
+
+// Nombre de los ficheros de migración: NNN_descripcion.up.sql / NNN_descripcion.down.sql
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Columnas del esquema de Langfuse que usa esta API y que no existen en todas sus versiones
+const REQUIRED_LANGFUSE_COLUMNS = {
+  api_keys: ['fast_hashed_secret_key']
+};
+
+/**
+ * Calcula el checksum de un script de migración
+ * @param {string} sql - Contenido del script
+ * @returns {string} - Hash SHA-256 hexadecimal
+ */
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+/**
+ * Servicio de migraciones de las tablas propias de esta API
+ * Las tablas de Langfuse las gestiona Langfuse (Prisma): aquí solo se comprueba su versión
+ */
+class MigrationsService {
+  constructor() {
+    const { directory, tableName } = config.db.migrations;
+
+    if (!/^[a-z_][a-z0-9_]*$/i.test(tableName)) {
+      throw new Error(`Nombre de tabla de migraciones inválido: ${tableName}`);
+    }
+
+    this.directory = directory;
+    this.tableName = tableName;
+  }
+
+  /**
+   * Lee las migraciones disponibles en el directorio de migraciones
+   * @returns {Promise<Array>} Migraciones ordenadas por versión ({ version, name, up, down })
+   */
+  async getAvailable() {
+    const files = await fs.readdir(this.directory);
+    const migrations = new Map();
+
+    for (const file of files) {
+      const match = MIGRATION_FILE_PATTERN.exec(file);
+
+      if (!match) {
+        continue;
+      }
+
+      const [, version, name, direction] = match;
+      const migration = migrations.get(version) || { version, name, up: null, down: null };
+
+      if (migration.name !== name) {
+        throw new Error(`La migración ${version} tiene ficheros con nombres distintos: ${migration.name} y ${name}`);
+      }
+
+      migration[direction] = path.join(this.directory, file);
+      migrations.set(version, migration);
+    }
+
+    return [...migrations.values()]
+      .filter(migration => {
+        if (!migration.up) {
+          logger.warn(`La migración ${migration.version}_${migration.name} no tiene script up y se ignora`);
+        }
+        return migration.up;
+      })
+      .sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  /**
+   * Crea la tabla de control de migraciones si no existe
+   */
+  async ensureTable() {
+    await db.query(
+      `CREATE TABLE IF NOT EXISTS ${this.tableName} (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+  }
+
+  /**
+   * Obtiene las migraciones aplicadas
+   * @returns {Promise<Map>} Migraciones aplicadas por versión
+   */
+  async getApplied() {
+    await this.ensureTable();
+
+    const rows = await db.query(
+      `SELECT version, name, checksum, applied_at FROM ${this.tableName} ORDER BY version`
+    );
+
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * Estado de las migraciones propias y compatibilidad con el esquema de Langfuse
+   * @returns {Promise<Object>} { tableName, langfuse, migrations, pending }
+   */
+  async status() {
+    const [available, applied, langfuse] = await Promise.all([
+      this.getAvailable(),
+      this.getApplied(),
+      this.checkLangfuseSchema()
+    ]);
+
+    const migrations = [];
+
+    for (const migration of available) {
+      const record = applied.get(migration.version);
+      const sql = await fs.readFile(migration.up, 'utf8');
+
+      migrations.push({
+        version: migration.version,
+        name: migration.name,
+        applied: !!record,
+        appliedAt: record ? record.applied_at : null,
+        // El script cambió después de aplicarse
+        modified: !!record && record.checksum !== checksum(sql),
+        reversible: !!migration.down
+      });
+    }
+
+    // Migraciones registradas cuyo fichero ya no existe
+    for (const record of applied.values()) {
+      if (!available.some(migration => migration.version === record.version)) {
+        migrations.push({
+          version: record.version,
+          name: record.name,
+          applied: true,
+          appliedAt: record.applied_at,
+          missing: true,
+          reversible: false
+        });
+      }
+    }
+
+    migrations.sort((a, b) => a.version.localeCompare(b.version));
+
+    return {
+      tableName: this.tableName,
+      langfuse,
+      migrations,
+      pending: migrations.filter(migration => !migration.applied).length
+    };
+  }
+
+  /**
+   * Aplica las migraciones pendientes en orden, cada una en su propia transacción
+   * @param {Object} options - Opciones
+   * @param {string} options.to - Última versión a aplicar (por defecto todas)
+   * @returns {Promise<Array>} Migraciones aplicadas ({ version, name })
+   */
+  async up({ to } = {}) {
+    const [available, applied] = await Promise.all([this.getAvailable(), this.getApplied()]);
+
+    if (to && !available.some(migration => migration.version === to)) {
+      throw new BusinessLogicError(t('errors.migrations.notFound', { version: to }), { code: 'MIGRATION_NOT_FOUND' });
+    }
+
+    const pending = available.filter(migration =>
+      !applied.has(migration.version) && (!to || migration.version <= to)
+    );
+
+    const done = [];
+
+    for (const migration of pending) {
+      const sql = await fs.readFile(migration.up, 'utf8');
+
+      const ran = await transaction(async (client) => {
+        // Evitar que dos procesos apliquen la misma migración a la vez
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [this.tableName]);
+
+        const existing = await client.query(
+          `SELECT 1 FROM ${this.tableName} WHERE version = $1`,
+          [migration.version]
+        );
+
+        if (existing.rows.length > 0) {
+          return false;
+        }
+
+        await client.query(sql);
+        await client.query(
+          `INSERT INTO ${this.tableName} (version, name, checksum) VALUES ($1, $2, $3)`,
+          [migration.version, migration.name, checksum(sql)]
+        );
+
+        return true;
+      });
+
+      if (ran) {
+        logger.info(`Migración aplicada: ${migration.version}_${migration.name}`);
+        done.push({ version: migration.version, name: migration.name });
+      }
+    }
+
+    return done;
+  }
+
+  /**
+   * Revierte las últimas migraciones aplicadas con su script down
+   * @param {Object} options - Opciones
+   * @param {number} options.steps - Número de migraciones a revertir (1 por defecto)
+   * @returns {Promise<Array>} Migraciones revertidas ({ version, name })
+   */
+  async down({ steps = 1 } = {}) {
+    const [available, applied] = await Promise.all([this.getAvailable(), this.getApplied()]);
+
+    const targets = [...applied.values()].reverse().slice(0, steps);
+    const done = [];
+
+    for (const record of targets) {
+      const migration = available.find(item => item.version === record.version);
+
+      if (!migration || !migration.down) {
+        throw new BusinessLogicError(t('errors.migrations.notReversible', { migration: `${record.version}_${record.name}` }), {
+          code: 'MIGRATION_NOT_REVERSIBLE'
+        });
+      }
+
+      const sql = await fs.readFile(migration.down, 'utf8');
+
+      await transaction(async (client) => {
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [this.tableName]);
+        await client.query(sql);
+        await client.query(`DELETE FROM ${this.tableName} WHERE version = $1`, [record.version]);
+      });
+
+      logger.info(`Migración revertida: ${record.version}_${record.name}`);
+      done.push({ version: record.version, name: record.name });
+    }
+
+    return done;
+  }
+
+  /**
+   * Comprueba que el esquema de Langfuse tiene las columnas que necesita esta API
+   * Se consultan las columnas y no el nombre de las migraciones de Prisma, que cambia entre versiones;
+   * la última migración aplicada se devuelve solo como información
+   * @returns {Promise<Object>} { compatible, currentMigration, missingColumns }
+   */
+  async checkLangfuseSchema() {
+    const required = Object.entries(REQUIRED_LANGFUSE_COLUMNS)
+      .flatMap(([table, columns]) => columns.map(column => `${table}.${column}`));
+
+    const existing = await db.query(
+      `SELECT table_name || '.' || column_name AS name
+       FROM information_schema.columns
+       WHERE table_schema = current_schema() AND table_name || '.' || column_name = ANY($1)`,
+      [required]
+    );
+
+    const found = new Set(existing.map(column => column.name));
+    const missingColumns = required.filter(column => !found.has(column));
+
+    const table = await db.queryOne("SELECT to_regclass('_prisma_migrations') AS name");
+    const latest = table.name
+      ? await db.queryOne(
+        `SELECT migration_name FROM _prisma_migrations
+         WHERE finished_at IS NOT NULL AND rolled_back_at IS NULL
+         ORDER BY migration_name DESC
+         LIMIT 1`
+      )
+      : null;
+
+    return {
+      compatible: missingColumns.length === 0,
+      currentMigration: latest ? latest.migration_name : null,
+      missingColumns
+    };
+  }
+
+  /**
+   * Comprobaciones al arrancar: versión del esquema de Langfuse y migraciones pendientes
+   * (que se aplican si DB_MIGRATIONS_RUN_ON_STARTUP está activo)
+   * @returns {Promise<boolean>} false si el esquema de Langfuse no es compatible
+   */
+  async checkOnStartup() {
+    const langfuse = await this.checkLangfuseSchema();
+
+    if (!langfuse.compatible) {
+      logger.error(
+        `Esquema de Langfuse no compatible: faltan las columnas ${langfuse.missingColumns.join(', ')} ` +
+        `(última migración de Langfuse: ${langfuse.currentMigration || 'ninguna'})`
+      );
+      return false;
+    }
+
+    if (config.db.migrations.runOnStartup) {
+      const applied = await this.up();
+      logger.info(`Migraciones aplicadas al arrancar: ${applied.length}`);
+      return true;
+    }
+
+    const { pending } = await this.status();
+
+    if (pending > 0) {
+      logger.warn(`Hay ${pending} migraciones pendientes. Ejecute: npm run migrate`);
+
+      // Sin admin_tokens solo se acepta API_KEY (ver AdminTokensService.authenticate)
+      const adminTokens = await db.queryOne("SELECT to_regclass('admin_tokens') AS name");
+
+      if (!adminTokens.name) {
+        logger.error(
+          'La tabla admin_tokens no existe: solo se aceptará API_KEY y las operaciones de escritura ' +
+          'fallarán hasta ejecutar npm run migrate (o arrancar con DB_MIGRATIONS_RUN_ON_STARTUP=true)'
+        );
+      }
+    }
+
+    return true;
+  }
+}
+
+module.exports = instrumentService(new MigrationsService(), 'migrations');
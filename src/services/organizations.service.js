@@ -1,29 +1,102 @@
 'use strict';
 
+const config = require('../config');
 const { db, transaction } = require('./database.service');
-const { generateId } = require('../utils/id-generator');
+const { generateId, generateApiKey, hashApiKeySecret } = require('../utils/id-generator');
 const { 
   NotFoundError, 
   ConflictError, 
-  BusinessLogicError 
+  BusinessLogicError,
+  ValidationError
 } = require('../utils/errors');
+const { t } = require('../utils/i18n');
 const { createContextLogger } = require('../utils/logger');
+const { instrumentService } = require('../utils/tracing');
+const { checkIfMatch } = require('../utils/etag');
+const { cursorPage, whereClause, dateRange, escapeLike } = require('../utils/pagination');
+const { getContext } = require('../utils/request-context');
+const { BUNDLE_FORMAT, BUNDLE_VERSION } = require('../utils/organization-bundle');
+const auditLogsService = require('./audit-logs.service');
+const usersService = require('./users.service');
 
 // Logger contextual para este servicio
 const logger = createContextLogger('organizations-service');
 
+// Campos por los que se pueden ordenar los listados
+const SORTABLE_FIELDS = {
+  name: { column: 'o.name' },
+  created_at: { column: 'o.created_at', date: true },
+  updated_at: { column: 'o.updated_at', date: true }
+};
+
+// Modos de eliminación de una organización
+const DELETE_MODES = ['soft', 'hard'];
+
+const MEMBER_SORTABLE_FIELDS = {
+  created_at: { column: 'om.created_at', date: true },
+  updated_at: { column: 'om.updated_at', date: true }
+};
+
 /**
  * Servicio para manejar operaciones relacionadas con organizaciones
  */
 class OrganizationsService {
   /**
-   * Obtiene todas las organizaciones
-   * @returns {Promise<Array>} Lista de organizaciones
+   * Obtiene las organizaciones paginadas por cursor
+   * @param {Object} options - Opciones de filtrado y paginación
+   * @param {string} options.name - Prefijo del nombre
+   * @param {Date|string} options.createdFrom - Fecha de creación inicial (inclusive)
+   * @param {Date|string} options.createdTo - Fecha de creación final (inclusive)
+   * @param {string} options.sort - Ordenación (name, created_at, updated_at; prefijo - para descendente)
+   * @param {string} options.cursor - Cursor de la página anterior
+   * @param {number} options.limit - Tamaño de página
+   * @param {Object|null} access - Restricciones de acceso del solicitante (opcional)
+   * @param {string} access.userId - Limitar a las organizaciones de este usuario
+   * @param {string} access.orgId - Limitar a esta organización
+   * @returns {Promise<Object>} { data, nextCursor }
    */
-  async getAll() {
-    return db.query(
-      'SELECT * FROM organizations ORDER BY created_at DESC'
+  async getAll({ name, createdFrom, createdTo, sort, cursor, limit = 20 } = {}, access = null) {
+    // Las organizaciones eliminadas en modo soft no se listan
+    const conditions = ['NOT EXISTS (SELECT 1 FROM deleted_organizations d WHERE d.org_id = o.id)'];
+    const params = [];
+    
+    if (access && access.userId) {
+      params.push(access.userId);
+      conditions.push(`EXISTS (
+        SELECT 1 FROM organization_memberships om
+        WHERE om.org_id = o.id AND om.user_id = $${params.length}
+      )`);
+    }
+    
+    if (access && access.orgId) {
+      params.push(access.orgId);
+      conditions.push(`o.id = $${params.length}`);
+    }
+    
+    if (name) {
+      params.push(`${escapeLike(name)}%`);
+      conditions.push(`o.name ILIKE $${params.length}`);
+    }
+    
+    conditions.push(...dateRange('o.created_at', createdFrom, createdTo, params));
+    
+    const page = cursorPage({
+      sortable: SORTABLE_FIELDS,
+      sort,
+      defaultSort: '-created_at',
+      cursor,
+      limit,
+      idColumn: 'o.id'
+    }, params);
+    
+    const organizations = await db.query(
+      `SELECT o.* FROM organizations o${whereClause([...conditions, page.condition])}
+       ORDER BY ${page.orderBy}
+       LIMIT ${page.limit}`,
+      params
     );
+    
+    return page.toResult(organizations);
   }
 
   /**
@@ -33,7 +106,9 @@ class OrganizationsService {
    */
   async getById(id) {
     return db.queryOne(
-      'SELECT * FROM organizations WHERE id = $1',
+      `SELECT * FROM organizations
+       WHERE id = $1
+         AND NOT EXISTS (SELECT 1 FROM deleted_organizations WHERE org_id = $1)`,
       [id]
     );
   }
@@ -47,11 +122,17 @@ class OrganizationsService {
    */
   async create({ name, userId }) {
     if (!name || !name.trim()) {
-      throw new BusinessLogicError('El nombre es requerido');
+      throw new BusinessLogicError(t('errors.required.name'), {
+        code: 'REQUIRED_FIELD',
+        details: { field: 'name' }
+      });
     }
     
     if (!userId) {
-      throw new BusinessLogicError('El ID de usuario es obligatorio para crear una organización');
+      throw new BusinessLogicError(t('errors.required.creatorUserId'), {
+        code: 'REQUIRED_FIELD',
+        details: { field: 'userId' }
+      });
     }
     
     return transaction(async (client) => {
@@ -62,7 +143,7 @@ class OrganizationsService {
       );
       
       if (userExists.rows.length === 0) {
-        throw new NotFoundError('Usuario no encontrado');
+        throw new NotFoundError('user');
       }
       
       // Generar ID único para la organización usando cuid
@@ -80,12 +161,27 @@ class OrganizationsService {
       
       // Crear membresía para el usuario (propietario de la organización)
       const membershipId = generateId('om');
-      await client.query(
+      const membershipResult = await client.query(
         `INSERT INTO organization_memberships (id, org_id, user_id, role, created_at, updated_at)
-         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+         RETURNING *`,
         [membershipId, id, userId, 'OWNER']
       );
       
+      await auditLogsService.record(client, {
+        action: 'organization.created',
+        resourceType: 'organization',
+        resourceId: id,
+        after: organization
+      });
+      
+      await auditLogsService.record(client, {
+        action: 'org_member.added',
+        resourceType: 'org_membership',
+        resourceId: membershipId,
+        after: membershipResult.rows[0]
+      });
+      
       logger.info(`Organización creada con ID: ${id}, propietario: ${userId}`);
       return organization;
     });
@@ -96,49 +192,735 @@ class OrganizationsService {
    * @param {string} id - ID de la organización
    * @param {Object} data - Datos a actualizar
    * @param {string} data.name - Nuevo nombre
+   * @param {Object} options - Opciones
+   * @param {string} options.ifMatch - Cabecera If-Match: solo se aplica si el ETag sigue coincidiendo
    * @returns {Promise<Object|null>} Organización actualizada o null
    */
-  async update(id, { name }) {
+  async update(id, { name }, { ifMatch } = {}) {
     if (!name || !name.trim()) {
-      throw new BusinessLogicError('El nombre es requerido');
+      throw new BusinessLogicError(t('errors.required.name'), {
+        code: 'REQUIRED_FIELD',
+        details: { field: 'name' }
+      });
     }
     
-    const result = await db.query(
-      `UPDATE organizations 
-       SET name = $1, updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $2 
-       RETURNING *`,
-      [name.trim(), id]
+    return transaction(async (client) => {
+      // Obtener el estado previo para la auditoría
+      const current = await client.query(
+        `SELECT * FROM organizations
+         WHERE id = $1
+           AND NOT EXISTS (SELECT 1 FROM deleted_organizations WHERE org_id = $1)
+         FOR UPDATE`,
+        [id]
+      );
+      
+      if (current.rows.length === 0) {
+        return null;
+      }
+      
+      checkIfMatch(ifMatch, current.rows[0]);
+      
+      const result = await client.query(
+        `UPDATE organizations 
+         SET name = $1, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $2 
+         RETURNING *`,
+        [name.trim(), id]
+      );
+      
+      await auditLogsService.record(client, {
+        action: 'organization.updated',
+        resourceType: 'organization',
+        resourceId: id,
+        before: current.rows[0],
+        after: result.rows[0]
+      });
+      
+      logger.info(`Organización actualizada: ${id}`);
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Elimina una organización junto con sus proyectos, API keys y membresías
+   * En modo soft no se borra ninguna fila: la organización queda oculta tras su marca en
+   * deleted_organizations, sus proyectos se marcan como eliminados, las API keys se revocan
+   * expirándolas (la expiración anterior se guarda en la marca) y las membresías se conservan.
+   * En modo hard se borra todo en cascada
+   * @param {string} id - ID de la organización
+   * @param {Object} options - Opciones de eliminación
+   * @param {string} options.mode - soft (por defecto) o hard
+   * @param {boolean} options.dryRun - Solo calcular lo que se eliminaría, sin aplicar cambios
+   * @param {string} options.ifMatch - Cabecera If-Match: solo se elimina si el ETag sigue coincidiendo
+   * @returns {Promise<Object>} Resumen con el número y los IDs de los elementos afectados
+   */
+  async delete(id, { mode = 'soft', dryRun = false, ifMatch } = {}) {
+    if (!DELETE_MODES.includes(mode)) {
+      throw new BusinessLogicError(t('errors.organizations.invalidDeletionMode'), {
+        code: 'INVALID_DELETION_MODE'
+      });
+    }
+    
+    return transaction(async (client) => {
+      // Bloquear la organización mientras se calcula y aplica la eliminación
+      const current = await client.query(
+        'SELECT * FROM organizations WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+      
+      if (current.rows.length === 0) {
+        throw new NotFoundError('organization');
+      }
+      
+      const deleted = await client.query(
+        'SELECT deleted_at FROM deleted_organizations WHERE org_id = $1',
+        [id]
+      );
+      
+      // Una organización ya eliminada en modo soft solo puede eliminarse definitivamente
+      if (deleted.rows.length > 0 && mode === 'soft') {
+        throw new NotFoundError('organization');
+      }
+      
+      const organization = current.rows[0];
+      checkIfMatch(ifMatch, organization);
+      
+      const cascade = await this._getDeletionCascade(client, id, mode);
+      const summary = {
+        organization: { id: organization.id, name: organization.name },
+        mode,
+        dryRun,
+        ...cascade
+      };
+      
+      if (dryRun) {
+        return summary;
+      }
+      
+      if (mode === 'hard') {
+        await auditLogsService.record(client, {
+          action: 'organization.deleted',
+          resourceType: 'organization',
+          resourceId: id,
+          before: organization
+        });
+        
+        // Las claves foráneas de Langfuse eliminan en cascada proyectos, API keys y membresías
+        await client.query('DELETE FROM organizations WHERE id = $1', [id]);
+      } else {
+        const { actor } = getContext();
+        const apiKeys = await client.query(
+          'SELECT id, expires_at FROM api_keys WHERE id = ANY($1) FOR UPDATE',
+          [cascade.apiKeys.ids]
+        );
+        const apiKeyExpirations = Object.fromEntries(apiKeys.rows.map(key => [key.id, key.expires_at]));
+        
+        const marker = await client.query(
+          `INSERT INTO deleted_organizations (org_id, deleted_by, deleted_at, api_key_expirations)
+           VALUES ($1, $2, CURRENT_TIMESTAMP, $3)
+           RETURNING deleted_at`,
+          [id, actor ? actor.id : null, JSON.stringify(apiKeyExpirations)]
+        );
+        
+        // Registrar antes de desactivar los webhooks para que también reciban el evento
+        await auditLogsService.record(client, {
+          action: 'organization.deleted',
+          resourceType: 'organization',
+          resourceId: id,
+          before: organization,
+          after: { ...organization, deleted_at: marker.rows[0].deleted_at }
+        });
+        
+        await client.query(
+          `UPDATE projects
+           SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ANY($1)`,
+          [cascade.projects.ids]
+        );
+        
+        await client.query(
+          'UPDATE api_keys SET expires_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($1)',
+          [cascade.apiKeys.ids]
+        );
+        
+        await client.query(
+          'UPDATE webhooks SET active = FALSE, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($1)',
+          [cascade.webhooks.ids]
+        );
+        
+        await client.query(
+          'UPDATE admin_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ANY($1)',
+          [cascade.adminTokens.ids]
+        );
+      }
+      
+      logger.info(
+        `Organización ${id} eliminada (${mode}): ${cascade.projects.count} proyectos, ` +
+        `${cascade.apiKeys.count} API keys, ${cascade.organizationMemberships.count} miembros`
+      );
+      return summary;
+    });
+  }
+
+  /**
+   * Restaura una organización eliminada en modo soft
+   * Se restauran los proyectos y las API keys que revocó la eliminación (los que tienen su
+   * misma marca de tiempo), con la expiración que tenía cada clave. Los tokens administrativos
+   * revocados y los webhooks desactivados no se restauran
+   * @param {string} id - ID de la organización
+   * @returns {Promise<Object>} Organización restaurada con el número de proyectos y API keys restaurados
+   */
+  async restore(id) {
+    return transaction(async (client) => {
+      const current = await client.query(
+        'SELECT * FROM organizations WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      const marker = await client.query(
+        'SELECT deleted_at, api_key_expirations FROM deleted_organizations WHERE org_id = $1 FOR UPDATE',
+        [id]
+      );
+
+      if (current.rows.length === 0 || marker.rows.length === 0) {
+        throw new NotFoundError('deletedOrganization');
+      }
+
+      const { deleted_at: deletedAt, api_key_expirations: apiKeyExpirations } = marker.rows[0];
+
+      // La eliminación usó la misma marca de tiempo en todas las filas (CURRENT_TIMESTAMP de su transacción)
+      const projects = await client.query(
+        `UPDATE projects p
+         SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+         FROM deleted_organizations d
+         WHERE d.org_id = $1 AND p.org_id = $1 AND p.deleted_at::timestamp(3) = d.deleted_at
+         RETURNING p.id`,
+        [id]
+      );
+
+      // Solo las claves que siguen revocadas por la eliminación recuperan su expiración anterior
+      // (también las de proyectos que ya estaban eliminados, que siguen inactivas hasta restaurarlos)
+      const keyIds = Object.keys(apiKeyExpirations);
+      const apiKeys = await client.query(
+        `UPDATE api_keys k
+         SET expires_at = r.expires_at, updated_at = CURRENT_TIMESTAMP
+         FROM unnest($2::text[], $3::timestamp(3)[]) AS r(id, expires_at), deleted_organizations d
+         WHERE d.org_id = $1 AND k.id = r.id AND k.expires_at::timestamp(3) = d.deleted_at
+         RETURNING k.id`,
+        [id, keyIds, keyIds.map(keyId => (apiKeyExpirations[keyId] ? new Date(apiKeyExpirations[keyId]) : null))]
+      );
+
+      await client.query('DELETE FROM deleted_organizations WHERE org_id = $1', [id]);
+
+      const organization = current.rows[0];
+      await auditLogsService.record(client, {
+        action: 'organization.restored',
+        resourceType: 'organization',
+        resourceId: id,
+        before: { ...organization, deleted_at: deletedAt },
+        after: organization
+      });
+
+      logger.info(
+        `Organización restaurada: ${id} (${projects.rows.length} proyectos, ${apiKeys.rows.length} API keys)`
+      );
+      return {
+        ...organization,
+        restored: {
+          projects: projects.rows.length,
+          apiKeys: apiKeys.rows.length
+        }
+      };
+    });
+  }
+
+  /**
+   * Obtiene los elementos afectados por la eliminación de una organización
+   * @param {Object} client - Cliente de la transacción en curso
+   * @param {string} orgId - ID de la organización
+   * @param {string} mode - soft o hard
+   * @returns {Promise<Object>} { count, ids } por tipo de elemento
+   * @private
+   */
+  async _getDeletionCascade(client, orgId, mode) {
+    // En modo soft se omite lo que ya está eliminado, desactivado o revocado
+    const onlyActive = mode === 'soft';
+    
+    const projects = await client.query(
+      `SELECT id FROM projects
+       WHERE org_id = $1${onlyActive ? ' AND deleted_at IS NULL' : ''}
+       ORDER BY created_at, id`,
+      [orgId]
     );
     
-    if (result.length === 0) {
-      return null;
+    const apiKeys = await client.query(
+      `SELECT k.id FROM api_keys k
+       JOIN projects p ON k.project_id = p.id
+       WHERE p.org_id = $1${onlyActive ? ' AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP)' : ''}
+       ORDER BY k.created_at, k.id`,
+      [orgId]
+    );
+    
+    const organizationMemberships = await client.query(
+      'SELECT id FROM organization_memberships WHERE org_id = $1 ORDER BY created_at, id',
+      [orgId]
+    );
+    
+    const projectMemberships = await client.query(
+      `SELECT pm.project_id, pm.user_id FROM project_memberships pm
+       JOIN projects p ON pm.project_id = p.id
+       WHERE p.org_id = $1
+       ORDER BY pm.project_id, pm.user_id`,
+      [orgId]
+    );
+    
+    const webhooks = await client.query(
+      `SELECT id FROM webhooks
+       WHERE org_id = $1${onlyActive ? ' AND active = TRUE' : ''}
+       ORDER BY created_at, id`,
+      [orgId]
+    );
+    
+    const adminTokens = await client.query(
+      `SELECT id FROM admin_tokens
+       WHERE org_id = $1${onlyActive ? ' AND revoked_at IS NULL' : ''}
+       ORDER BY created_at, id`,
+      [orgId]
+    );
+    
+    const summarize = (rows, toId = (row) => row.id) => ({
+      count: rows.length,
+      ids: rows.map(toId)
+    });
+    
+    return {
+      projects: summarize(projects.rows),
+      apiKeys: summarize(apiKeys.rows),
+      organizationMemberships: summarize(organizationMemberships.rows),
+      projectMemberships: summarize(projectMemberships.rows, (row) => ({
+        projectId: row.project_id,
+        userId: row.user_id
+      })),
+      webhooks: summarize(webhooks.rows),
+      adminTokens: summarize(adminTokens.rows)
+    };
+  }
+
+  /**
+   * Exporta una organización como paquete JSON portable entre instancias
+   * Los usuarios se identifican por email y las API keys solo incluyen sus metadatos (nunca secretos)
+   * @param {string} id - ID de la organización
+   * @returns {Promise<Object>} Paquete de exportación (ver utils/organization-bundle)
+   */
+  async exportBundle(id) {
+    const organization = await this.getById(id);
+    
+    if (!organization) {
+      throw new NotFoundError('organization');
     }
     
-    logger.info(`Organización actualizada: ${id}`);
-    return result[0];
+    const [members, projects, projectMembers, apiKeys] = await Promise.all([
+      db.query(
+        `SELECT u.email, u.name, om.role
+         FROM organization_memberships om
+         JOIN users u ON om.user_id = u.id
+         WHERE om.org_id = $1
+         ORDER BY om.created_at, om.id`,
+        [id]
+      ),
+      db.query(
+        `SELECT id, name, created_at FROM projects
+         WHERE org_id = $1 AND deleted_at IS NULL
+         ORDER BY created_at, id`,
+        [id]
+      ),
+      db.query(
+        `SELECT pm.project_id, u.email, u.name, pm.role
+         FROM project_memberships pm
+         JOIN projects p ON pm.project_id = p.id
+         JOIN users u ON pm.user_id = u.id
+         WHERE p.org_id = $1 AND p.deleted_at IS NULL
+         ORDER BY pm.created_at, pm.user_id`,
+        [id]
+      ),
+      db.query(
+        `SELECT k.id, k.project_id, k.note, k.public_key, k.display_secret_key,
+                k.created_at, k.expires_at, k.last_used_at
+         FROM api_keys k
+         JOIN projects p ON k.project_id = p.id
+         WHERE p.org_id = $1 AND p.deleted_at IS NULL
+         ORDER BY k.created_at, k.id`,
+        [id]
+      )
+    ]);
+    
+    logger.info(`Organización ${id} exportada: ${projects.length} proyectos, ${members.length} miembros, ${apiKeys.length} API keys`);
+    
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      organization: {
+        id: organization.id,
+        name: organization.name,
+        created_at: organization.created_at
+      },
+      members,
+      projects: projects.map(project => ({
+        ...project,
+        members: projectMembers
+          .filter(member => member.project_id === project.id)
+          .map(({ email, name, role }) => ({ email, name, role })),
+        apiKeys: apiKeys
+          .filter(apiKey => apiKey.project_id === project.id)
+          .map(({ project_id: _projectId, ...apiKey }) => apiKey)
+      }))
+    };
   }
 
   /**
-   * Obtiene los miembros de una organización
+   * Importa una organización exportada con exportBundle
+   * Todos los IDs se generan de nuevo y los usuarios se buscan por email. Como el paquete no
+   * contiene secretos, cada API key se crea con claves nuevas (misma nota y expiración)
+   * @param {Object} bundle - Paquete de exportación validado
+   * @param {Object} options - Opciones de importación
+   * @param {boolean} options.dryRun - Solo calcular el resultado y los conflictos, sin aplicar cambios
+   * @param {boolean} options.createUsers - Crear los usuarios que no existen (si no, se omiten sus membresías)
+   * @returns {Promise<Object>} Resumen con la correspondencia de IDs, las API keys nuevas y los conflictos
+   * @throws {ValidationError} Si un proyecto repite el email de un miembro
+   */
+  async importBundle(bundle, { dryRun = false, createUsers = false } = {}) {
+    // Un usuario solo puede tener una membresía por proyecto
+    for (const project of bundle.projects) {
+      const emails = new Set();
+      
+      for (const member of project.members.filter(item => item.email)) {
+        const email = member.email.toLowerCase();
+        
+        if (emails.has(email)) {
+          throw new ValidationError(t('errors.organizations.duplicateProjectMember'), { project: project.id, email: member.email });
+        }
+        
+        emails.add(email);
+      }
+    }
+    
+    return transaction(async (client) => {
+      const conflicts = [];
+      const { organization } = bundle;
+      
+      const sameName = await client.query(
+        `SELECT id FROM organizations o
+         WHERE name = $1
+           AND NOT EXISTS (SELECT 1 FROM deleted_organizations d WHERE d.org_id = o.id)`,
+        [organization.name.trim()]
+      );
+      
+      // Los nombres no son únicos en Langfuse: se importa igualmente
+      for (const row of sameName.rows) {
+        conflicts.push({ type: 'organization_name_exists', name: organization.name, orgId: row.id });
+      }
+      
+      const users = await this._resolveImportUsers(client, bundle, { dryRun, createUsers }, conflicts);
+      const resolvable = (member) => !!member.email && users.has(member.email.toLowerCase());
+      
+      if (!bundle.members.some(member => member.role === 'OWNER' && resolvable(member))) {
+        throw new ConflictError(
+          t('errors.organizations.noOwnerAvailable'),
+          { conflicts },
+          { code: 'NO_OWNER_AVAILABLE' }
+        );
+      }
+      
+      const now = new Date();
+      
+      for (const project of bundle.projects) {
+        for (const apiKey of project.apiKeys) {
+          if (apiKey.expires_at && new Date(apiKey.expires_at) <= now) {
+            conflicts.push({ type: 'api_key_expired', projectId: project.id, apiKeyId: apiKey.id, note: apiKey.note || null });
+          }
+        }
+      }
+      
+      const isActive = (apiKey) => !apiKey.expires_at || new Date(apiKey.expires_at) > now;
+      const orgMembers = bundle.members.filter(resolvable);
+      const projectMembers = bundle.projects.flatMap(project => project.members.filter(resolvable));
+      const counts = {
+        projects: bundle.projects.length,
+        organizationMemberships: orgMembers.length,
+        projectMemberships: projectMembers.length,
+        apiKeys: bundle.projects.reduce((total, project) => total + project.apiKeys.filter(isActive).length, 0)
+      };
+      
+      const summary = {
+        dryRun,
+        organization: { id: null, name: organization.name, sourceId: organization.id },
+        ids: null,
+        users: {
+          matched: [...users.values()].filter(user => !user.created).map(user => user.email),
+          created: [...users.values()].filter(user => user.created).map(user => user.email)
+        },
+        counts,
+        apiKeys: [],
+        conflicts
+      };
+      
+      if (dryRun) {
+        return summary;
+      }
+      
+      const ids = { organization: {}, projects: {}, apiKeys: {} };
+      const orgId = generateId('org');
+      ids.organization[organization.id] = orgId;
+      
+      const orgResult = await client.query(
+        `INSERT INTO organizations (id, name, created_at, updated_at)
+         VALUES ($1, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+         RETURNING *`,
+        [orgId, organization.name.trim()]
+      );
+      
+      await auditLogsService.record(client, {
+        action: 'organization.created',
+        resourceType: 'organization',
+        resourceId: orgId,
+        after: orgResult.rows[0]
+      });
+      
+      // Membresías de organización por usuario (las de proyecto apuntan a ellas)
+      const orgMemberships = new Map();
+      
+      const addOrgMembership = async (userId, role) => {
+        const membershipId = generateId('om');
+        const result = await client.query(
+          `INSERT INTO organization_memberships (id, org_id, user_id, role, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+           RETURNING *`,
+          [membershipId, orgId, userId, role]
+        );
+        
+        await auditLogsService.record(client, {
+          action: 'org_member.added',
+          resourceType: 'org_membership',
+          resourceId: membershipId,
+          after: result.rows[0]
+        });
+        
+        orgMemberships.set(userId, membershipId);
+      };
+      
+      for (const member of orgMembers) {
+        const userId = users.get(member.email.toLowerCase()).id;
+        
+        if (!orgMemberships.has(userId)) {
+          await addOrgMembership(userId, member.role);
+        }
+      }
+      
+      for (const project of bundle.projects) {
+        const projectId = generateId('prj');
+        ids.projects[project.id] = projectId;
+        
+        const projectResult = await client.query(
+          `INSERT INTO projects (id, name, org_id, created_at, updated_at)
+           VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+           RETURNING *`,
+          [projectId, project.name.trim(), orgId]
+        );
+        
+        await auditLogsService.record(client, {
+          action: 'project.created',
+          resourceType: 'project',
+          resourceId: projectId,
+          after: projectResult.rows[0]
+        });
+        
+        for (const member of project.members.filter(resolvable)) {
+          const userId = users.get(member.email.toLowerCase()).id;
+          
+          // Un miembro de proyecto sin membresía en la organización la recibe sin rol (NONE)
+          if (!orgMemberships.has(userId)) {
+            await addOrgMembership(userId, 'NONE');
+          }
+          
+          const memberResult = await client.query(
+            `INSERT INTO project_memberships (project_id, user_id, org_membership_id, role, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+             RETURNING project_id, user_id, role, created_at, updated_at`,
+            [projectId, userId, orgMemberships.get(userId), member.role]
+          );
+          
+          await auditLogsService.record(client, {
+            action: 'project_member.added',
+            resourceType: 'project_membership',
+            resourceId: `${projectId}:${userId}`,
+            after: memberResult.rows[0]
+          });
+        }
+        
+        for (const apiKey of project.apiKeys.filter(isActive)) {
+          const apiKeyId = generateId('key');
+          const publicKey = generateApiKey('pk');
+          const secretKey = generateApiKey('sk');
+          const { hashedSecretKey, fastHashedSecretKey } = await hashApiKeySecret(secretKey, config.apiKeys.salt);
+          ids.apiKeys[apiKey.id] = apiKeyId;
+          
+          const apiKeyResult = await client.query(
+            `INSERT INTO api_keys (
+              id, project_id, created_at, public_key, hashed_secret_key,
+              fast_hashed_secret_key, display_secret_key, note, expires_at
+            ) VALUES ($1, $2, CURRENT_TIMESTAMP, $3, $4, $5, $6, $7, $8)
+            RETURNING id, project_id, created_at, public_key, display_secret_key, note, expires_at`,
+            [
+              apiKeyId,
+              projectId,
+              publicKey,
+              hashedSecretKey,
+              fastHashedSecretKey,
+              secretKey.substring(0, 8) + '...',
+              apiKey.note || null,
+              apiKey.expires_at || null
+            ]
+          );
+          
+          await auditLogsService.record(client, {
+            action: 'api_key.created',
+            resourceType: 'api_key',
+            resourceId: apiKeyId,
+            after: apiKeyResult.rows[0]
+          });
+          
+          // La clave secreta solo se muestra ahora
+          summary.apiKeys.push({
+            sourceId: apiKey.id,
+            sourcePublicKey: apiKey.public_key || null,
+            id: apiKeyId,
+            projectId,
+            note: apiKey.note || null,
+            publicKey,
+            secretKey
+          });
+        }
+      }
+      
+      summary.organization.id = orgId;
+      summary.ids = ids;
+      
+      logger.info(
+        `Organización ${organization.id} importada como ${orgId}: ${counts.projects} proyectos, ` +
+        `${counts.apiKeys} API keys, ${conflicts.length} conflictos`
+      );
+      return summary;
+    });
+  }
+
+  /**
+   * Busca por email los usuarios de un paquete de importación
+   * Los que no existen se crean (createUsers) o se registran como conflicto
+   * @param {Object} client - Cliente de la transacción en curso
+   * @param {Object} bundle - Paquete de exportación
+   * @param {Object} options - { dryRun, createUsers }
+   * @param {Array} conflicts - Lista de conflictos a completar
+   * @returns {Promise<Map>} Usuarios por email en minúsculas ({ id, email, created })
+   * @private
+   */
+  async _resolveImportUsers(client, bundle, { dryRun, createUsers }, conflicts) {
+    const members = [...bundle.members, ...bundle.projects.flatMap(project => project.members)];
+    const byEmail = new Map();
+    
+    for (const member of members) {
+      if (!member.email) {
+        conflicts.push({ type: 'user_without_email', name: member.name || null, role: member.role });
+      } else if (!byEmail.has(member.email.toLowerCase())) {
+        byEmail.set(member.email.toLowerCase(), member);
+      }
+    }
+    
+    const existing = await client.query(
+      'SELECT id, email FROM users WHERE lower(email) = ANY($1)',
+      [[...byEmail.keys()]]
+    );
+    
+    const users = new Map(existing.rows.map(user => [user.email.toLowerCase(), { id: user.id, email: user.email, created: false }]));
+    
+    for (const [email, member] of byEmail) {
+      if (users.has(email)) {
+        continue;
+      }
+      
+      if (!createUsers) {
+        conflicts.push({ type: 'user_not_found', email: member.email });
+        continue;
+      }
+      
+      const user = dryRun ? { id: null } : await usersService.create({ name: member.name || null, email: member.email });
+      users.set(email, { id: user.id, email: member.email, created: true });
+    }
+    
+    return users;
+  }
+
+  /**
+   * Obtiene los miembros de una organización paginados por cursor
    * @param {string} orgId - ID de la organización
-   * @returns {Promise<Array>} Lista de miembros
+   * @param {Object} options - Opciones de filtrado y paginación
+   * @param {string} options.role - Rol en la organización
+   * @param {string} options.sort - Ordenación (created_at, updated_at; prefijo - para descendente)
+   * @param {string} options.cursor - Cursor de la página anterior
+   * @param {number} options.limit - Tamaño de página
+   * @returns {Promise<Object>} { data, nextCursor }
    */
-  async getMembers(orgId) {
+  async getMembers(orgId, { role, sort, cursor, limit = 20 } = {}) {
     // Verificar si la organización existe
     const org = await this.getById(orgId);
     if (!org) {
-      throw new NotFoundError('Organización');
+      throw new NotFoundError('organization');
     }
     
-    return db.query(
+    const params = [orgId];
+    const conditions = ['om.org_id = $1'];
+    
+    if (role) {
+      params.push(role);
+      conditions.push(`om.role = $${params.length}`);
+    }
+    
+    const page = cursorPage({
+      sortable: MEMBER_SORTABLE_FIELDS,
+      sort,
+      defaultSort: '-created_at',
+      cursor,
+      limit,
+      idColumn: 'om.id'
+    }, params);
+    
+    const members = await db.query(
+      `SELECT om.id, om.user_id, om.role, om.created_at, om.updated_at,
+              u.name, u.email, u.image
+       FROM organization_memberships om
+       JOIN users u ON om.user_id = u.id${whereClause([...conditions, page.condition])}
+       ORDER BY ${page.orderBy}
+       LIMIT ${page.limit}`,
+      params
+    );
+    
+    return page.toResult(members);
+  }
+
+  /**
+   * Obtiene la membresía de un usuario en una organización
+   * @param {string} orgId - ID de la organización
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Object|null>} Detalles de la membresía
+   */
+  async getMember(orgId, userId) {
+    return db.queryOne(
       `SELECT om.id, om.user_id, om.role, om.created_at, om.updated_at,
               u.name, u.email, u.image
        FROM organization_memberships om
        JOIN users u ON om.user_id = u.id
-       WHERE om.org_id = $1
-       ORDER BY om.created_at DESC`,
-      [orgId]
+       WHERE om.org_id = $1 AND om.user_id = $2`,
+      [orgId, userId]
     );
   }
 
@@ -151,13 +933,18 @@ class OrganizationsService {
    */
   async addMember(orgId, userId, role = 'VIEWER') {
     if (!userId) {
-      throw new BusinessLogicError('El ID de usuario es requerido');
+      throw new BusinessLogicError(t('errors.required.userId'), {
+        code: 'REQUIRED_FIELD',
+        details: { field: 'userId' }
+      });
     }
     
     // Validar rol
     const validRoles = ['OWNER', 'ADMIN', 'VIEWER', 'NONE'];
     if (!validRoles.includes(role)) {
-      throw new BusinessLogicError('Rol inválido. Debe ser OWNER, ADMIN, VIEWER o NONE');
+      throw new BusinessLogicError(t('errors.invalidOrgRole'), {
+        code: 'INVALID_ROLE'
+      });
     }
     
     return transaction(async (client) => {
@@ -168,17 +955,19 @@ class OrganizationsService {
       );
       
       if (userCheck.rows.length === 0) {
-        throw new NotFoundError('Usuario');
+        throw new NotFoundError('user');
       }
       
       // Verificar si la organización existe
       const orgCheck = await client.query(
-        'SELECT id FROM organizations WHERE id = $1',
+        `SELECT id FROM organizations
+         WHERE id = $1
+           AND NOT EXISTS (SELECT 1 FROM deleted_organizations WHERE org_id = $1)`,
         [orgId]
       );
       
       if (orgCheck.rows.length === 0) {
-        throw new NotFoundError('Organización');
+        throw new NotFoundError('organization');
       }
       
       // Verificar si ya es miembro
@@ -188,7 +977,7 @@ class OrganizationsService {
       );
       
       if (memberCheck.rows.length > 0) {
-        throw new ConflictError('El usuario ya es miembro de esta organización');
+        throw new ConflictError(t('errors.membershipExists.organization'), {}, { code: 'MEMBERSHIP_EXISTS' });
       }
       
       // Crear membresía
@@ -200,6 +989,13 @@ class OrganizationsService {
         [membershipId, orgId, userId, role]
       );
       
+      await auditLogsService.record(client, {
+        action: 'org_member.added',
+        resourceType: 'org_membership',
+        resourceId: membershipId,
+        after: memberResult.rows[0]
+      });
+      
       logger.info(`Usuario ${userId} añadido a organización ${orgId} con rol ${role}`);
       return memberResult.rows[0];
     });
@@ -210,64 +1006,56 @@ class OrganizationsService {
    * @param {string} orgId - ID de la organización
    * @param {string} userId - ID del usuario
    * @param {string} role - Nuevo rol
+   * @param {Object} options - Opciones
+   * @param {string} options.ifMatch - Cabecera If-Match: solo se aplica si el ETag sigue coincidiendo
    * @returns {Promise<Object>} Membresía actualizada
    */
-  async updateMember(orgId, userId, role) {
+  async updateMember(orgId, userId, role, { ifMatch } = {}) {
     if (!role) {
-      throw new BusinessLogicError('El rol es requerido');
+      throw new BusinessLogicError(t('errors.required.role'), {
+        code: 'REQUIRED_FIELD',
+        details: { field: 'role' }
+      });
     }
     
     // Validar rol
     const validRoles = ['OWNER', 'ADMIN', 'VIEWER', 'NONE'];
     if (!validRoles.includes(role)) {
-      throw new BusinessLogicError('Rol inválido. Debe ser OWNER, ADMIN, VIEWER o NONE');
+      throw new BusinessLogicError(t('errors.invalidOrgRole'), {
+        code: 'INVALID_ROLE'
+      });
     }
     
-    // Si el nuevo rol no es OWNER, verificar que no sea el último propietario
-    let result;
-    if (role !== 'OWNER') {
-      result = await transaction(async (client) => {
-        // Comprobar si el usuario actual es OWNER
-        const currentRole = await client.query(
-          'SELECT role FROM organization_memberships WHERE org_id = $1 AND user_id = $2',
-          [orgId, userId]
-        );
-        
-        if (currentRole.rows.length === 0) {
-          throw new NotFoundError('Membresía');
-        }
-        
-        if (currentRole.rows[0].role === 'OWNER') {
-          // Contar propietarios
-          const ownersCount = await client.query(
-            'SELECT COUNT(*) FROM organization_memberships WHERE org_id = $1 AND role = $2',
-            [orgId, 'OWNER']
-          );
-          
-          if (parseInt(ownersCount.rows[0].count) <= 1) {
-            throw new BusinessLogicError('No se puede cambiar el rol del último propietario');
-          }
-        }
-        
-        // Actualizar rol
-        const updateResult = await client.query(
-          `UPDATE organization_memberships 
-           SET role = $1, updated_at = CURRENT_TIMESTAMP 
-           WHERE org_id = $2 AND user_id = $3 
-           RETURNING *`,
-          [role, orgId, userId]
+    return transaction(async (client) => {
+      // Obtener la membresía actual (estado previo para la auditoría)
+      const current = await client.query(
+        'SELECT * FROM organization_memberships WHERE org_id = $1 AND user_id = $2 FOR UPDATE',
+        [orgId, userId]
+      );
+      
+      if (current.rows.length === 0) {
+        throw new NotFoundError('membership');
+      }
+      
+      checkIfMatch(ifMatch, current.rows[0]);
+      
+      // Si el nuevo rol no es OWNER, verificar que no sea el último propietario
+      if (role !== 'OWNER' && current.rows[0].role === 'OWNER') {
+        // Contar propietarios
+        const ownersCount = await client.query(
+          'SELECT COUNT(*) FROM organization_memberships WHERE org_id = $1 AND role = $2',
+          [orgId, 'OWNER']
         );
         
-        if (updateResult.rows.length === 0) {
-          throw new NotFoundError('Membresía');
+        if (parseInt(ownersCount.rows[0].count) <= 1) {
+          throw new BusinessLogicError(t('errors.lastOwner.roleChange'), {
+            code: 'LAST_OWNER'
+          });
         }
-        
-        logger.info(`Rol de usuario ${userId} en organización ${orgId} actualizado a ${role}`);
-        return updateResult.rows[0];
-      });
-    } else {
-      // Si el nuevo rol es OWNER, simplemente actualizar
-      const rows = await db.query(
+      }
+      
+      // Actualizar rol
+      const updateResult = await client.query(
         `UPDATE organization_memberships 
          SET role = $1, updated_at = CURRENT_TIMESTAMP 
          WHERE org_id = $2 AND user_id = $3 
@@ -275,35 +1063,46 @@ class OrganizationsService {
         [role, orgId, userId]
       );
       
-      if (rows.length === 0) {
-        throw new NotFoundError('Membresía');
+      await auditLogsService.record(client, {
+        action: 'org_member.updated',
+        resourceType: 'org_membership',
+        resourceId: current.rows[0].id,
+        before: current.rows[0],
+        after: updateResult.rows[0]
+      });
+      
+      if (role === 'OWNER') {
+        logger.info(`Usuario ${userId} promovido a propietario en organización ${orgId}`);
+      } else {
+        logger.info(`Rol de usuario ${userId} en organización ${orgId} actualizado a ${role}`);
       }
       
-      logger.info(`Usuario ${userId} promovido a propietario en organización ${orgId}`);
-      result = rows[0];
-    }
-    
-    return result;
+      return updateResult.rows[0];
+    });
   }
 
   /**
    * Elimina un miembro de la organización
    * @param {string} orgId - ID de la organización
    * @param {string} userId - ID del usuario
+   * @param {Object} options - Opciones
+   * @param {string} options.ifMatch - Cabecera If-Match: solo se aplica si el ETag sigue coincidiendo
    * @returns {Promise<boolean>} true si se eliminó correctamente
    */
-  async removeMember(orgId, userId) {
+  async removeMember(orgId, userId, { ifMatch } = {}) {
     return transaction(async (client) => {
       // Verificar si es el último propietario
       const currentRole = await client.query(
-        'SELECT role FROM organization_memberships WHERE org_id = $1 AND user_id = $2',
+        'SELECT * FROM organization_memberships WHERE org_id = $1 AND user_id = $2 FOR UPDATE',
         [orgId, userId]
       );
       
       if (currentRole.rows.length === 0) {
-        throw new NotFoundError('Membresía');
+        throw new NotFoundError('membership');
       }
       
+      checkIfMatch(ifMatch, currentRole.rows[0]);
+      
       if (currentRole.rows[0].role === 'OWNER') {
         // Contar propietarios
         const ownersCount = await client.query(
@@ -312,7 +1111,7 @@ class OrganizationsService {
         );
         
         if (parseInt(ownersCount.rows[0].count) <= 1) {
-          throw new BusinessLogicError('No se puede eliminar al último propietario');
+          throw new BusinessLogicError(t('errors.lastOwner.remove'), { code: 'LAST_OWNER' });
         }
       }
       
@@ -329,13 +1128,20 @@ class OrganizationsService {
       );
       
       if (deleteResult.rows.length === 0) {
-        throw new NotFoundError('Membresía');
+        throw new NotFoundError('membership');
       }
       
+      await auditLogsService.record(client, {
+        action: 'org_member.removed',
+        resourceType: 'org_membership',
+        resourceId: currentRole.rows[0].id,
+        before: currentRole.rows[0]
+      });
+      
       logger.info(`Usuario ${userId} eliminado de organización ${orgId}`);
       return true;
     });
   }
 }
 
-module.exports = new OrganizationsService();
\ No newline at end of file
+module.exports = instrumentService(new OrganizationsService(), 'organizations');
\ No newline at end of file
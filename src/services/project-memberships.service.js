@@ -7,21 +7,47 @@ const {
   ConflictError, 
   BusinessLogicError 
 } = require('../utils/errors');
+const { t } = require('../utils/i18n');
 const { createContextLogger } = require('../utils/logger');
+const { instrumentService } = require('../utils/tracing');
+const { checkIfMatch } = require('../utils/etag');
+const { cursorPage, whereClause } = require('../utils/pagination');
+const auditLogsService = require('./audit-logs.service');
 
 // Logger contextual para este servicio
 const logger = createContextLogger('project-memberships-service');
 
+const VALID_ROLES = ['OWNER', 'ADMIN', 'MEMBER', 'VIEWER'];
+
+/**
+ * Genera la lista VALUES de un INSERT de varias filas
+ * Cada fila recibe `width` parámetros seguidos y las columnas created_at y updated_at
+ * @param {number} count - Número de filas
+ * @param {number} width - Parámetros por fila
+ * @returns {string}
+ */
+function valuesList(count, width) {
+  return Array.from({ length: count }, (_, row) => {
+    const placeholders = Array.from({ length: width }, (_, col) => `$${row * width + col + 1}`);
+    return `(${placeholders.join(', ')}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`;
+  }).join(', ');
+}
+
 /**
  * Servicio para manejar operaciones relacionadas con membresías de proyectos
  */
 class ProjectMembershipsService {
   /**
-   * Obtiene todos los miembros de un proyecto
+   * Obtiene los miembros de un proyecto paginados por cursor
    * @param {string} projectId - ID del proyecto
-   * @returns {Promise<Array>} Lista de miembros
+   * @param {Object} options - Opciones de filtrado y paginación
+   * @param {string} options.role - Rol en el proyecto
+   * @param {string} options.sort - Ordenación (created_at, updated_at; prefijo - para descendente)
+   * @param {string} options.cursor - Cursor de la página anterior
+   * @param {number} options.limit - Tamaño de página
+   * @returns {Promise<Object>} { data, nextCursor }
    */
-  async getByProject(projectId) {
+  async getByProject(projectId, { role, sort, cursor, limit = 20 } = {}) {
     // Verificar si el proyecto existe
     const projectExists = await db.queryOne(
       'SELECT id FROM projects WHERE id = $1 AND deleted_at IS NULL',
@@ -29,18 +55,42 @@ class ProjectMembershipsService {
     );
     
     if (!projectExists) {
-      throw new NotFoundError('Proyecto');
+      throw new NotFoundError('project');
+    }
+    
+    const params = [projectId];
+    const conditions = ['pm.project_id = $1'];
+    
+    if (role) {
+      params.push(role);
+      conditions.push(`pm.role = $${params.length}`);
     }
     
-    return db.query(
+    // La membresía se identifica por proyecto y usuario: el usuario sirve de desempate
+    const page = cursorPage({
+      sortable: {
+        created_at: { column: 'pm.created_at', date: true },
+        updated_at: { column: 'pm.updated_at', date: true }
+      },
+      sort,
+      defaultSort: '-created_at',
+      cursor,
+      limit,
+      idColumn: 'pm.user_id',
+      idField: 'user_id'
+    }, params);
+    
+    const members = await db.query(
       `SELECT pm.project_id, pm.user_id, pm.role, pm.created_at, pm.updated_at,
               u.name, u.email, u.image
        FROM project_memberships pm
-       JOIN users u ON pm.user_id = u.id
-       WHERE pm.project_id = $1
-       ORDER BY pm.created_at DESC`,
-      [projectId]
+       JOIN users u ON pm.user_id = u.id${whereClause([...conditions, page.condition])}
+       ORDER BY ${page.orderBy}
+       LIMIT ${page.limit}`,
+      params
     );
+    
+    return page.toResult(members);
   }
 
   /**
@@ -69,13 +119,17 @@ class ProjectMembershipsService {
    */
   async addMember(projectId, userId, role = 'VIEWER') {
     if (!userId) {
-      throw new BusinessLogicError('El ID de usuario es requerido');
+      throw new BusinessLogicError(t('errors.required.userId'), {
+        code: 'REQUIRED_FIELD',
+        details: { field: 'userId' }
+      });
     }
     
     // Validar rol
-    const validRoles = ['OWNER', 'ADMIN', 'MEMBER', 'VIEWER'];
-    if (!validRoles.includes(role)) {
-      throw new BusinessLogicError('Rol inválido. Debe ser OWNER, ADMIN, MEMBER o VIEWER');
+    if (!VALID_ROLES.includes(role)) {
+      throw new BusinessLogicError(t('errors.invalidProjectRole'), {
+        code: 'INVALID_ROLE'
+      });
     }
     
     return transaction(async (client) => {
@@ -86,7 +140,7 @@ class ProjectMembershipsService {
       );
       
       if (projectCheck.rows.length === 0) {
-        throw new NotFoundError('Proyecto');
+        throw new NotFoundError('project');
       }
       
       const orgId = projectCheck.rows[0].org_id;
@@ -98,7 +152,7 @@ class ProjectMembershipsService {
       );
       
       if (userCheck.rows.length === 0) {
-        throw new NotFoundError('Usuario');
+        throw new NotFoundError('user');
       }
       
       // Verificar si existe membresía de organización
@@ -112,12 +166,20 @@ class ProjectMembershipsService {
       if (orgMembershipCheck.rows.length === 0) {
         // Crear membresía de organización primero con rol VIEWER por defecto
         orgMembershipId = generateId('om');
-        await client.query(
+        const orgMembershipResult = await client.query(
           `INSERT INTO organization_memberships (id, org_id, user_id, role, created_at, updated_at)
-           VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+           VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+           RETURNING *`,
           [orgMembershipId, orgId, userId, 'VIEWER']
         );
         
+        await auditLogsService.record(client, {
+          action: 'org_member.added',
+          resourceType: 'org_membership',
+          resourceId: orgMembershipId,
+          after: orgMembershipResult.rows[0]
+        });
+        
         logger.info(`Usuario ${userId} añadido a organización ${orgId} automáticamente`);
       } else {
         orgMembershipId = orgMembershipCheck.rows[0].id;
@@ -130,7 +192,7 @@ class ProjectMembershipsService {
       );
       
       if (memberCheck.rows.length > 0) {
-        throw new ConflictError('El usuario ya es miembro de este proyecto');
+        throw new ConflictError(t('errors.membershipExists.project'), {}, { code: 'MEMBERSHIP_EXISTS' });
       }
       
       // Crear membresía de proyecto
@@ -141,6 +203,13 @@ class ProjectMembershipsService {
         [projectId, userId, orgMembershipId, role]
       );
       
+      await auditLogsService.record(client, {
+        action: 'project_member.added',
+        resourceType: 'project_membership',
+        resourceId: `${projectId}:${userId}`,
+        after: memberResult.rows[0]
+      });
+      
       // Obtener datos del usuario para devolver información completa
       const userResult = await client.query(
         'SELECT name, email, image FROM users WHERE id = $1',
@@ -161,122 +230,113 @@ class ProjectMembershipsService {
    * @param {string} projectId - ID del proyecto
    * @param {string} userId - ID del usuario
    * @param {string} role - Nuevo rol
+   * @param {Object} options - Opciones
+   * @param {string} options.ifMatch - Cabecera If-Match: solo se aplica si el ETag sigue coincidiendo
    * @returns {Promise<Object>} Membresía actualizada
    */
-  async updateMember(projectId, userId, role) {
+  async updateMember(projectId, userId, role, { ifMatch } = {}) {
     if (!role) {
-      throw new BusinessLogicError('El rol es requerido');
+      throw new BusinessLogicError(t('errors.required.role'), {
+        code: 'REQUIRED_FIELD',
+        details: { field: 'role' }
+      });
     }
     
     // Validar rol
-    const validRoles = ['OWNER', 'ADMIN', 'MEMBER', 'VIEWER'];
-    if (!validRoles.includes(role)) {
-      throw new BusinessLogicError('Rol inválido. Debe ser OWNER, ADMIN, MEMBER o VIEWER');
+    if (!VALID_ROLES.includes(role)) {
+      throw new BusinessLogicError(t('errors.invalidProjectRole'), {
+        code: 'INVALID_ROLE'
+      });
     }
     
-    // Si el nuevo rol no es OWNER, verificar que no sea el último propietario
-    let result;
-    if (role !== 'OWNER') {
-      result = await transaction(async (client) => {
-        // Comprobar si el usuario actual es OWNER
-        const currentRole = await client.query(
-          'SELECT role FROM project_memberships WHERE project_id = $1 AND user_id = $2',
-          [projectId, userId]
-        );
-        
-        if (currentRole.rows.length === 0) {
-          throw new NotFoundError('Membresía de proyecto');
-        }
-        
-        if (currentRole.rows[0].role === 'OWNER') {
-          // Contar propietarios
-          const ownersCount = await client.query(
-            'SELECT COUNT(*) FROM project_memberships WHERE project_id = $1 AND role = $2',
-            [projectId, 'OWNER']
-          );
-          
-          if (parseInt(ownersCount.rows[0].count) <= 1) {
-            throw new BusinessLogicError('No se puede cambiar el rol del último propietario');
-          }
-        }
-        
-        // Actualizar rol
-        const updateResult = await client.query(
-          `UPDATE project_memberships 
-           SET role = $1, updated_at = CURRENT_TIMESTAMP 
-           WHERE project_id = $2 AND user_id = $3 
-           RETURNING project_id, user_id, role, created_at, updated_at`,
-          [role, projectId, userId]
+    return transaction(async (client) => {
+      // Obtener la membresía actual (estado previo para la auditoría)
+      const current = await client.query(
+        `SELECT project_id, user_id, role, created_at, updated_at
+         FROM project_memberships WHERE project_id = $1 AND user_id = $2 FOR UPDATE`,
+        [projectId, userId]
+      );
+      
+      if (current.rows.length === 0) {
+        throw new NotFoundError('projectMembership');
+      }
+      
+      checkIfMatch(ifMatch, current.rows[0]);
+      
+      // Si el nuevo rol no es OWNER, verificar que no sea el último propietario
+      if (role !== 'OWNER' && current.rows[0].role === 'OWNER') {
+        // Contar propietarios
+        const ownersCount = await client.query(
+          'SELECT COUNT(*) FROM project_memberships WHERE project_id = $1 AND role = $2',
+          [projectId, 'OWNER']
         );
         
-        if (updateResult.rows.length === 0) {
-          throw new NotFoundError('Membresía de proyecto');
+        if (parseInt(ownersCount.rows[0].count) <= 1) {
+          throw new BusinessLogicError(t('errors.lastOwner.roleChange'), {
+            code: 'LAST_OWNER'
+          });
         }
-        
-        // Obtener datos del usuario para devolver información completa
-        const userResult = await client.query(
-          'SELECT name, email, image FROM users WHERE id = $1',
-          [userId]
-        );
-        
-        logger.info(`Rol de usuario ${userId} en proyecto ${projectId} actualizado a ${role}`);
-        
-        return {
-          ...updateResult.rows[0],
-          ...userResult.rows[0]
-        };
+      }
+      
+      // Actualizar rol
+      const updateResult = await client.query(
+        `UPDATE project_memberships 
+         SET role = $1, updated_at = CURRENT_TIMESTAMP 
+         WHERE project_id = $2 AND user_id = $3 
+         RETURNING project_id, user_id, role, created_at, updated_at`,
+        [role, projectId, userId]
+      );
+      
+      await auditLogsService.record(client, {
+        action: 'project_member.updated',
+        resourceType: 'project_membership',
+        resourceId: `${projectId}:${userId}`,
+        before: current.rows[0],
+        after: updateResult.rows[0]
       });
-    } else {
-      // Si el nuevo rol es OWNER, simplemente actualizar
-      result = await transaction(async (client) => {
-        const updateResult = await client.query(
-          `UPDATE project_memberships 
-           SET role = $1, updated_at = CURRENT_TIMESTAMP 
-           WHERE project_id = $2 AND user_id = $3 
-           RETURNING project_id, user_id, role, created_at, updated_at`,
-          [role, projectId, userId]
-        );
-        
-        if (updateResult.rows.length === 0) {
-          throw new NotFoundError('Membresía de proyecto');
-        }
-        
-        // Obtener datos del usuario para devolver información completa
-        const userResult = await client.query(
-          'SELECT name, email, image FROM users WHERE id = $1',
-          [userId]
-        );
-        
+      
+      // Obtener datos del usuario para devolver información completa
+      const userResult = await client.query(
+        'SELECT name, email, image FROM users WHERE id = $1',
+        [userId]
+      );
+      
+      if (role === 'OWNER') {
         logger.info(`Usuario ${userId} promovido a propietario en proyecto ${projectId}`);
-        
-        return {
-          ...updateResult.rows[0],
-          ...userResult.rows[0]
-        };
-      });
-    }
-    
-    return result;
+      } else {
+        logger.info(`Rol de usuario ${userId} en proyecto ${projectId} actualizado a ${role}`);
+      }
+      
+      return {
+        ...updateResult.rows[0],
+        ...userResult.rows[0]
+      };
+    });
   }
 
   /**
    * Elimina un miembro del proyecto
    * @param {string} projectId - ID del proyecto
    * @param {string} userId - ID del usuario
+   * @param {Object} options - Opciones
+   * @param {string} options.ifMatch - Cabecera If-Match: solo se aplica si el ETag sigue coincidiendo
    * @returns {Promise<boolean>} true si se eliminó correctamente
    */
-  async removeMember(projectId, userId) {
+  async removeMember(projectId, userId, { ifMatch } = {}) {
     return transaction(async (client) => {
       // Verificar si es el último propietario
       const currentRole = await client.query(
-        'SELECT role FROM project_memberships WHERE project_id = $1 AND user_id = $2',
+        `SELECT project_id, user_id, role, created_at, updated_at
+         FROM project_memberships WHERE project_id = $1 AND user_id = $2 FOR UPDATE`,
         [projectId, userId]
       );
       
       if (currentRole.rows.length === 0) {
-        throw new NotFoundError('Membresía de proyecto');
+        throw new NotFoundError('projectMembership');
       }
       
+      checkIfMatch(ifMatch, currentRole.rows[0]);
+      
       if (currentRole.rows[0].role === 'OWNER') {
         // Contar propietarios
         const ownersCount = await client.query(
@@ -285,7 +345,7 @@ class ProjectMembershipsService {
         );
         
         if (parseInt(ownersCount.rows[0].count) <= 1) {
-          throw new BusinessLogicError('No se puede eliminar al último propietario');
+          throw new BusinessLogicError(t('errors.lastOwner.remove'), { code: 'LAST_OWNER' });
         }
       }
       
@@ -296,9 +356,16 @@ class ProjectMembershipsService {
       );
       
       if (deleteResult.rows.length === 0) {
-        throw new NotFoundError('Membresía de proyecto');
+        throw new NotFoundError('projectMembership');
       }
       
+      await auditLogsService.record(client, {
+        action: 'project_member.removed',
+        resourceType: 'project_membership',
+        resourceId: `${projectId}:${userId}`,
+        before: currentRole.rows[0]
+      });
+      
       logger.info(`Usuario ${userId} eliminado del proyecto ${projectId}`);
       return true;
     });
@@ -306,13 +373,21 @@ class ProjectMembershipsService {
 
   /**
    * Añade múltiples miembros a un proyecto
+   * Por defecto cada miembro se añade por separado y el resultado informa de los fallos uno a uno.
+   * En modo atómico se añaden todos o ninguno (ver _addBatchMembersAtomic)
    * @param {string} projectId - ID del proyecto
    * @param {Array} members - Array de {userId, role}
+   * @param {Object} options - Opciones
+   * @param {boolean} options.atomic - Añadir todos los miembros en una sola transacción o ninguno
    * @returns {Promise<Object>} Resultado con éxitos y errores
    */
-  async addBatchMembers(projectId, members) {
+  async addBatchMembers(projectId, members, { atomic = false } = {}) {
     if (!Array.isArray(members) || members.length === 0) {
-      throw new BusinessLogicError('Se requiere un array de miembros válido');
+      throw new BusinessLogicError(t('errors.invalidMembers'), { code: 'INVALID_MEMBERS' });
+    }
+    
+    if (atomic) {
+      return this._addBatchMembersAtomic(projectId, members);
     }
     
     const result = {
@@ -327,7 +402,7 @@ class ProjectMembershipsService {
     );
     
     if (!projectExists) {
-      throw new NotFoundError('Proyecto');
+      throw new NotFoundError('project');
     }
     
     // Procesar cada miembro secuencialmente para mejor manejo de errores
@@ -338,7 +413,7 @@ class ProjectMembershipsService {
         if (!userId) {
           result.errors.push({
             userId: member.userId || 'unknown',
-            error: 'ID de usuario requerido'
+            error: t('errors.required.userId')
           });
           continue;
         }
@@ -357,6 +432,130 @@ class ProjectMembershipsService {
     
     return result;
   }
+
+  /**
+   * Añade múltiples miembros a un proyecto en una sola transacción
+   * Valida todos los miembros antes de escribir y crea las membresías de organización que falten
+   * y las de proyecto, así como sus registros de auditoría y eventos, con un INSERT de varias filas cada una. Si algún miembro no se puede añadir
+   * no se aplica ningún cambio y el error incluye el motivo de cada uno en details.errors
+   * @param {string} projectId - ID del proyecto
+   * @param {Array} members - Array de {userId, role}
+   * @returns {Promise<Object>} Resultado con éxitos (todos los miembros) y errores (vacío)
+   * @private
+   */
+  async _addBatchMembersAtomic(projectId, members) {
+    return transaction(async (client) => {
+      const projectCheck = await client.query(
+        'SELECT id, org_id FROM projects WHERE id = $1 AND deleted_at IS NULL',
+        [projectId]
+      );
+      
+      if (projectCheck.rows.length === 0) {
+        throw new NotFoundError('project');
+      }
+      
+      const orgId = projectCheck.rows[0].org_id;
+      const userIds = members.map(member => member.userId).filter(Boolean);
+      
+      const usersResult = await client.query(
+        'SELECT id, name, email, image FROM users WHERE id = ANY($1)',
+        [userIds]
+      );
+      const existingResult = await client.query(
+        'SELECT user_id FROM project_memberships WHERE project_id = $1 AND user_id = ANY($2)',
+        [projectId, userIds]
+      );
+      
+      const users = new Map(usersResult.rows.map(user => [user.id, user]));
+      const existing = new Set(existingResult.rows.map(row => row.user_id));
+      const seen = new Set();
+      const rows = [];
+      const errors = [];
+      
+      // Validar todos los miembros antes de escribir nada
+      for (const { userId, role = 'VIEWER' } of members) {
+        const reject = (code, error) => errors.push({ userId: userId || 'unknown', code, error });
+        
+        if (!userId) {
+          reject('REQUIRED_FIELD', t('errors.required.userId'));
+        } else if (!VALID_ROLES.includes(role)) {
+          reject('INVALID_ROLE', t('errors.invalidProjectRole'));
+        } else if (!users.has(userId)) {
+          reject('NOT_FOUND', t('errors.notFound.user'));
+        } else if (existing.has(userId)) {
+          reject('MEMBERSHIP_EXISTS', t('errors.membershipExists.project'));
+        } else if (seen.has(userId)) {
+          reject('MEMBERSHIP_EXISTS', t('errors.membershipExists.batch'));
+        } else {
+          seen.add(userId);
+          rows.push({ userId, role });
+        }
+      }
+      
+      if (errors.length > 0) {
+        throw new ConflictError(
+          t('errors.batchRejected', { count: errors.length }),
+          { errors },
+          { code: 'BATCH_REJECTED' }
+        );
+      }
+      
+      // Membresías de organización que falten, con rol VIEWER por defecto
+      const orgMembershipResult = await client.query(
+        `INSERT INTO organization_memberships (id, org_id, user_id, role, created_at, updated_at)
+         VALUES ${valuesList(rows.length, 4)}
+         ON CONFLICT (org_id, user_id) DO NOTHING
+         RETURNING *`,
+        rows.flatMap(({ userId }) => [generateId('om'), orgId, userId, 'VIEWER'])
+      );
+      
+      await auditLogsService.recordMany(client, orgMembershipResult.rows.map(orgMembership => ({
+        action: 'org_member.added',
+        resourceType: 'org_membership',
+        resourceId: orgMembership.id,
+        after: orgMembership
+      })));
+      
+      if (orgMembershipResult.rows.length > 0) {
+        logger.info(`${orgMembershipResult.rows.length} usuarios añadidos a organización ${orgId} automáticamente`);
+      }
+      
+      const orgMemberships = await client.query(
+        'SELECT id, user_id FROM organization_memberships WHERE org_id = $1 AND user_id = ANY($2)',
+        [orgId, rows.map(row => row.userId)]
+      );
+      const orgMembershipIds = new Map(orgMemberships.rows.map(row => [row.user_id, row.id]));
+      
+      // Una membresía creada entre la validación y la inserción cancela todo el lote
+      const memberResult = await client.query(
+        `INSERT INTO project_memberships (project_id, user_id, org_membership_id, role, created_at, updated_at)
+         VALUES ${valuesList(rows.length, 4)}
+         ON CONFLICT (project_id, user_id) DO NOTHING
+         RETURNING project_id, user_id, role, created_at, updated_at`,
+        rows.flatMap(({ userId, role }) => [projectId, userId, orgMembershipIds.get(userId), role])
+      );
+      
+      if (memberResult.rows.length < rows.length) {
+        throw new ConflictError(t('errors.membershipExists.project'), {}, { code: 'MEMBERSHIP_EXISTS' });
+      }
+      
+      await auditLogsService.recordMany(client, memberResult.rows.map(membership => ({
+        action: 'project_member.added',
+        resourceType: 'project_membership',
+        resourceId: `${projectId}:${membership.user_id}`,
+        after: membership
+      })));
+      
+      const success = memberResult.rows.map(membership => {
+        const { name, email, image } = users.get(membership.user_id);
+        return { ...membership, name, email, image };
+      });
+      
+      logger.info(`${success.length} usuarios añadidos a proyecto ${projectId} en una sola transacción`);
+      
+      return { success, errors: [] };
+    });
+  }
 }
 
-module.exports = new ProjectMembershipsService();
\ No newline at end of file
+module.exports = instrumentService(new ProjectMembershipsService(), 'project-memberships');
\ No newline at end of file
@@ -1,34 +1,100 @@
 'use strict';
 
+const config = require('../config');
 const { db, transaction } = require('./database.service');
-const { generateId, generateApiKey, hashSecretKey } = require('../utils/id-generator');
+const { generateId, generateApiKey, hashApiKeySecret } = require('../utils/id-generator');
 const { NotFoundError, BusinessLogicError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
 const { createContextLogger } = require('../utils/logger');
+const { instrumentService } = require('../utils/tracing');
+const { checkIfMatch } = require('../utils/etag');
+const { cursorPage, whereClause, dateRange, escapeLike } = require('../utils/pagination');
+const auditLogsService = require('./audit-logs.service');
 
 // Logger contextual para este servicio
 const logger = createContextLogger('projects-service');
 
+// Campos por los que se pueden ordenar los listados
+const SORTABLE_FIELDS = {
+  name: { column: 'name' },
+  created_at: { column: 'created_at', date: true },
+  updated_at: { column: 'updated_at', date: true }
+};
+
 /**
  * Servicio para manejar operaciones relacionadas con proyectos
  */
 class ProjectsService {
+  constructor() {
+    this.purgeTimer = null;
+    this.purging = false;
+  }
+
   /**
-   * Obtiene todos los proyectos
-   * @param {string} orgId - ID de organización para filtrar (opcional)
-   * @returns {Promise<Array>} Lista de proyectos
+   * Obtiene los proyectos paginados por cursor
+   * @param {Object} options - Opciones de filtrado y paginación
+   * @param {string} options.orgId - ID de organización
+   * @param {boolean} options.deleted - Listar los proyectos eliminados en lugar de los activos
+   * @param {string} options.name - Prefijo del nombre
+   * @param {Date|string} options.createdFrom - Fecha de creación inicial (inclusive)
+   * @param {Date|string} options.createdTo - Fecha de creación final (inclusive)
+   * @param {string} options.sort - Ordenación (name, created_at, updated_at; prefijo - para descendente)
+   * @param {string} options.cursor - Cursor de la página anterior
+   * @param {number} options.limit - Tamaño de página
+   * @param {Object|null} access - Restricciones de acceso del solicitante (opcional)
+   * @param {string} access.userId - Limitar a los proyectos visibles para este usuario
+   * @param {string} access.orgId - Limitar a los proyectos de esta organización
+   * @returns {Promise<Object>} { data, nextCursor }
    */
-  async getAll(orgId = null) {
-    let queryText = 'SELECT * FROM projects WHERE deleted_at IS NULL';
+  async getAll({ orgId, deleted = false, name, createdFrom, createdTo, sort, cursor, limit = 20 } = {}, access = null) {
+    const conditions = [deleted ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
     const params = [];
     
     if (orgId) {
-      queryText += ' AND org_id = $1';
       params.push(orgId);
+      conditions.push(`org_id = $${params.length}`);
+    }
+    
+    if (access && access.orgId) {
+      params.push(access.orgId);
+      conditions.push(`org_id = $${params.length}`);
     }
     
-    queryText += ' ORDER BY created_at DESC';
+    if (access && access.userId) {
+      // Proyectos de organizaciones con acceso, o con membresía directa en el proyecto
+      params.push(access.userId);
+      conditions.push(`(
+        org_id IN (
+          SELECT org_id FROM organization_memberships
+          WHERE user_id = $${params.length} AND role <> 'NONE'
+        )
+        OR id IN (SELECT project_id FROM project_memberships WHERE user_id = $${params.length})
+      )`);
+    }
+    
+    if (name) {
+      params.push(`${escapeLike(name)}%`);
+      conditions.push(`name ILIKE $${params.length}`);
+    }
+    
+    conditions.push(...dateRange('created_at', createdFrom, createdTo, params));
+    
+    const page = cursorPage({
+      sortable: SORTABLE_FIELDS,
+      sort,
+      defaultSort: '-created_at',
+      cursor,
+      limit
+    }, params);
     
-    return db.query(queryText, params);
+    const projects = await db.query(
+      `SELECT * FROM projects${whereClause([...conditions, page.condition])}
+       ORDER BY ${page.orderBy}
+       LIMIT ${page.limit}`,
+      params
+    );
+    
+    return page.toResult(projects);
   }
 
   /**
@@ -52,22 +118,30 @@ class ProjectsService {
    */
   async create({ name, orgId }) {
     if (!name || !name.trim()) {
-      throw new BusinessLogicError('El nombre es requerido');
+      throw new BusinessLogicError(t('errors.required.name'), {
+        code: 'REQUIRED_FIELD',
+        details: { field: 'name' }
+      });
     }
     
     if (!orgId) {
-      throw new BusinessLogicError('El ID de organización es requerido');
+      throw new BusinessLogicError(t('errors.required.orgId'), {
+        code: 'REQUIRED_FIELD',
+        details: { field: 'orgId' }
+      });
     }
     
     return transaction(async (client) => {
       // Verificar si la organización existe
       const orgCheck = await client.query(
-        'SELECT id FROM organizations WHERE id = $1',
+        `SELECT id FROM organizations
+         WHERE id = $1
+           AND NOT EXISTS (SELECT 1 FROM deleted_organizations WHERE org_id = $1)`,
         [orgId]
       );
       
       if (orgCheck.rows.length === 0) {
-        throw new NotFoundError('Organización');
+        throw new NotFoundError('organization');
       }
       
       // Generar ID único para el proyecto
@@ -86,28 +160,45 @@ class ProjectsService {
       // Generar par de API keys
       const publicKey = generateApiKey('pk');
       const secretKey = generateApiKey('sk');
-      const hashedSecretKey = hashSecretKey(secretKey);
+      const { hashedSecretKey, fastHashedSecretKey } = await hashApiKeySecret(secretKey, config.apiKeys.salt);
       
       // Crear API key en la base de datos
       const apiKeyId = generateId('key');
-      await client.query(
+      const apiKeyResult = await client.query(
         `INSERT INTO api_keys (
           id, 
           project_id, 
           created_at, 
           public_key, 
           hashed_secret_key, 
+          fast_hashed_secret_key, 
           display_secret_key
-        ) VALUES ($1, $2, CURRENT_TIMESTAMP, $3, $4, $5)`,
+        ) VALUES ($1, $2, CURRENT_TIMESTAMP, $3, $4, $5, $6)
+        RETURNING id, project_id, created_at, public_key, display_secret_key, note, expires_at`,
         [
           apiKeyId, 
           projectId, 
           publicKey, 
           hashedSecretKey, 
+          fastHashedSecretKey, 
           secretKey.substring(0, 8) + '...'
         ]
       );
       
+      await auditLogsService.record(client, {
+        action: 'project.created',
+        resourceType: 'project',
+        resourceId: projectId,
+        after: project
+      });
+      
+      await auditLogsService.record(client, {
+        action: 'api_key.created',
+        resourceType: 'api_key',
+        resourceId: apiKeyId,
+        after: apiKeyResult.rows[0]
+      });
+      
       logger.info(`Proyecto creado con ID: ${projectId} en organización ${orgId}`);
       
       // Devolver proyecto con API keys (secretKey solo se muestra una vez)
@@ -126,50 +217,445 @@ class ProjectsService {
    * @param {string} id - ID del proyecto
    * @param {Object} data - Datos a actualizar
    * @param {string} data.name - Nuevo nombre
+   * @param {Object} options - Opciones
+   * @param {string} options.ifMatch - Cabecera If-Match: solo se aplica si el ETag sigue coincidiendo
    * @returns {Promise<Object|null>} Proyecto actualizado o null
    */
-  async update(id, { name }) {
+  async update(id, { name }, { ifMatch } = {}) {
     if (!name || !name.trim()) {
-      throw new BusinessLogicError('El nombre es requerido');
+      throw new BusinessLogicError(t('errors.required.name'), {
+        code: 'REQUIRED_FIELD',
+        details: { field: 'name' }
+      });
     }
     
-    const result = await db.query(
-      `UPDATE projects 
-       SET name = $1, updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $2 AND deleted_at IS NULL
-       RETURNING *`,
-      [name.trim(), id]
-    );
-    
-    if (result.length === 0) {
-      return null;
+    return transaction(async (client) => {
+      // Obtener el estado previo para la auditoría
+      const current = await client.query(
+        'SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [id]
+      );
+      
+      if (current.rows.length === 0) {
+        return null;
+      }
+      
+      checkIfMatch(ifMatch, current.rows[0]);
+      
+      const result = await client.query(
+        `UPDATE projects 
+         SET name = $1, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $2 AND deleted_at IS NULL
+         RETURNING *`,
+        [name.trim(), id]
+      );
+      
+      await auditLogsService.record(client, {
+        action: 'project.updated',
+        resourceType: 'project',
+        resourceId: id,
+        before: current.rows[0],
+        after: result.rows[0]
+      });
+      
+      logger.info(`Proyecto actualizado: ${id}`);
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Transfiere un proyecto a otra organización
+   * Las API keys pertenecen al proyecto y siguen funcionando. Las membresías del proyecto se
+   * reasignan a la membresía del usuario en la organización destino; si no la tiene, se crea
+   * (con rol NONE, solo acceso al proyecto) cuando createMemberships es true o se elimina
+   * @param {string} id - ID del proyecto
+   * @param {Object} options - Opciones de la transferencia
+   * @param {string} options.orgId - ID de la organización destino
+   * @param {boolean} options.createMemberships - Crear las membresías que falten en la organización destino
+   * @param {boolean} options.dryRun - Solo calcular el resultado, sin aplicar cambios
+   * @returns {Promise<Object>} Resumen de la transferencia
+   */
+  async transfer(id, { orgId, createMemberships = false, dryRun = false }) {
+    if (!orgId) {
+      throw new BusinessLogicError(t('errors.required.targetOrgId'), {
+        code: 'REQUIRED_FIELD',
+        details: { field: 'orgId' }
+      });
     }
     
-    logger.info(`Proyecto actualizado: ${id}`);
-    return result[0];
+    return transaction(async (client) => {
+      const current = await client.query(
+        'SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [id]
+      );
+      
+      if (current.rows.length === 0) {
+        throw new NotFoundError('project');
+      }
+      
+      const project = current.rows[0];
+      
+      if (project.org_id === orgId) {
+        throw new BusinessLogicError(t('errors.projects.alreadyInOrganization'), {
+          code: 'PROJECT_ALREADY_IN_ORGANIZATION'
+        });
+      }
+      
+      const orgCheck = await client.query(
+        `SELECT id FROM organizations
+         WHERE id = $1
+           AND NOT EXISTS (SELECT 1 FROM deleted_organizations WHERE org_id = $1)`,
+        [orgId]
+      );
+      
+      if (orgCheck.rows.length === 0) {
+        throw new NotFoundError('organization');
+      }
+      
+      // Membresías del proyecto junto con la membresía del usuario en la organización destino
+      const members = await client.query(
+        `SELECT pm.*, om.id AS target_membership_id
+         FROM project_memberships pm
+         LEFT JOIN organization_memberships om ON om.org_id = $2 AND om.user_id = pm.user_id
+         WHERE pm.project_id = $1
+         ORDER BY pm.user_id
+         FOR UPDATE OF pm`,
+        [id, orgId]
+      );
+      
+      const rehomed = [];
+      const created = [];
+      const dropped = [];
+      
+      for (const member of members.rows) {
+        const entry = { userId: member.user_id, role: member.role };
+        
+        if (member.target_membership_id) {
+          rehomed.push(entry);
+        } else if (createMemberships) {
+          rehomed.push(entry);
+          created.push({ userId: member.user_id });
+        } else {
+          dropped.push(entry);
+        }
+      }
+      
+      const apiKeys = await client.query(
+        'SELECT COUNT(*) FROM api_keys WHERE project_id = $1',
+        [id]
+      );
+      
+      const summary = {
+        project: { id: project.id, name: project.name },
+        fromOrgId: project.org_id,
+        toOrgId: orgId,
+        dryRun,
+        apiKeys: parseInt(apiKeys.rows[0].count),
+        memberships: { rehomed, created, dropped }
+      };
+      
+      if (dryRun) {
+        return summary;
+      }
+      
+      const result = await client.query(
+        `UPDATE projects 
+         SET org_id = $1, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $2
+         RETURNING *`,
+        [orgId, id]
+      );
+      
+      await auditLogsService.record(client, {
+        action: 'project.transferred',
+        resourceType: 'project',
+        resourceId: id,
+        before: project,
+        after: result.rows[0]
+      });
+      
+      for (const member of members.rows) {
+        const { target_membership_id: targetMembershipId, ...before } = member;
+        const memberId = `${id}:${member.user_id}`;
+        let orgMembershipId = targetMembershipId;
+        
+        if (!orgMembershipId && !createMemberships) {
+          await client.query(
+            'DELETE FROM project_memberships WHERE project_id = $1 AND user_id = $2',
+            [id, member.user_id]
+          );
+          
+          await auditLogsService.record(client, {
+            action: 'project_member.removed',
+            resourceType: 'project_membership',
+            resourceId: memberId,
+            before
+          });
+          continue;
+        }
+        
+        if (!orgMembershipId) {
+          // Rol NONE: el usuario solo accede a los proyectos donde es miembro
+          orgMembershipId = generateId('om');
+          const orgMembership = await client.query(
+            `INSERT INTO organization_memberships (id, org_id, user_id, role, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+             RETURNING *`,
+            [orgMembershipId, orgId, member.user_id, 'NONE']
+          );
+          
+          await auditLogsService.record(client, {
+            action: 'org_member.added',
+            resourceType: 'org_membership',
+            resourceId: orgMembershipId,
+            after: orgMembership.rows[0]
+          });
+        }
+        
+        const updated = await client.query(
+          `UPDATE project_memberships 
+           SET org_membership_id = $1, updated_at = CURRENT_TIMESTAMP 
+           WHERE project_id = $2 AND user_id = $3
+           RETURNING *`,
+          [orgMembershipId, id, member.user_id]
+        );
+        
+        await auditLogsService.record(client, {
+          action: 'project_member.updated',
+          resourceType: 'project_membership',
+          resourceId: memberId,
+          before,
+          after: updated.rows[0]
+        });
+      }
+      
+      logger.info(
+        `Proyecto ${id} transferido de ${project.org_id} a ${orgId}: ` +
+        `${rehomed.length} membresías reasignadas, ${created.length} creadas, ${dropped.length} eliminadas`
+      );
+      
+      return summary;
+    });
   }
 
   /**
    * Marca un proyecto como eliminado (soft delete)
    * @param {string} id - ID del proyecto
+   * @param {Object} options - Opciones
+   * @param {string} options.ifMatch - Cabecera If-Match: solo se aplica si el ETag sigue coincidiendo
    * @returns {Promise<boolean>} true si se eliminó correctamente
    */
-  async delete(id) {
-    const result = await db.query(
-      `UPDATE projects 
-       SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $1 AND deleted_at IS NULL
-       RETURNING id`,
-      [id]
+  async delete(id, { ifMatch } = {}) {
+    return transaction(async (client) => {
+      // Obtener el estado previo para la auditoría
+      const current = await client.query(
+        'SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [id]
+      );
+      
+      if (current.rows.length === 0) {
+        throw new NotFoundError('project');
+      }
+      
+      checkIfMatch(ifMatch, current.rows[0]);
+      
+      const result = await client.query(
+        `UPDATE projects 
+         SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING *`,
+        [id]
+      );
+      
+      await auditLogsService.record(client, {
+        action: 'project.deleted',
+        resourceType: 'project',
+        resourceId: id,
+        before: current.rows[0],
+        after: result.rows[0]
+      });
+      
+      logger.info(`Proyecto marcado como eliminado: ${id}`);
+      return true;
+    });
+  }
+
+  /**
+   * Restaura un proyecto eliminado
+   * Las API keys y membresías del proyecto se conservan durante el soft delete,
+   * por lo que vuelven a estar activas
+   * @param {string} id - ID del proyecto
+   * @returns {Promise<Object>} Proyecto restaurado
+   */
+  async restore(id) {
+    return transaction(async (client) => {
+      const current = await client.query(
+        'SELECT * FROM projects WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE',
+        [id]
+      );
+      
+      if (current.rows.length === 0) {
+        throw new NotFoundError('deletedProject');
+      }
+      
+      // No se puede restaurar un proyecto de una organización eliminada
+      const orgCheck = await client.query(
+        `SELECT id FROM organizations
+         WHERE id = $1
+           AND NOT EXISTS (SELECT 1 FROM deleted_organizations WHERE org_id = $1)`,
+        [current.rows[0].org_id]
+      );
+      
+      if (orgCheck.rows.length === 0) {
+        throw new BusinessLogicError(t('errors.projects.organizationDeleted'), {
+          code: 'ORGANIZATION_DELETED'
+        });
+      }
+      
+      const result = await client.query(
+        `UPDATE projects 
+         SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $1
+         RETURNING *`,
+        [id]
+      );
+      
+      await auditLogsService.record(client, {
+        action: 'project.restored',
+        resourceType: 'project',
+        resourceId: id,
+        before: current.rows[0],
+        after: result.rows[0]
+      });
+      
+      logger.info(`Proyecto restaurado: ${id}`);
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Elimina definitivamente un proyecto eliminado
+   * Las API keys, membresías y demás filas del proyecto se borran en cascada
+   * por las claves foráneas de Langfuse
+   * @param {string} id - ID del proyecto
+   * @returns {Promise<Object>} Número de API keys y membresías eliminadas
+   */
+  async purge(id) {
+    return transaction(async (client) => {
+      const current = await client.query(
+        'SELECT * FROM projects WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE',
+        [id]
+      );
+      
+      if (current.rows.length === 0) {
+        throw new NotFoundError('deletedProject');
+      }
+      
+      const apiKeys = await client.query(
+        'DELETE FROM api_keys WHERE project_id = $1 RETURNING id',
+        [id]
+      );
+      
+      const memberships = await client.query(
+        'DELETE FROM project_memberships WHERE project_id = $1 RETURNING user_id',
+        [id]
+      );
+      
+      await auditLogsService.record(client, {
+        action: 'project.purged',
+        resourceType: 'project',
+        resourceId: id,
+        before: current.rows[0]
+      });
+      
+      await client.query('DELETE FROM projects WHERE id = $1', [id]);
+      
+      logger.info(`Proyecto eliminado definitivamente: ${id}`);
+      return {
+        id,
+        apiKeys: apiKeys.rows.length,
+        memberships: memberships.rows.length
+      };
+    });
+  }
+
+  /**
+   * Elimina definitivamente los proyectos cuyo periodo de retención ha vencido
+   * Sin periodo de retención (0, el valor por defecto) no se purga nada
+   * @param {number} retentionDays - Días que se conserva un proyecto eliminado
+   * @returns {Promise<number>} Número de proyectos eliminados definitivamente
+   */
+  async purgeExpired(retentionDays = config.projects.retentionDays) {
+    if (!(retentionDays > 0)) {
+      return 0;
+    }
+    
+    const expired = await db.query(
+      `SELECT id FROM projects
+       WHERE deleted_at IS NOT NULL
+         AND deleted_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 day')
+       ORDER BY deleted_at
+       LIMIT $2`,
+      [retentionDays, config.projects.purgeBatchSize]
     );
     
-    if (result.length === 0) {
-      throw new NotFoundError('Proyecto');
+    let purged = 0;
+    for (const { id } of expired) {
+      try {
+        await this.purge(id);
+        purged++;
+      } catch (error) {
+        // Otro proceso pudo restaurarlo o purgarlo mientras tanto
+        if (!(error instanceof NotFoundError)) {
+          throw error;
+        }
+      }
+    }
+    
+    if (purged > 0) {
+      logger.info(`${purged} proyectos eliminados definitivamente tras ${retentionDays} días de retención`);
+    }
+    
+    return purged;
+  }
+
+  /**
+   * Inicia la purga periódica de proyectos eliminados
+   */
+  startRetentionPurge() {
+    if (this.purgeTimer) {
+      return;
     }
     
-    logger.info(`Proyecto marcado como eliminado: ${id}`);
-    return true;
+    this.purgeTimer = setInterval(async () => {
+      // Evitar solapar ciclos si el anterior sigue en curso
+      if (this.purging) {
+        return;
+      }
+      
+      this.purging = true;
+      try {
+        await this.purgeExpired();
+      } catch (error) {
+        logger.error('Error al purgar proyectos eliminados:', error);
+      } finally {
+        this.purging = false;
+      }
+    }, config.projects.purgeIntervalMs);
+    
+    this.purgeTimer.unref();
+    logger.info(`Purga de proyectos eliminados activa (retención: ${config.projects.retentionDays} días)`);
+  }
+
+  /**
+   * Detiene la purga periódica de proyectos eliminados
+   */
+  stopRetentionPurge() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
   }
 }
 
-module.exports = new ProjectsService();
\ No newline at end of file
+module.exports = instrumentService(new ProjectsService(), 'projects');
\ No newline at end of file
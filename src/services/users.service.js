@@ -3,60 +3,65 @@
 const { db, transaction } = require('./database.service');
 const { generateId } = require('../utils/id-generator');
 const { NotFoundError, ConflictError, BusinessLogicError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
 const { createContextLogger } = require('../utils/logger');
+const { instrumentService } = require('../utils/tracing');
+const { checkIfMatch } = require('../utils/etag');
+const { cursorPage, whereClause, escapeLike } = require('../utils/pagination');
+const auditLogsService = require('./audit-logs.service');
 const crypto = require('crypto');
 
 // Logger contextual para este servicio
 const logger = createContextLogger('users-service');
 
+// Campos por los que se pueden ordenar los listados
+// Nombre y email admiten nulos en Langfuse, por lo que se ordenan como cadena vacía
+const SORTABLE_FIELDS = {
+  name: { column: 'name', fallback: '' },
+  email: { column: 'email', fallback: '' },
+  created_at: { column: 'created_at', date: true }
+};
+
 /**
  * Servicio para manejar operaciones relacionadas con usuarios
  */
 class UsersService {
   /**
-   * Obtiene todos los usuarios con paginación y búsqueda
-   * @param {Object} options - Opciones de filtrado
-   * @param {string} options.search - Término de búsqueda para nombre o email
-   * @param {number} options.limit - Límite de resultados por página
-   * @param {number} options.page - Número de página
-   * @returns {Promise<Array>} Lista de usuarios
+   * Obtiene los usuarios paginados por cursor
+   * @param {Object} options - Opciones de búsqueda y paginación
+   * @param {string} options.search - Texto a buscar en nombre o email
+   * @param {string} options.sort - Ordenación (name, email, created_at; prefijo - para descendente)
+   * @param {string} options.cursor - Cursor de la página anterior
+   * @param {number} options.limit - Tamaño de página
+   * @returns {Promise<Object>} { data, nextCursor }
    */
-  async getAll({ search, limit = 10, page = 1 }) {
-    const offset = (page - 1) * limit;
-    let queryText = `
-      SELECT id, name, email, image, created_at, admin, 
-             feature_flags, email_verified
-      FROM users
-    `;
+  async getAll({ search, sort, cursor, limit = 10 } = {}) {
+    const conditions = [];
     const params = [];
     
     if (search) {
-      queryText += ` WHERE name ILIKE $1 OR email ILIKE $1`;
-      params.push(`%${search}%`);
+      params.push(`%${escapeLike(search)}%`);
+      conditions.push(`(name ILIKE $${params.length} OR email ILIKE $${params.length})`);
     }
     
-    queryText += ` ORDER BY name LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-    params.push(parseInt(limit, 10), offset);
-    
-    const users = await db.query(queryText, params);
-    
-    // Obtener conteo total para paginación
-    let countQuery = 'SELECT COUNT(*) FROM users';
-    if (search) {
-      countQuery += ` WHERE name ILIKE $1 OR email ILIKE $1`;
-    }
+    const page = cursorPage({
+      sortable: SORTABLE_FIELDS,
+      sort,
+      defaultSort: 'name',
+      cursor,
+      limit
+    }, params);
     
-    const totalCount = await db.queryOne(countQuery, search ? [`%${search}%`] : []);
+    const users = await db.query(
+      `SELECT id, name, email, image, created_at, admin, 
+              feature_flags, email_verified
+       FROM users${whereClause([...conditions, page.condition])}
+       ORDER BY ${page.orderBy}
+       LIMIT ${page.limit}`,
+      params
+    );
     
-    return {
-      users,
-      pagination: {
-        total: parseInt(totalCount.count, 10),
-        page: parseInt(page, 10),
-        limit: parseInt(limit, 10),
-        pages: Math.ceil(parseInt(totalCount.count, 10) / limit)
-      }
-    };
+    return page.toResult(users);
   }
 
   /**
@@ -86,7 +91,10 @@ class UsersService {
    */
   async create({ name, email, password = null }) {
     if (!email) {
-      throw new BusinessLogicError('El email es requerido');
+      throw new BusinessLogicError(t('errors.required.email'), {
+        code: 'REQUIRED_FIELD',
+        details: { field: 'email' }
+      });
     }
     
     return transaction(async (client) => {
@@ -97,7 +105,7 @@ class UsersService {
       );
       
       if (existingUser.rows.length > 0) {
-        throw new ConflictError('El email ya está en uso');
+        throw new ConflictError(t('errors.users.emailInUse'), {}, { code: 'EMAIL_IN_USE' });
       }
       
       // Hashear contraseña si se proporciona
@@ -119,6 +127,13 @@ class UsersService {
         [id, name, email, hashedPassword]
       );
       
+      await auditLogsService.record(client, {
+        action: 'user.created',
+        resourceType: 'user',
+        resourceId: id,
+        after: result.rows[0]
+      });
+      
       logger.info(`Usuario creado con ID: ${id}`);
       return result.rows[0];
     });
@@ -127,10 +142,12 @@ class UsersService {
   /**
    * Actualiza un usuario existente
    * @param {string} id - ID del usuario
-   * @param {Object} data - Datos a actualizar
+   * @param {Object} data - Datos a actualizar (los campos omitidos no se modifican; image null la elimina)
+   * @param {Object} options - Opciones
+   * @param {string} options.ifMatch - Cabecera If-Match: solo se aplica si el ETag sigue coincidiendo
    * @returns {Promise<Object|null>} Usuario actualizado o null
    */
-  async update(id, { name, email, image, feature_flags, admin = false }) {
+  async update(id, { name, email, image, feature_flags, admin }, { ifMatch } = {}) {
     const updateFields = [];
     const params = [id];
     let paramIndex = 2;
@@ -166,7 +183,7 @@ class UsersService {
     
     if (updateFields.length === 1) {
       // Solo se actualizó el timestamp
-      throw new BusinessLogicError('No hay campos para actualizar');
+      throw new BusinessLogicError(t('errors.noFieldsToUpdate'), { code: 'NO_FIELDS_TO_UPDATE' });
     }
     
     const query = `
@@ -176,26 +193,60 @@ class UsersService {
       RETURNING id, name, email, image, created_at, updated_at, admin, feature_flags
     `;
     
-    const result = await db.query(query, params);
-    
-    if (result.length === 0) {
-      return null;
-    }
-    
-    logger.info(`Usuario actualizado: ${id}`);
-    return result[0];
+    return transaction(async (client) => {
+      // Obtener el estado previo para la auditoría
+      const current = await client.query(
+        `SELECT id, name, email, image, created_at, updated_at, admin, feature_flags
+         FROM users WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+      
+      if (current.rows.length === 0) {
+        return null;
+      }
+      
+      checkIfMatch(ifMatch, current.rows[0]);
+      
+      const result = await client.query(query, params);
+      
+      await auditLogsService.record(client, {
+        action: 'user.updated',
+        resourceType: 'user',
+        resourceId: id,
+        before: current.rows[0],
+        after: result.rows[0]
+      });
+      
+      logger.info(`Usuario actualizado: ${id}`);
+      return result.rows[0];
+    });
   }
 
   /**
    * Elimina un usuario verificando dependencias
    * @param {string} id - ID del usuario
+   * @param {Object} options - Opciones
+   * @param {string} options.ifMatch - Cabecera If-Match: solo se elimina si el ETag sigue coincidiendo
    * @returns {Promise<boolean>} true si se eliminó correctamente
    */
-  async delete(id) {
+  async delete(id, { ifMatch } = {}) {
     return transaction(async (client) => {
-      // Verificar si tiene membresías de organización
+      // Obtener el estado previo para la auditoría
+      const current = await client.query(
+        `SELECT id, name, email, image, created_at, updated_at, admin, feature_flags
+         FROM users WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+      
+      if (current.rows.length > 0) {
+        checkIfMatch(ifMatch, current.rows[0]);
+      }
+      
+      // Verificar si tiene membresías de organización (las de organizaciones eliminadas en modo soft no cuentan)
       const memberships = await client.query(
-        'SELECT COUNT(*) FROM organization_memberships WHERE user_id = $1',
+        `SELECT COUNT(*) FROM organization_memberships om
+         WHERE om.user_id = $1
+           AND NOT EXISTS (SELECT 1 FROM deleted_organizations d WHERE d.org_id = om.org_id)`,
         [id]
       );
       
@@ -203,8 +254,8 @@ class UsersService {
       
       if (membershipCount > 0) {
         throw new BusinessLogicError(
-          `No se puede eliminar el usuario porque pertenece a ${membershipCount} organización(es). ` +
-          'Elimine primero las membresías del usuario.'
+          t('errors.users.hasMemberships', { count: membershipCount }),
+          { code: 'USER_HAS_MEMBERSHIPS', details: { organizations: membershipCount } }
         );
       }
       
@@ -219,13 +270,20 @@ class UsersService {
       );
       
       if (result.rows.length === 0) {
-        throw new NotFoundError('Usuario');
+        throw new NotFoundError('user');
       }
       
+      await auditLogsService.record(client, {
+        action: 'user.deleted',
+        resourceType: 'user',
+        resourceId: id,
+        before: current.rows[0]
+      });
+      
       logger.info(`Usuario eliminado: ${id}`);
       return true;
     });
   }
 }
 
-module.exports = new UsersService();
\ No newline at end of file
+module.exports = instrumentService(new UsersService(), 'users');
\ No newline at end of file
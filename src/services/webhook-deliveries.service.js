@@ -0,0 +1,469 @@
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const config = require('../config');
+const { db } = require('./database.service');
+const { generateId } = require('../utils/id-generator');
+const { NotFoundError, BusinessLogicError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
+const { createContextLogger } = require('../utils/logger');
+const { instrumentService } = require('../utils/tracing');
+const { WEBHOOK_EVENTS, ALL_EVENTS } = require('../utils/webhook-events');
+const { cursorPage, whereClause } = require('../utils/pagination');
+const { resolveWebhookTarget } = require('../utils/webhook-target');
+
+// Logger contextual para este servicio
+const logger = createContextLogger('webhook-deliveries-service');
+
+// Tamaño máximo de la respuesta del endpoint que se guarda en el registro
+const MAX_RESPONSE_LENGTH = 1000;
+
+/**
+ * Servicio para encolar y entregar los eventos de webhooks
+ * Los eventos se encolan en la transacción del cambio (ver audit-logs.service),
+ * de forma que solo se envían los cambios confirmados
+ */
+class WebhookDeliveriesService {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Encola un evento para los webhooks suscritos
+   * Debe llamarse con el cliente de la transacción que realiza el cambio
+   * @param {Object} client - Cliente de la transacción en curso
+   * @param {Object} event - Operación realizada (mismos datos que el registro de auditoría)
+   * @param {string} event.action - Tipo de evento (p. ej. project.created)
+   * @param {string} event.resourceType - Tipo de recurso afectado
+   * @param {string} event.resourceId - ID del recurso afectado
+   * @param {Object|null} event.before - Estado previo del recurso
+   * @param {Object|null} event.after - Estado posterior del recurso
+   * @returns {Promise<number>} Número de entregas encoladas
+   */
+  async enqueue(client, event) {
+    return this.enqueueMany(client, [event]);
+  }
+
+  /**
+   * Encola varios eventos con una sola consulta de webhooks y un solo INSERT de entregas
+   * Pensado para las operaciones por lotes (ver audit-logs.service recordMany)
+   * @param {Object} client - Cliente de la transacción en curso
+   * @param {Array<Object>} events - Operaciones realizadas, con los mismos datos que en enqueue
+   * @returns {Promise<number>} Número de entregas encoladas
+   */
+  async enqueueMany(client, events) {
+    const subscribable = events.filter(({ action }) => WEBHOOK_EVENTS.includes(action));
+
+    if (subscribable.length === 0) {
+      return 0;
+    }
+
+    // Organización de cada evento; los proyectos se consultan una sola vez
+    const projectOrgs = new Map();
+    const orgIds = [];
+
+    for (const { resourceType, before = null, after = null } of subscribable) {
+      orgIds.push(await this._resolveOrgId(client, resourceType, after || before, projectOrgs));
+    }
+
+    const webhooks = await client.query(
+      `SELECT id, org_id, events FROM webhooks
+       WHERE active = TRUE
+         AND (org_id IS NULL OR org_id = ANY($1))
+         AND (events && $2 OR $3 = ANY(events))`,
+      [[...new Set(orgIds.filter(Boolean))], [...new Set(subscribable.map(({ action }) => action))], ALL_EVENTS]
+    );
+
+    if (webhooks.rows.length === 0) {
+      return 0;
+    }
+
+    const deliveries = [];
+
+    subscribable.forEach(({ action, resourceType, resourceId, before = null, after = null }, index) => {
+      const orgId = orgIds[index];
+      const subscribed = webhooks.rows.filter(webhook =>
+        (webhook.org_id === null || webhook.org_id === orgId) &&
+        (webhook.events.includes(action) || webhook.events.includes(ALL_EVENTS))
+      );
+
+      if (subscribed.length === 0) {
+        return;
+      }
+
+      const eventId = generateId('evt');
+      const payload = JSON.stringify({
+        id: eventId,
+        type: action,
+        created_at: new Date().toISOString(),
+        org_id: orgId,
+        resource: {
+          type: resourceType,
+          id: resourceId
+        },
+        data: {
+          before,
+          after
+        }
+      });
+
+      subscribed.forEach(webhook => deliveries.push([generateId('whd'), webhook.id, eventId, action, payload]));
+    });
+
+    if (deliveries.length === 0) {
+      return 0;
+    }
+
+    // Un array por columna (unnest): el número de parámetros no depende del número de entregas
+    await client.query(
+      `INSERT INTO webhook_deliveries (id, webhook_id, event_id, event_type, payload, created_at)
+       SELECT delivery.*, CURRENT_TIMESTAMP
+       FROM unnest($1::text[], $2::text[], $3::text[], $4::text[], $5::jsonb[])
+         AS delivery(id, webhook_id, event_id, event_type, payload)`,
+      [0, 1, 2, 3, 4].map(column => deliveries.map(delivery => delivery[column]))
+    );
+
+    logger.debug(`${subscribable.length} eventos encolados en ${deliveries.length} entregas`);
+    return deliveries.length;
+  }
+
+  /**
+   * Obtiene el registro de entregas de un webhook paginado por cursor
+   * @param {string} webhookId - ID del webhook
+   * @param {Object} options - Opciones de filtrado y paginación
+   * @param {string} options.status - Estado de la entrega (pending, succeeded, failed)
+   * @param {string} options.eventType - Tipo de evento
+   * @param {string} options.sort - Ordenación (created_at; prefijo - para descendente)
+   * @param {string} options.cursor - Cursor de la página anterior
+   * @param {number} options.limit - Tamaño de página
+   * @returns {Promise<Object>} { data, nextCursor }
+   */
+  async getByWebhook(webhookId, { status, eventType, sort, cursor, limit = 20 } = {}) {
+    const webhookExists = await db.queryOne('SELECT id FROM webhooks WHERE id = $1', [webhookId]);
+
+    if (!webhookExists) {
+      throw new NotFoundError('webhook');
+    }
+
+    const params = [webhookId];
+    const conditions = ['webhook_id = $1'];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    if (eventType) {
+      params.push(eventType);
+      conditions.push(`event_type = $${params.length}`);
+    }
+
+    const page = cursorPage({
+      sortable: { created_at: { column: 'created_at', date: true } },
+      sort,
+      defaultSort: '-created_at',
+      cursor,
+      limit
+    }, params);
+
+    const deliveries = await db.query(
+      `SELECT * FROM webhook_deliveries${whereClause([...conditions, page.condition])}
+       ORDER BY ${page.orderBy}
+       LIMIT ${page.limit}`,
+      params
+    );
+
+    return page.toResult(deliveries);
+  }
+
+  /**
+   * Vuelve a programar una entrega fallida para enviarla de inmediato
+   * @param {string} webhookId - ID del webhook
+   * @param {string} deliveryId - ID de la entrega
+   * @returns {Promise<Object>} Entrega reprogramada
+   */
+  async retry(webhookId, deliveryId) {
+    const delivery = await db.queryOne(
+      'SELECT id, status FROM webhook_deliveries WHERE id = $1 AND webhook_id = $2',
+      [deliveryId, webhookId]
+    );
+
+    if (!delivery) {
+      throw new NotFoundError('webhookDelivery');
+    }
+
+    if (delivery.status === 'succeeded') {
+      throw new BusinessLogicError(t('errors.webhooks.deliveryAlreadySucceeded'), {
+        code: 'DELIVERY_ALREADY_SUCCEEDED'
+      });
+    }
+
+    const updated = await db.queryOne(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', next_attempt_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [deliveryId]
+    );
+
+    logger.info(`Entrega ${deliveryId} del webhook ${webhookId} reprogramada`);
+    return updated;
+  }
+
+  /**
+   * Envía las entregas pendientes cuyo siguiente intento ya ha vencido
+   * Las entregas se reservan con SKIP LOCKED para que varias instancias no envíen la misma
+   * @param {number} batchSize - Número máximo de entregas a procesar
+   * @returns {Promise<number>} Número de entregas procesadas
+   */
+  async processPending(batchSize = config.webhooks.batchSize) {
+    // Reservar las entregas retrasando su siguiente intento mientras se envían
+    const deliveries = await db.query(
+      `WITH claimed AS (
+         UPDATE webhook_deliveries
+         SET next_attempt_at = CURRENT_TIMESTAMP + ($2 * INTERVAL '1 millisecond')
+         WHERE id IN (
+           SELECT id FROM webhook_deliveries
+           WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+           ORDER BY next_attempt_at
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *
+       )
+       SELECT c.*, w.url, w.secret, w.active
+       FROM claimed c
+       JOIN webhooks w ON c.webhook_id = w.id`,
+      [batchSize, config.webhooks.timeoutMs * 2]
+    );
+
+    for (const delivery of deliveries) {
+      await this._deliver(delivery);
+    }
+
+    return deliveries.length;
+  }
+
+  /**
+   * Inicia el envío periódico de entregas pendientes
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(async () => {
+      // Evitar solapar ciclos si el anterior sigue en curso
+      if (this.processing) {
+        return;
+      }
+
+      this.processing = true;
+      try {
+        await this.processPending();
+      } catch (error) {
+        logger.error('Error al procesar entregas de webhooks:', error);
+      } finally {
+        this.processing = false;
+      }
+    }, config.webhooks.pollIntervalMs);
+
+    this.timer.unref();
+    logger.info(`Despachador de webhooks iniciado (cada ${config.webhooks.pollIntervalMs} ms)`);
+  }
+
+  /**
+   * Detiene el envío periódico de entregas
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Firma el cuerpo de una entrega
+   * La firma es HMAC-SHA256 de "<timestamp>.<cuerpo>" con el secreto del webhook
+   * @param {string} secret - Secreto del webhook
+   * @param {number} timestamp - Marca de tiempo en segundos
+   * @param {string} body - Cuerpo de la solicitud
+   * @returns {string} Cabecera X-Webhook-Signature (t=<timestamp>,v1=<firma>)
+   */
+  sign(secret, timestamp, body) {
+    const signature = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Realiza un intento de entrega y registra el resultado
+   * @param {Object} delivery - Entrega reservada junto con la URL y el secreto del webhook
+   * @private
+   */
+  async _deliver(delivery) {
+    if (!delivery.active) {
+      await db.query(
+        `UPDATE webhook_deliveries SET status = 'failed', error = $2 WHERE id = $1`,
+        [delivery.id, t('errors.webhooks.inactive')]
+      );
+      return;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      // El host se resuelve y comprueba en cada intento y la conexión usa esa misma dirección
+      const address = await resolveWebhookTarget(delivery.url);
+
+      const response = await this._post(delivery.url, body, {
+        'X-Webhook-Id': delivery.webhook_id,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Signature': this.sign(delivery.secret, timestamp, body)
+      }, address);
+
+      responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        error = `HTTP ${response.status}: ${response.body}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    if (!error) {
+      await db.query(
+        `UPDATE webhook_deliveries
+         SET status = 'succeeded', attempts = $2, response_status = $3, error = NULL,
+             last_attempt_at = CURRENT_TIMESTAMP, delivered_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [delivery.id, attempts, responseStatus]
+      );
+
+      logger.debug(`Entrega ${delivery.id} (${delivery.event_type}) enviada a ${delivery.url}`);
+      return;
+    }
+
+    // Reintentar con espera exponencial hasta agotar los intentos
+    const exhausted = attempts >= config.webhooks.maxAttempts;
+    const delayMs = config.webhooks.backoffBaseMs * Math.pow(2, attempts - 1);
+
+    await db.query(
+      `UPDATE webhook_deliveries
+       SET status = $2, attempts = $3, response_status = $4, error = $5,
+           last_attempt_at = CURRENT_TIMESTAMP,
+           next_attempt_at = CURRENT_TIMESTAMP + ($6 * INTERVAL '1 millisecond')
+       WHERE id = $1`,
+      [delivery.id, exhausted ? 'failed' : 'pending', attempts, responseStatus, error, delayMs]
+    );
+
+    logger.warn(`Entrega ${delivery.id} a ${delivery.url} fallida (intento ${attempts}): ${error}`);
+  }
+
+  /**
+   * Envía una solicitud POST con cuerpo JSON
+   * Las redirecciones no se siguen: una respuesta 3xx cuenta como entrega fallida
+   * @param {string} url - URL de destino
+   * @param {string} body - Cuerpo JSON
+   * @param {Object} headers - Cabeceras adicionales
+   * @param {Object|null} address - Dirección ya comprobada a la que conectar ({ address, family });
+   * con null se resuelve el host al conectar
+   * @returns {Promise<Object>} { status, body } de la respuesta
+   * @private
+   */
+  _post(url, body, headers, address = null) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const transport = target.protocol === 'https:' ? https : http;
+
+      // Conectar a la dirección comprobada evita que el host se resuelva de nuevo a otra (DNS rebinding)
+      const lookup = address && ((hostname, options, callback) => {
+        if (options.all) {
+          return callback(null, [address]);
+        }
+        callback(null, address.address, address.family);
+      });
+
+      const request = transport.request(target, {
+        method: 'POST',
+        timeout: config.webhooks.timeoutMs,
+        ...(lookup && { lookup }),
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'langfuse-admin-api-webhooks',
+          ...headers
+        }
+      }, (response) => {
+        let responseBody = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          if (responseBody.length < MAX_RESPONSE_LENGTH) {
+            responseBody += chunk;
+          }
+        });
+        response.on('end', () => resolve({
+          status: response.statusCode,
+          body: responseBody.substring(0, MAX_RESPONSE_LENGTH)
+        }));
+      });
+
+      request.on('timeout', () => request.destroy(new Error(t('errors.webhooks.timeout'))));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Obtiene la organización a la que pertenece el recurso de un evento
+   * @param {Object} client - Cliente de la transacción en curso
+   * @param {string} resourceType - Tipo de recurso
+   * @param {Object|null} snapshot - Estado del recurso
+   * @param {Map} projectOrgs - Organización de los proyectos ya consultados (por ID de proyecto)
+   * @returns {Promise<string|null>} ID de la organización
+   * @private
+   */
+  async _resolveOrgId(client, resourceType, snapshot, projectOrgs = new Map()) {
+    if (!snapshot) {
+      return null;
+    }
+
+    if (resourceType === 'organization') {
+      return snapshot.id;
+    }
+
+    if (snapshot.org_id) {
+      return snapshot.org_id;
+    }
+
+    // Membresías de proyecto y API keys solo conocen su proyecto
+    if (snapshot.project_id) {
+      if (!projectOrgs.has(snapshot.project_id)) {
+        const project = await client.query(
+          'SELECT org_id FROM projects WHERE id = $1',
+          [snapshot.project_id]
+        );
+
+        projectOrgs.set(snapshot.project_id, project.rows.length > 0 ? project.rows[0].org_id : null);
+      }
+
+      return projectOrgs.get(snapshot.project_id);
+    }
+
+    return null;
+  }
+}
+
+module.exports = instrumentService(new WebhookDeliveriesService(), 'webhook-deliveries');
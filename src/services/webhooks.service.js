@@ -0,0 +1,289 @@
+'use strict';
+
+const { db, transaction } = require('./database.service');
+const { generateId, generateApiKey } = require('../utils/id-generator');
+const { NotFoundError, BusinessLogicError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
+const { createContextLogger } = require('../utils/logger');
+const { instrumentService } = require('../utils/tracing');
+const { WEBHOOK_EVENTS, ALL_EVENTS } = require('../utils/webhook-events');
+const { cursorPage, whereClause } = require('../utils/pagination');
+const { resolveWebhookTarget } = require('../utils/webhook-target');
+const auditLogsService = require('./audit-logs.service');
+
+// Logger contextual para este servicio
+const logger = createContextLogger('webhooks-service');
+
+// Columnas públicas de un webhook (el secreto solo se devuelve al crearlo)
+const WEBHOOK_COLUMNS = 'id, org_id, url, description, events, active, created_at, updated_at';
+
+/**
+ * Servicio para manejar los webhooks salientes
+ */
+class WebhooksService {
+  /**
+   * Obtiene los webhooks paginados por cursor
+   * @param {Object} options - Opciones de filtrado y paginación
+   * @param {string} options.orgId - Limitar a los webhooks de esta organización (opcional)
+   * @param {boolean} options.active - Filtrar por estado (opcional)
+   * @param {string} options.sort - Ordenación (created_at, updated_at; prefijo - para descendente)
+   * @param {string} options.cursor - Cursor de la página anterior
+   * @param {number} options.limit - Tamaño de página
+   * @returns {Promise<Object>} { data, nextCursor } (sin el secreto)
+   */
+  async getAll({ orgId, active, sort, cursor, limit = 20 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (orgId) {
+      params.push(orgId);
+      conditions.push(`org_id = $${params.length}`);
+    }
+
+    if (active !== undefined) {
+      params.push(active === true || active === 'true');
+      conditions.push(`active = $${params.length}`);
+    }
+
+    const page = cursorPage({
+      sortable: {
+        created_at: { column: 'created_at', date: true },
+        updated_at: { column: 'updated_at', date: true }
+      },
+      sort,
+      defaultSort: '-created_at',
+      cursor,
+      limit
+    }, params);
+
+    const webhooks = await db.query(
+      `SELECT ${WEBHOOK_COLUMNS} FROM webhooks${whereClause([...conditions, page.condition])}
+       ORDER BY ${page.orderBy}
+       LIMIT ${page.limit}`,
+      params
+    );
+
+    return page.toResult(webhooks);
+  }
+
+  /**
+   * Obtiene un webhook por su ID
+   * @param {string} id - ID del webhook
+   * @returns {Promise<Object>} Webhook (sin el secreto)
+   */
+  async getById(id) {
+    const webhook = await db.queryOne(
+      `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = $1`,
+      [id]
+    );
+
+    if (!webhook) {
+      throw new NotFoundError('webhook');
+    }
+
+    return webhook;
+  }
+
+  /**
+   * Registra un nuevo webhook
+   * @param {Object} data - Datos del webhook
+   * @param {string} data.url - URL a la que se envían los eventos
+   * @param {string[]} data.events - Tipos de evento suscritos ('*' para todos)
+   * @param {string} data.orgId - Organización de la que se reciben eventos (opcional, todas si se omite)
+   * @param {string} data.description - Descripción (opcional)
+   * @returns {Promise<Object>} Webhook creado (el secreto solo se muestra una vez)
+   */
+  async create({ url, events = [], orgId = null, description = null }) {
+    if (!url) {
+      throw new BusinessLogicError(t('errors.required.url'), {
+        code: 'REQUIRED_FIELD',
+        details: { field: 'url' }
+      });
+    }
+
+    this._validateEvents(events);
+    await this._validateUrl(url);
+
+    return transaction(async (client) => {
+      // Verificar si la organización existe
+      if (orgId) {
+        const orgCheck = await client.query(
+          `SELECT id FROM organizations
+           WHERE id = $1
+             AND NOT EXISTS (SELECT 1 FROM deleted_organizations WHERE org_id = $1)`,
+          [orgId]
+        );
+
+        if (orgCheck.rows.length === 0) {
+          throw new NotFoundError('organization');
+        }
+      }
+
+      const id = generateId('whk');
+      const secret = generateApiKey('whsec');
+
+      const result = await client.query(
+        `INSERT INTO webhooks (id, org_id, url, description, events, secret, active, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, TRUE, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+         RETURNING ${WEBHOOK_COLUMNS}`,
+        [id, orgId, url, description, [...new Set(events)], secret]
+      );
+
+      await auditLogsService.record(client, {
+        action: 'webhook.created',
+        resourceType: 'webhook',
+        resourceId: id,
+        after: result.rows[0]
+      });
+
+      logger.info(`Webhook creado con ID: ${id}${orgId ? ` para organización ${orgId}` : ''}`);
+
+      // Devolver con el secreto de firma (solo se muestra una vez)
+      return {
+        ...result.rows[0],
+        secret
+      };
+    });
+  }
+
+  /**
+   * Actualiza un webhook
+   * @param {string} id - ID del webhook
+   * @param {Object} data - Campos a actualizar (url, events, description, active)
+   * @returns {Promise<Object>} Webhook actualizado
+   */
+  async update(id, { url, events, description, active }) {
+    const updates = [];
+    const params = [];
+
+    if (url !== undefined) {
+      await this._validateUrl(url);
+      params.push(url);
+      updates.push(`url = $${params.length}`);
+    }
+
+    if (events !== undefined) {
+      this._validateEvents(events);
+      params.push([...new Set(events)]);
+      updates.push(`events = $${params.length}`);
+    }
+
+    if (description !== undefined) {
+      params.push(description);
+      updates.push(`description = $${params.length}`);
+    }
+
+    if (active !== undefined) {
+      params.push(active);
+      updates.push(`active = $${params.length}`);
+    }
+
+    if (updates.length === 0) {
+      throw new BusinessLogicError(t('errors.noFieldsToUpdate'), {
+        code: 'NO_FIELDS_TO_UPDATE'
+      });
+    }
+
+    return transaction(async (client) => {
+      // Obtener el estado previo para la auditoría
+      const current = await client.query(
+        `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+
+      if (current.rows.length === 0) {
+        throw new NotFoundError('webhook');
+      }
+
+      params.push(id);
+      const result = await client.query(
+        `UPDATE webhooks
+         SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${params.length}
+         RETURNING ${WEBHOOK_COLUMNS}`,
+        params
+      );
+
+      await auditLogsService.record(client, {
+        action: 'webhook.updated',
+        resourceType: 'webhook',
+        resourceId: id,
+        before: current.rows[0],
+        after: result.rows[0]
+      });
+
+      logger.info(`Webhook actualizado: ${id}`);
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Elimina un webhook junto con su registro de entregas
+   * @param {string} id - ID del webhook
+   * @returns {Promise<boolean>} true si se eliminó correctamente
+   */
+  async delete(id) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        `DELETE FROM webhooks WHERE id = $1 RETURNING ${WEBHOOK_COLUMNS}`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new NotFoundError('webhook');
+      }
+
+      await auditLogsService.record(client, {
+        action: 'webhook.deleted',
+        resourceType: 'webhook',
+        resourceId: id,
+        before: result.rows[0]
+      });
+
+      logger.info(`Webhook eliminado: ${id}`);
+      return true;
+    });
+  }
+
+  /**
+   * Comprueba que la URL no apunta a la red interna (ver webhook-target)
+   * Un host que todavía no se puede resolver se acepta: la comprobación se repite en cada entrega
+   * @param {string} url - URL del webhook
+   * @private
+   */
+  async _validateUrl(url) {
+    try {
+      await resolveWebhookTarget(url);
+    } catch (error) {
+      if (error instanceof BusinessLogicError) {
+        throw error;
+      }
+
+      logger.warn(`No se pudo resolver el host del webhook ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Valida la lista de eventos suscritos
+   * @param {string[]} events - Tipos de evento
+   * @private
+   */
+  _validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new BusinessLogicError(t('errors.required.events'), {
+        code: 'REQUIRED_FIELD',
+        details: { field: 'events' }
+      });
+    }
+
+    const invalidEvents = events.filter((event) => event !== ALL_EVENTS && !WEBHOOK_EVENTS.includes(event));
+    if (invalidEvents.length > 0) {
+      throw new BusinessLogicError(t('errors.invalidEvents', { events: invalidEvents }), {
+        code: 'INVALID_EVENTS',
+        details: { events: invalidEvents }
+      });
+    }
+  }
+}
+
+module.exports = instrumentService(new WebhooksService(), 'webhooks');
@@ -0,0 +1,98 @@
+'use strict';
+
+const YAML = require('yamljs');
+const { Joi, commonSchemas } = require('../middleware/validation.middleware');
+const { ValidationError } = require('./errors');
+const { t } = require('./i18n');
+
+/**
+ * Documento de estado deseado para POST /api/apply y `langfuse-admin apply`
+ *
+ * Las organizaciones y proyectos se identifican por `id` o, si no se indica, por nombre;
+ * los miembros por `email` o `userId` y las API keys por su nota. Las listas presentes
+ * son completas (lo que no aparece se elimina); las listas omitidas no se gestionan.
+ */
+
+// Un miembro se identifica por email o por ID de usuario
+const memberSchema = (role) => Joi.object({
+  email: commonSchemas.email,
+  userId: commonSchemas.id,
+  role: role.required()
+    .messages({
+      'any.only': 'validation.role.invalid',
+      'any.required': 'validation.role.required'
+    })
+}).xor('email', 'userId')
+  .messages({
+    'object.missing': 'validation.apply.memberIdentity',
+    'object.xor': 'validation.apply.memberIdentityXor'
+  });
+
+const sameMember = (a, b) => (a.email && a.email === b.email) || (a.userId && a.userId === b.userId);
+
+const apiKeySchema = Joi.object({
+  note: Joi.string().trim().min(1).max(255).required()
+    .messages({
+      'string.empty': 'validation.apply.apiKeyNote.empty',
+      'any.required': 'validation.apply.apiKeyNote.required'
+    })
+});
+
+const projectSchema = Joi.object({
+  id: commonSchemas.id,
+  name: Joi.string().trim().min(1).max(100).required()
+    .messages({
+      'string.empty': 'validation.projectName.empty',
+      'any.required': 'validation.projectName.required'
+    }),
+  members: Joi.array().items(memberSchema(Joi.string().valid('OWNER', 'ADMIN', 'MEMBER', 'VIEWER')))
+    .unique(sameMember)
+    .messages({ 'array.unique': 'validation.apply.projectMember.unique' }),
+  apiKeys: Joi.array().items(apiKeySchema)
+    .unique('note')
+    .messages({ 'array.unique': 'validation.apply.apiKeyNote.unique' })
+});
+
+const organizationSchema = Joi.object({
+  id: commonSchemas.id,
+  name: commonSchemas.name.trim().required()
+    .messages({
+      'string.min': 'validation.orgName.min',
+      'any.required': 'validation.orgName.required'
+    }),
+  members: Joi.array().items(memberSchema(commonSchemas.orgRole))
+    .unique(sameMember)
+    .messages({ 'array.unique': 'validation.apply.orgMember.unique' }),
+  projects: Joi.array().items(projectSchema)
+    .unique('name')
+    .messages({ 'array.unique': 'validation.apply.projectName.unique' })
+});
+
+const documentSchema = Joi.object({
+  organizations: Joi.array().items(organizationSchema).min(1).unique('name').required()
+    .messages({
+      'array.min': 'validation.apply.organizations.min',
+      'array.unique': 'validation.apply.organizations.unique',
+      'any.required': 'validation.apply.organizations.required'
+    })
+});
+
+/**
+ * Convierte el texto de un documento YAML o JSON en objeto
+ * @param {string} text - Contenido del documento
+ * @param {string} format - 'yaml' o 'json'
+ * @returns {Object}
+ * @throws {ValidationError} Si el documento no se puede analizar
+ */
+function parseDocument(text, format = 'yaml') {
+  try {
+    return format === 'json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new ValidationError(t('errors.apply.invalidDocument', { format: format.toUpperCase() }), { document: error.message });
+  }
+}
+
+module.exports = {
+  documentSchema,
+  parseDocument
+};
@@ -0,0 +1,99 @@
+'use strict';
+
+const { t } = require('./i18n');
+
+/**
+ * Catálogo de códigos de error estables
+ *
+ * Cada fallo distinto de la API tiene un código propio que no cambia aunque cambie
+ * el texto del mensaje. Los clientes deben basarse en el código (campo `error` en el
+ * formato clásico, `code` en application/problem+json) y nunca en el mensaje.
+ * El título es fijo por código (traducido en el catálogo de mensajes, claves titles.*);
+ * el detalle (`message` / `detail`) puede variar.
+ */
+const ERROR_CATALOG = Object.freeze({
+  // Errores genéricos
+  VALIDATION_ERROR: { status: 400 },
+  INVALID_JSON: { status: 400 },
+  BUSINESS_LOGIC_ERROR: { status: 400 },
+  AUTHENTICATION_ERROR: { status: 401 },
+  AUTHORIZATION_ERROR: { status: 403 },
+  NOT_FOUND: { status: 404 },
+  ROUTE_NOT_FOUND: { status: 404 },
+  CONFLICT: { status: 409 },
+  PRECONDITION_FAILED: { status: 412 },
+  RATE_LIMITED: { status: 429 },
+  INTERNAL_ERROR: { status: 500 },
+  INTERNAL_SERVER_ERROR: { status: 500 },
+  DATABASE_ERROR: { status: 500 },
+  SERVICE_UNAVAILABLE: { status: 503 },
+
+  // Datos de entrada
+  REQUIRED_FIELD: { status: 400 },
+  NO_FIELDS_TO_UPDATE: { status: 400 },
+  INVALID_ROLE: { status: 400 },
+  INVALID_EXPIRATION: { status: 400 },
+  EXPIRATION_NOT_FUTURE: { status: 400 },
+  INVALID_GRACE_PERIOD: { status: 400 },
+  INVALID_SCOPES: { status: 400 },
+  INVALID_EVENTS: { status: 400 },
+  INVALID_MEMBERS: { status: 400 },
+  INVALID_DELETION_MODE: { status: 400 },
+
+  // Membresías
+  LAST_OWNER: { status: 400 },
+  MEMBERSHIP_EXISTS: { status: 409 },
+  BATCH_REJECTED: { status: 409 },
+
+  // Usuarios
+  EMAIL_IN_USE: { status: 409 },
+  USER_HAS_MEMBERSHIPS: { status: 400 },
+
+  // Organizaciones y proyectos
+  NO_OWNER_AVAILABLE: { status: 409 },
+  PROJECT_ALREADY_IN_ORGANIZATION: { status: 400 },
+  ORGANIZATION_DELETED: { status: 400 },
+
+  // Resultados de la verificación de credenciales de proyecto: POST /api-keys/verify
+  // responde 200 con { valid: false, code } (no son fallos de autenticación del llamante)
+  KEY_NOT_FOUND: { status: 200 },
+  SECRET_MISMATCH: { status: 200 },
+  KEY_EXPIRED: { status: 200 },
+  PROJECT_DELETED: { status: 200 },
+
+  // Webhooks
+  DELIVERY_ALREADY_SUCCEEDED: { status: 400 },
+  WEBHOOK_TARGET_FORBIDDEN: { status: 400 },
+
+  // Idempotencia
+  IDEMPOTENCY_KEY_MISMATCH: { status: 422 },
+  IDEMPOTENCY_KEY_IN_USE: { status: 409 },
+
+  // Migraciones
+  MIGRATION_NOT_FOUND: { status: 400 },
+  MIGRATION_NOT_REVERSIBLE: { status: 400 }
+});
+
+/**
+ * Obtiene la entrada del catálogo de un código
+ * Los códigos desconocidos se describen con el título genérico de su estado HTTP
+ * @param {string} code - Código de error
+ * @param {number} status - Estado HTTP de la respuesta
+ * @returns {Object} { code, status, title } (título en el idioma de la solicitud)
+ */
+function describeError(code, status = 500) {
+  const entry = ERROR_CATALOG[code];
+
+  if (entry) {
+    return { code, ...entry, title: t(`titles.${code}`) };
+  }
+
+  const fallback = status >= 500 ? 'INTERNAL_ERROR' : 'BUSINESS_LOGIC_ERROR';
+
+  return { code, status, title: t(`titles.${fallback}`) };
+}
+
+module.exports = {
+  ERROR_CATALOG,
+  describeError
+};
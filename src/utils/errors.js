@@ -1,8 +1,12 @@
 'use strict';
 
+const { t } = require('./i18n');
+
 /**
  * Sistema de errores personalizado para la aplicación
  * Permite categorizar y manejar errores de forma consistente
+ * Los códigos (`code`) están documentados en utils/error-catalog.js y los mensajes,
+ * en el idioma de la solicitud, salen del catálogo de utils/i18n.js
  */
 
 /**
@@ -57,7 +61,7 @@ class ValidationError extends AppError {
  * Error de autenticación (401 Unauthorized)
  */
 class AuthenticationError extends AppError {
-  constructor(message = 'Credenciales inválidas') {
+  constructor(message = t('errors.authentication')) {
     super(message, {
       status: 401,
       code: 'AUTHENTICATION_ERROR'
@@ -65,11 +69,24 @@ class AuthenticationError extends AppError {
   }
 }
 
+/**
+ * Credenciales de proyecto no válidas (ver ApiKeysService.verify)
+ * El código indica el motivo: KEY_NOT_FOUND, SECRET_MISMATCH, KEY_EXPIRED o PROJECT_DELETED.
+ * POST /api-keys/verify lo devuelve como resultado ({ valid: false, code }) y el middleware
+ * de autenticación de proyectos como 401
+ */
+class ApiKeyVerificationError extends AuthenticationError {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
 /**
  * Error de autorización (403 Forbidden)
  */
 class AuthorizationError extends AppError {
-  constructor(message = 'No tiene permisos para esta acción') {
+  constructor(message = t('errors.authorization')) {
     super(message, {
       status: 403,
       code: 'AUTHORIZATION_ERROR'
@@ -79,35 +96,50 @@ class AuthorizationError extends AppError {
 
 /**
  * Error de recurso no encontrado (404 Not Found)
+ * @param {string} resource - Clave del recurso en el catálogo de mensajes (resources.*), p. ej. 'project'
  */
 class NotFoundError extends AppError {
-  constructor(resource = 'Recurso') {
-    super(`${resource} no encontrado`, {
+  constructor(resource = 'resource') {
+    super(t(`errors.notFound.${resource}`), {
       status: 404,
       code: 'NOT_FOUND',
-      details: { resource }
+      details: { resource: t(`resources.${resource}`) }
     });
   }
 }
 
 /**
  * Error de conflicto (409 Conflict)
+ * options.code permite indicar un código del catálogo más específico que CONFLICT
  */
 class ConflictError extends AppError {
-  constructor(message, details = {}) {
+  constructor(message, details = {}, options = {}) {
     super(message, {
       status: 409,
-      code: 'CONFLICT',
+      code: options.code || 'CONFLICT',
       details
     });
   }
 }
 
+/**
+ * Error de precondición (412 Precondition Failed)
+ * El recurso cambió desde que el cliente obtuvo su ETag (cabecera If-Match)
+ */
+class PreconditionFailedError extends AppError {
+  constructor(message = t('errors.preconditionFailed')) {
+    super(message, {
+      status: 412,
+      code: 'PRECONDITION_FAILED'
+    });
+  }
+}
+
 /**
  * Error de base de datos
  */
 class DatabaseError extends AppError {
-  constructor(message = 'Error de base de datos', options = {}) {
+  constructor(message = t('errors.database'), options = {}) {
     super(message, {
       ...options,
       status: options.status || 500,
@@ -133,9 +165,11 @@ module.exports = {
   AppError,
   ValidationError,
   AuthenticationError,
+  ApiKeyVerificationError,
   AuthorizationError,
   NotFoundError,
   ConflictError,
+  PreconditionFailedError,
   DatabaseError,
   BusinessLogicError
 };
\ No newline at end of file
@@ -0,0 +1,69 @@
+'use strict';
+
+const crypto = require('crypto');
+const { PreconditionFailedError } = require('./errors');
+
+/**
+ * ETags de los recursos para la concurrencia optimista (If-Match en PUT y DELETE)
+ * y los GET condicionales (If-None-Match). Se derivan de updated_at, por lo que
+ * cambian con cada modificación del recurso
+ */
+
+/**
+ * Calcula el ETag de un recurso
+ * @param {Object} resource - Fila del recurso (con updated_at)
+ * @returns {string|null} ETag fuerte entre comillas o null si el recurso no tiene updated_at
+ */
+function etagFor(resource) {
+  if (!resource || !resource.updated_at) {
+    return null;
+  }
+
+  const version = new Date(resource.updated_at).toISOString();
+  return `"${crypto.createHash('sha1').update(version).digest('base64url').slice(0, 20)}"`;
+}
+
+/**
+ * Añade la cabecera ETag a la respuesta
+ * Express responde 304 a los GET cuyo If-None-Match coincide con ella
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} resource - Recurso devuelto
+ */
+function setETag(res, resource) {
+  const etag = etagFor(resource);
+
+  if (etag) {
+    res.set('ETag', etag);
+  }
+}
+
+/**
+ * Comprueba la cabecera If-Match contra el estado actual del recurso
+ * Debe llamarse dentro de la transacción, después de bloquear la fila (FOR UPDATE)
+ * @param {string|undefined} ifMatch - Valor de la cabecera If-Match (sin ella no se comprueba nada)
+ * @param {Object} resource - Estado actual del recurso
+ * @throws {PreconditionFailedError} Si ninguno de los ETags indicados coincide
+ */
+function checkIfMatch(ifMatch, resource) {
+  if (ifMatch === undefined || ifMatch === null) {
+    return;
+  }
+
+  if (ifMatch.trim() === '*') {
+    return;
+  }
+
+  // Comparación fuerte: los ETags débiles (W/"...") nunca coinciden
+  const current = etagFor(resource);
+  const candidates = ifMatch.split(',').map(tag => tag.trim());
+
+  if (!current || !candidates.includes(current)) {
+    throw new PreconditionFailedError();
+  }
+}
+
+module.exports = {
+  etagFor,
+  setETag,
+  checkIfMatch
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+const config = require('../config');
+const locales = require('../locales');
+const { getContext } = require('./request-context');
+
+// Idiomas con catálogo de mensajes, en orden de preferencia ante un empate en Accept-Language
+const SUPPORTED_LOCALES = Object.keys(locales);
+
+// Idioma por defecto: el configurado si tiene catálogo; si no, español
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(config.i18n.defaultLocale) ? config.i18n.defaultLocale : 'es';
+
+/**
+ * Idioma de la solicitud según su cabecera Accept-Language
+ * @param {Object} req - Solicitud de Express
+ * @returns {string} - Idioma soportado (el por defecto si no hay coincidencia)
+ */
+function resolveLocale(req) {
+  if (!req.get('Accept-Language')) {
+    return DEFAULT_LOCALE;
+  }
+
+  return req.acceptsLanguages(DEFAULT_LOCALE, ...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+}
+
+/**
+ * Idioma de la solicitud en curso (el por defecto fuera de una solicitud, p. ej. en la CLI)
+ * @returns {string}
+ */
+function currentLocale() {
+  return getContext().locale || DEFAULT_LOCALE;
+}
+
+/**
+ * Indica si una clave existe en el catálogo
+ * @param {string} key - Clave del mensaje
+ * @returns {boolean}
+ */
+function hasMessage(key) {
+  return typeof key === 'string' && Object.prototype.hasOwnProperty.call(locales[DEFAULT_LOCALE], key);
+}
+
+/**
+ * Traduce un mensaje al idioma de la solicitud en curso
+ * Los parámetros sustituyen a {nombre} en el texto; las listas se unen con comas.
+ * Si falta la traducción se usa el idioma por defecto y, en último término, la propia clave
+ * @param {string} key - Clave del mensaje
+ * @param {Object} params - Parámetros del mensaje
+ * @param {string} locale - Idioma (por defecto el de la solicitud en curso)
+ * @returns {string}
+ */
+function t(key, params = {}, locale = currentLocale()) {
+  const catalog = locales[locale] || locales[DEFAULT_LOCALE];
+  const template = catalog[key] ?? locales[DEFAULT_LOCALE][key] ?? key;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+
+    if (value === undefined || value === null) {
+      return match;
+    }
+
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  resolveLocale,
+  currentLocale,
+  hasMessage,
+  t
+};
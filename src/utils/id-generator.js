@@ -1,6 +1,7 @@
 'use strict';
 
 const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
 const { customAlphabet } = require('nanoid');
 const cuid = require('cuid'); // Añadir dependencia a cuid
 
@@ -38,19 +39,93 @@ function generateApiKey(prefix) {
   return `${prefix}_${randomBytes}`;
 }
 
+// Coste de bcrypt usado por Langfuse para hashed_secret_key
+const BCRYPT_ROUNDS = 11;
+
 /**
- * Genera un hash seguro para almacenar la clave secreta
- * Usa un salt fijo "salt" para compatibilidad con Langfuse
+ * Genera el hash bcrypt de la clave secreta (columna hashed_secret_key de Langfuse)
  * @param {string} secretKey - Clave secreta a hashear
- * @returns {string} - Hash SHA-256 hexadecimal
+ * @returns {Promise<string>} - Hash bcrypt
  */
 function hashSecretKey(secretKey) {
-  const salt = "salt"; // Salt fijo usado por Langfuse
-  return crypto.createHash('sha256').update(salt + secretKey).digest('hex');
+  return bcrypt.hash(secretKey, BCRYPT_ROUNDS);
+}
+
+/**
+ * Compara una clave secreta con su hash bcrypt
+ * @param {string} secretKey - Clave secreta recibida
+ * @param {string} hashedSecretKey - Hash bcrypt almacenado
+ * @returns {Promise<boolean>}
+ */
+function compareSecretKey(secretKey, hashedSecretKey) {
+  return bcrypt.compare(secretKey, hashedSecretKey);
+}
+
+/**
+ * Genera el hash SHA-256 rápido de la clave secreta (columna fast_hashed_secret_key de Langfuse)
+ * Se calcula igual que en Langfuse: sha256(clave + sha256(SALT))
+ * @param {string} secretKey - Clave secreta a hashear
+ * @param {string} salt - Valor de la variable SALT de Langfuse
+ * @returns {string} - Hash SHA-256 hexadecimal
+ */
+function fastHashSecretKey(secretKey, salt) {
+  return crypto
+    .createHash('sha256')
+    .update(secretKey)
+    .update(crypto.createHash('sha256').update(salt, 'utf8').digest('hex'))
+    .digest('hex');
+}
+
+/**
+ * Genera los dos hashes con los que Langfuse almacena una clave secreta
+ * @param {string} secretKey - Clave secreta a hashear
+ * @param {string} salt - Valor de la variable SALT de Langfuse
+ * @returns {Promise<Object>} { hashedSecretKey, fastHashedSecretKey } (este último es null sin SALT)
+ */
+async function hashApiKeySecret(secretKey, salt) {
+  return {
+    hashedSecretKey: await hashSecretKey(secretKey),
+    fastHashedSecretKey: salt ? fastHashSecretKey(secretKey, salt) : null
+  };
+}
+
+/**
+ * Genera el hash del formato heredado de esta API (SHA-256 con el salt fijo "salt")
+ * Solo se usa para reconocer y migrar claves creadas con versiones anteriores
+ * @param {string} secretKey - Clave secreta a hashear
+ * @returns {string} - Hash SHA-256 hexadecimal
+ */
+function legacyHashSecretKey(secretKey) {
+  return crypto.createHash('sha256').update('salt' + secretKey).digest('hex');
+}
+
+/**
+ * Indica si un hashed_secret_key está en el formato heredado (no es bcrypt)
+ * @param {string} hashedSecretKey - Valor de hashed_secret_key
+ * @returns {boolean}
+ */
+function isLegacySecretHash(hashedSecretKey) {
+  return !/^\$2[aby]\$/.test(hashedSecretKey || '');
+}
+
+/**
+ * Genera el hash con el que se almacenan los tokens administrativos
+ * Los tokens tienen entropía suficiente, por lo que basta un SHA-256 sin salt
+ * @param {string} token - Token administrativo en claro
+ * @returns {string} - Hash SHA-256 hexadecimal
+ */
+function hashAdminToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
 }
 
 module.exports = {
   generateId,
   generateApiKey,
-  hashSecretKey
+  hashSecretKey,
+  compareSecretKey,
+  fastHashSecretKey,
+  hashApiKeySecret,
+  legacyHashSecretKey,
+  isLegacySecretHash,
+  hashAdminToken
 };
\ No newline at end of file
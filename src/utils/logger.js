@@ -2,6 +2,130 @@
 
 const winston = require('winston');
 const config = require('../config');
+const { getContext } = require('./request-context');
+
+/**
+ * Añade a cada línea de log el contexto de la solicitud en curso
+ * (ID de solicitud, actor y ruta), sin sobrescribir los metadatos explícitos
+ */
+const requestContextFormat = winston.format((info) => {
+  const { requestId, actor, method, route } = getContext();
+  
+  if (requestId && info.requestId === undefined) {
+    info.requestId = requestId;
+  }
+  
+  if (actor && info.actor === undefined) {
+    info.actor = actor.id;
+    
+    if (actor.tokenId && actor.tokenId !== actor.id) {
+      info.tokenId = actor.tokenId;
+    }
+  }
+  
+  if (route && info.route === undefined) {
+    info.route = `${method} ${route}`;
+  }
+  
+  return info;
+});
+
+const REDACTED = '[REDACTED]';
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+// Las claves se comparan sin mayúsculas, guiones ni guiones bajos (x-api-key = xApiKey)
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[-_]/g, '');
+
+const redactKeys = config.logRedaction.keys.map(normalizeKey);
+const isSensitiveKey = (key) => redactKeys.some(redactKey => normalizeKey(key).includes(redactKey));
+const redactPatterns = config.logRedaction.patterns.map((pattern) => {
+  try {
+    return new RegExp(pattern, 'g');
+  } catch (error) {
+    throw new Error(`Patrón de LOG_REDACT_PATTERNS inválido: ${pattern} (${error.message})`);
+  }
+});
+
+/**
+ * Oculta en un texto los valores que coinciden con los patrones configurados
+ * y enmascara los emails
+ * @param {string} text - Texto a revisar
+ * @returns {string}
+ */
+const redactString = (text) => {
+  let result = text;
+  
+  for (const pattern of redactPatterns) {
+    result = result.replace(pattern, REDACTED);
+  }
+  
+  if (config.logRedaction.emails) {
+    result = result.replace(EMAIL_PATTERN, '$1***@$2');
+  }
+  
+  return result;
+};
+
+/**
+ * Copia un valor ocultando las claves sensibles y los textos que coinciden con los patrones
+ * No modifica el original: los metadatos pueden ser objetos que aún se usan (p. ej. req.body)
+ * @param {any} value - Valor a revisar
+ * @param {WeakSet} seen - Objetos ya visitados (referencias circulares)
+ * @returns {any}
+ */
+const redactValue = (value, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  
+  if (!value || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) {
+    return value;
+  }
+  
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+  
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, seen));
+  }
+  
+  const source = value instanceof Error
+    ? { name: value.name, message: value.message, stack: value.stack, ...value }
+    : value;
+  const copy = {};
+  
+  for (const [key, item] of Object.entries(source)) {
+    copy[key] = isSensitiveKey(key)
+      ? REDACTED
+      : redactValue(item, seen);
+  }
+  
+  return copy;
+};
+
+/**
+ * Oculta los datos sensibles (secretos, contraseñas, claves sk_, emails...) del mensaje
+ * y de todos los metadatos antes de que los escriban los transportes
+ */
+const redactFormat = winston.format((info) => {
+  if (!config.logRedaction.enabled) {
+    return info;
+  }
+  
+  for (const key of Object.keys(info)) {
+    if (key === 'level') {
+      continue;
+    }
+    
+    info[key] = isSensitiveKey(key)
+      ? REDACTED
+      : redactValue(info[key]);
+  }
+  
+  return info;
+});
 
 /**
  * Configuración del formato de log según el entorno
@@ -9,6 +133,8 @@ const config = require('../config');
 const formats = {
   // Formato para desarrollo: colorizado y más legible
   development: winston.format.combine(
+    requestContextFormat(),
+    redactFormat(),
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     winston.format.colorize(),
     winston.format.printf(({ level, message, timestamp, ...meta }) => {
@@ -24,12 +150,16 @@ const formats = {
   
   // Formato para producción: JSON estructurado para mejor análisis
   production: winston.format.combine(
+    requestContextFormat(),
+    redactFormat(),
     winston.format.timestamp(),
     winston.format.json()
   ),
   
   // Formato para tests: minimal
   test: winston.format.combine(
+    requestContextFormat(),
+    redactFormat(),
     winston.format.timestamp(),
     winston.format.json()
   )
@@ -51,7 +181,10 @@ const logger = winston.createLogger({
           })
         ]
       : [
-          new winston.transports.Console()
+          new winston.transports.Console({
+            // Con LOG_STDERR stdout queda libre para la salida de la CLI
+            stderrLevels: config.logToStderr ? Object.keys(winston.config.npm.levels) : []
+          })
         ]),
     
     // En producción agregamos log a archivo de errores
@@ -0,0 +1,101 @@
+'use strict';
+
+const client = require('prom-client');
+
+/**
+ * Registro de métricas Prometheus de la aplicación
+ * Aquí se definen las métricas que se actualizan desde middleware y servicios; las que se
+ * calculan al consultar el endpoint (pool de conexiones, negocio) las registra metrics.service
+ */
+const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Solicitudes HTTP atendidas',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duración de las solicitudes HTTP en segundos',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+const dbQueryDuration = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Duración de las consultas a la base de datos en segundos',
+  labelNames: ['operation', 'status'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [registry]
+});
+
+// Operaciones SQL que se distinguen en métricas y trazas; el resto cuenta como "other"
+const SQL_OPERATIONS = ['select', 'insert', 'update', 'delete', 'with'];
+
+/**
+ * Ruta de una solicitud para las métricas: el patrón de Express (p. ej. /api/projects/:id)
+ * y no la URL, para no crear una serie por cada ID
+ * El prefijo se obtiene de la URL y no de req.baseUrl porque Express lo restablece cuando
+ * un error sale del router (la solicitud termina en el manejador de errores global)
+ * @param {Object} req - Solicitud de Express
+ * @returns {string}
+ */
+function routeLabel(req) {
+  if (!req.route) {
+    return 'unmatched';
+  }
+
+  const routePath = req.route.path === '/' ? '' : req.route.path;
+  const routeSegments = routePath.split('/').length - 1;
+  const urlPath = (req.originalUrl || req.url).split('?')[0].replace(/\/+$/, '');
+  const base = routeSegments > 0 ? urlPath.split('/').slice(0, -routeSegments).join('/') : urlPath;
+
+  return `${base}${routePath}` || '/';
+}
+
+/**
+ * Registra una solicitud HTTP terminada
+ * @param {Object} req - Solicitud de Express
+ * @param {Object} res - Respuesta de Express
+ * @param {number} durationMs - Duración en milisegundos
+ */
+function observeHttpRequest(req, res, durationMs) {
+  const labels = { method: req.method, route: routeLabel(req), status: String(res.statusCode) };
+
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, durationMs / 1000);
+}
+
+/**
+ * Operación de una consulta SQL para métricas y trazas (select, insert, update, delete, with u other)
+ * @param {string} text - Consulta SQL
+ * @returns {string}
+ */
+function sqlOperation(text) {
+  const keyword = String(text).trim().split(/\s/, 1)[0].toLowerCase();
+  return SQL_OPERATIONS.includes(keyword) ? keyword : 'other';
+}
+
+/**
+ * Registra la duración de una consulta
+ * @param {string} text - Consulta SQL
+ * @param {number} durationMs - Duración en milisegundos
+ * @param {boolean} failed - La consulta terminó con error
+ */
+function observeDbQuery(text, durationMs, failed = false) {
+  dbQueryDuration.observe({ operation: sqlOperation(text), status: failed ? 'error' : 'ok' }, durationMs / 1000);
+}
+
+module.exports = {
+  client,
+  registry,
+  routeLabel,
+  sqlOperation,
+  observeHttpRequest,
+  observeDbQuery
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+const { Joi, commonSchemas } = require('../middleware/validation.middleware');
+
+/**
+ * Paquete portable de una organización para GET /api/organizations/:id/export
+ * y POST /api/organizations/import
+ *
+ * Los usuarios se identifican por email (los IDs no se conservan entre instancias) y las
+ * API keys solo incluyen metadatos: al importar se generan claves nuevas
+ */
+
+// Identificación del formato y versión actual del paquete
+const BUNDLE_FORMAT = 'langfuse-admin/organization';
+const BUNDLE_VERSION = 1;
+
+const memberSchema = (role) => Joi.object({
+  email: Joi.string().email().allow(null).required(),
+  name: Joi.string().allow(null, '').optional(),
+  role: role.required()
+});
+
+const apiKeySchema = Joi.object({
+  id: Joi.string().required(),
+  note: Joi.string().allow(null, '').optional(),
+  public_key: Joi.string().allow(null).optional(),
+  display_secret_key: Joi.string().allow(null).optional(),
+  created_at: Joi.date().iso().allow(null).optional(),
+  expires_at: Joi.date().iso().allow(null).optional(),
+  last_used_at: Joi.date().iso().allow(null).optional()
+});
+
+const bundleSchema = Joi.object({
+  format: Joi.string().valid(BUNDLE_FORMAT).required()
+    .messages({
+      'any.only': 'validation.bundle.format.invalid',
+      'any.required': 'validation.bundle.format.required'
+    }),
+  version: Joi.number().integer().valid(BUNDLE_VERSION).required()
+    .messages({
+      'any.only': 'validation.bundle.version.invalid',
+      'any.required': 'validation.bundle.version.required'
+    }),
+  exportedAt: Joi.date().iso().optional(),
+  organization: Joi.object({
+    id: Joi.string().required(),
+    name: Joi.string().trim().min(1).max(100).required(),
+    created_at: Joi.date().iso().allow(null).optional()
+  }).required(),
+  members: Joi.array().items(memberSchema(commonSchemas.orgRole)).required(),
+  projects: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    name: Joi.string().trim().min(1).max(100).required(),
+    created_at: Joi.date().iso().allow(null).optional(),
+    members: Joi.array().items(memberSchema(Joi.string().valid('OWNER', 'ADMIN', 'MEMBER', 'VIEWER'))).required(),
+    apiKeys: Joi.array().items(apiKeySchema).required()
+  })).unique('id').required()
+});
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  bundleSchema
+};
@@ -0,0 +1,194 @@
+'use strict';
+
+const { ValidationError } = require('./errors');
+const { t } = require('./i18n');
+
+/**
+ * Paginación por cursor (keyset) para los listados
+ * Los resultados se ordenan por un campo y por el ID como desempate; el cursor
+ * codifica ambos valores de la última fila devuelta, de forma que cada página
+ * es una consulta indexada independiente del número de filas anteriores.
+ * El cursor incluye además la ordenación con la que se generó: no vale para otra
+ */
+
+/**
+ * Codifica el cursor de una fila
+ * @param {Object} row - Última fila de la página
+ * @param {string} sort - Ordenación de la página (campo, o -campo para descendente)
+ * @param {string} idField - Campo de desempate
+ * @param {any} fallback - Valor que toma la columna de ordenación cuando el campo es nulo
+ * @returns {string} - Cursor opaco (base64url)
+ */
+function encodeCursor(row, sort, idField, fallback = null) {
+  const field = sort.replace(/^-/, '');
+  const raw = row[field] === null || row[field] === undefined ? fallback : row[field];
+  const value = raw instanceof Date ? raw.toISOString() : raw;
+  return Buffer.from(JSON.stringify([sort, value, row[idField]])).toString('base64url');
+}
+
+/**
+ * Comprueba el tipo del valor de ordenación de un cursor
+ * @param {any} value - Valor decodificado
+ * @param {boolean} date - El campo de ordenación es una fecha
+ * @returns {boolean}
+ */
+function isCursorValue(value, date) {
+  if (date) {
+    return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+  }
+
+  return typeof value === 'string' || typeof value === 'number';
+}
+
+/**
+ * Decodifica y valida un cursor
+ * @param {string} cursor - Cursor recibido en la solicitud
+ * @param {Object} options - Listado al que se aplica
+ * @param {string} options.sort - Ordenación solicitada
+ * @param {boolean} options.date - El campo de ordenación es una fecha
+ * @returns {Array} - [valor del campo de ordenación (Date si es una fecha), ID]
+ * @throws {ValidationError} Si el cursor está mal formado, se manipuló o es de otra ordenación
+ */
+function decodeCursor(cursor, { sort, date = false }) {
+  let decoded = null;
+
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    decoded = null;
+  }
+
+  const [cursorSort, value, id] = Array.isArray(decoded) ? decoded : [];
+
+  if (
+    !Array.isArray(decoded) ||
+    decoded.length !== 3 ||
+    cursorSort !== sort ||
+    typeof id !== 'string' ||
+    !isCursorValue(value, date)
+  ) {
+    throw new ValidationError(t('errors.pagination.invalidCursor'), {
+      cursor: t('errors.pagination.cursorMismatch')
+    });
+  }
+
+  return [date ? new Date(value) : value, id];
+}
+
+/**
+ * Construye la parte de la consulta correspondiente a una página
+ * Añade a params los valores del cursor y del límite
+ * @param {Object} options - Opciones de paginación
+ * @param {Object} options.sortable - Campos ordenables: { nombre público: { column, date, fallback } }
+ *   En las columnas que admiten nulos, fallback es el valor con el que se ordenan las filas nulas
+ *   (la columna se ordena por COALESCE(columna, fallback), con fallback como parámetro)
+ * @param {string} options.sort - Ordenación solicitada (campo, o -campo para descendente)
+ * @param {string} options.defaultSort - Ordenación por defecto
+ * @param {string} options.cursor - Cursor de la página anterior (opcional)
+ * @param {number} options.limit - Tamaño de página
+ * @param {string} options.idColumn - Columna de desempate (única)
+ * @param {string} options.idField - Nombre de la columna de desempate en las filas
+ * @param {Array} params - Parámetros de la consulta
+ * @returns {Object} - { condition, orderBy, limit, toResult(rows) }
+ */
+function cursorPage({ sortable, sort, defaultSort, cursor, limit = 20, idColumn = 'id', idField = 'id' }, params) {
+  const requested = sort || defaultSort;
+  const descending = requested.startsWith('-');
+  const field = descending ? requested.substring(1) : requested;
+
+  if (!sortable[field]) {
+    throw new ValidationError(t('errors.pagination.invalidSort'), {
+      sort: t('errors.pagination.sortNotAllowed', { field })
+    });
+  }
+
+  const { date, fallback = null } = sortable[field];
+  const direction = descending ? 'DESC' : 'ASC';
+  let { column } = sortable[field];
+  let condition = null;
+
+  // El valor de sustitución de los nulos va como parámetro, igual que el del cursor, para que
+  // ambos lleguen a la base de datos con la misma conversión (las fechas, en la zona horaria local)
+  if (fallback !== null) {
+    params.push(date ? new Date(fallback) : fallback);
+    column = `COALESCE(${column}, $${params.length})`;
+  }
+
+  if (cursor) {
+    const [value, id] = decodeCursor(cursor, { sort: requested, date });
+    params.push(value, id);
+    condition = `(${column}, ${idColumn}) ${descending ? '<' : '>'} ($${params.length - 1}, $${params.length})`;
+  }
+
+  // Se pide una fila más para saber si hay página siguiente
+  const pageSize = parseInt(limit, 10);
+  params.push(pageSize + 1);
+
+  return {
+    condition,
+    orderBy: `${column} ${direction}, ${idColumn} ${direction}`,
+    limit: `$${params.length}`,
+    toResult(rows) {
+      const data = rows.slice(0, pageSize);
+      const hasMore = rows.length > pageSize;
+
+      return {
+        data,
+        nextCursor: hasMore ? encodeCursor(data[data.length - 1], requested, idField, fallback) : null
+      };
+    }
+  };
+}
+
+/**
+ * Une condiciones SQL en una cláusula WHERE
+ * @param {string[]} conditions - Condiciones (se ignoran las vacías)
+ * @returns {string} - Cláusula WHERE o cadena vacía
+ */
+function whereClause(conditions) {
+  const active = conditions.filter(Boolean);
+  return active.length > 0 ? ` WHERE ${active.join(' AND ')}` : '';
+}
+
+/**
+ * Construye las condiciones de un filtro por rango de fechas
+ * Añade a params los extremos indicados
+ * @param {string} column - Columna a filtrar
+ * @param {Date|string} from - Fecha inicial inclusive (opcional)
+ * @param {Date|string} to - Fecha final inclusive (opcional)
+ * @param {Array} params - Parámetros de la consulta
+ * @returns {string[]} - Condiciones SQL
+ */
+function dateRange(column, from, to, params) {
+  const conditions = [];
+
+  if (from) {
+    params.push(new Date(from));
+    conditions.push(`${column} >= $${params.length}`);
+  }
+
+  if (to) {
+    params.push(new Date(to));
+    conditions.push(`${column} <= $${params.length}`);
+  }
+
+  return conditions;
+}
+
+/**
+ * Escapa los comodines de LIKE para buscar un texto literal
+ * @param {string} value - Texto a buscar
+ * @returns {string} - Texto escapado
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+module.exports = {
+  cursorPage,
+  whereClause,
+  dateRange,
+  escapeLike,
+  encodeCursor,
+  decodeCursor
+};
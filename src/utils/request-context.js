@@ -0,0 +1,46 @@
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Contexto asociado a cada solicitud HTTP
+ * Permite a los servicios conocer el actor, el ID de solicitud y la IP
+ * sin tener que pasar el objeto req por todas las capas
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Ejecuta una función dentro de un contexto de solicitud
+ * @param {Object} context - Datos iniciales del contexto
+ * @param {Function} callback - Función a ejecutar
+ * @returns {any} - Resultado del callback
+ */
+function runWithContext(context, callback) {
+  return storage.run(context, callback);
+}
+
+/**
+ * Obtiene el contexto de la solicitud en curso
+ * @returns {Object} - Contexto actual (vacío fuera de una solicitud)
+ */
+function getContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Asigna un valor en el contexto de la solicitud en curso
+ * @param {string} key - Clave a asignar
+ * @param {any} value - Valor
+ */
+function setContextValue(key, value) {
+  const store = storage.getStore();
+  if (store) {
+    store[key] = value;
+  }
+}
+
+module.exports = {
+  runWithContext,
+  getContext,
+  setContextValue
+};
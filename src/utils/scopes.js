@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * Catálogo de scopes de los tokens administrativos
+ * Cada recurso tiene un scope de lectura y otro de escritura (las migraciones, solo de lectura); '*' concede todos
+ */
+const SCOPES = [
+  'orgs:read',
+  'orgs:write',
+  'projects:read',
+  'projects:write',
+  'api-keys:read',
+  'api-keys:write',
+  'users:read',
+  'users:write',
+  'audit-logs:read',
+  'admin-tokens:read',
+  'admin-tokens:write',
+  'webhooks:read',
+  'webhooks:write',
+  'migrations:read'
+];
+
+const ALL_SCOPES = '*';
+
+/**
+ * Comprueba si un conjunto de scopes concede el scope requerido
+ * @param {string[]} granted - Scopes concedidos al token
+ * @param {string} required - Scope requerido
+ * @returns {boolean}
+ */
+function hasScope(granted = [], required) {
+  return granted.includes(ALL_SCOPES) || granted.includes(required);
+}
+
+/**
+ * Comprueba si un conjunto de scopes incluye todos los de otro
+ * @param {string[]} granted - Scopes concedidos
+ * @param {string[]} requested - Scopes solicitados
+ * @returns {boolean}
+ */
+function coversScopes(granted = [], requested = []) {
+  if (granted.includes(ALL_SCOPES)) {
+    return true;
+  }
+  
+  return requested.every((scope) => scope !== ALL_SCOPES && granted.includes(scope));
+}
+
+module.exports = {
+  SCOPES,
+  ALL_SCOPES,
+  hasScope,
+  coversScopes
+};
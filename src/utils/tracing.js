@@ -0,0 +1,197 @@
+'use strict';
+
+const { trace, context, propagation, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const config = require('../config');
+const { logger } = require('./logger');
+const { routeLabel } = require('./metrics');
+const packageInfo = require('../../package.json');
+
+/**
+ * Trazas OpenTelemetry (opcionales, TRACING_ENABLED)
+ * Sin proveedor registrado la API de OpenTelemetry no hace nada, por lo que los spans
+ * de solicitudes, servicios y consultas no tienen coste cuando las trazas están desactivadas
+ */
+const tracer = trace.getTracer(packageInfo.name, packageInfo.version);
+
+let provider = null;
+
+/**
+ * Registra el proveedor de trazas con el exportador configurado (OTLP o consola)
+ * El SDK solo se carga si las trazas están activas
+ */
+function start() {
+  if (!config.tracing.enabled || provider) {
+    return;
+  }
+
+  const {
+    NodeTracerProvider,
+    BatchSpanProcessor,
+    SimpleSpanProcessor,
+    ConsoleSpanExporter
+  } = require('@opentelemetry/sdk-trace-node');
+  const { resourceFromAttributes } = require('@opentelemetry/resources');
+
+  let spanProcessor;
+
+  if (config.tracing.exporter === 'console') {
+    spanProcessor = new SimpleSpanProcessor(new ConsoleSpanExporter());
+  } else {
+    const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+    spanProcessor = new BatchSpanProcessor(new OTLPTraceExporter({ url: config.tracing.otlpEndpoint }));
+  }
+
+  provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({
+      'service.name': config.tracing.serviceName,
+      'service.version': packageInfo.version
+    }),
+    spanProcessors: [spanProcessor]
+  });
+
+  // Registra también el gestor de contexto (AsyncLocalStorage) y el propagador W3C (traceparent)
+  provider.register();
+
+  logger.info(`Trazas OpenTelemetry activas (exportador: ${config.tracing.exporter})`);
+}
+
+/**
+ * Envía los spans pendientes y detiene el proveedor
+ */
+async function shutdown() {
+  if (!provider) {
+    return;
+  }
+
+  await provider.shutdown();
+  provider = null;
+}
+
+/**
+ * Ejecuta una función dentro de un span activo
+ * El span termina cuando la función (o la promesa que devuelve) termina, y registra el error si falla
+ * @param {string} name - Nombre del span
+ * @param {Object} options - Opciones del span (kind, attributes)
+ * @param {Function} fn - Función a ejecutar; recibe el span
+ * @returns {any} - Resultado de la función
+ */
+function withSpan(name, options, fn) {
+  return tracer.startActiveSpan(name, options, (span) => {
+    const fail = (error) => {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      span.end();
+      throw error;
+    };
+
+    let result;
+
+    try {
+      result = fn(span);
+    } catch (error) {
+      fail(error);
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then((value) => {
+        span.end();
+        return value;
+      }, fail);
+    }
+
+    span.end();
+    return result;
+  });
+}
+
+/**
+ * Ejecuta el resto de la cadena de middleware dentro del span de la solicitud
+ * Continúa la traza de la cabecera traceparent entrante si la hay
+ * @param {Object} req - Solicitud de Express
+ * @param {Object} res - Respuesta de Express
+ * @param {Function} next - Continuación
+ */
+function traceRequest(req, res, next) {
+  if (!config.tracing.enabled) {
+    return next();
+  }
+
+  const parentContext = propagation.extract(context.active(), req.headers);
+  const span = tracer.startSpan(req.method, {
+    kind: SpanKind.SERVER,
+    attributes: {
+      'http.request.method': req.method,
+      'url.path': req.path,
+      'client.address': req.ip
+    }
+  }, parentContext);
+
+  res.on('finish', () => {
+    // La ruta solo se conoce cuando Express la ha resuelto
+    const route = routeLabel(req);
+
+    span.updateName(`${req.method} ${route}`);
+    span.setAttribute('http.route', route);
+    span.setAttribute('http.response.status_code', res.statusCode);
+
+    if (res.statusCode >= 500) {
+      span.setStatus({ code: SpanStatusCode.ERROR });
+    }
+
+    span.end();
+  });
+
+  return context.with(trace.setSpan(parentContext, span), next);
+}
+
+/**
+ * Envuelve los métodos de un servicio para que cada llamada cree un span (<servicio>.<método>)
+ * Las llamadas internas (this.getById...) también pasan por el envoltorio
+ * @param {Object} service - Instancia del servicio
+ * @param {string} name - Nombre del servicio en los spans
+ * @returns {Object} - La misma instancia
+ */
+function instrumentService(service, name) {
+  if (!config.tracing.enabled) {
+    return service;
+  }
+
+  const prototype = Object.getPrototypeOf(service);
+
+  for (const method of Object.getOwnPropertyNames(prototype)) {
+    const descriptor = Object.getOwnPropertyDescriptor(prototype, method);
+
+    if (method === 'constructor' || typeof descriptor.value !== 'function') {
+      continue;
+    }
+
+    const original = descriptor.value;
+
+    service[method] = function (...args) {
+      return withSpan(`${name}.${method}`, {
+        attributes: { 'code.namespace': name, 'code.function': method }
+      }, () => original.apply(this, args));
+    };
+  }
+
+  return service;
+}
+
+/**
+ * ID de la traza activa, para relacionar logs con trazas
+ * @returns {string|null}
+ */
+function currentTraceId() {
+  const span = trace.getActiveSpan();
+  return span ? span.spanContext().traceId : null;
+}
+
+module.exports = {
+  start,
+  shutdown,
+  withSpan,
+  traceRequest,
+  instrumentService,
+  currentTraceId,
+  SpanKind
+};
@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * Catálogo de eventos que se pueden enviar por webhook
+ * Coinciden con las acciones del registro de auditoría; '*' suscribe a todos
+ */
+const WEBHOOK_EVENTS = [
+  'organization.created',
+  'organization.updated',
+  'organization.deleted',
+  'organization.restored',
+  'org_member.added',
+  'org_member.updated',
+  'org_member.removed',
+  'project.created',
+  'project.updated',
+  'project.deleted',
+  'project.restored',
+  'project.purged',
+  'project.transferred',
+  'project_member.added',
+  'project_member.updated',
+  'project_member.removed',
+  'api_key.created',
+  'api_key.regenerated',
+  'api_key.rotated',
+  'api_key.expiration_updated',
+  'api_key.note_updated',
+  'api_key.deleted'
+];
+
+const ALL_EVENTS = '*';
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  ALL_EVENTS
+};
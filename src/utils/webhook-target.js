@@ -0,0 +1,86 @@
+'use strict';
+
+const dns = require('dns').promises;
+const net = require('net');
+const { URL } = require('url');
+const config = require('../config');
+const { BusinessLogicError } = require('./errors');
+const { t } = require('./i18n');
+
+/**
+ * Destinos no permitidos para los webhooks: loopback, enlace local, redes privadas y rangos reservados
+ * Impide registrar un webhook para alcanzar servicios internos (metadatos del proveedor, la base de datos...)
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Indica si una dirección IP pertenece a un rango no permitido
+ * Las direcciones IPv4 mapeadas en IPv6 (::ffff:a.b.c.d) se comprueban como IPv4
+ * @param {string} address - Dirección IP
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+
+  if (mapped) {
+    return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resuelve el host de la URL de un webhook y comprueba que no apunta a la red interna
+ * Los hosts de WEBHOOKS_ALLOWED_HOSTS se aceptan sin comprobar
+ * @param {string} url - URL del webhook
+ * @returns {Promise<Object|null>} Dirección a la que conectar ({ address, family }),
+ * o null si el host está permitido expresamente
+ * @throws {BusinessLogicError} WEBHOOK_TARGET_FORBIDDEN si alguna dirección del host no está permitida
+ */
+async function resolveWebhookTarget(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (config.webhooks.allowedHosts.includes(host)) {
+    return null;
+  }
+
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.lookup(host, { all: true });
+
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new BusinessLogicError(t('errors.webhooks.forbiddenTarget', { host }), {
+      code: 'WEBHOOK_TARGET_FORBIDDEN',
+      details: { host }
+    });
+  }
+
+  return addresses[0];
+}
+
+module.exports = {
+  isBlockedAddress,
+  resolveWebhookTarget
+};
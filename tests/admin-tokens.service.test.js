@@ -0,0 +1,53 @@
+'use strict';
+
+jest.mock('../src/services/database.service', () => require('./helpers/database').mockDatabase());
+
+const config = require('../src/config');
+const { mock } = require('../src/services/database.service');
+const adminTokensService = require('../src/services/admin-tokens.service');
+const { DatabaseError } = require('../src/utils/errors');
+
+afterEach(() => {
+  mock.reset();
+});
+
+describe('adminTokensService.authenticate', () => {
+  it('devuelve la credencial del token y registra su uso', async () => {
+    mock.on(/FROM admin_tokens t/, () => [{ id: 'atk_1', user_id: null, scopes: ['projects:read'], org_id: null }]);
+
+    const credential = await adminTokensService.authenticate('lfat_token');
+
+    expect(credential).toMatchObject({ id: 'atk_1', scopes: ['projects:read'] });
+    expect(mock.statements(/UPDATE admin_tokens SET last_used_at/)).toHaveLength(1);
+  });
+
+  it('rechaza los tokens desconocidos', async () => {
+    await expect(adminTokensService.authenticate('lfat_unknown')).resolves.toBeNull();
+  });
+
+  describe('sin la tabla admin_tokens (migraciones pendientes)', () => {
+    beforeEach(() => {
+      mock.on(/FROM admin_tokens t/, () => {
+        throw new DatabaseError('relation "admin_tokens" does not exist', { cause: { code: '42P01' } });
+      });
+    });
+
+    it('acepta API_KEY con todos los scopes', async () => {
+      const credential = await adminTokensService.authenticate(config.apiKey);
+
+      expect(credential).toMatchObject({ user_id: null, scopes: ['*'], org_id: null });
+    });
+
+    it('rechaza cualquier otro token', async () => {
+      await expect(adminTokensService.authenticate('lfat_other')).resolves.toBeNull();
+    });
+  });
+
+  it('propaga el resto de errores de la base de datos', async () => {
+    mock.on(/FROM admin_tokens t/, () => {
+      throw new DatabaseError('connection refused', { cause: { code: 'ECONNREFUSED' } });
+    });
+
+    await expect(adminTokensService.authenticate(config.apiKey)).rejects.toBeInstanceOf(DatabaseError);
+  });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+jest.mock('../src/services/database.service', () => require('./helpers/database').mockDatabase());
+jest.mock('../src/services/admin-tokens.service', () => ({
+  authenticate: jest.fn(),
+  create: jest.fn(),
+  bootstrap: jest.fn()
+}));
+
+const request = require('supertest');
+const app = require('../src/app');
+const adminTokensService = require('../src/services/admin-tokens.service');
+const { hasScope, coversScopes } = require('../src/utils/scopes');
+
+// Credenciales de prueba por valor de X-API-Key
+const CREDENTIALS = {
+  root: { id: 'atk_root', user_id: null, scopes: ['*'], org_id: null },
+  limited: { id: 'atk_limited', user_id: null, scopes: ['admin-tokens:write', 'projects:read'], org_id: null },
+  org: { id: 'atk_org', user_id: 'usr_1', scopes: ['*'], org_id: 'org_1', admin: false },
+  orgService: { id: 'atk_org_service', user_id: null, scopes: ['*'], org_id: 'org_1' },
+  user: { id: 'atk_user', user_id: 'usr_1', scopes: ['admin-tokens:write', 'orgs:read'], org_id: null, admin: false }
+};
+
+const createToken = (credential, body) => request(app)
+  .post('/api/admin-tokens')
+  .set('X-API-Key', credential)
+  .send({ name: 'Token de prueba', ...body });
+
+beforeEach(() => {
+  adminTokensService.authenticate.mockImplementation(async (token) => CREDENTIALS[token] || null);
+  adminTokensService.create.mockImplementation(async (token) => ({ id: 'atk_new', ...token, token: 'lfat_x' }));
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('scopes', () => {
+  it('concede cualquier scope con *', () => {
+    expect(hasScope(['*'], 'projects:write')).toBe(true);
+    expect(hasScope(['projects:read'], 'projects:write')).toBe(false);
+  });
+
+  it('solo cubre * con el propio *', () => {
+    expect(coversScopes(['*'], ['*'])).toBe(true);
+    expect(coversScopes(['projects:read', 'projects:write'], ['projects:read'])).toBe(true);
+    expect(coversScopes(['projects:read', 'projects:write'], ['*'])).toBe(false);
+  });
+});
+
+describe('POST /api/admin-tokens (checkTokenGrant)', () => {
+  it('rechaza una credencial desconocida', async () => {
+    const res = await createToken('nope', { scopes: ['projects:read'] });
+
+    expect(res.status).toBe(401);
+    expect(adminTokensService.create).not.toHaveBeenCalled();
+  });
+
+  it('exige el scope admin-tokens:write', async () => {
+    adminTokensService.authenticate.mockResolvedValueOnce({ ...CREDENTIALS.limited, scopes: ['projects:read'] });
+
+    const res = await createToken('limited', { scopes: ['projects:read'] });
+
+    expect(res.status).toBe(403);
+    expect(adminTokensService.create).not.toHaveBeenCalled();
+  });
+
+  it('permite conceder scopes propios', async () => {
+    const res = await createToken('limited', { scopes: ['projects:read'] });
+
+    expect(res.status).toBe(201);
+    expect(adminTokensService.create).toHaveBeenCalledWith(expect.objectContaining({ scopes: ['projects:read'] }));
+  });
+
+  it('no permite conceder scopes que el token no tiene', async () => {
+    const res = await createToken('limited', { scopes: ['projects:read', 'projects:write'] });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('AUTHORIZATION_ERROR');
+    expect(adminTokensService.create).not.toHaveBeenCalled();
+  });
+
+  it('no permite conceder * sin tenerlo', async () => {
+    const res = await createToken('limited', { scopes: ['*'] });
+
+    expect(res.status).toBe(403);
+    expect(adminTokensService.create).not.toHaveBeenCalled();
+  });
+
+  it('un token restringido a una organización la hereda en los tokens que crea', async () => {
+    const res = await createToken('org', { scopes: ['projects:read'] });
+
+    expect(res.status).toBe(201);
+    expect(adminTokensService.create).toHaveBeenCalledWith(expect.objectContaining({ orgId: 'org_1', userId: 'usr_1' }));
+  });
+
+  it('solo los administradores globales crean tokens desde un token de servicio', async () => {
+    const res = await createToken('orgService', { scopes: ['projects:read'] });
+
+    expect(res.status).toBe(403);
+    expect(adminTokensService.create).not.toHaveBeenCalled();
+  });
+
+  it('un token restringido no puede crear tokens de otra organización', async () => {
+    const res = await createToken('org', { scopes: ['projects:read'], orgId: 'org_2' });
+
+    expect(res.status).toBe(403);
+    expect(adminTokensService.create).not.toHaveBeenCalled();
+  });
+
+  it('un token de usuario crea tokens para ese usuario y no para otros', async () => {
+    const own = await createToken('user', { scopes: ['orgs:read'] });
+    const other = await createToken('user', { scopes: ['orgs:read'], userId: 'usr_2' });
+
+    expect(own.status).toBe(201);
+    expect(adminTokensService.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 'usr_1' }));
+    expect(other.status).toBe(403);
+    expect(adminTokensService.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('un token de servicio sin restricciones puede crear tokens para cualquier usuario', async () => {
+    const res = await createToken('root', { scopes: ['*'], userId: 'usr_2' });
+
+    expect(res.status).toBe(201);
+    expect(adminTokensService.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 'usr_2', scopes: ['*'] }));
+  });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+jest.mock('../src/services/database.service', () => require('./helpers/database').mockDatabase());
+
+const { mock } = require('../src/services/database.service');
+const apiKeysService = require('../src/services/api-keys.service');
+const { NotFoundError, BusinessLogicError } = require('../src/utils/errors');
+const { hashApiKeySecret } = require('../src/utils/id-generator');
+
+const OLD_SECRET = 'sk-lf-old-secret';
+
+let currentKey;
+
+beforeAll(async () => {
+  const { hashedSecretKey } = await hashApiKeySecret(OLD_SECRET, '');
+  currentKey = {
+    id: 'key_1',
+    project_id: 'prj_1',
+    created_at: new Date(),
+    public_key: 'pk-lf-rotate',
+    hashed_secret_key: hashedSecretKey,
+    display_secret_key: 'sk-lf-ol...',
+    note: null,
+    last_used_at: null,
+    expires_at: null
+  };
+});
+
+beforeEach(() => {
+  mock.on(/FROM api_keys WHERE id = \$1 FOR UPDATE/, ([id]) => (id === currentKey.id ? [currentKey] : []));
+  mock.on(/INSERT INTO api_key_previous_secrets/, (params) => [
+    { expires_at: new Date(Date.now() + params[4] * 60 * 60 * 1000) }
+  ]);
+  mock.on(/UPDATE api_keys\s+SET hashed_secret_key/, (params) => [{
+    id: params[3],
+    created_at: currentKey.created_at,
+    public_key: currentKey.public_key,
+    display_secret_key: params[2],
+    note: null,
+    last_used_at: null,
+    expires_at: null
+  }]);
+});
+
+afterEach(() => {
+  mock.reset();
+});
+
+describe('apiKeysService.rotate', () => {
+  it('mantiene la clave anterior durante el periodo de gracia', async () => {
+    const rotated = await apiKeysService.rotate('key_1', { gracePeriodHours: 24 });
+
+    const [previous] = mock.statements(/INSERT INTO api_key_previous_secrets/);
+    expect(previous.params).toEqual([expect.stringMatching(/^aps_/), 'key_1', currentKey.hashed_secret_key, 'sk-lf-ol...', 24]);
+
+    expect(rotated.public_key).toBe('pk-lf-rotate');
+    expect(rotated.secretKey).not.toBe(OLD_SECRET);
+    expect(rotated.previousSecretExpiresAt.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+    expect(mock.queries[mock.queries.length - 1].text).toBe('COMMIT');
+  });
+
+  it('revoca la clave anterior al instante con gracePeriodHours 0', async () => {
+    const rotated = await apiKeysService.rotate('key_1', { gracePeriodHours: 0 });
+
+    expect(mock.statements(/INSERT INTO api_key_previous_secrets/)).toHaveLength(0);
+    expect(rotated.previousSecretExpiresAt).toBeNull();
+  });
+
+  it('limpia las claves anteriores cuyo periodo de gracia terminó', async () => {
+    await apiKeysService.rotate('key_1', { gracePeriodHours: 1 });
+
+    const [cleanup] = mock.statements(/DELETE FROM api_key_previous_secrets/);
+    expect(cleanup.text).toMatch(/expires_at <= CURRENT_TIMESTAMP/);
+  });
+
+  it('registra la rotación en la auditoría con el fin del periodo de gracia', async () => {
+    const rotated = await apiKeysService.rotate('key_1', { gracePeriodHours: 2 });
+
+    const [audit] = mock.statements(/INSERT INTO admin_audit_logs/);
+    expect(audit.params[1]).toEqual(['api_key.rotated']);
+    expect(JSON.parse(audit.params[5][0])).toMatchObject({
+      previous_secret_expires_at: rotated.previousSecretExpiresAt.toISOString()
+    });
+    expect(audit.params[5][0]).not.toContain(rotated.secretKey);
+  });
+
+  it('rechaza un periodo de gracia negativo', async () => {
+    const error = await apiKeysService.rotate('key_1', { gracePeriodHours: -1 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(BusinessLogicError);
+    expect(error.code).toBe('INVALID_GRACE_PERIOD');
+    expect(mock.queries).toHaveLength(0);
+  });
+
+  it('deshace la transacción si la API key no existe', async () => {
+    await expect(apiKeysService.rotate('key_missing', { gracePeriodHours: 24 })).rejects.toBeInstanceOf(NotFoundError);
+    expect(mock.queries[mock.queries.length - 1].text).toBe('ROLLBACK');
+  });
+});
+
+describe('apiKeysService.matchSecret tras una rotación', () => {
+  let rotatedKey;
+  let newSecret;
+
+  beforeEach(async () => {
+    const rotated = await apiKeysService.rotate('key_1', { gracePeriodHours: 24 });
+    const [update] = mock.statements(/UPDATE api_keys\s+SET hashed_secret_key/);
+
+    newSecret = rotated.secretKey;
+    rotatedKey = { id: 'key_1', hashed_secret_key: update.params[0], fast_hashed_secret_key: update.params[1] };
+  });
+
+  it('acepta la clave nueva como actual', async () => {
+    await expect(apiKeysService.matchSecret(rotatedKey, newSecret)).resolves.toBe('current');
+  });
+
+  it('acepta la clave anterior mientras sigue en periodo de gracia', async () => {
+    mock.on(/SELECT hashed_secret_key FROM api_key_previous_secrets/, () => [{ hashed_secret_key: currentKey.hashed_secret_key }]);
+
+    await expect(apiKeysService.matchSecret(rotatedKey, OLD_SECRET)).resolves.toBe('previous');
+
+    const [lookup] = mock.statements(/SELECT hashed_secret_key FROM api_key_previous_secrets/);
+    expect(lookup.text).toMatch(/expires_at > CURRENT_TIMESTAMP/);
+    expect(lookup.params).toEqual(['key_1']);
+  });
+
+  it('rechaza la clave anterior cuando termina el periodo de gracia', async () => {
+    // La consulta solo devuelve las claves anteriores no vencidas
+    mock.on(/SELECT hashed_secret_key FROM api_key_previous_secrets/, () => []);
+
+    await expect(apiKeysService.matchSecret(rotatedKey, OLD_SECRET)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+jest.mock('../src/services/database.service', () => require('./helpers/database').mockDatabase());
+
+const request = require('supertest');
+const app = require('../src/app');
+const { mock } = require('../src/services/database.service');
+const { ERROR_CATALOG } = require('../src/utils/error-catalog');
+const { hashApiKeySecret } = require('../src/utils/id-generator');
+
+const SECRET_KEY = 'sk-lf-verify-secret';
+const PROJECT = { id: 'prj_1', org_id: 'org_1', name: 'Proyecto', deleted_at: null };
+
+let apiKey;
+let project;
+
+const verify = (body, headers = {}) => request(app)
+  .post('/api/api-keys/verify')
+  .set('X-API-Key', 'admin-token')
+  .set(headers)
+  .send(body);
+
+beforeAll(async () => {
+  const { hashedSecretKey } = await hashApiKeySecret(SECRET_KEY, '');
+  apiKey = { id: 'key_1', project_id: PROJECT.id, hashed_secret_key: hashedSecretKey, fast_hashed_secret_key: null };
+});
+
+beforeEach(() => {
+  project = { ...PROJECT };
+  mock.on(/FROM admin_tokens t/, () => [{ id: 'atk_root', user_id: null, scopes: ['*'], org_id: null }]);
+  mock.on(/FROM api_keys\s+WHERE public_key/, ([publicKey]) => (publicKey === 'pk-lf-verify' ? [apiKey] : []));
+  mock.on(/FROM projects WHERE id/, () => [project]);
+});
+
+afterEach(() => {
+  mock.reset();
+  apiKey.expires_at = null;
+});
+
+describe('POST /api/api-keys/verify', () => {
+  it('acepta credenciales válidas e indica la clave usada', async () => {
+    const res = await verify({ publicKey: 'pk-lf-verify', secretKey: SECRET_KEY });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      valid: true,
+      apiKeyId: 'key_1',
+      usedSecret: 'current',
+      project: { id: 'prj_1', org_id: 'org_1', name: 'Proyecto' }
+    });
+    expect(mock.statements(/UPDATE api_keys SET last_used_at/)).toHaveLength(1);
+  });
+
+  it.each([
+    ['KEY_NOT_FOUND', { publicKey: 'pk-lf-unknown', secretKey: SECRET_KEY }],
+    ['SECRET_MISMATCH', { publicKey: 'pk-lf-verify', secretKey: 'sk-lf-wrong' }]
+  ])('responde 200 con valid: false y el código %s', async (code, body) => {
+    const res = await verify(body);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ valid: false, code });
+    expect(res.body.message).toEqual(expect.any(String));
+  });
+
+  it('responde KEY_EXPIRED si la clave expiró', async () => {
+    apiKey.expires_at = new Date(Date.now() - 1000);
+
+    const res = await verify({ publicKey: 'pk-lf-verify', secretKey: SECRET_KEY });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ valid: false, code: 'KEY_EXPIRED' });
+  });
+
+  it('responde PROJECT_DELETED si el proyecto está eliminado', async () => {
+    project.deleted_at = new Date();
+
+    const res = await verify({ publicKey: 'pk-lf-verify', secretKey: SECRET_KEY });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ valid: false, code: 'PROJECT_DELETED' });
+  });
+
+  it('no revela la expiración a quien no conoce la clave secreta', async () => {
+    apiKey.expires_at = new Date(Date.now() - 1000);
+
+    const res = await verify({ publicKey: 'pk-lf-verify', secretKey: 'sk-lf-wrong' });
+
+    expect(res.body.code).toBe('SECRET_MISMATCH');
+  });
+
+  it('traduce el mensaje según Accept-Language', async () => {
+    const res = await verify({ publicKey: 'pk-lf-unknown', secretKey: SECRET_KEY }, { 'Accept-Language': 'en' });
+
+    expect(res.body.message).toBe('API key not found');
+  });
+
+  it('mantiene el 401 para la credencial del llamante', async () => {
+    mock.reset();
+
+    const res = await verify({ publicKey: 'pk-lf-verify', secretKey: SECRET_KEY });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('registra los códigos de verificación en el catálogo con estado 200', () => {
+    for (const code of ['KEY_NOT_FOUND', 'SECRET_MISMATCH', 'KEY_EXPIRED', 'PROJECT_DELETED']) {
+      expect(ERROR_CATALOG[code]).toEqual({ status: 200 });
+    }
+  });
+});
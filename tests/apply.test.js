@@ -0,0 +1,214 @@
+'use strict';
+
+jest.mock('../src/services/database.service', () => require('./helpers/database').mockDatabase());
+jest.mock('../src/services/organizations.service', () => ({
+  create: jest.fn(async () => ({ id: 'org_new' })),
+  update: jest.fn(),
+  addMember: jest.fn(),
+  updateMember: jest.fn(),
+  removeMember: jest.fn()
+}));
+jest.mock('../src/services/projects.service', () => ({
+  create: jest.fn(async ({ name }) => ({ id: `prj_${name}`, apiKeys: { publicKey: `pk-lf-${name}`, secretKey: `sk-lf-${name}` } })),
+  update: jest.fn(),
+  delete: jest.fn()
+}));
+jest.mock('../src/services/project-memberships.service', () => ({
+  addMember: jest.fn(),
+  updateMember: jest.fn(),
+  removeMember: jest.fn()
+}));
+jest.mock('../src/services/api-keys.service', () => ({
+  create: jest.fn(async (projectId, { note }) => ({ id: `key_${note}`, public_key: `pk-lf-${note}`, secretKey: `sk-lf-${note}` })),
+  updateNote: jest.fn(),
+  delete: jest.fn()
+}));
+
+const { mock } = require('../src/services/database.service');
+const applyService = require('../src/services/apply.service');
+const { ValidationError } = require('../src/utils/errors');
+
+const services = {
+  organizations: require('../src/services/organizations.service'),
+  projects: require('../src/services/projects.service'),
+  projectMemberships: require('../src/services/project-memberships.service'),
+  apiKeys: require('../src/services/api-keys.service')
+};
+
+const USERS = [
+  { id: 'usr_alice', email: 'alice@example.com' },
+  { id: 'usr_bob', email: 'bob@example.com' },
+  { id: 'usr_carol', email: 'carol@example.com' }
+];
+
+let state;
+
+/**
+ * Llamadas a los servicios en el orden en que se hicieron
+ * @returns {Array<Array>} [servicio.método, ...argumentos]
+ */
+const calls = () => Object.entries(services)
+  .flatMap(([name, service]) => Object.entries(service).flatMap(([method, fn]) => (
+    fn.mock.calls.map((args, i) => ({ order: fn.mock.invocationCallOrder[i], call: [`${name}.${method}`, ...args] }))
+  )))
+  .sort((a, b) => a.order - b.order)
+  .map(({ call }) => call);
+
+beforeEach(() => {
+  // Estado actual de la organización existente (sin organización: se crea)
+  state = { organization: null, members: [], projects: [], projectMembers: [], apiKeys: [] };
+
+  mock.on(/FROM users WHERE lower\(email\)/, ([emails, ids]) => USERS.filter(u => emails.includes(u.email) || ids.includes(u.id)));
+  mock.on(/FROM organizations o WHERE (id|name) = \$1/, () => (state.organization ? [state.organization] : []));
+  mock.on(/FROM organization_memberships om/, () => state.members);
+  mock.on(/SELECT id, name FROM projects WHERE org_id/, () => state.projects);
+  mock.on(/FROM project_memberships pm/, () => state.projectMembers);
+  mock.on(/FROM api_keys ak/, () => state.apiKeys);
+  mock.on(/SELECT id, note FROM api_keys WHERE public_key/, ([publicKey]) => [{ id: `key_initial_${publicKey}`, note: null }]);
+});
+
+afterEach(() => {
+  mock.reset();
+  jest.clearAllMocks();
+});
+
+describe('applyService.apply', () => {
+  it('asciende al nuevo propietario antes de degradar al anterior', async () => {
+    state.organization = { id: 'org_1', name: 'Acme' };
+    state.members = [
+      { user_id: 'usr_alice', role: 'OWNER', email: 'alice@example.com' },
+      { user_id: 'usr_bob', role: 'ADMIN', email: 'bob@example.com' }
+    ];
+
+    await applyService.apply({
+      organizations: [{
+        name: 'Acme',
+        members: [
+          { email: 'alice@example.com', role: 'ADMIN' },
+          { email: 'bob@example.com', role: 'OWNER' }
+        ]
+      }]
+    });
+
+    expect(calls()).toEqual([
+      ['organizations.updateMember', 'org_1', 'usr_bob', 'OWNER'],
+      ['organizations.updateMember', 'org_1', 'usr_alice', 'ADMIN']
+    ]);
+  });
+
+  it('usa el ID de la organización creada en los cambios siguientes', async () => {
+    const result = await applyService.apply({
+      organizations: [{
+        name: 'Acme',
+        members: [
+          { email: 'alice@example.com', role: 'OWNER' },
+          { email: 'bob@example.com', role: 'MEMBER' }
+        ],
+        projects: [{ name: 'web', members: [{ email: 'bob@example.com', role: 'ADMIN' }] }]
+      }]
+    });
+
+    expect(calls()).toEqual([
+      ['organizations.create', { name: 'Acme', userId: 'usr_alice' }],
+      ['organizations.addMember', 'org_new', 'usr_bob', 'MEMBER'],
+      ['projects.create', { name: 'web', orgId: 'org_new' }],
+      ['projectMemberships.addMember', 'prj_web', 'usr_bob', 'ADMIN']
+    ]);
+
+    expect(result.changes).toEqual(expect.arrayContaining([
+      expect.objectContaining({ action: 'create', resource: 'organization', id: 'org_new' }),
+      expect.objectContaining({ action: 'create', resource: 'project', id: 'prj_web' })
+    ]));
+  });
+
+  it('no ejecuta las membresías implícitas', async () => {
+    state.organization = { id: 'org_1', name: 'Acme' };
+    state.members = [{ user_id: 'usr_alice', role: 'OWNER', email: 'alice@example.com' }];
+    state.projects = [{ id: 'prj_1', name: 'web' }];
+
+    const result = await applyService.apply({
+      organizations: [{
+        name: 'Acme',
+        projects: [{ name: 'web', members: [{ email: 'carol@example.com', role: 'VIEWER' }] }]
+      }]
+    });
+
+    // El servicio de proyectos añade a carol a la organización
+    expect(result.changes).toEqual([
+      { action: 'create', resource: 'org_member', organization: 'Acme', user: 'carol@example.com', userId: 'usr_carol', role: 'VIEWER', implicit: true },
+      expect.objectContaining({ action: 'create', resource: 'project_member', userId: 'usr_carol' })
+    ]);
+    expect(calls()).toEqual([['projectMemberships.addMember', 'prj_1', 'usr_carol', 'VIEWER']]);
+  });
+
+  it('exige que los miembros de proyecto estén entre los miembros declarados', async () => {
+    const apply = applyService.apply({
+      organizations: [{
+        name: 'Acme',
+        members: [{ email: 'alice@example.com', role: 'OWNER' }],
+        projects: [{ name: 'web', members: [{ email: 'carol@example.com', role: 'VIEWER' }] }]
+      }]
+    });
+
+    await expect(apply).rejects.toBeInstanceOf(ValidationError);
+    expect(calls()).toEqual([]);
+  });
+
+  it('asigna la primera nota a la clave creada con el proyecto', async () => {
+    const result = await applyService.apply({
+      organizations: [{
+        name: 'Acme',
+        members: [{ email: 'alice@example.com', role: 'OWNER' }],
+        projects: [
+          { name: 'web', apiKeys: [{ note: 'prod' }, { note: 'ci' }] },
+          { name: 'batch', apiKeys: [] }
+        ]
+      }]
+    });
+
+    expect(calls()).toEqual([
+      ['organizations.create', { name: 'Acme', userId: 'usr_alice' }],
+      ['projects.create', { name: 'web', orgId: 'org_new' }],
+      ['projects.create', { name: 'batch', orgId: 'org_new' }],
+      ['apiKeys.updateNote', 'key_initial_pk-lf-web', 'prod'],
+      ['apiKeys.create', 'prj_web', { note: 'ci' }],
+      ['apiKeys.delete', 'key_initial_pk-lf-batch']
+    ]);
+
+    expect(result.apiKeys).toEqual([
+      { organization: 'Acme', project: 'web', note: 'prod', id: 'key_initial_pk-lf-web', publicKey: 'pk-lf-web', secretKey: 'sk-lf-web' },
+      { organization: 'Acme', project: 'web', note: 'ci', id: 'key_ci', publicKey: 'pk-lf-ci', secretKey: 'sk-lf-ci' }
+    ]);
+  });
+
+  it('revierte la transacción si falla un cambio', async () => {
+    services.apiKeys.create.mockRejectedValueOnce(new Error('fallo'));
+
+    const apply = applyService.apply({
+      organizations: [{
+        name: 'Acme',
+        members: [{ email: 'alice@example.com', role: 'OWNER' }],
+        projects: [{ name: 'web', apiKeys: [{ note: 'prod' }, { note: 'ci' }] }]
+      }]
+    });
+
+    await expect(apply).rejects.toThrow('fallo');
+    expect(mock.statements(/^(BEGIN|COMMIT|ROLLBACK)$/).map(({ text }) => text)).toEqual(['BEGIN', 'ROLLBACK']);
+  });
+});
+
+describe('applyService.plan', () => {
+  it('calcula los cambios sin ejecutarlos', async () => {
+    state.organization = { id: 'org_1', name: 'Acme' };
+    state.members = [{ user_id: 'usr_alice', role: 'OWNER', email: 'alice@example.com' }];
+    state.projects = [{ id: 'prj_old', name: 'old' }];
+
+    const result = await applyService.plan({
+      organizations: [{ name: 'Acme', projects: [{ name: 'web' }] }]
+    });
+
+    expect(result.summary).toEqual({ create: 1, update: 0, delete: 1 });
+    expect(calls()).toEqual([]);
+    expect(mock.statements(/^BEGIN$/)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+jest.mock('../src/services/database.service', () => require('./helpers/database').mockDatabase());
+
+const request = require('supertest');
+const app = require('../src/app');
+const { mock } = require('../src/services/database.service');
+const { etagFor, checkIfMatch } = require('../src/utils/etag');
+const { PreconditionFailedError } = require('../src/utils/errors');
+
+const PROJECT_ID = 'cmvfnjdjt0002jx7d4dqo8pzf';
+
+let project;
+
+beforeEach(() => {
+  project = {
+    id: PROJECT_ID,
+    org_id: 'cmvfnjdir0000jx7dcksr1c31',
+    name: 'Proyecto',
+    created_at: new Date('2026-01-01T00:00:00.000Z'),
+    updated_at: new Date('2026-01-02T00:00:00.000Z'),
+    deleted_at: null
+  };
+
+  mock.on(/FROM admin_tokens t/, () => [{ id: 'atk_root', user_id: null, scopes: ['*'], org_id: null }]);
+  mock.on(/SELECT (\*|org_id) FROM projects WHERE id = \$1 AND deleted_at IS NULL/, ([id]) => (id === project.id ? [project] : []));
+  mock.on(/UPDATE projects\s+SET name/, ([name]) => {
+    project = { ...project, name, updated_at: new Date('2026-01-03T00:00:00.000Z') };
+    return [project];
+  });
+  mock.on(/UPDATE projects\s+SET deleted_at/, () => [{ ...project, deleted_at: new Date() }]);
+});
+
+afterEach(() => {
+  mock.reset();
+});
+
+const api = (method, path) => request(app)[method](path).set('X-API-Key', 'admin-token');
+
+describe('etagFor y checkIfMatch', () => {
+  it('cambia el ETag con updated_at', () => {
+    const etag = etagFor(project);
+
+    expect(etag).toMatch(/^"[\w-]+"$/);
+    expect(etagFor({ ...project, updated_at: new Date() })).not.toBe(etag);
+    expect(etagFor({ id: 'x' })).toBeNull();
+  });
+
+  it('acepta la lista de ETags, * o la ausencia de cabecera', () => {
+    expect(() => checkIfMatch(undefined, project)).not.toThrow();
+    expect(() => checkIfMatch('*', project)).not.toThrow();
+    expect(() => checkIfMatch(`"otro", ${etagFor(project)}`, project)).not.toThrow();
+  });
+
+  it('no acepta ETags débiles', () => {
+    expect(() => checkIfMatch(`W/${etagFor(project)}`, project)).toThrow(PreconditionFailedError);
+  });
+});
+
+describe('GET condicional (If-None-Match)', () => {
+  it('devuelve el ETag del recurso', async () => {
+    const res = await api('get', `/api/projects/${PROJECT_ID}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toBe(etagFor(project));
+  });
+
+  it('responde 304 sin cuerpo si el ETag coincide', async () => {
+    const res = await api('get', `/api/projects/${PROJECT_ID}`).set('If-None-Match', etagFor(project));
+
+    expect(res.status).toBe(304);
+    expect(res.text).toBeFalsy();
+  });
+
+  it('responde 200 si el recurso cambió', async () => {
+    const res = await api('get', `/api/projects/${PROJECT_ID}`).set('If-None-Match', '"version-anterior"');
+
+    expect(res.status).toBe(200);
+    expect(res.body.id).toBe(PROJECT_ID);
+  });
+});
+
+describe('concurrencia optimista (If-Match)', () => {
+  it('responde 412 y no modifica nada si el ETag no coincide', async () => {
+    const res = await api('put', `/api/projects/${PROJECT_ID}`)
+      .set('If-Match', '"version-anterior"')
+      .send({ name: 'Nuevo nombre' });
+
+    expect(res.status).toBe(412);
+    expect(res.body.error).toBe('PRECONDITION_FAILED');
+    expect(mock.statements(/UPDATE projects/)).toHaveLength(0);
+    expect(mock.statements(/INSERT INTO admin_audit_logs/)).toHaveLength(0);
+    expect(mock.queries[mock.queries.length - 1].text).toBe('ROLLBACK');
+  });
+
+  it('aplica el cambio y devuelve el nuevo ETag si coincide', async () => {
+    const etag = etagFor(project);
+
+    const res = await api('put', `/api/projects/${PROJECT_ID}`)
+      .set('If-Match', etag)
+      .send({ name: 'Nuevo nombre' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('Nuevo nombre');
+    expect(res.headers.etag).toBe(etagFor(project));
+    expect(res.headers.etag).not.toBe(etag);
+  });
+
+  it('responde 412 al eliminar con un ETag antiguo', async () => {
+    const res = await api('delete', `/api/projects/${PROJECT_ID}`).set('If-Match', '"version-anterior"');
+
+    expect(res.status).toBe(412);
+    expect(mock.statements(/UPDATE projects/)).toHaveLength(0);
+  });
+
+  it('sin If-Match se aplica el cambio', async () => {
+    const res = await api('delete', `/api/projects/${PROJECT_ID}`);
+
+    expect(res.status).toBe(200);
+    expect(mock.statements(/UPDATE projects\s+SET deleted_at/)).toHaveLength(1);
+  });
+});
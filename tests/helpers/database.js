@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * Sustituto de services/database.service para las pruebas sin base de datos
+ * Cada consulta se responde con el primer manejador cuyo patrón coincide con el SQL
+ * (sin manejador devuelve ninguna fila) y queda registrada en mock.queries.
+ * Las transacciones registran BEGIN, COMMIT o ROLLBACK según termine el callback
+ *
+ * Uso:
+ *   jest.mock('../src/services/database.service', () => require('./helpers/database').mockDatabase());
+ *   const { mock } = require('../src/services/database.service');
+ *   mock.on(/FROM projects/, (params) => [{ id: params[0] }]);
+ *
+ * @returns {Object} Módulo con db, transaction y mock ({ on, queries, statements, reset })
+ */
+function mockDatabase() {
+  let handlers = [];
+  const queries = [];
+
+  const run = async (text, params = []) => {
+    queries.push({ text, params });
+    const handler = handlers.find(([pattern]) => pattern.test(text));
+    const rows = handler ? await handler[1](params, text) : [];
+    return rows || [];
+  };
+
+  const client = {
+    query: async (text, params) => {
+      const rows = await run(text, params);
+      return { rows, rowCount: rows.length };
+    }
+  };
+
+  const transaction = jest.fn(async (callback) => {
+    queries.push({ text: 'BEGIN', params: [] });
+
+    try {
+      const result = await callback(client);
+      queries.push({ text: 'COMMIT', params: [] });
+      return result;
+    } catch (error) {
+      queries.push({ text: 'ROLLBACK', params: [] });
+      throw error;
+    }
+  });
+
+  const db = {
+    query: run,
+    queryOne: async (text, params) => (await run(text, params))[0] || null,
+    transaction,
+    checkConnection: async () => ({ status: 'disconnected', error: 'mock' }),
+    close: async () => {}
+  };
+
+  return {
+    db,
+    transaction,
+    mock: {
+      /**
+       * Responde a las consultas que coinciden con un patrón
+       * @param {RegExp} pattern - Patrón del SQL
+       * @param {Function} respond - (params, text) => filas
+       */
+      on(pattern, respond) {
+        handlers.push([pattern, respond]);
+      },
+
+      queries,
+
+      /**
+       * Consultas ejecutadas que coinciden con un patrón
+       * @param {RegExp} pattern - Patrón del SQL
+       * @returns {Array<Object>} { text, params }
+       */
+      statements(pattern) {
+        return queries.filter(({ text }) => pattern.test(text));
+      },
+
+      reset() {
+        handlers = [];
+        queries.length = 0;
+        transaction.mockClear();
+      }
+    }
+  };
+}
+
+module.exports = {
+  mockDatabase
+};
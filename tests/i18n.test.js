@@ -0,0 +1,73 @@
+'use strict';
+
+jest.mock('../src/services/database.service', () => require('./helpers/database').mockDatabase());
+
+const request = require('supertest');
+const app = require('../src/app');
+const { mock } = require('../src/services/database.service');
+const locales = require('../src/locales');
+const { t } = require('../src/utils/i18n');
+
+const TOKEN = { id: 'atk_old', name: 'Token', scopes: ['*'], user_id: null, org_id: null };
+
+beforeEach(() => {
+  mock.on(/FROM admin_tokens t/, () => [{ id: 'atk_root', user_id: null, scopes: ['*'], org_id: null }]);
+  mock.on(/FROM admin_tokens\s+WHERE id = \$1 AND revoked_at IS NULL/, ([id]) => (id === TOKEN.id ? [TOKEN] : []));
+  mock.on(/UPDATE admin_tokens SET revoked_at/, () => [{ ...TOKEN, revoked_at: new Date() }]);
+  mock.on(/INSERT INTO admin_audit_logs/, ([ids]) => ids.map(id => ({ id })));
+});
+
+afterEach(() => {
+  mock.reset();
+});
+
+describe('catálogos de mensajes', () => {
+  it('tienen las mismas claves en todos los idiomas', () => {
+    const [base, ...others] = Object.values(locales).map(catalog => Object.keys(catalog).sort());
+
+    for (const keys of others) {
+      expect(keys).toEqual(base);
+    }
+  });
+
+  it('sustituyen los parámetros y usan la clave si falta el mensaje', () => {
+    expect(t('messages.apiKeys.expiredDeleted', { count: 3 }, 'en')).toBe('3 expired API keys deleted successfully');
+    expect(t('messages.apiKeys.expiredDeleted', { count: 3 }, 'es')).toBe('3 API keys expiradas eliminadas correctamente');
+    expect(t('messages.unknown', {}, 'en')).toBe('messages.unknown');
+  });
+});
+
+describe('mensajes de las respuestas correctas', () => {
+  it('se traducen según Accept-Language', async () => {
+    const en = await request(app)
+      .delete(`/api/admin-tokens/${TOKEN.id}`)
+      .set('X-API-Key', 'admin-token')
+      .set('Accept-Language', 'en');
+
+    const es = await request(app)
+      .delete(`/api/admin-tokens/${TOKEN.id}`)
+      .set('X-API-Key', 'admin-token')
+      .set('Accept-Language', 'es-ES,es;q=0.9');
+
+    expect(en.status).toBe(200);
+    expect(en.body).toEqual({ message: 'Admin token revoked successfully' });
+    expect(es.body).toEqual({ message: 'Token administrativo revocado correctamente' });
+  });
+
+  it('usan el idioma por defecto sin Accept-Language', async () => {
+    const res = await request(app)
+      .delete(`/api/admin-tokens/${TOKEN.id}`)
+      .set('X-API-Key', 'admin-token');
+
+    expect(res.body.message).toBe(t('messages.adminTokens.revoked', {}, 'es'));
+  });
+});
+
+describe('estado de la base de datos', () => {
+  it('traduce el error de conexión', async () => {
+    const res = await request(app).get('/api/health/db').set('Accept-Language', 'en');
+
+    expect(res.status).toBe(503);
+    expect(res.body.message).toBe('Database connection error');
+  });
+});
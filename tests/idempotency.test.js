@@ -0,0 +1,290 @@
+'use strict';
+
+jest.mock('../src/services/database.service', () => require('./helpers/database').mockDatabase());
+
+const express = require('express');
+const request = require('supertest');
+const config = require('../src/config');
+const { mock } = require('../src/services/database.service');
+const { idempotency } = require('../src/middleware/idempotency.middleware');
+const idempotencyService = require('../src/services/idempotency.service');
+const { errorHandler } = require('../src/middleware/error.middleware');
+
+// Tabla admin_idempotency_keys en memoria
+const records = new Map();
+const id = (scope, key) => `${scope}\u0000${key}`;
+
+const mockIdempotencyTable = () => {
+  const reusable = (record, now) => record.expires_at <= now || (record.status_code === null && record.locked_until <= now);
+
+  mock.on(/DELETE FROM admin_idempotency_keys\s+WHERE scope = \$1 AND key = \$2\s+AND \(expires_at/, ([scope, key]) => {
+    const record = records.get(id(scope, key));
+
+    if (record && reusable(record, Date.now())) {
+      records.delete(id(scope, key));
+    }
+  });
+
+  mock.on(/DELETE FROM admin_idempotency_keys\s+WHERE expires_at/, () => {
+    const now = Date.now();
+    const deleted = [];
+
+    for (const [recordId, record] of records) {
+      if (reusable(record, now)) {
+        records.delete(recordId);
+        deleted.push({ key: recordId });
+      }
+    }
+
+    return deleted;
+  });
+
+  mock.on(/INSERT INTO admin_idempotency_keys/, ([scope, key, method, path, fingerprint, reservation, lockSeconds, ttlHours]) => {
+    if (records.has(id(scope, key))) {
+      return [];
+    }
+
+    records.set(id(scope, key), {
+      method,
+      path,
+      fingerprint,
+      reservation,
+      status_code: null,
+      response_body: null,
+      locked_until: Date.now() + lockSeconds * 1000,
+      expires_at: Date.now() + ttlHours * 60 * 60 * 1000
+    });
+    return [{ key }];
+  });
+
+  mock.on(/SELECT method, path, fingerprint/, ([scope, key]) => {
+    const record = records.get(id(scope, key));
+    return record ? [record] : [];
+  });
+
+  mock.on(/UPDATE admin_idempotency_keys\s+SET locked_until/, ([scope, key, reservation, lockSeconds]) => {
+    const record = records.get(id(scope, key));
+
+    if (record && record.reservation === reservation && record.status_code === null) {
+      record.locked_until = Date.now() + lockSeconds * 1000;
+    }
+  });
+
+  mock.on(/UPDATE admin_idempotency_keys\s+SET status_code/, ([scope, key, reservation, statusCode, body]) => {
+    const record = records.get(id(scope, key));
+
+    if (record && record.reservation === reservation && record.status_code === null) {
+      record.status_code = statusCode;
+      record.response_body = JSON.parse(body);
+    }
+  });
+
+  mock.on(/DELETE FROM admin_idempotency_keys\s+WHERE scope/, ([scope, key, reservation]) => {
+    const record = records.get(id(scope, key));
+
+    if (record && record.reservation === reservation && record.status_code === null) {
+      records.delete(id(scope, key));
+    }
+  });
+};
+
+// Aplicación mínima: cada X-API-Key es un token distinto
+let created = 0;
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 'usr_1', tokenId: req.get('X-API-Key') };
+  next();
+});
+app.post('/things', idempotency, (req, res) => {
+  created += 1;
+  res.status(201).json({ id: `thing_${created}`, name: req.body.name, secretKey: `sk-lf-secret-${created}` });
+});
+app.post('/slow', idempotency, (req, res) => {
+  created += 1;
+  setTimeout(() => res.status(201).json({ id: `thing_${created}` }), 150);
+});
+app.post('/failing', idempotency, (req, res) => {
+  created += 1;
+  res.status(500).json({ error: 'INTERNAL_ERROR' });
+});
+app.use(errorHandler);
+
+// La respuesta se guarda al terminar la solicitud, después de enviarla
+const settled = () => new Promise(resolve => setImmediate(resolve));
+
+const post = async (path, body, key, token = 'atk_1') => {
+  let req = request(app).post(path).set('X-API-Key', token);
+
+  if (key !== undefined) {
+    req = req.set('Idempotency-Key', key);
+  }
+
+  const res = await req.send(body);
+  await settled();
+  return res;
+};
+
+beforeEach(() => {
+  created = 0;
+  records.clear();
+  mockIdempotencyTable();
+});
+
+afterEach(() => {
+  mock.reset();
+});
+
+describe('idempotency middleware', () => {
+  it('sin cabecera no reserva ninguna clave', async () => {
+    await post('/things', { name: 'a' });
+    await post('/things', { name: 'a' });
+
+    expect(created).toBe(2);
+    expect(mock.queries).toHaveLength(0);
+  });
+
+  it('repite la respuesta guardada sin repetir la operación', async () => {
+    const first = await post('/things', { name: 'a', tags: ['x'] }, 'key-1');
+    const retry = await post('/things', { tags: ['x'], name: 'a' }, 'key-1');
+
+    expect(created).toBe(1);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  it('guarda la respuesta cifrada', async () => {
+    const first = await post('/things', { name: 'a' }, 'key-1');
+    const [record] = records.values();
+
+    expect(Object.keys(record.response_body).sort()).toEqual(['data', 'iv', 'tag']);
+    expect(JSON.stringify(record)).not.toContain(first.body.secretKey);
+  });
+
+  it('solo descifra la respuesta con la credencial que la guardó', async () => {
+    await post('/things', { name: 'a' }, 'key-1');
+    const [record] = records.values();
+    const { method, path, fingerprint } = record;
+
+    await expect(idempotencyService.begin({ scope: 'atk_1', key: 'key-1', method, path, fingerprint, secret: 'other' }))
+      .rejects.toMatchObject({ code: 'IDEMPOTENCY_KEY_MISMATCH' });
+    await expect(idempotencyService.begin({ scope: 'atk_1', key: 'key-1', method, path, fingerprint, secret: 'atk_1' }))
+      .resolves.toMatchObject({ statusCode: 201, body: { id: 'thing_1' } });
+  });
+
+  it('responde 422 si la clave se usó con otro cuerpo', async () => {
+    await post('/things', { name: 'a' }, 'key-1');
+    const res = await post('/things', { name: 'b' }, 'key-1');
+
+    expect(res.status).toBe(422);
+    expect(res.body.error).toBe('IDEMPOTENCY_KEY_MISMATCH');
+    expect(created).toBe(1);
+  });
+
+  it('responde 422 si la clave se usó con otra ruta', async () => {
+    await post('/things', { name: 'a' }, 'key-1');
+    const res = await post('/failing', { name: 'a' }, 'key-1');
+
+    expect(res.status).toBe(422);
+    expect(created).toBe(1);
+  });
+
+  it('responde 409 mientras la solicitud original sigue en curso', async () => {
+    await post('/things', { name: 'a' }, 'key-1');
+    const [record] = records.values();
+    Object.assign(record, { status_code: null, response_body: null });
+
+    const res = await post('/things', { name: 'a' }, 'key-1');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('IDEMPOTENCY_KEY_IN_USE');
+    expect(created).toBe(1);
+  });
+
+  it('libera las reservas abandonadas pasado el tiempo de bloqueo', async () => {
+    await post('/things', { name: 'a' }, 'key-1');
+    const [record] = records.values();
+    Object.assign(record, {
+      status_code: null,
+      response_body: null,
+      locked_until: Date.now() - 1000
+    });
+
+    const res = await post('/things', { name: 'a' }, 'key-1');
+
+    expect(res.status).toBe(201);
+    expect(res.headers['idempotent-replayed']).toBeUndefined();
+    expect(created).toBe(2);
+  });
+
+  it('renueva la reserva mientras la solicitud sigue en curso', async () => {
+    const { lockTimeoutSeconds } = config.idempotency;
+    config.idempotency.lockTimeoutSeconds = 0.06;
+
+    try {
+      const original = post('/slow', { name: 'a' }, 'key-1');
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const retry = await post('/slow', { name: 'a' }, 'key-1');
+
+      expect(retry.status).toBe(409);
+      expect((await original).status).toBe(201);
+      expect(created).toBe(1);
+      expect(mock.statements(/SET locked_until/).length).toBeGreaterThan(0);
+    } finally {
+      config.idempotency.lockTimeoutSeconds = lockTimeoutSeconds;
+    }
+  });
+
+  it('solo limpia la clave reservada al reservar; el resto lo elimina purgeExpired', async () => {
+    await post('/things', { name: 'a' }, 'key-1');
+    await post('/things', { name: 'b' }, 'key-2');
+    records.get(id('atk_1', 'key-1')).expires_at = Date.now() - 1000;
+
+    await post('/things', { name: 'c' }, 'key-3');
+
+    expect(records.has(id('atk_1', 'key-1'))).toBe(true);
+    expect(mock.statements(/DELETE FROM admin_idempotency_keys\s+WHERE expires_at/)).toHaveLength(0);
+
+    await expect(idempotencyService.purgeExpired()).resolves.toBe(1);
+    expect(records.has(id('atk_1', 'key-1'))).toBe(false);
+    expect(records.size).toBe(2);
+  });
+
+  it('no guarda la respuesta de una reserva que ya tomó otra solicitud', async () => {
+    await post('/things', { name: 'a' }, 'key-1');
+    const [record] = records.values();
+    Object.assign(record, { status_code: null, response_body: null, reservation: 'other' });
+
+    await idempotencyService.complete({ scope: 'atk_1', key: 'key-1', reservation: 'stale', secret: 'atk_1' }, 200, {});
+    await idempotencyService.release({ scope: 'atk_1', key: 'key-1', reservation: 'stale' });
+
+    expect(record.status_code).toBeNull();
+    expect(records.size).toBe(1);
+  });
+
+  it('no guarda los errores 5xx para poder reintentar', async () => {
+    await post('/failing', {}, 'key-1');
+    await post('/failing', {}, 'key-1');
+
+    expect(created).toBe(2);
+    expect(records.size).toBe(0);
+  });
+
+  it('separa las claves de cada token', async () => {
+    const first = await post('/things', { name: 'a' }, 'key-1', 'atk_1');
+    const second = await post('/things', { name: 'a' }, 'key-1', 'atk_2');
+
+    expect(created).toBe(2);
+    expect(second.body.id).not.toBe(first.body.id);
+    expect(second.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  it('rechaza claves con caracteres no permitidos', async () => {
+    const res = await post('/things', { name: 'a' }, 'clave con espacios');
+
+    expect(res.status).toBe(400);
+    expect(created).toBe(0);
+  });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+jest.mock('../src/services/database.service', () => require('./helpers/database').mockDatabase());
+
+const request = require('supertest');
+
+const COUNTS = { organizations: '2', projects: '3', active_api_keys: '4', expired_api_keys: '1' };
+
+let config;
+let mock;
+
+/**
+ * Carga la aplicación con la configuración de métricas indicada
+ * (las rutas de métricas se montan al cargar el router)
+ */
+const loadApp = (metrics) => {
+  let app;
+
+  jest.isolateModules(() => {
+    config = require('../src/config');
+    Object.assign(config.metrics, metrics);
+
+    const database = require('../src/services/database.service');
+    database.db.pool = { totalCount: 1, idleCount: 1, waitingCount: 0 };
+    mock = database.mock;
+    mock.on(/SELECT COUNT\(\*\) FROM organizations/, () => [COUNTS]);
+
+    app = require('../src/app');
+  });
+
+  return app;
+};
+
+describe('GET /api/metrics', () => {
+  it('no se publica por defecto', async () => {
+    const app = loadApp({});
+
+    const res = await request(app).get('/api/metrics').set('Authorization', 'Bearer metrics-token');
+
+    expect(config.metrics.enabled).toBe(false);
+    expect(res.status).toBe(401);
+    expect(mock.statements(/COUNT/)).toHaveLength(0);
+  });
+
+  it('no se publica sin METRICS_TOKEN aunque esté activado', async () => {
+    const app = loadApp({ enabled: true, token: '' });
+
+    const res = await request(app).get('/api/metrics');
+
+    expect(res.status).toBe(401);
+    expect(mock.statements(/COUNT/)).toHaveLength(0);
+  });
+
+  it('exige el token Bearer', async () => {
+    const app = loadApp({ enabled: true, token: 'metrics-token' });
+
+    const missing = await request(app).get('/api/metrics');
+    const wrong = await request(app).get('/api/metrics').set('Authorization', 'Bearer otro-token');
+
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(401);
+    expect(mock.statements(/COUNT/)).toHaveLength(0);
+  });
+
+  it('guarda en caché los contadores de negocio', async () => {
+    const app = loadApp({ enabled: true, token: 'metrics-token', businessCacheSeconds: 60 });
+    const scrape = () => request(app).get('/api/metrics').set('Authorization', 'Bearer metrics-token');
+
+    const [first, second] = await Promise.all([scrape(), scrape()]);
+    const third = await scrape();
+
+    expect(first.status).toBe(200);
+    expect(first.text).toContain('langfuse_projects 3');
+    expect(second.text).toContain('langfuse_api_keys{status="active"} 4');
+    expect(third.status).toBe(200);
+    expect(mock.statements(/COUNT/)).toHaveLength(1);
+  });
+});
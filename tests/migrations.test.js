@@ -0,0 +1,64 @@
+'use strict';
+
+jest.mock('../src/services/database.service', () => require('./helpers/database').mockDatabase());
+
+const request = require('supertest');
+const app = require('../src/app');
+const { mock } = require('../src/services/database.service');
+const migrationsService = require('../src/services/migrations.service');
+
+let columns;
+let prismaMigrations;
+
+beforeEach(() => {
+  columns = ['api_keys.fast_hashed_secret_key'];
+  prismaMigrations = true;
+
+  mock.on(/FROM information_schema.columns/, ([required]) => columns.filter(name => required.includes(name)).map(name => ({ name })));
+  mock.on(/to_regclass\('_prisma_migrations'\)/, () => [{ name: prismaMigrations ? '_prisma_migrations' : null }]);
+  mock.on(/FROM _prisma_migrations/, () => [{ migration_name: '20240101000000_init' }]);
+});
+
+afterEach(() => {
+  mock.reset();
+});
+
+describe('migrationsService.checkLangfuseSchema', () => {
+  it('es compatible si existen las columnas, sea cual sea la última migración', async () => {
+    await expect(migrationsService.checkLangfuseSchema()).resolves.toEqual({
+      compatible: true,
+      currentMigration: '20240101000000_init',
+      missingColumns: []
+    });
+  });
+
+  it('no exige la tabla _prisma_migrations', async () => {
+    prismaMigrations = false;
+
+    const langfuse = await migrationsService.checkLangfuseSchema();
+
+    expect(langfuse.compatible).toBe(true);
+    expect(langfuse.currentMigration).toBeNull();
+    expect(mock.statements(/FROM _prisma_migrations/)).toHaveLength(0);
+  });
+
+  it('indica las columnas que faltan', async () => {
+    columns = [];
+
+    await expect(migrationsService.checkLangfuseSchema()).resolves.toMatchObject({
+      compatible: false,
+      missingColumns: ['api_keys.fast_hashed_secret_key']
+    });
+  });
+});
+
+describe('GET /api/migrations', () => {
+  it('exige el scope migrations:read', async () => {
+    mock.on(/FROM admin_tokens t/, () => [{ id: 'atk_limited', user_id: null, scopes: ['projects:read'], org_id: null }]);
+
+    const res = await request(app).get('/api/migrations').set('X-API-Key', 'admin-token');
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toContain('migrations:read');
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+jest.mock('../src/services/database.service', () => require('./helpers/database').mockDatabase());
+jest.mock('../src/services/admin-tokens.service', () => ({
+  authenticate: jest.fn(async (token) => mockCredentials[token] || null),
+  bootstrap: jest.fn()
+}));
+
+const request = require('supertest');
+const app = require('../src/app');
+const { mock } = require('../src/services/database.service');
+const organizationsService = require('../src/services/organizations.service');
+const { NotFoundError } = require('../src/utils/errors');
+
+const ORG_ID = 'cmvfnjdir0000jx7dcksr1c31';
+const PROJECT_ID = 'cmvfnjdjt0002jx7d4dqo8pzf';
+const DELETED_AT = new Date('2026-01-02T00:00:00.000Z');
+
+// Credenciales de prueba por valor de X-API-Key
+const mockCredentials = {
+  root: { id: 'atk_root', user_id: null, scopes: ['*'], org_id: null },
+  owner: { id: 'atk_owner', user_id: 'usr_owner', scopes: ['*'], org_id: null, admin: false }
+};
+
+let deleted;
+
+beforeEach(() => {
+  deleted = false;
+
+  mock.on(/SELECT role FROM organization_memberships/, (params, text) => (
+    deleted && /deleted_organizations/.test(text) ? [] : [{ role: 'OWNER' }]
+  ));
+  mock.on(/SELECT (\*|id, org_id|org_id) FROM projects WHERE id/, () => [{ id: PROJECT_ID, org_id: ORG_ID }]);
+  mock.on(/UPDATE projects\s+SET deleted_at/, () => [{ id: PROJECT_ID, org_id: ORG_ID, deleted_at: new Date() }]);
+  mock.on(/SELECT \* FROM organizations WHERE id = \$1 FOR UPDATE/, () => [{ id: ORG_ID, name: 'Org' }]);
+  mock.on(/FROM deleted_organizations WHERE org_id = \$1 FOR UPDATE/, () => (deleted ? [{
+    deleted_at: DELETED_AT,
+    api_key_expirations: { key_1: '2030-01-01T00:00:00.000Z', key_2: null }
+  }] : []));
+  mock.on(/UPDATE projects p/, () => [{ id: PROJECT_ID }]);
+  mock.on(/UPDATE api_keys k/, ([, ids]) => ids.map(id => ({ id })));
+  mock.on(/INSERT INTO admin_audit_logs/, ([ids]) => ids.map(id => ({ id })));
+});
+
+afterEach(() => {
+  mock.reset();
+});
+
+describe('requireOrgRole', () => {
+  it('las membresías de una organización eliminada no dan acceso', async () => {
+    const api = () => request(app).delete(`/api/projects/${PROJECT_ID}`).set('X-API-Key', 'owner');
+
+    deleted = true;
+    const denied = await api();
+
+    expect(denied.status).toBe(403);
+    expect(mock.statements(/UPDATE projects/)).toHaveLength(0);
+
+    deleted = false;
+    const allowed = await api();
+
+    expect(allowed.status).toBe(200);
+  });
+});
+
+describe('organizationsService.restore', () => {
+  it('restaura los proyectos y la expiración anterior de las API keys', async () => {
+    deleted = true;
+
+    const organization = await organizationsService.restore(ORG_ID);
+
+    expect(organization).toMatchObject({ id: ORG_ID, restored: { projects: 1, apiKeys: 2 } });
+
+    const [apiKeys] = mock.statements(/UPDATE api_keys k/);
+    expect(apiKeys.params).toEqual([ORG_ID, ['key_1', 'key_2'], [new Date('2030-01-01T00:00:00.000Z'), null]]);
+
+    expect(mock.statements(/DELETE FROM deleted_organizations/)).toHaveLength(1);
+    expect(mock.statements(/INSERT INTO admin_audit_logs/)[0].params[1]).toEqual(['organization.restored']);
+    expect(mock.queries[mock.queries.length - 1].text).toBe('COMMIT');
+  });
+
+  it('responde 404 si la organización no está eliminada', async () => {
+    await expect(organizationsService.restore(ORG_ID)).rejects.toBeInstanceOf(NotFoundError);
+    expect(mock.statements(/^\s*UPDATE/)).toHaveLength(0);
+  });
+
+  it('solo la pueden restaurar los administradores globales', async () => {
+    deleted = true;
+
+    const owner = await request(app).post(`/api/organizations/${ORG_ID}/restore`).set('X-API-Key', 'owner');
+    const root = await request(app).post(`/api/organizations/${ORG_ID}/restore`).set('X-API-Key', 'root');
+
+    expect(owner.status).toBe(403);
+    expect(root.status).toBe(200);
+  });
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+jest.mock('../src/services/database.service', () => require('./helpers/database').mockDatabase());
+
+const { mock } = require('../src/services/database.service');
+const organizationsService = require('../src/services/organizations.service');
+const { ValidationError } = require('../src/utils/errors');
+const { BUNDLE_FORMAT, BUNDLE_VERSION } = require('../src/utils/organization-bundle');
+
+const USERS = [
+  { id: 'usr_alice', email: 'alice@example.com' },
+  { id: 'usr_bob', email: 'bob@example.com' }
+];
+
+/**
+ * Paquete de exportación de prueba
+ * @param {Object} overrides - Campos del proyecto a sustituir
+ * @returns {Object}
+ */
+const bundleOf = (overrides = {}) => ({
+  format: BUNDLE_FORMAT,
+  version: BUNDLE_VERSION,
+  organization: { id: 'org_src', name: 'Acme' },
+  members: [{ email: 'alice@example.com', name: 'Alice', role: 'OWNER' }],
+  projects: [{
+    id: 'prj_src',
+    name: 'web',
+    members: [{ email: 'bob@example.com', name: 'Bob', role: 'ADMIN' }],
+    apiKeys: [
+      { id: 'key_src', note: 'prod', public_key: 'pk-lf-src', expires_at: null },
+      { id: 'key_old', note: 'old', public_key: 'pk-lf-old', expires_at: '2020-01-01T00:00:00.000Z' }
+    ],
+    ...overrides
+  }]
+});
+
+let failApiKeys;
+
+beforeEach(() => {
+  failApiKeys = false;
+
+  mock.on(/FROM users WHERE lower\(email\) = ANY/, ([emails]) => USERS.filter(u => emails.includes(u.email)));
+  mock.on(/INSERT INTO organizations/, ([id, name]) => [{ id, name }]);
+  mock.on(/INSERT INTO organization_memberships/, ([id, orgId, userId, role]) => [{ id, org_id: orgId, user_id: userId, role }]);
+  mock.on(/INSERT INTO projects/, ([id, name, orgId]) => [{ id, name, org_id: orgId }]);
+  mock.on(/INSERT INTO project_memberships/, ([projectId, userId, , role]) => [{ project_id: projectId, user_id: userId, role }]);
+  mock.on(/INSERT INTO api_keys/, ([id, projectId]) => {
+    if (failApiKeys) {
+      throw new Error('fallo');
+    }
+
+    return [{ id, project_id: projectId }];
+  });
+  mock.on(/INSERT INTO admin_audit_logs/, ([ids]) => ids.map(id => ({ id })));
+});
+
+afterEach(() => {
+  mock.reset();
+});
+
+describe('organizationsService.importBundle', () => {
+  it('genera IDs nuevos y los usa en las filas relacionadas', async () => {
+    const summary = await organizationsService.importBundle(bundleOf());
+
+    const orgId = summary.ids.organization.org_src;
+    const projectId = summary.ids.projects.prj_src;
+
+    expect(orgId).toEqual(expect.any(String));
+    expect(orgId).not.toBe('org_src');
+    expect(projectId).not.toBe('prj_src');
+    expect(summary.organization).toEqual({ id: orgId, name: 'Acme', sourceId: 'org_src' });
+
+    // Las claves expiradas no se importan
+    expect(Object.keys(summary.ids.apiKeys)).toEqual(['key_src']);
+    expect(summary.conflicts).toEqual([{ type: 'api_key_expired', projectId: 'prj_src', apiKeyId: 'key_old', note: 'old' }]);
+
+    const [project] = mock.statements(/INSERT INTO projects/);
+    expect(project.params[2]).toBe(orgId);
+
+    // bob no es miembro de la organización: recibe una membresía sin rol para su proyecto
+    const memberships = mock.statements(/INSERT INTO organization_memberships/).map(({ params }) => params);
+    expect(memberships.map(([, org, user, role]) => [org, user, role])).toEqual([
+      [orgId, 'usr_alice', 'OWNER'],
+      [orgId, 'usr_bob', 'NONE']
+    ]);
+
+    const [projectMember] = mock.statements(/INSERT INTO project_memberships/);
+    expect(projectMember.params).toEqual([projectId, 'usr_bob', memberships[1][0], 'ADMIN']);
+
+    const [apiKey] = mock.statements(/INSERT INTO api_keys/);
+    expect(apiKey.params[0]).toBe(summary.ids.apiKeys.key_src);
+    expect(apiKey.params[1]).toBe(projectId);
+    expect(summary.apiKeys[0]).toMatchObject({ sourceId: 'key_src', projectId, note: 'prod', secretKey: expect.any(String) });
+  });
+
+  it('rechaza un proyecto que repite el email de un miembro', async () => {
+    const bundle = bundleOf({
+      members: [
+        { email: 'bob@example.com', role: 'ADMIN' },
+        { email: 'Bob@Example.com', role: 'VIEWER' }
+      ]
+    });
+
+    const error = await organizationsService.importBundle(bundle).catch(e => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details).toEqual({ project: 'prj_src', email: 'Bob@Example.com' });
+    expect(mock.queries).toHaveLength(0);
+  });
+
+  it('revierte la importación si falla una inserción', async () => {
+    failApiKeys = true;
+
+    await expect(organizationsService.importBundle(bundleOf())).rejects.toThrow('fallo');
+    expect(mock.statements(/^(BEGIN|COMMIT|ROLLBACK)$/).map(({ text }) => text)).toEqual(['BEGIN', 'ROLLBACK']);
+  });
+});
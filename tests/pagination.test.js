@@ -0,0 +1,96 @@
+'use strict';
+
+const { cursorPage, whereClause } = require('../src/utils/pagination');
+const { ValidationError } = require('../src/utils/errors');
+
+const SORTABLE = {
+  created_at: { column: 'p.created_at', date: true },
+  name: { column: 'p.name' }
+};
+
+const rows = [
+  { id: 'a', name: 'Alfa', created_at: new Date('2026-01-01T00:00:00.000Z') },
+  { id: 'b', name: 'Beta', created_at: new Date('2026-01-02T00:00:00.000Z') },
+  { id: 'c', name: 'Gamma', created_at: new Date('2026-01-03T00:00:00.000Z') }
+];
+
+const page = (options) => {
+  const params = [];
+  const result = cursorPage({ sortable: SORTABLE, defaultSort: '-created_at', limit: 2, ...options }, params);
+  return { ...result, params };
+};
+
+const cursorOf = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('cursorPage', () => {
+  it('ordena por el campo y el ID, y pide una fila más', () => {
+    const { condition, orderBy, limit, params } = page({});
+
+    expect(condition).toBeNull();
+    expect(orderBy).toBe('p.created_at DESC, id DESC');
+    expect(limit).toBe('$1');
+    expect(params).toEqual([3]);
+  });
+
+  it('devuelve el cursor de la última fila si hay más páginas', () => {
+    const first = page({ sort: 'created_at' });
+    const result = first.toResult(rows);
+
+    expect(result.data).toHaveLength(2);
+    expect(result.nextCursor).toEqual(expect.any(String));
+
+    const next = page({ sort: 'created_at', cursor: result.nextCursor });
+    expect(next.condition).toBe('(p.created_at, id) > ($1, $2)');
+    expect(next.params).toEqual([rows[1].created_at, 'b', 3]);
+    expect(next.toResult(rows.slice(2)).nextCursor).toBeNull();
+  });
+
+  it('rechaza los campos de ordenación no permitidos', () => {
+    expect(() => page({ sort: 'secret' })).toThrow(ValidationError);
+  });
+
+  it('rechaza el cursor de otra ordenación', () => {
+    const { nextCursor } = page({ sort: 'name' }).toResult(rows);
+
+    expect(() => page({ sort: '-name', cursor: nextCursor })).toThrow(ValidationError);
+    expect(() => page({ sort: 'name', cursor: nextCursor })).not.toThrow();
+  });
+
+  it.each([
+    ['sin base64 JSON', 'no-es-un-cursor'],
+    ['sin array', cursorOf({ sort: 'name' })],
+    ['sin ID', cursorOf(['name', 'Beta'])],
+    ['ID numérico', cursorOf(['name', 'Beta', 42])],
+    ['valor no escalar', cursorOf(['name', { $ne: null }, 'b'])]
+  ])('rechaza un cursor mal formado (%s)', (description, cursor) => {
+    expect(() => page({ sort: 'name', cursor })).toThrow(ValidationError);
+  });
+
+  it('ordena los nulos por el valor de sustitución, también en el cursor', () => {
+    const sortable = { expires_at: { column: 'expires_at', date: true, fallback: '9999-12-31T00:00:00.000Z' } };
+    const params = [];
+    const first = cursorPage({ sortable, sort: 'expires_at', limit: 1 }, params);
+
+    expect(first.orderBy).toBe('COALESCE(expires_at, $1) ASC, id ASC');
+    expect(params).toEqual([new Date('9999-12-31T00:00:00.000Z'), 2]);
+
+    const { nextCursor } = first.toResult([{ id: 'a', expires_at: null }, { id: 'b', expires_at: null }]);
+    const nextParams = [];
+    const next = cursorPage({ sortable, sort: 'expires_at', cursor: nextCursor, limit: 1 }, nextParams);
+
+    expect(next.condition).toBe('(COALESCE(expires_at, $1), id) > ($2, $3)');
+    expect(nextParams).toEqual([new Date('9999-12-31T00:00:00.000Z'), new Date('9999-12-31T00:00:00.000Z'), 'a', 2]);
+  });
+
+  it('rechaza un cursor de fecha con un valor que no es una fecha', () => {
+    expect(() => page({ sort: 'created_at', cursor: cursorOf(['created_at', 'ayer', 'b']) })).toThrow(ValidationError);
+    expect(() => page({ sort: 'created_at', cursor: cursorOf(['created_at', 123, 'b']) })).toThrow(ValidationError);
+  });
+});
+
+describe('whereClause', () => {
+  it('ignora las condiciones vacías', () => {
+    expect(whereClause([null, 'a = $1', '', 'b = $2'])).toBe(' WHERE a = $1 AND b = $2');
+    expect(whereClause([null])).toBe('');
+  });
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+jest.mock('../src/services/database.service', () => require('./helpers/database').mockDatabase());
+
+const request = require('supertest');
+const app = require('../src/app');
+const { mock, transaction } = require('../src/services/database.service');
+const projectMembershipsService = require('../src/services/project-memberships.service');
+const { ConflictError } = require('../src/utils/errors');
+
+const PROJECT_ID = 'cmvfnjdjt0002jx7d4dqo8pzf';
+const ORG_ID = 'cmvfnjdir0000jx7dcksr1c31';
+const USERS = ['usr_1', 'usr_2', 'usr_3', 'usr_member'].map(id => ({ id, name: id, email: `${id}@example.com`, image: null }));
+
+// Filas de un INSERT de varias filas: los parámetros van en grupos de `width`
+const rowsOf = (params, width, build) => Array.from(
+  { length: params.length / width },
+  (_, row) => build(params.slice(row * width, (row + 1) * width))
+);
+
+let insertedProjectMembers;
+
+beforeEach(() => {
+  insertedProjectMembers = null;
+
+  mock.on(/FROM admin_tokens t/, () => [{ id: 'atk_root', user_id: null, scopes: ['*'], org_id: null }]);
+  mock.on(/SELECT id(, org_id)? FROM projects WHERE id/, ([id]) => (id === PROJECT_ID ? [{ id, org_id: ORG_ID }] : []));
+  mock.on(/SELECT org_id FROM projects WHERE id/, () => [{ org_id: ORG_ID }]);
+  mock.on(/FROM users WHERE id = ANY/, ([ids]) => USERS.filter(user => ids.includes(user.id)));
+  mock.on(/SELECT user_id FROM project_memberships/, ([, ids]) => (ids.includes('usr_member') ? [{ user_id: 'usr_member' }] : []));
+  mock.on(/INSERT INTO organization_memberships/, (params) => rowsOf(params, 4, ([id, orgId, userId, role]) => ({
+    id, org_id: orgId, user_id: userId, role
+  })));
+  mock.on(/SELECT id, user_id FROM organization_memberships/, ([, ids]) => ids.map(userId => ({ id: `om_${userId}`, user_id: userId })));
+  mock.on(/INSERT INTO project_memberships/, (params) => {
+    const rows = rowsOf(params, 4, ([projectId, userId, , role]) => ({ project_id: projectId, user_id: userId, role }));
+    return insertedProjectMembers ? insertedProjectMembers(rows) : rows;
+  });
+  mock.on(/INSERT INTO admin_audit_logs/, ([ids]) => ids.map(id => ({ id })));
+  mock.on(/FROM webhooks/, () => [{ id: 'whk_1', org_id: null, events: ['*'] }]);
+});
+
+afterEach(() => {
+  mock.reset();
+});
+
+const writes = () => mock.statements(/^\s*(INSERT|UPDATE|DELETE)/);
+const lastStatement = () => mock.queries[mock.queries.length - 1].text;
+
+describe('projectMembershipsService.addBatchMembers (atomic)', () => {
+  it('añade todos los miembros con un INSERT de varias filas por tabla', async () => {
+    const result = await projectMembershipsService.addBatchMembers(PROJECT_ID, [
+      { userId: 'usr_1' },
+      { userId: 'usr_2', role: 'ADMIN' },
+      { userId: 'usr_3', role: 'MEMBER' }
+    ], { atomic: true });
+
+    expect(result.errors).toEqual([]);
+    expect(result.success.map(member => [member.user_id, member.role])).toEqual([
+      ['usr_1', 'VIEWER'],
+      ['usr_2', 'ADMIN'],
+      ['usr_3', 'MEMBER']
+    ]);
+    expect(result.success[0]).toMatchObject({ email: 'usr_1@example.com' });
+
+    expect(mock.statements(/INSERT INTO organization_memberships/)).toHaveLength(1);
+    expect(mock.statements(/INSERT INTO project_memberships/)).toHaveLength(1);
+    expect(lastStatement()).toBe('COMMIT');
+  });
+
+  it('registra la auditoría y encola los eventos con un INSERT por tipo de operación', async () => {
+    await projectMembershipsService.addBatchMembers(PROJECT_ID, [
+      { userId: 'usr_1' },
+      { userId: 'usr_2' },
+      { userId: 'usr_3' }
+    ], { atomic: true });
+
+    const audits = mock.statements(/INSERT INTO admin_audit_logs/);
+    expect(audits.map(({ params }) => params[1])).toEqual([
+      ['org_member.added', 'org_member.added', 'org_member.added'],
+      ['project_member.added', 'project_member.added', 'project_member.added']
+    ]);
+
+    const deliveries = mock.statements(/INSERT INTO webhook_deliveries/);
+    expect(deliveries).toHaveLength(2);
+    expect(deliveries[1].params[3]).toEqual(['project_member.added', 'project_member.added', 'project_member.added']);
+
+    // La organización de las membresías de proyecto se consulta una sola vez
+    expect(mock.statements(/SELECT org_id FROM projects WHERE id/)).toHaveLength(1);
+  });
+
+  it('no escribe nada si algún miembro no se puede añadir e informa de cada fallo', async () => {
+    const error = await projectMembershipsService.addBatchMembers(PROJECT_ID, [
+      { userId: 'usr_1' },
+      { userId: 'usr_missing' },
+      { userId: 'usr_member' },
+      { userId: 'usr_2', role: 'SUPERUSER' },
+      { userId: 'usr_1' }
+    ], { atomic: true }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.code).toBe('BATCH_REJECTED');
+    expect(error.details.errors.map(({ userId, code }) => [userId, code])).toEqual([
+      ['usr_missing', 'NOT_FOUND'],
+      ['usr_member', 'MEMBERSHIP_EXISTS'],
+      ['usr_2', 'INVALID_ROLE'],
+      ['usr_1', 'MEMBERSHIP_EXISTS']
+    ]);
+
+    expect(writes()).toHaveLength(0);
+    expect(lastStatement()).toBe('ROLLBACK');
+  });
+
+  it('deshace el lote si otra solicitud añade un miembro antes de insertar', async () => {
+    insertedProjectMembers = rows => rows.slice(1);
+
+    const error = await projectMembershipsService.addBatchMembers(PROJECT_ID, [
+      { userId: 'usr_1' },
+      { userId: 'usr_2' }
+    ], { atomic: true }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.code).toBe('MEMBERSHIP_EXISTS');
+    expect(mock.statements(/INSERT INTO admin_audit_logs/)).toHaveLength(1);
+    expect(lastStatement()).toBe('ROLLBACK');
+  });
+
+  it('sin modo atómico añade cada miembro por separado', async () => {
+    const addMember = jest.spyOn(projectMembershipsService, 'addMember')
+      .mockImplementation(async (projectId, userId) => {
+        if (userId === 'usr_missing') {
+          throw new Error('Usuario no encontrado');
+        }
+        return { project_id: projectId, user_id: userId };
+      });
+
+    try {
+      const result = await projectMembershipsService.addBatchMembers(PROJECT_ID, [
+        { userId: 'usr_1' },
+        { userId: 'usr_missing' }
+      ]);
+
+      expect(result.success).toHaveLength(1);
+      expect(result.errors).toEqual([{ userId: 'usr_missing', error: 'Usuario no encontrado' }]);
+      expect(transaction).not.toHaveBeenCalled();
+    } finally {
+      addMember.mockRestore();
+    }
+  });
+});
+
+describe('POST /api/projects/:projectId/members/batch', () => {
+  it('responde 409 BATCH_REJECTED con los fallos en details', async () => {
+    const res = await request(app)
+      .post(`/api/projects/${PROJECT_ID}/members/batch?atomic=true`)
+      .set('X-API-Key', 'admin-token')
+      .send({ members: [{ userId: 'usr_1' }, { userId: 'usr_missing' }] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('BATCH_REJECTED');
+    expect(res.body.details.errors).toHaveLength(1);
+  });
+
+  it('limita el lote a 1000 miembros', async () => {
+    const members = Array.from({ length: 1001 }, (_, i) => ({ userId: `usr_${i}` }));
+
+    const res = await request(app)
+      .post(`/api/projects/${PROJECT_ID}/members/batch?atomic=true`)
+      .set('X-API-Key', 'admin-token')
+      .set('Accept-Language', 'en')
+      .send({ members });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.body.members).toBe('No more than 1000 members can be added at once');
+    expect(transaction).not.toHaveBeenCalled();
+  });
+});
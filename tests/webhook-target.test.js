@@ -0,0 +1,66 @@
+'use strict';
+
+const config = require('../src/config');
+const { isBlockedAddress, resolveWebhookTarget } = require('../src/utils/webhook-target');
+const { BusinessLogicError } = require('../src/utils/errors');
+
+describe('isBlockedAddress', () => {
+  it.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '::1',
+    '::',
+    'fe80::1',
+    'fd00::1',
+    '::ffff:127.0.0.1',
+    '::ffff:169.254.169.254'
+  ])('bloquea %s', (address) => {
+    expect(isBlockedAddress(address)).toBe(true);
+  });
+
+  it.each([
+    '93.184.216.34',
+    '8.8.8.8',
+    '172.32.0.1',
+    '2606:4700:4700::1111',
+    '::ffff:93.184.216.34'
+  ])('permite %s', (address) => {
+    expect(isBlockedAddress(address)).toBe(false);
+  });
+});
+
+describe('resolveWebhookTarget', () => {
+  const allowedHosts = [...config.webhooks.allowedHosts];
+
+  afterEach(() => {
+    config.webhooks.allowedHosts.splice(0, Infinity, ...allowedHosts);
+  });
+
+  it('devuelve la dirección comprobada para conectar a ella', async () => {
+    await expect(resolveWebhookTarget('https://93.184.216.34/hook')).resolves.toEqual({ address: '93.184.216.34', family: 4 });
+  });
+
+  it.each([
+    'http://127.0.0.1:5432/',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/hook',
+    'http://localhost/hook'
+  ])('rechaza %s', async (url) => {
+    const error = await resolveWebhookTarget(url).catch(e => e);
+
+    expect(error).toBeInstanceOf(BusinessLogicError);
+    expect(error.code).toBe('WEBHOOK_TARGET_FORBIDDEN');
+    expect(error.status).toBe(400);
+  });
+
+  it('acepta sin comprobar los hosts de WEBHOOKS_ALLOWED_HOSTS', async () => {
+    config.webhooks.allowedHosts.push('internal.example');
+
+    await expect(resolveWebhookTarget('http://internal.example/hook')).resolves.toBeNull();
+  });
+});